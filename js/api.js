@@ -1,6 +1,9 @@
 /**
  * API Module
  * Handles all API calls to Pokémon TCG API and JustTCG for pricing
+ * Responses are cached by ApiCache: card and set data under 'metadata',
+ * prices under 'prices'
+ * When the network is down, searches fall back to the offline Catalog
  */
 
 const API = (() => {
@@ -9,181 +12,452 @@ const API = (() => {
     const POKEMON_TCG_BASE_URL = 'https://api.pokemontcg.io/v2';
     const JUSTTCG_BASE_URL = 'https://api.justtcg.io/v1';
 
-    // Cache for API responses
-    const cache = new Map();
-    const CACHE_DURATION = 3600000; // 1 hour in milliseconds
+    // Search results per page, and their order (Pokémon TCG API orderBy syntax)
+    const SEARCH_PAGE_SIZE = 50;
+    const DEFAULT_ORDER_BY = 'set.releaseDate,number';
+
+    // Cards per request when downloading a set for the offline catalog (API maximum)
+    const CATALOG_PAGE_SIZE = 250;
+    const CATALOG_FIELDS = 'id,name,number,rarity,types,hp,set,images';
+
+    // Name suggestions: shortest text looked up (also the fallback prefix), and cards fetched to rank
+    const SUGGEST_MIN_LENGTH = 3;
+    const SUGGEST_PAGE_SIZE = 250;
+
+    // Fields holding the market prices the Pokémon TCG API reports for a card
+    const MARKET_FIELDS = 'id,tcgplayer,cardmarket';
+
+    // How each price source (see PriceSources) quotes a card in a condition
+    const PRICE_SOURCES = {
+        justtcg: quoteJustTcg,
+        tcgplayer: quoteTcgplayer,
+        cardmarket: quoteCardmarket
+    };
 
     /**
      * Make a request to Pokémon TCG API
      * @param {string} endpoint - API endpoint
      * @param {object} params - Query parameters
-     * @returns {Promise} API response
+     * @param {object} options - { signal, cache: false to skip the API cache, namespace (default 'metadata') }
+     * @returns {Promise} API response (see HttpClient.request)
      */
-    async function fetchFromPokemonTCG(endpoint, params = {}) {
-        try {
-            // Build URL with query parameters
-            const url = new URL(`${POKEMON_TCG_BASE_URL}${endpoint}`);
+    async function fetchFromPokemonTCG(endpoint, params = {}, options = {}) {
+        const url = buildUrl(POKEMON_TCG_BASE_URL, endpoint, params);
+        const send = signal => {
+            console.log('Fetching from Pokémon TCG API:', url.toString());
+            return HttpClient.request(url, { headers: { 'Accept': 'application/json' }, signal });
+        };
 
-            Object.keys(params).forEach(key => {
-                url.searchParams.append(key, params[key]);
-            });
+        if (options.cache === false) {
+            return send(options.signal);
+        }
 
-            console.log('Fetching from Pokémon TCG API:', url.toString());
+        return ApiCache.getOrFetch(options.namespace || 'metadata', url.toString(), send, { signal: options.signal });
+    }
 
-            const response = await fetch(url.toString(), {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
+    /**
+     * Make a request to JustTCG API for pricing
+     * @param {string} endpoint - API endpoint
+     * @param {object} params - Query parameters
+     * @param {object} options - { signal }
+     * @returns {Promise} API response (see HttpClient.request)
+     */
+    async function fetchFromJustTCG(endpoint, params = {}, options = {}) {
+        const url = buildUrl(JUSTTCG_BASE_URL, endpoint, params);
 
-            if (!response.ok) {
-                throw new Error(`API Error: ${response.status} ${response.statusText}`);
-            }
+        // The cache key leaves out the API key
+        const cacheKey = url.toString();
+        url.searchParams.append('key', JUSTTCG_API_KEY);
 
-            const data = await response.json();
-            return { success: true, data };
-        } catch (error) {
-            console.error('Pokémon TCG API Error:', error);
-            return { success: false, error: error.message };
-        }
+        return ApiCache.getOrFetch('prices', cacheKey, signal => {
+            console.log('Fetching from JustTCG API:', cacheKey);
+            return HttpClient.request(url, { headers: { 'Accept': 'application/json' }, signal });
+        }, { signal: options.signal });
     }
 
     /**
-     * Make a request to JustTCG API for pricing
+     * Build a request URL with query parameters
+     * @param {string} baseUrl - API base URL
      * @param {string} endpoint - API endpoint
      * @param {object} params - Query parameters
-     * @returns {Promise} API response
+     * @returns {URL} Request URL
      */
-    async function fetchFromJustTCG(endpoint, params = {}) {
+    function buildUrl(baseUrl, endpoint, params) {
+        const url = new URL(`${baseUrl}${endpoint}`);
+
+        Object.keys(params).forEach(key => {
+            url.searchParams.append(key, params[key]);
+        });
+
+        return url;
+    }
+
+    /**
+     * Search for cards using Pokémon TCG API
+     * Tries the most specific query first and loosens it step by step
+     * (set + number, set only, number only, name only) until cards are found
+     * Only the first page is fetched; pass result.next to searchCardsPage for more
+     * @param {string} name - Card name
+     * @param {string} set - Set name or code
+     * @param {string} number - Card number (optional)
+     * @param {object} options - { signal, pageSize, orderBy }
+     * @returns {Promise} First page of matching cards with totalCount, hasMore and
+     *     next, plus a notice when a fallback was used
+     */
+    async function searchCards(name, set, number = '', options = {}) {
         try {
-            // Build URL with query parameters
-            const url = new URL(`${JUSTTCG_BASE_URL}${endpoint}`);
-            url.searchParams.append('key', JUSTTCG_API_KEY);
+            const setText = (set || '').trim();
+            const sets = setText ? await resolveSets(setText) : [];
+            const attempts = buildSearchAttempts(name, sets, parseCardNumber(number));
 
-            Object.keys(params).forEach(key => {
-                url.searchParams.append(key, params[key]);
-            });
+            for (const attempt of attempts) {
+                console.log('Searching with query:', attempt.query);
 
-            console.log('Fetching from JustTCG API:', url.toString());
+                const result = await searchCardsPage({
+                    query: attempt.query,
+                    name,
+                    page: 1,
+                    pageSize: options.pageSize || SEARCH_PAGE_SIZE,
+                    orderBy: options.orderBy || DEFAULT_ORDER_BY
+                }, { signal: options.signal });
 
-            const response = await fetch(url.toString(), {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json'
+                if (!result.success) {
+                    return result.offline ? searchCatalog(name, setText, number) : result;
+                }
+
+                if (result.data.length === 0) {
+                    continue;
                 }
-            });
 
-            if (!response.ok) {
-                throw new Error(`API Error: ${response.status} ${response.statusText}`);
+                return { ...result, notice: describeFallback(attempt, setText, sets, number) };
             }
 
-            const data = await response.json();
-            return { success: true, data };
+            console.log('No cards found from API');
+            return { success: false, error: 'No cards found' };
         } catch (error) {
-            console.error('JustTCG API Error:', error);
+            console.error('Search error:', error);
             return { success: false, error: error.message };
         }
     }
 
     /**
-     * Search for cards using Pokémon TCG API
+     * Search with a query expression from SearchBuilder
+     * The query is sent as written, with no loosening
+     * @param {string} query - Pokémon TCG API query expression
+     * @param {object} options - { signal, pageSize, orderBy }
+     * @returns {Promise} First page of matching cards with totalCount, hasMore and next
+     */
+    async function searchByQuery(query, options = {}) {
+        console.log('Searching with query:', query);
+
+        const result = await searchCardsPage({
+            query,
+            name: '',
+            page: 1,
+            pageSize: options.pageSize || SEARCH_PAGE_SIZE,
+            orderBy: options.orderBy || DEFAULT_ORDER_BY
+        }, { signal: options.signal });
+
+        if (!result.success && result.offline) {
+            return {
+                ...result,
+                error: 'Advanced searches need a connection. Search by name, set and number to use the offline catalog.'
+            };
+        }
+
+        if (result.success && result.data.length === 0) {
+            return { success: false, error: 'No cards match this search. Try removing a filter.' };
+        }
+
+        return result;
+    }
+
+    /**
+     * Suggest cards for a partly typed name
+     * Cards starting with the first typed word are fetched and ranked by
+     * CardNames; when that finds nothing (a typo, or an accent the API does not
+     * fold) a shorter prefix is tried. Uses the offline catalog when offline
+     * @param {string} text - Typed name, optionally followed by set words
+     * @param {object} options - { signal }
+     * @returns {Promise} { success, data: cards, closest first, offline } or an error result
+     */
+    async function suggestCards(text, options = {}) {
+        const typed = CardNames.normalize(text);
+        const firstWord = typed.split(' ')[0];
+        if (typed.length < SUGGEST_MIN_LENGTH) {
+            return { success: true, data: [], offline: false };
+        }
+
+        const prefixes = [...new Set([firstWord, firstWord.slice(0, SUGGEST_MIN_LENGTH)])];
+        for (const prefix of prefixes) {
+            const result = await fetchFromPokemonTCG('/cards', {
+                q: `name:${prefix}*`,
+                pageSize: SUGGEST_PAGE_SIZE,
+                orderBy: '-set.releaseDate',
+                select: CATALOG_FIELDS
+            }, { signal: options.signal });
+
+            if (!result.success) {
+                return result.offline
+                    ? { success: true, data: await CardNames.matchOffline(text), offline: true }
+                    : result;
+            }
+
+            const matches = CardNames.match(text, (result.data.data || []).map(formatCard));
+            if (matches.length > 0) {
+                return { success: true, data: matches, offline: false };
+            }
+        }
+
+        return { success: true, data: [], offline: false };
+    }
+
+    /**
+     * Fetch one page of a search
+     * Each page is cached under its own URL, so pages never mix
+     * @param {object} paging - { query, name, page, pageSize, orderBy }, e.g. result.next from searchCards
+     * @param {object} options - { signal }
+     * @returns {Promise} { success, data, totalCount, hasMore, next }
+     */
+    async function searchCardsPage(paging, options = {}) {
+        const result = await fetchFromPokemonTCG('/cards', {
+            q: paging.query,
+            page: paging.page,
+            pageSize: paging.pageSize,
+            orderBy: paging.orderBy
+        }, { signal: options.signal });
+
+        if (!result.success) {
+            return result;
+        }
+
+        const cards = result.data.data || [];
+        const totalCount = result.data.totalCount ?? cards.length;
+        const hasMore = paging.page * paging.pageSize < totalCount;
+
+        // Filter results to ensure exact name match (case-insensitive)
+        const nameMatch = paging.name.toLowerCase().trim();
+        const filteredCards = cards.filter(card => card.name.toLowerCase().includes(nameMatch));
+
+        if (cards.length > 0 && filteredCards.length === 0) {
+            // If filtering doesn't help, return original results
+            console.log('No exact matches found, returning all results');
+        }
+
+        return {
+            success: true,
+            data: (filteredCards.length > 0 ? filteredCards : cards).map(formatCard),
+            totalCount,
+            hasMore,
+            next: hasMore ? { ...paging, page: paging.page + 1 } : null
+        };
+    }
+
+    /**
+     * Search the offline catalog, loosening the search the same way as searchCards
      * @param {string} name - Card name
-     * @param {string} set - Set name or code
+     * @param {string} setText - Set name or code
      * @param {string} number - Card number (optional)
-     * @returns {Promise} Array of matching cards
+     * @returns {Promise} Matching cards with a notice saying they came from the catalog
      */
-    async function searchCards(name, set, number = '') {
-        try {
-            // Check cache first
-            const cacheKey = `search_${name}_${set}_${number}`;
-            if (cache.has(cacheKey)) {
-                const cached = cache.get(cacheKey);
-                if (Date.now() - cached.timestamp < CACHE_DURATION) {
-                    console.log('Returning cached results for:', cacheKey);
-                    return { success: true, data: cached.data };
-                }
+    async function searchCatalog(name, setText, number) {
+        const status = await Catalog.getStatus();
+        if (status.cards === 0) {
+            return {
+                success: false,
+                offline: true,
+                error: 'You are offline and no offline catalog has been downloaded. Download it under Settings while online.'
+            };
+        }
+
+        const cards = await Catalog.getCards();
+        const sets = setText ? matchSets(await Catalog.getSets(), setText) : [];
+        const parsedNumber = parseCardNumber(number);
+        const nameMatch = normalizeText(name);
+        const byName = cards.filter(card => normalizeText(card.name).includes(nameMatch));
+
+        for (const attempt of buildSearchAttempts(name, sets, parsedNumber)) {
+            const matches = byName.filter(card =>
+                (!attempt.usesSet || sets.some(s => s.id === card.setCode)) &&
+                (!attempt.usesNumber || normalizeCardNumber(card.number) === normalizeCardNumber(parsedNumber.number))
+            );
+
+            if (matches.length > 0) {
+                const offlineNotice = `You are offline; showing cards from the offline catalog (downloaded ${new Date(status.downloadedAt).toLocaleDateString()}).`;
+                const notice = [offlineNotice, describeFallback(attempt, setText, sets, number)].filter(Boolean).join(' ');
+                return { success: true, data: matches, notice, offline: true, totalCount: matches.length, hasMore: false, next: null };
             }
+        }
 
-            // Build precise query for Pokémon TCG API
-            // Format: q=name:"ExactName"
-            let query = `name:"${name.trim()}"`;
-            
-            // If set is provided, filter by set
-            if (set && set.trim()) {
-                // The API uses 'series.name' field for set names
-                query += ` series.name:"${set.trim()}"`;
+        return { success: false, offline: true, error: 'You are offline and no card in the offline catalog matches' };
+    }
+
+    /**
+     * Build the list of queries to try, most specific first
+     * @param {string} name - Card name
+     * @param {array} sets - Resolved sets
+     * @param {object|null} number - Parsed card number
+     * @returns {array} Attempts with query text and which filters they use
+     */
+    function buildSearchAttempts(name, sets, number) {
+        const nameClause = `name:"${escapeQueryValue(name.trim())}"`;
+
+        const setClause = sets.length > 0
+            ? `(${sets.map(s => `set.id:${escapeQueryValue(s.id)}`).join(' OR ')})`
+            : null;
+
+        const numberClauses = [];
+        if (number) {
+            numberClauses.push(`number:"${escapeQueryValue(number.number)}"`);
+            if (number.printedTotal) {
+                numberClauses.push(`set.printedTotal:${number.printedTotal}`);
             }
+        }
+
+        const attempts = [];
+        if (setClause && number) {
+            attempts.push({ usesSet: true, usesNumber: true, clauses: [nameClause, setClause, ...numberClauses] });
+        }
+        if (setClause) {
+            attempts.push({ usesSet: true, usesNumber: false, clauses: [nameClause, setClause] });
+        }
+        if (number) {
+            attempts.push({ usesSet: false, usesNumber: true, clauses: [nameClause, ...numberClauses] });
+        }
+        attempts.push({ usesSet: false, usesNumber: false, clauses: [nameClause] });
 
-            const params = { q: query };
+        return attempts.map(attempt => ({ ...attempt, query: attempt.clauses.join(' ') }));
+    }
 
-            console.log('Searching with query:', query);
+    /**
+     * Explain to the user which filters a search had to drop
+     * @param {object} attempt - The attempt that found cards
+     * @param {string} setText - Set text the user entered
+     * @param {array} sets - Sets it resolved to
+     * @param {string} number - Number the user entered
+     * @returns {string|null} Notice, or null when every filter was applied
+     */
+    function describeFallback(attempt, setText, sets, number) {
+        const notes = [];
 
-            const result = await fetchFromPokemonTCG('/cards', params);
+        if (setText && sets.length === 0) {
+            notes.push(`Set "${setText}" was not recognized, so it was ignored.`);
+        } else if (setText && !attempt.usesSet) {
+            notes.push(`No card matched in set "${setText}", so the set was ignored.`);
+        }
 
-            if (result.success && result.data.data && result.data.data.length > 0) {
-                // Filter results to ensure exact name match (case-insensitive)
-                const nameMatch = name.toLowerCase().trim();
-                const filteredCards = result.data.data.filter(card => 
-                    card.name.toLowerCase().includes(nameMatch)
-                );
+        if (number && number.trim() && !attempt.usesNumber) {
+            notes.push(`No card matched number "${number.trim()}", so the number was ignored.`);
+        }
 
-                if (filteredCards.length === 0) {
-                    console.log('No exact matches found, returning all results');
-                    // If filtering doesn't help, return original results
-                    const results = result.data.data;
-                    return formatCardResults(results, cacheKey);
-                }
+        return notes.length > 0 ? notes.join(' ') : null;
+    }
 
-                console.log(`Found ${filteredCards.length} cards matching search`);
-                return formatCardResults(filteredCards, cacheKey);
-            } else {
-                console.log('No cards found from API');
-                return { success: false, error: 'No cards found' };
-            }
-        } catch (error) {
-            console.error('Search error:', error);
-            return { success: false, error: error.message };
+    /**
+     * Resolve free-text set input against set names, IDs and PTCGO codes
+     * e.g. "Base Set", "base1" and "BS" all resolve to the Base set
+     * @param {string} text - Set name or code entered by the user
+     * @returns {Promise<array>} Matching sets (empty when none match)
+     */
+    async function resolveSets(text) {
+        const result = await getPopularSets();
+        if (!result.success || !Array.isArray(result.data?.data)) {
+            return [];
         }
+
+        return matchSets(result.data.data, text);
+    }
+
+    /**
+     * Match free-text set input against a list of sets
+     * @param {array} sets - Sets from the API or the offline catalog
+     * @param {string} text - Set name or code entered by the user
+     * @returns {array} Matching sets (empty when none match)
+     */
+    function matchSets(sets, text) {
+        const query = text.trim().toLowerCase();
+        const queryName = normalizeSetName(text);
+
+        // Exact code matches are unambiguous
+        const byCode = sets.filter(s =>
+            s.id.toLowerCase() === query || (s.ptcgoCode || '').toLowerCase() === query
+        );
+        if (byCode.length > 0) return byCode;
+
+        const byName = sets.filter(s => normalizeSetName(s.name) === queryName);
+        if (byName.length > 0) return byName;
+
+        // Partial names ("base") may match several sets; keep the list short
+        const partial = sets.filter(s => normalizeSetName(s.name).startsWith(queryName));
+        return queryName ? partial.slice(0, 10) : [];
+    }
+
+    /**
+     * Normalize a set name for matching ("Base Set" and "Base" are equal)
+     * @param {string} name - Set name
+     * @returns {string} Normalized name
+     */
+    function normalizeSetName(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/&/g, 'and')
+            .replace(/\bset\b/g, '')
+            .replace(/[^a-z0-9]/g, '');
     }
 
     /**
-     * Format card results from API
-     * @param {array} cards - Raw card data from API
-     * @param {string} cacheKey - Cache key for storing results
-     * @returns {object} Formatted results object
+     * Split a card number such as "4/102" into number and printed total
+     * @param {string} number - Card number entered by the user
+     * @returns {object|null} { number, printedTotal } or null when empty
      */
-    function formatCardResults(cards, cacheKey) {
-        const formattedCards = cards.map(card => ({
+    function parseCardNumber(number) {
+        const text = String(number || '').trim();
+        if (!text) return null;
+
+        const [rawNumber, rawTotal] = text.split('/').map(part => part.trim());
+        const cleanNumber = /^\d+$/.test(rawNumber) ? String(parseInt(rawNumber, 10)) : rawNumber.toUpperCase();
+        const printedTotal = /^\d+$/.test(rawTotal || '') ? parseInt(rawTotal, 10) : null;
+
+        return cleanNumber ? { number: cleanNumber, printedTotal } : null;
+    }
+
+    /**
+     * Escape a value for use inside a Pokémon TCG API query
+     * @param {string} value - Raw value
+     * @returns {string} Escaped value
+     */
+    function escapeQueryValue(value) {
+        return String(value).replace(/(["\\])/g, '\\$1');
+    }
+
+    /**
+     * Convert a raw Pokémon TCG API card into the app's card shape
+     * Prices are left empty; they are filled in by fetchCardPrices
+     * @param {object} card - Raw card data from API
+     * @returns {object} Formatted card
+     */
+    function formatCard(card) {
+        return {
             id: card.id,
             name: card.name,
             set: card.set?.name || 'Unknown Set',
             setCode: card.set?.id || 'UNKNOWN',
             number: card.number || 'N/A',
+            printedTotal: card.set?.printedTotal || null,
+            releaseDate: card.set?.releaseDate || '',
+            series: card.set?.series || '',
             imageUrl: card.images?.large || card.images?.small || '',
             rarity: card.rarity || 'Common',
             type: card.types?.[0] || 'Unknown',
             hp: card.hp || 'N/A',
-            prices: {
-                tcgplayer: {
-                    avg: generateMockPrice(card.name)
-                }
-            }
-        }));
-
-        // Cache the result
-        cache.set(cacheKey, {
-            data: formattedCards,
-            timestamp: Date.now()
-        });
-
-        return { success: true, data: formattedCards };
+            prices: {}
+        };
     }
 
     /**
      * Get card details and pricing
      * @param {string} cardId - Card ID from Pokémon TCG API
-     * @param {string} condition - Card condition (Near Mint, Lightly Played, Moderately Played)
+     * @param {string} condition - Card condition (see Conditions)
      * @returns {Promise} Card details with pricing
      */
     async function getCardPricing(cardId, condition) {
@@ -191,27 +465,11 @@ const API = (() => {
             const result = await fetchFromPokemonTCG(`/cards/${cardId}`);
 
             if (result.success && result.data.data) {
-                const card = result.data.data;
-                const formattedCard = {
-                    id: card.id,
-                    name: card.name,
-                    set: card.set?.name || 'Unknown Set',
-                    setCode: card.set?.id || 'UNKNOWN',
-                    number: card.number || 'N/A',
-                    imageUrl: card.images?.large || card.images?.small || '',
-                    rarity: card.rarity || 'Common',
-                    type: card.types?.[0] || 'Unknown',
-                    hp: card.hp || 'N/A',
-                    prices: {
-                        tcgplayer: {
-                            avg: generateMockPrice(card.name)
-                        }
-                    }
-                };
+                const formattedCard = formatCard(result.data.data);
 
                 return {
                     success: true,
-                    data: enrichCardWithPricing(formattedCard, condition)
+                    data: await priceCard(formattedCard, condition)
                 };
             }
 
@@ -223,24 +481,446 @@ const API = (() => {
     }
 
     /**
-     * Enrich card data with pricing based on condition
-     * This applies condition-based multipliers to the base price
-     * @param {object} card - Card data from API
+     * Look up real market prices for a card and apply the condition
+     * Falls back to a mock estimate only when no source has a price
+     * @param {object} card - Formatted card data
      * @param {string} condition - Card condition
+     * @param {object} options - { signal } to cancel the price lookup
+     * @returns {Promise<object>} Card with pricing
+     */
+    async function priceCard(card, condition, options = {}) {
+        const pricedCard = { ...card, prices: await fetchAllPrices(card, options) };
+
+        // Every finished lookup adds to the card's price history
+        const enriched = enrichCardWithPricing(pricedCard, condition);
+        if (!options.signal?.aborted) {
+            PriceHistory.record(enriched);
+        }
+        return enriched;
+    }
+
+    /**
+     * List the variants the price sources have prices for, for the variant selector
+     * The prices are cached, so pricing the card afterwards does not fetch them again
+     * @param {object} card - Formatted card data
+     * @param {object} options - { signal } to cancel the lookup
+     * @returns {Promise<array>} Canonical variant names (see Variants), the most common release first
+     */
+    async function getCardVariants(card, options = {}) {
+        return Variants.fromPrices(await fetchAllPrices(card, options));
+    }
+
+    /**
+     * Fetch a card's prices from every source
+     * A source that fails keeps the prices the card already had
+     * @param {object} card - Formatted card data
+     * @param {object} options - { signal } to cancel the lookups
+     * @returns {Promise<object>} card.prices with fresh justtcg, tcgplayer and cardmarket data
+     */
+    async function fetchAllPrices(card, options = {}) {
+        const [justtcg, market] = await Promise.all([
+            fetchCardPrices(card, options),
+            fetchMarketPrices(card, options)
+        ]);
+
+        return { ...card.prices, ...market, ...(justtcg ? { justtcg } : {}) };
+    }
+
+    /**
+     * Fetch the TCGplayer and Cardmarket prices the Pokémon TCG API reports for a card
+     * @param {object} card - Formatted card data
+     * @param {object} options - { signal } to cancel the lookup
+     * @returns {Promise<object>} { tcgplayer, cardmarket }, each left out when the card has none
+     */
+    async function fetchMarketPrices(card, options = {}) {
+        if (!card || !card.id) return {};
+
+        const result = await fetchFromPokemonTCG(`/cards/${card.id}`, { select: MARKET_FIELDS }, {
+            signal: options.signal,
+            namespace: 'prices'
+        });
+
+        const data = result.success ? result.data?.data : null;
+        if (!data) {
+            return {};
+        }
+
+        const fetchedAt = result.cachedAt || Date.now();
+        const prices = {};
+        if (data.tcgplayer?.prices) prices.tcgplayer = { ...data.tcgplayer, fetchedAt };
+        if (data.cardmarket?.prices) prices.cardmarket = { ...data.cardmarket, fetchedAt };
+        return prices;
+    }
+
+    /**
+     * Fetch per-condition prices for a card from JustTCG
+     * The card is matched by collector number first, then by set name
+     * @param {object} card - Formatted card data
+     * @param {object} options - { signal } to cancel the lookup
+     * @returns {Promise<object|null>} Price data or null when no match was found
+     */
+    async function fetchCardPrices(card, options = {}) {
+        if (!card || !card.name) return null;
+
+        const result = await fetchFromJustTCG('/cards', {
+            game: 'pokemon',
+            q: card.name,
+            set: card.set || ''
+        }, { signal: options.signal });
+
+        if (!result.success) {
+            return null;
+        }
+
+        const candidates = Array.isArray(result.data?.data) ? result.data.data : [];
+        const match = findPricingMatch(candidates, card);
+        const prices = match ? extractConditionPrices(match) : null;
+
+        // When the prices were fetched, so their age can be shown
+        return prices ? { ...prices, fetchedAt: result.cachedAt || Date.now() } : null;
+    }
+
+    /**
+     * Pick the JustTCG card that corresponds to a Pokémon TCG API card
+     * @param {array} candidates - Cards returned by JustTCG
+     * @param {object} card - Formatted card data
+     * @returns {object|null} Matching JustTCG card
+     */
+    function findPricingMatch(candidates, card) {
+        const number = normalizeCardNumber(card.number);
+        const setName = normalizeText(card.set);
+
+        const byNumber = candidates.filter(candidate =>
+            number && normalizeCardNumber(candidate.number) === number
+        );
+
+        if (byNumber.length === 0) {
+            return null;
+        }
+
+        const bySet = byNumber.find(candidate =>
+            normalizeText(candidate.set_name || candidate.set).includes(setName) ||
+            setName.includes(normalizeText(candidate.set_name || candidate.set))
+        );
+
+        return bySet || (byNumber.length === 1 ? byNumber[0] : null);
+    }
+
+    /**
+     * Reduce a JustTCG card's variants to a price per condition
+     * The conditions are those of the variant priced by default (see Variants.getDefault);
+     * every variant is kept so others can be priced
+     * @param {object} match - JustTCG card
+     * @returns {object|null} Price data
+     */
+    function extractConditionPrices(match) {
+        const variants = (match.variants || []).filter(variant =>
+            typeof variant.price === 'number' && variant.price > 0
+        );
+
+        if (variants.length === 0) {
+            return null;
+        }
+
+        const printing = Variants.getDefault(variants.map(variant => Variants.normalize(variant.printing || 'Normal')));
+
+        return {
+            source: 'JustTCG',
+            cardId: match.id,
+            printing,
+            ...getVariantConditions(variants, printing),
+            variants
+        };
+    }
+
+    /**
+     * Get the price per condition of one variant from JustTCG's variants
+     * @param {array} variants - JustTCG variants, each one condition of one printing
+     * @param {string} variant - Canonical variant name (see Variants)
+     * @returns {object} { conditions: {condition: price}, updatedAt }
+     */
+    function getVariantConditions(variants, variant) {
+        const conditions = {};
+        let updatedAt = null;
+
+        variants
+            .filter(v => v.price > 0 && Variants.normalize(v.printing || 'Normal') === variant)
+            .forEach(v => {
+                conditions[Conditions.normalize(v.condition) || v.condition] = v.price;
+                if (v.lastUpdated && (!updatedAt || v.lastUpdated > updatedAt)) {
+                    updatedAt = v.lastUpdated;
+                }
+            });
+
+        return { conditions, updatedAt };
+    }
+
+    /**
+     * Normalize a collector number for comparison ("004/102" -> "4")
+     * @param {string} number - Card number
+     * @returns {string} Normalized number
+     */
+    function normalizeCardNumber(number) {
+        if (!number || number === 'N/A') return '';
+        return String(number).split('/')[0].trim().replace(/^0+(?=\w)/, '').toLowerCase();
+    }
+
+    /**
+     * Normalize free text for loose comparison
+     * @param {string} text - Text to normalize
+     * @returns {string} Lowercase alphanumeric text
+     */
+    function normalizeText(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Quote JustTCG's price for a condition of a variant
+     * @param {object} card - Card with prices
+     * @param {string} condition - Card condition
+     * @param {number} multiplier - Condition multiplier on the Near Mint price
+     * @param {object} settings - Price source settings
+     * @param {string|null} variant - Variant to price, null when the card's prices name none
+     * @returns {object|null} Quote, or null when JustTCG has no price
+     */
+    function quoteJustTcg(card, condition, multiplier, settings, variant) {
+        const justtcg = card.prices?.justtcg;
+        if (!justtcg) return null;
+
+        const { conditions, updatedAt } = variant
+            ? getVariantConditions(justtcg.variants || [], variant)
+            : { conditions: justtcg.conditions || {}, updatedAt: justtcg.updatedAt };
+        const conditionPrice = conditions[condition];
+        const nearMint = conditions['Near Mint'];
+
+        if (conditionPrice) {
+            // Real price for this exact condition, no adjustment needed
+            return {
+                originalPrice: conditionPrice,
+                basePrice: conditionPrice,
+                multiplier: 1.0,
+                basis: `${condition} price`,
+                updatedAt: updatedAt || null,
+                fetchedAt: justtcg.fetchedAt || null
+            };
+        }
+
+        if (!nearMint) return null;
+        return {
+            originalPrice: nearMint,
+            basePrice: nearMint,
+            multiplier,
+            basis: 'Near Mint price',
+            updatedAt: updatedAt || null,
+            fetchedAt: justtcg.fetchedAt || null
+        };
+    }
+
+    /**
+     * Quote TCGplayer's price for a condition, from the price point chosen in PriceSources
+     * TCGplayer prices are for Near Mint copies, so the condition multiplier applies
+     * @param {object} card - Card with prices
+     * @param {string} condition - Card condition
+     * @param {number} multiplier - Condition multiplier on the Near Mint price
+     * @param {object} settings - Price source settings
+     * @param {string|null} variant - Variant to price, null when the card's prices name none
+     * @returns {object|null} Quote, or null when TCGplayer has no price
+     */
+    function quoteTcgplayer(card, condition, multiplier, settings, variant) {
+        const tcgplayer = card.prices?.tcgplayer;
+        const points = readTcgplayerPoints(tcgplayer, variant);
+        if (!points) return null;
+
+        const point = points[settings.tcgplayerPoint]
+            ? settings.tcgplayerPoint
+            : PriceSources.getTcgplayerPoints().find(p => points[p]);
+        const substitute = point !== settings.tcgplayerPoint ? ` (no ${settings.tcgplayerPoint} price)` : '';
+
+        return {
+            originalPrice: points[point],
+            basePrice: points[point],
+            multiplier,
+            basis: `${point} price${substitute}`,
+            points,
+            updatedAt: tcgplayer.updatedAt || null,
+            fetchedAt: tcgplayer.fetchedAt || null
+        };
+    }
+
+    /**
+     * Read a card's TCGplayer price points for a variant
+     * Cards saved before TCGplayer prices were fetched only have an average,
+     * which is used when no variant is named
+     * @param {object} tcgplayer - TCGplayer data from the Pokémon TCG API, or { avg }
+     * @param {string|null} variant - Canonical variant name (see Variants)
+     * @returns {object|null} { printing, market, low, mid, high }, or null when there are no prices
+     */
+    function readTcgplayerPoints(tcgplayer, variant) {
+        if (!variant && typeof tcgplayer?.avg === 'number' && tcgplayer.avg > 0) {
+            return { printing: null, market: tcgplayer.avg, low: null, mid: null, high: null };
+        }
+
+        const printing = Object.keys(tcgplayer?.prices || {}).find(key =>
+            Variants.normalize(key) === variant &&
+            PriceSources.getTcgplayerPoints().some(point => tcgplayer.prices[key]?.[point] > 0)
+        );
+        if (!printing) return null;
+
+        const prices = tcgplayer.prices[printing];
+        const points = { printing };
+        PriceSources.getTcgplayerPoints().forEach(point => {
+            points[point] = prices[point] > 0 ? prices[point] : null;
+        });
+        return points;
+    }
+
+    /**
+     * Quote Cardmarket's trend price for a condition, converted from euros
+     * Cardmarket prices are for Near Mint copies, so the condition multiplier applies.
+     * They tell reverse holos apart but not 1st Edition or shadowless copies,
+     * so those are not quoted
+     * @param {object} card - Card with prices
+     * @param {string} condition - Card condition
+     * @param {number} multiplier - Condition multiplier on the Near Mint price
+     * @param {object} settings - Price source settings
+     * @param {string|null} variant - Variant to price, null when the card's prices name none
+     * @returns {object|null} Quote, or null when Cardmarket has no price or no euro rate is loaded
+     */
+    function quoteCardmarket(card, condition, multiplier, settings, variant) {
+        if (/1st Edition|Shadowless/.test(variant || '')) return null;
+
+        const reverse = variant === 'Reverse Holo';
+        const cardmarket = card.prices?.cardmarket;
+        const trend = cardmarket?.prices?.[reverse ? 'reverseHoloTrend' : 'trendPrice'];
+        const average = cardmarket?.prices?.[reverse ? 'reverseHoloSell' : 'averageSellPrice'];
+        const euros = trend > 0 ? trend : average;
+        if (!(euros > 0)) return null;
+
+        const dollars = Currency.convert(euros, Currency.BASE_CURRENCY, 'EUR');
+        if (dollars === null) return null;
+
+        return {
+            originalPrice: euros,
+            basePrice: dollars,
+            multiplier,
+            basis: `${reverse ? 'reverse holo ' : ''}${trend > 0 ? 'trend price' : 'average sell price'}`,
+            updatedAt: cardmarket.updatedAt || null,
+            fetchedAt: cardmarket.fetchedAt || null
+        };
+    }
+
+    /**
+     * Enrich card data with pricing based on condition and variant
+     * Each price source quotes the card's variant (card.variant, or the common
+     * release when none was chosen): a real price for the condition when the
+     * source has one, otherwise its Near Mint price times the condition's multiplier
+     * (see Conditions). The quotes are blended by PriceSources; a mock estimate is
+     * used only when no source has a price
+     * @param {object} card - Card data from API
+     * @param {string} condition - Card condition, raw ("Lightly Played") or graded ("PSA 9")
      * @returns {object} Card with pricing
+     * @throws {Error} When the condition is not recognized
      */
     function enrichCardWithPricing(card, condition) {
-        const conditionMultipliers = {
-            'Near Mint': 1.0,
-            'Lightly Played': 0.75,
-            'Moderately Played': 0.50
-        };
+        const multiplier = Conditions.getMultiplier(condition);
+        if (multiplier === null) {
+            throw new Error(`Unknown condition: ${condition}`);
+        }
 
-        const multiplier = conditionMultipliers[condition] || 0.5;
+        // A variant the prices do not cover is never priced as another one silently
+        const variants = Variants.fromPrices(card.prices);
+        const variant = variants.includes(card.variant) ? card.variant : Variants.getDefault(variants);
+        const variantNote = card.variant && variant && variant !== card.variant
+            ? `No ${card.variant} prices were found for this printing, so the ${variant} price is shown`
+            : null;
+
+        const settings = PriceSources.getSettings();
+        const quotes = Object.entries(PRICE_SOURCES)
+            .map(([source, quote]) => {
+                const result = quote(card, condition, multiplier, settings, variant);
+                if (!result) return null;
+                const label = PriceSources.getLabel(source);
+                return {
+                    ...result,
+                    source,
+                    label,
+                    currency: PriceSources.getSources().find(s => s.id === source).currency,
+                    basis: `${label} ${result.basis}`,
+                    price: result.basePrice * result.multiplier
+                };
+            })
+            .filter(quote => quote && quote.price > 0);
+
+        const blended = PriceSources.blend(quotes, settings);
+        if (!blended) {
+            return enrichWithMockPrice({ ...card, variant: card.variant || variant, variants }, condition, multiplier);
+        }
 
-        // Base price from API (fallback to mock data if not available)
-        let basePrice = card.prices?.tcgplayer?.avg || generateMockPrice(card);
+        const included = blended.quotes.filter(quote => quote.included);
+        const basePrice = blended.basePrice;
+        const adjustedPrice = blended.price;
+        const effectiveMultiplier = basePrice > 0 ? Number((adjustedPrice / basePrice).toFixed(4)) : multiplier;
+        const fetchedTimes = included.map(quote => quote.fetchedAt).filter(Boolean);
 
+        const single = included.length === 1;
+        const priceSource = single ? included[0].label : `Blend of ${included.map(quote => quote.label).join(', ')}`;
+
+        return {
+            ...card,
+            selectedCondition: condition,
+            variant,
+            variants,
+            basePrice: basePrice.toFixed(2),
+            adjustedPrice: adjustedPrice.toFixed(2),
+            conditionMultiplier: effectiveMultiplier,
+            // Market prices are quoted in US dollars
+            priceCurrency: Currency.BASE_CURRENCY,
+            priceSource,
+            isMockPrice: false,
+            priceUpdatedAt: included.find(quote => quote.updatedAt)?.updatedAt || null,
+            priceFetchedAt: fetchedTimes.length > 0 ? Math.max(...fetchedTimes) : null,
+            priceBreakdown: {
+                basePrice: basePrice.toFixed(2),
+                basis: single ? included[0].basis : 'Weighted blend of source prices',
+                variant,
+                variantNote,
+                conditionAdjustment: `${Math.round(effectiveMultiplier * 100)}%`,
+                estimatedValue: adjustedPrice.toFixed(2),
+                sources: blended.quotes.map(quote => ({
+                    source: quote.source,
+                    label: quote.label,
+                    basis: quote.basis,
+                    currency: quote.currency,
+                    originalPrice: quote.originalPrice.toFixed(2),
+                    basePrice: quote.basePrice.toFixed(2),
+                    conditionAdjustment: `${Math.round(quote.multiplier * 100)}%`,
+                    price: quote.price.toFixed(2),
+                    weight: quote.weight,
+                    included: quote.included,
+                    note: quote.note
+                })),
+                median: blended.median.toFixed(2),
+                outlierPercent: settings.outlierPercent,
+                equalWeights: blended.equalWeights,
+                spread: {
+                    low: blended.spread.low.toFixed(2),
+                    high: blended.spread.high.toFixed(2),
+                    amount: blended.spread.amount.toFixed(2),
+                    percent: Number(blended.spread.percent.toFixed(1))
+                }
+            }
+        };
+    }
+
+    /**
+     * Price a card no source has a price for with a mock estimate
+     * @param {object} card - Card data from API, with its variant
+     * @param {string} condition - Card condition
+     * @param {number} multiplier - Condition multiplier on the Near Mint price
+     * @returns {object} Card with pricing
+     */
+    function enrichWithMockPrice(card, condition, multiplier) {
+        const basePrice = generateMockPrice(card);
         const adjustedPrice = basePrice * multiplier;
 
         return {
@@ -249,10 +929,20 @@ const API = (() => {
             basePrice: basePrice.toFixed(2),
             adjustedPrice: adjustedPrice.toFixed(2),
             conditionMultiplier: multiplier,
+            priceCurrency: Currency.BASE_CURRENCY,
+            priceSource: 'Mock',
+            isMockPrice: true,
+            priceUpdatedAt: null,
+            priceFetchedAt: null,
             priceBreakdown: {
                 basePrice: basePrice.toFixed(2),
+                basis: 'Mock base price',
+                variant: card.variant || null,
+                variantNote: null,
                 conditionAdjustment: `${Math.round(multiplier * 100)}%`,
-                estimatedValue: adjustedPrice.toFixed(2)
+                estimatedValue: adjustedPrice.toFixed(2),
+                sources: [],
+                spread: null
             }
         };
     }
@@ -272,24 +962,100 @@ const API = (() => {
 
     /**
      * Get popular sets
+     * @param {object} options - { signal }
      * @returns {Promise} List of popular sets
      */
-    async function getPopularSets() {
+    async function getPopularSets(options = {}) {
         try {
-            const result = await fetchFromPokemonTCG('/sets');
-            return result;
+            return await fetchFromPokemonTCG('/sets', {}, { signal: options.signal });
         } catch (error) {
             console.error('Sets error:', error);
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Get every set for the set browser, from the offline catalog when offline
+     * @param {object} options - { signal }
+     * @returns {Promise} { success, data: sets, offline } or an error result
+     */
+    async function getSetList(options = {}) {
+        const result = await getPopularSets(options);
+        if (result.success) {
+            return { success: true, data: result.data?.data || [], offline: false };
+        }
+
+        if (result.offline) {
+            const sets = await Catalog.getSets();
+            if (sets.length > 0) {
+                return { success: true, data: sets, offline: true };
+            }
+            return { ...result, error: 'You are offline and no offline catalog has been downloaded' };
+        }
+
+        return result;
+    }
+
+    /**
+     * Get a set's checklist, from the offline catalog when offline
+     * @param {string} setId - Set ID
+     * @param {object} options - { signal }
+     * @returns {Promise} { success, data: cards in number order } or an error result
+     */
+    async function getSetChecklist(setId, options = {}) {
+        let result = await fetchSetCards(setId, { signal: options.signal, cache: true });
+
+        if (!result.success && result.offline) {
+            const cards = (await Catalog.getCards()).filter(card => card.setCode === setId);
+            result = cards.length > 0
+                ? { success: true, data: cards }
+                : { ...result, error: 'You are offline and this set is not in the offline catalog' };
+        }
+
+        if (result.success) {
+            result.data.sort((a, b) => String(a.number).localeCompare(String(b.number), undefined, { numeric: true }));
+        }
+        return result;
+    }
+
+    /**
+     * Download every card in a set
+     * The offline catalog bypasses the API cache, which is too small to hold it
+     * @param {string} setId - Set ID
+     * @param {object} options - { signal, cache (default false) }
+     * @returns {Promise} Formatted cards, or an error result
+     */
+    async function fetchSetCards(setId, options = {}) {
+        const cards = [];
+
+        for (let page = 1; ; page++) {
+            const result = await fetchFromPokemonTCG('/cards', {
+                q: `set.id:${escapeQueryValue(setId)}`,
+                page,
+                pageSize: CATALOG_PAGE_SIZE,
+                select: CATALOG_FIELDS
+            }, { signal: options.signal, cache: options.cache ?? false });
+
+            if (!result.success) {
+                return result;
+            }
+
+            const pageCards = result.data.data || [];
+            cards.push(...pageCards.map(formatCard));
+
+            if (pageCards.length < CATALOG_PAGE_SIZE || cards.length >= (result.data.totalCount || 0)) {
+                return { success: true, data: cards };
+            }
+        }
+    }
+
     /**
      * Clear API cache
+     * @param {string} namespace - 'metadata' or 'prices' (omit for all)
+     * @returns {Promise}
      */
-    function clearCache() {
-        cache.clear();
-        console.log('API cache cleared');
+    function clearCache(namespace = null) {
+        return ApiCache.clear(namespace);
     }
 
     /**
@@ -318,11 +1084,21 @@ const API = (() => {
     // Public API
     return {
         searchCards,
+        searchCardsPage,
+        searchByQuery,
+        suggestCards,
         getCardPricing,
         getPopularSets,
+        getSetList,
+        getSetChecklist,
+        fetchSetCards,
         clearCache,
         getSampleCard,
         enrichCardWithPricing,
+        priceCard,
+        getCardVariants,
+        fetchCardPrices,
+        fetchMarketPrices,
         generateMockPrice
     };
 })();
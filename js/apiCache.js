@@ -0,0 +1,388 @@
+/**
+ * API Cache Module
+ * Persistent cache for API responses, shared across page reloads
+ * Entries live in IndexedDB (in memory when IndexedDB is unavailable), are
+ * grouped by namespace with their own freshness, served stale while they are
+ * refreshed in the background, and evicted least recently used first
+ * Expired entries are kept until space is needed, as a last resort when the
+ * network is down
+ */
+
+const ApiCache = (() => {
+    // Private variables
+    const DB_NAME = 'nashCards_cache';
+    const DB_VERSION = 1;
+
+    // Entry details (for stats and eviction) are kept apart from the response data
+    const META_STORE = 'meta';
+    const DATA_STORE = 'data';
+
+    // How long entries are fresh, and how much longer a stale entry may be
+    // served while a fresh copy is fetched
+    const NAMESPACES = {
+        metadata: { label: 'Card & set data', ttl: 24 * 60 * 60 * 1000, staleFor: 7 * 24 * 60 * 60 * 1000 },
+        prices: { label: 'Prices', ttl: 60 * 60 * 1000, staleFor: 24 * 60 * 60 * 1000 }
+    };
+
+    // Total size kept before least recently used entries are evicted
+    const MAX_BYTES = 20 * 1024 * 1024;
+
+    let dbPromise = null;
+
+    // Used when IndexedDB is unavailable (e.g. some private browsing modes)
+    const memoryStore = new Map();
+
+    // Fetches in progress by entry ID, so one key is only fetched once at a
+    // time: { promise, controller, callers }
+    const pending = new Map();
+
+    // Lookups since the page loaded
+    const counters = { hits: 0, staleHits: 0, misses: 0 };
+
+    /**
+     * Open the cache database
+     * @returns {Promise<IDBDatabase|null>} Database, or null to use memory
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(META_STORE, { keyPath: 'id' });
+                    request.result.createObjectStore(DATA_STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable, caching in memory:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run work in a transaction over both stores
+     * @param {IDBDatabase} db - Database
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} work - (metaStore, dataStore, result) => void; set result.value to return it
+     * @returns {Promise<*>} result.value once the transaction completes
+     */
+    function runTransaction(db, mode, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([META_STORE, DATA_STORE], mode);
+            const result = { value: undefined };
+
+            transaction.oncomplete = () => resolve(result.value);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+
+            work(transaction.objectStore(META_STORE), transaction.objectStore(DATA_STORE), result);
+        });
+    }
+
+    /**
+     * Read one entry
+     * @param {string} id - Entry ID (namespace:key)
+     * @returns {Promise<object|null>} { meta, data } or null
+     */
+    async function loadEntry(id) {
+        const db = await openDatabase();
+        if (!db) return memoryStore.get(id) || null;
+
+        return runTransaction(db, 'readonly', (metaStore, dataStore, result) => {
+            const metaRequest = metaStore.get(id);
+            const dataRequest = dataStore.get(id);
+            dataRequest.onsuccess = () => {
+                result.value = metaRequest.result && dataRequest.result
+                    ? { meta: metaRequest.result, data: dataRequest.result.data }
+                    : null;
+            };
+        });
+    }
+
+    /**
+     * Write one entry
+     * @param {object} meta - { id, namespace, storedAt, lastAccess, bytes }
+     * @param {*} data - Response data (omit to only update meta)
+     * @returns {Promise}
+     */
+    async function saveEntry(meta, data) {
+        const db = await openDatabase();
+        if (!db) {
+            const existing = memoryStore.get(meta.id);
+            memoryStore.set(meta.id, { meta, data: data === undefined ? existing?.data : data });
+            return;
+        }
+
+        await runTransaction(db, 'readwrite', (metaStore, dataStore) => {
+            metaStore.put(meta);
+            if (data !== undefined) {
+                dataStore.put({ id: meta.id, data });
+            }
+        });
+    }
+
+    /**
+     * Read every entry's details (not its data)
+     * @returns {Promise<array>} Entry meta records
+     */
+    async function loadAllMeta() {
+        const db = await openDatabase();
+        if (!db) return Array.from(memoryStore.values(), entry => entry.meta);
+
+        return runTransaction(db, 'readonly', (metaStore, dataStore, result) => {
+            const request = metaStore.getAll();
+            request.onsuccess = () => {
+                result.value = request.result;
+            };
+        });
+    }
+
+    /**
+     * Delete entries
+     * @param {array} ids - Entry IDs
+     * @returns {Promise}
+     */
+    async function removeEntries(ids) {
+        if (ids.length === 0) return;
+
+        const db = await openDatabase();
+        if (!db) {
+            ids.forEach(id => memoryStore.delete(id));
+            return;
+        }
+
+        await runTransaction(db, 'readwrite', (metaStore, dataStore) => {
+            ids.forEach(id => {
+                metaStore.delete(id);
+                dataStore.delete(id);
+            });
+        });
+    }
+
+    /**
+     * Get a cached response, fetching it when missing or expired
+     * Stale entries are returned straight away and refreshed in the background
+     * @param {string} namespace - 'metadata' or 'prices'
+     * @param {string} key - Cache key, e.g. the request URL
+     * @param {function} fetcher - Given an AbortSignal, returns a Promise of { success, data } or { success: false, error }
+     * @param {object} options - { signal: stops this caller waiting, without cancelling a fetch others share }
+     * @returns {Promise<object>} Fetch result, with cachedAt (and stale: true when served stale)
+     */
+    async function getOrFetch(namespace, key, fetcher, options = {}) {
+        const settings = NAMESPACES[namespace];
+        const id = `${namespace}:${key}`;
+
+        const entry = await loadEntry(id).catch(error => {
+            console.warn('Cache read failed:', error);
+            return null;
+        });
+
+        if (entry) {
+            const age = Date.now() - entry.meta.storedAt;
+
+            if (age < settings.ttl + settings.staleFor) {
+                saveEntry({ ...entry.meta, lastAccess: Date.now() }).catch(() => {});
+
+                if (age < settings.ttl) {
+                    counters.hits++;
+                    return { success: true, data: entry.data, cachedAt: entry.meta.storedAt };
+                }
+
+                counters.staleHits++;
+                revalidate(namespace, id, fetcher);
+                return { success: true, data: entry.data, cachedAt: entry.meta.storedAt, stale: true };
+            }
+        }
+
+        counters.misses++;
+        const result = await revalidate(namespace, id, fetcher, options.signal);
+
+        // Offline or failing: an old copy beats nothing (unless the caller cancelled)
+        if (!result.success && entry && result.errorType !== HttpClient.ERRORS.ABORTED) {
+            return { success: true, data: entry.data, cachedAt: entry.meta.storedAt, stale: true };
+        }
+        return result;
+    }
+
+    /**
+     * Fetch a response and store it when successful
+     * Concurrent calls for the same entry share one fetch, which runs on its
+     * own signal: a caller aborting only stops that caller waiting, and the
+     * fetch is only cancelled once every caller waiting on it has aborted
+     * Background refreshes pass no signal, so they always finish
+     * @param {string} namespace - Namespace
+     * @param {string} id - Entry ID
+     * @param {function} fetcher - Given an AbortSignal, returns a Promise of a fetch result
+     * @param {AbortSignal} signal - Caller's signal (optional)
+     * @returns {Promise<object>} Fetch result, with cachedAt when stored
+     */
+    function revalidate(namespace, id, fetcher, signal) {
+        let shared = pending.get(id);
+        if (!shared) {
+            const controller = new AbortController();
+            shared = { controller, callers: 0 };
+            shared.promise = fetcher(controller.signal)
+                .then(async result => {
+                    if (!result.success) return result;
+
+                    const storedAt = Date.now();
+                    await store(namespace, id, result.data, storedAt).catch(error => {
+                        console.warn('Cache write failed:', error);
+                    });
+                    return { ...result, cachedAt: storedAt };
+                })
+                .finally(() => {
+                    if (pending.get(id) === shared) pending.delete(id);
+                });
+
+            pending.set(id, shared);
+        }
+
+        shared.callers++;
+        return follow(id, shared, signal);
+    }
+
+    /**
+     * Wait for a shared fetch on behalf of one caller
+     * @param {string} id - Entry ID
+     * @param {object} shared - Shared fetch
+     * @param {AbortSignal} signal - Caller's signal (optional)
+     * @returns {Promise<object>} The fetch result, or an aborted result
+     */
+    function follow(id, shared, signal) {
+        if (!signal) return shared.promise;
+
+        const aborted = { success: false, error: 'Request cancelled', errorType: HttpClient.ERRORS.ABORTED };
+        if (signal.aborted) {
+            leave(id, shared);
+            return Promise.resolve(aborted);
+        }
+
+        return new Promise(resolve => {
+            const onAbort = () => {
+                leave(id, shared);
+                resolve(aborted);
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            shared.promise.then(result => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Drop one caller from a shared fetch, cancelling it when none are left
+     * @param {string} id - Entry ID
+     * @param {object} shared - Shared fetch
+     */
+    function leave(id, shared) {
+        shared.callers--;
+        if (shared.callers === 0) {
+            shared.controller.abort();
+            if (pending.get(id) === shared) pending.delete(id);
+        }
+    }
+
+    /**
+     * Store a response and keep the cache within its limits
+     * @param {string} namespace - Namespace
+     * @param {string} id - Entry ID
+     * @param {*} data - Response data
+     * @param {number} storedAt - Time stored
+     * @returns {Promise}
+     */
+    async function store(namespace, id, data, storedAt) {
+        const bytes = JSON.stringify(data).length;
+        await saveEntry({ id, namespace, storedAt, lastAccess: storedAt, bytes }, data);
+        await evict();
+    }
+
+    /**
+     * Evict entries until the cache fits in MAX_BYTES: entries past their
+     * stale window first, then the least recently used
+     * @returns {Promise}
+     */
+    async function evict() {
+        const now = Date.now();
+        const entries = await loadAllMeta();
+
+        const isExpired = meta => {
+            const settings = NAMESPACES[meta.namespace];
+            return !settings || now - meta.storedAt >= settings.ttl + settings.staleFor;
+        };
+        const queue = entries.sort((a, b) =>
+            (isExpired(b) - isExpired(a)) || (a.lastAccess - b.lastAccess)
+        );
+
+        let totalBytes = queue.reduce((total, meta) => total + meta.bytes, 0);
+        const evicted = [];
+        while (totalBytes > MAX_BYTES && queue.length > 1) {
+            const oldest = queue.shift();
+            totalBytes -= oldest.bytes;
+            evicted.push(oldest.id);
+        }
+
+        await removeEntries(evicted);
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Promise<object>} { storage, totalBytes, maxBytes, hits, staleHits, misses, namespaces }
+     */
+    async function getStats() {
+        const now = Date.now();
+        const entries = await loadAllMeta();
+
+        const namespaces = Object.entries(NAMESPACES).map(([name, settings]) => {
+            const inNamespace = entries.filter(meta => meta.namespace === name);
+            return {
+                name,
+                label: settings.label,
+                ttl: settings.ttl,
+                staleFor: settings.staleFor,
+                entries: inNamespace.length,
+                fresh: inNamespace.filter(meta => now - meta.storedAt < settings.ttl).length,
+                bytes: inNamespace.reduce((total, meta) => total + meta.bytes, 0)
+            };
+        });
+
+        return {
+            storage: await openDatabase() ? 'IndexedDB' : 'memory',
+            totalBytes: namespaces.reduce((total, namespace) => total + namespace.bytes, 0),
+            maxBytes: MAX_BYTES,
+            ...counters,
+            namespaces
+        };
+    }
+
+    /**
+     * Clear one namespace, or everything
+     * @param {string} namespace - Namespace to clear (omit for all)
+     * @returns {Promise}
+     */
+    async function clear(namespace = null) {
+        const entries = await loadAllMeta();
+        const ids = entries
+            .filter(meta => !namespace || meta.namespace === namespace)
+            .map(meta => meta.id);
+
+        await removeEntries(ids);
+        console.log(`API cache cleared${namespace ? ` (${namespace})` : ''}`);
+    }
+
+    // Public API
+    return {
+        getOrFetch,
+        getStats,
+        clear
+    };
+})();
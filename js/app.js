@@ -6,7 +6,64 @@
 const App = (() => {
     // Application state
     let currentCard = null;
-    let searchInProgress = false;
+
+    // Cancels the running search or price lookup
+    let searchController = null;
+
+    // Cards returned by the last search, waiting for the user to pick one
+    let searchMatches = [];
+    let pendingCondition = null;
+    let pendingVariant = null;
+    let pendingNotice = null;
+
+    // Next page of the last search (null when every page is loaded), and
+    // the request loading it
+    let searchPaging = null;
+    let matchesController = null;
+
+    // Results of the last batch valuation
+    let batchResults = [];
+    let batchInProgress = false;
+
+    let catalogDownloadInProgress = false;
+    let photoIndexInProgress = false;
+    let priceRefreshInProgress = false;
+    let watchlistCheckInProgress = false;
+
+    // Sets in the set browser, the cards of the set opened from it, and the
+    // request loading either
+    let browserSets = [];
+    let checklistCards = [];
+    let setsController = null;
+
+    // Whether the set field's suggestions have been filled
+    let setOptionsLoaded = false;
+
+    // Pending and running name suggestion lookups
+    let suggestTimer = null;
+    let suggestController = null;
+
+    // Pause in typing before name suggestions are looked up
+    const SUGGEST_DELAY = 250;
+
+    // Pending and running variant lookups, and the card details last looked up
+    let variantTimer = null;
+    let variantController = null;
+    let variantDetails = null;
+
+    // Pause in typing before a printing's variants are looked up
+    const VARIANT_DELAY = 500;
+
+    // How often to check whether the session has expired
+    const SESSION_CHECK_INTERVAL = 60 * 1000;
+
+    // How often to look for collection cards due a price refresh, and how old
+    // a card's last recorded price must be to be refreshed
+    const PRICE_REFRESH_CHECK_INTERVAL = 30 * 60 * 1000;
+    const PRICE_REFRESH_AGE = 12 * 60 * 60 * 1000;
+
+    // How often watched prices are checked for alerts
+    const WATCHLIST_CHECK_INTERVAL = 15 * 60 * 1000;
 
     /**
      * Initialize the application
@@ -15,7 +72,9 @@ const App = (() => {
         console.log('Initializing Nash Cards Pokémon Valuation Tool...');
 
         // Initialize modules
-        Auth.init();
+        // Demo mode (set in js/config.js) seeds the demo account
+        await Auth.init({ demoMode: Config.demoMode });
+        Currency.init();
         UI.init();
 
         // Check authentication status
@@ -27,6 +86,10 @@ const App = (() => {
 
         // Setup event listeners for async operations
         setupEventListeners();
+        setupSessionTracking();
+        setupPriceRefresh();
+        setupWatchlistChecks();
+        registerServiceWorker();
 
         console.log('Application initialized successfully');
     }
@@ -37,14 +100,204 @@ const App = (() => {
     function setupEventListeners() {
         // Listen for confirm search button
         document.getElementById('confirmSearchBtn').addEventListener('click', performSearch);
+        document.getElementById('cancelSearchBtn').addEventListener('click', cancelSearch);
+
+        // Listen for batch valuation runs
+        document.getElementById('runBatchBtn').addEventListener('click', runBatch);
+        document.getElementById('valueImportBtn').addEventListener('click', runImport);
+
+        // Listen for the offline catalog download
+        document.getElementById('downloadCatalogBtn').addEventListener('click', downloadCatalog);
+        document.getElementById('buildPhotoIndexBtn').addEventListener('click', buildPhotoIndex);
+
+        // Listen for a printing being picked on the matches screen
+        document.getElementById('matchesGrid').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-card-id]');
+            if (item) {
+                selectMatch(item.dataset.cardId);
+            }
+        });
+
+        // Listen for more matches being requested, or a new order
+        document.getElementById('loadMoreMatchesBtn').addEventListener('click', loadMoreMatches);
+        document.getElementById('matchesSort').addEventListener('change', reorderMatches);
+
+        // Listen for the set browser being opened, a set picked, and a card picked from its checklist
+        document.getElementById('setsBtn').addEventListener('click', showSetBrowser);
+        document.getElementById('showSetsLink').addEventListener('click', (e) => {
+            e.preventDefault();
+            showSetBrowser();
+        });
+        document.getElementById('setsList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-set-id]');
+            if (item) {
+                openSet(item.dataset.setId);
+            }
+        });
+        document.getElementById('setChecklistGrid').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-card-id]');
+            if (item) {
+                selectChecklistCard(item.dataset.cardId);
+            }
+        });
+
+        // Fill the set field's suggestions the first time it is used
+        document.getElementById('cardSet').addEventListener('focus', loadSetOptions);
+
+        // Suggest card names once typing pauses
+        document.getElementById('cardName').addEventListener('input', (e) => scheduleNameSuggestions(e.target.value));
+
+        // List the printing's variants once typing pauses, or when the variant
+        // select is used after a photo or suggestion filled the details in
+        ['cardName', 'cardSet', 'cardNumber'].forEach(id => {
+            document.getElementById(id).addEventListener('input', scheduleVariantLookup);
+        });
+        document.getElementById('cardVariant').addEventListener('focus', lookUpVariants);
+
+        // List the variants on the confirmation screen when none were listed before it
+        document.getElementById('searchBtn').addEventListener('click', loadConfirmationVariants);
+    }
+
+    /**
+     * Keep the session alive while the user is active, renew its tokens,
+     * and return to the login screen once it expires
+     */
+    function setupSessionTracking() {
+        ['click', 'keydown', 'touchstart'].forEach(eventName => {
+            document.addEventListener(eventName, () => Auth.touchSession(), { passive: true });
+        });
+
+        setInterval(async () => {
+            await Auth.refreshSession();
+            if (!Auth.isLoggedIn() && sessionStorage.getItem('currentScreen') !== 'auth') {
+                console.log('Session expired, returning to login');
+                UI.updateUserDisplay();
+            }
+        }, SESSION_CHECK_INTERVAL);
+    }
+
+    /**
+     * Refresh collection prices now and on a schedule, so every card in the
+     * collection builds up a price history
+     */
+    function setupPriceRefresh() {
+        refreshCollectionPrices();
+        setInterval(refreshCollectionPrices, PRICE_REFRESH_CHECK_INTERVAL);
+        window.addEventListener('online', refreshCollectionPrices);
+    }
+
+    /**
+     * Re-price the logged in user's collection cards whose price is due a refresh
+     * Each card, condition and variant is looked up once, one at a time; mock estimates
+     * are left alone, and a lookup that falls back to one never replaces a real price.
+     * A card that fails is logged and skipped, so the rest are still refreshed
+     */
+    async function refreshCollectionPrices() {
+        if (priceRefreshInProgress || !Auth.isLoggedIn() || !navigator.onLine) return;
+
+        const now = Date.now();
+        const due = new Map();
+        Inventory.getItems()
+            .filter(item => !item.card.isMockPrice)
+            .forEach(item => {
+                const lastRecorded = PriceHistory.getLastRecorded(item.card.id, item.condition, item.card.variant) ||
+                    item.card.priceFetchedAt;
+                if (lastRecorded && now - lastRecorded < PRICE_REFRESH_AGE) return;
+
+                const key = `${item.card.id}|${item.condition}|${item.card.variant || ''}`;
+                due.set(key, [...(due.get(key) || []), item]);
+            });
+
+        if (due.size === 0) return;
+
+        priceRefreshInProgress = true;
+        let updated = 0;
+        try {
+            for (const items of due.values()) {
+                try {
+                    const pricedCard = await API.priceCard(items[0].card, items[0].condition);
+                    if (pricedCard.isMockPrice) continue;
+
+                    items.forEach(item => {
+                        if (Inventory.updatePrice(item.id, pricedCard).success) {
+                            updated++;
+                        }
+                    });
+                } catch (error) {
+                    console.error(`Price refresh error for ${items[0].card.id} (${items[0].condition}):`, error);
+                }
+            }
+        } finally {
+            priceRefreshInProgress = false;
+        }
+
+        console.log(`Refreshed prices for ${updated} collection item(s)`);
+        if (updated > 0) {
+            UI.refreshCollection();
+        }
+    }
+
+    /**
+     * Check watched prices now and on a schedule while the app is open
+     */
+    function setupWatchlistChecks() {
+        checkWatchlist();
+        setInterval(checkWatchlist, WATCHLIST_CHECK_INTERVAL);
+        window.addEventListener('online', checkWatchlist);
+    }
+
+    /**
+     * Re-price the logged in user's watched cards and raise an alert for each
+     * one that crossed its alert price
+     * A lookup that falls back to a mock estimate is ignored; a watch that fails
+     * is logged and skipped, so the rest are still checked
+     */
+    async function checkWatchlist() {
+        if (watchlistCheckInProgress || !Auth.isLoggedIn() || !navigator.onLine) return;
+
+        const watches = Watchlist.getItems();
+        if (watches.length === 0) return;
+
+        watchlistCheckInProgress = true;
+        const alerts = [];
+        try {
+            for (const watch of watches) {
+                try {
+                    const pricedCard = await API.priceCard(watch.card, watch.condition);
+                    if (pricedCard.isMockPrice) continue;
+
+                    const result = Watchlist.recordPrice(watch.id, pricedCard);
+                    if (result.alert) {
+                        alerts.push(result.alert);
+                    }
+                } catch (error) {
+                    console.error(`Watchlist check error for ${watch.card.id} (${watch.condition}):`, error);
+                }
+            }
+        } finally {
+            watchlistCheckInProgress = false;
+        }
+
+        console.log(`Checked ${watches.length} watched price(s), ${alerts.length} alert(s)`);
+        UI.showPriceAlerts(alerts);
+    }
+
+    /**
+     * Register the service worker that caches the app shell for offline use
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
     }
 
     /**
      * Perform card search and fetch pricing
+     * A search started while another is running cancels the earlier one
      */
     async function performSearch() {
-        if (searchInProgress) return;
-
         // Check authentication first
         if (!Auth.isLoggedIn()) {
             UI.showError('You must be logged in to search for cards');
@@ -61,46 +314,515 @@ const App = (() => {
             return;
         }
 
-        searchInProgress = true;
-        UI.disableSearch();
-        UI.showLoading();
+        const signal = startSearchRequest();
 
         try {
-            // Simulate API latency for demo
-            await delay(2000);
-
             // Search for card
-            const searchResult = await API.searchCards(
-                cardData.name,
-                cardData.set,
-                cardData.number
-            );
-
-            if (!searchResult.success) {
-                // Use mock data for demo
+            const options = { signal, orderBy: UI.getMatchesOrderBy() };
+            const searchResult = cardData.query
+                ? await API.searchByQuery(cardData.query, options)
+                : await API.searchCards(cardData.name, cardData.set, cardData.number, options);
+
+            if (signal.aborted) return;
+
+            pendingNotice = searchResult.notice || null;
+
+            if (!searchResult.success && (searchResult.offline || searchResult.errorType || cardData.query)) {
+                // Never make up a card when the search itself failed, or for an exact search
+                UI.showError(describeSearchError(searchResult));
+            } else if (!searchResult.success || !searchResult.data || searchResult.data.length === 0) {
+                // No results found, use mock data for demo
                 console.log('Using mock data for demo');
-                currentCard = createMockCardResult(cardData);
-            } else if (searchResult.data && searchResult.data.length > 0) {
-                // Use first result (best match)
-                console.log(`Found ${searchResult.data.length} matching cards, using first result`);
-                currentCard = searchResult.data[0];
+                pendingNotice = `No card named "${cardData.name}" was found, so this is a sample card. ` +
+                    'Check the spelling, or pick the name from the suggestions as you type.';
+                await showPricedCard(createMockCardResult(cardData), cardData.condition, signal);
+            } else if (searchResult.data.length === 1) {
+                await showPricedCard({ ...searchResult.data[0], variant: cardData.variant || null }, cardData.condition, signal);
             } else {
-                // No results found, use mock data
-                currentCard = createMockCardResult(cardData);
+                // Let the user pick the exact printing before pricing
+                console.log(`Found ${searchResult.data.length} matching cards, waiting for selection`);
+                searchMatches = searchResult.data;
+                searchPaging = searchResult.next;
+                pendingCondition = cardData.condition;
+                pendingVariant = cardData.variant || null;
+                UI.showMatches(searchMatches, cardData, pendingNotice, searchResult);
+            }
+        } catch (error) {
+            console.error('Search error:', error);
+            UI.showError('Failed to fetch card pricing. Please try again.');
+        } finally {
+            finishSearchRequest(signal);
+        }
+    }
+
+    /**
+     * Start a search or price lookup, cancelling any still running
+     * @returns {AbortSignal} Signal for the new request
+     */
+    function startSearchRequest() {
+        if (searchController) {
+            searchController.abort();
+        }
+        if (matchesController) {
+            matchesController.abort();
+        }
+
+        searchController = new AbortController();
+        UI.disableSearch();
+        UI.showLoading();
+        return searchController.signal;
+    }
+
+    /**
+     * Mark a search or price lookup as finished
+     * @param {AbortSignal} signal - Signal of the finished request
+     */
+    function finishSearchRequest(signal) {
+        // A newer request is still running
+        if (!searchController || searchController.signal !== signal) return;
+
+        searchController = null;
+        UI.enableSearch();
+    }
+
+    /**
+     * Cancel the running search and return to the screen it started from
+     */
+    function cancelSearch() {
+        if (!searchController) return;
+
+        const signal = searchController.signal;
+        searchController.abort();
+        finishSearchRequest(signal);
+        UI.showScreen(sessionStorage.getItem('previousScreen') || 'cardInput');
+    }
+
+    /**
+     * Load the next page of matches
+     */
+    async function loadMoreMatches() {
+        if (!searchPaging || matchesController) return;
+
+        await loadMatchesPage(searchPaging, false);
+    }
+
+    /**
+     * Reload matches in the newly selected order when some pages are not
+     * loaded yet (otherwise sorting the loaded cards is enough)
+     */
+    async function reorderMatches() {
+        if (!searchPaging) return;
+
+        if (matchesController) {
+            matchesController.abort();
+        }
+        await loadMatchesPage({ ...searchPaging, page: 1, orderBy: UI.getMatchesOrderBy() }, true);
+    }
+
+    /**
+     * Fetch a page of matches and show it
+     * @param {object} paging - Page to fetch (see API.searchCardsPage)
+     * @param {boolean} replace - Replace the loaded cards instead of adding to them
+     */
+    async function loadMatchesPage(paging, replace) {
+        const controller = new AbortController();
+        matchesController = controller;
+        UI.setMatchesLoading(true);
+
+        try {
+            const result = await API.searchCardsPage(paging, { signal: controller.signal });
+            if (controller.signal.aborted) return;
+
+            if (!result.success) {
+                UI.setMatchesLoading(false);
+                UI.showErrorAlert(describeSearchError(result));
+                return;
             }
 
-            // Enrich with pricing and condition
-            const enrichedCard = API.enrichCardWithPricing(currentCard, cardData.condition);
+            // Pages can overlap when cards were added between requests
+            const known = new Set(replace ? [] : searchMatches.map(card => card.id));
+            searchMatches = [...(replace ? [] : searchMatches), ...result.data.filter(card => !known.has(card.id))];
+            searchPaging = result.next;
+            UI.updateMatches(searchMatches, result);
+        } finally {
+            if (matchesController === controller) {
+                matchesController = null;
+            }
+        }
+    }
+
+    /**
+     * Explain a failed search, by what went wrong
+     * @param {object} result - Failed result from API.searchCards
+     * @returns {string} Message for the error screen
+     */
+    function describeSearchError(result) {
+        const { TIMEOUT, RATE_LIMITED, SERVER } = HttpClient.ERRORS;
+
+        switch (result.errorType) {
+            case TIMEOUT:
+                return 'The card database is responding slowly. Please try again.';
+            case RATE_LIMITED:
+                return `The card database is busy. ${result.error}`;
+            case SERVER:
+                return 'The card database is having problems. Please try again in a few minutes.';
+            default:
+                return result.error || 'Search failed. Please try again.';
+        }
+    }
+
+    /**
+     * Value every line entered on the batch screen
+     */
+    async function runBatch() {
+        const { text, defaultCondition } = UI.getBatchInput();
+        const rows = Batch.parseLines(text, defaultCondition);
+
+        if (rows.length === 0) {
+            UI.showErrorAlert('Enter at least one card, one per line');
+            return;
+        }
 
-            // Display results
-            UI.showResults(enrichedCard);
+        await valueBatchRows(rows);
+    }
+
+    /**
+     * Value the rows previewed on the CSV import screen
+     */
+    async function runImport() {
+        const rows = UI.getImportRows();
+
+        if (rows.length === 0) {
+            UI.showErrorAlert('Choose a CSV file to import first');
+            return;
+        }
+
+        UI.showBatch();
+        await valueBatchRows(rows);
+    }
+
+    /**
+     * Search and price batch rows, showing progress and the summary table
+     * @param {array} rows - Rows from Batch.parseLines or the CSV import
+     */
+    async function valueBatchRows(rows) {
+        if (batchInProgress) return;
+
+        if (!Auth.isLoggedIn()) {
+            UI.showError('You must be logged in to value cards');
+            return;
+        }
+
+        batchInProgress = true;
+        UI.startBatchProgress(rows.length);
+
+        try {
+            batchResults = await Batch.run(rows, {
+                onProgress: (done, total) => UI.updateBatchProgress(done, total)
+            });
+            UI.showBatchResults(batchResults, Batch.summarize(batchResults));
         } catch (error) {
-            console.error('Search error:', error);
+            console.error('Batch error:', error);
+            UI.showError('Batch valuation failed. Please try again.');
+        } finally {
+            batchInProgress = false;
+        }
+    }
+
+    /**
+     * Download the card and set catalog for offline searches
+     */
+    async function downloadCatalog() {
+        if (catalogDownloadInProgress) return;
+
+        catalogDownloadInProgress = true;
+        UI.startCatalogProgress();
+
+        try {
+            const result = await Catalog.download({
+                onProgress: (done, total) => UI.updateCatalogProgress(done, total)
+            });
+            await UI.finishCatalogDownload(result);
+        } catch (error) {
+            console.error('Catalog download error:', error);
+            await UI.finishCatalogDownload({ success: false, message: 'Catalog download failed. Please try again.' });
+        } finally {
+            catalogDownloadInProgress = false;
+        }
+    }
+
+    /**
+     * Hash every catalog card image so photos can be identified offline
+     */
+    async function buildPhotoIndex() {
+        if (photoIndexInProgress) return;
+
+        photoIndexInProgress = true;
+        UI.startPhotoIndexProgress();
+
+        try {
+            const result = await CardScanner.buildIndex({
+                onProgress: (done, total) => UI.updatePhotoIndexProgress(done, total)
+            });
+            await UI.finishPhotoIndex(result);
+        } catch (error) {
+            console.error('Photo index error:', error);
+            await UI.finishPhotoIndex({ success: false, message: 'Building the photo index failed. Please try again.' });
+        } finally {
+            photoIndexInProgress = false;
+        }
+    }
+
+    /**
+     * Price the printing picked on the matches screen
+     * @param {string} cardId - ID of the selected card
+     */
+    async function selectMatch(cardId) {
+        const card = searchMatches.find(match => match.id === cardId);
+        if (!card) {
+            UI.showError('Selected card not found. Please search again.');
+            return;
+        }
+
+        await priceSelectedCard({ ...card, variant: pendingVariant }, pendingCondition, 'matches');
+    }
+
+    /**
+     * Price a card picked from a set's checklist
+     * @param {string} cardId - ID of the selected card
+     */
+    async function selectChecklistCard(cardId) {
+        const card = checklistCards.find(checklistCard => checklistCard.id === cardId);
+        if (!card) {
+            UI.showError('Selected card not found. Please open the set again.');
+            return;
+        }
+
+        pendingNotice = null;
+        await priceSelectedCard(card, UI.getSetChecklistCondition(), 'setChecklist');
+    }
+
+    /**
+     * Price a card the user picked and show the results
+     * @param {object} card - Card to price
+     * @param {string} condition - Card condition
+     * @param {string} previousScreen - Screen to return to if pricing fails
+     */
+    async function priceSelectedCard(card, condition, previousScreen) {
+        sessionStorage.setItem('previousScreen', previousScreen);
+        const signal = startSearchRequest();
+
+        try {
+            await showPricedCard(card, condition, signal);
+        } catch (error) {
+            console.error('Pricing error:', error);
             UI.showError('Failed to fetch card pricing. Please try again.');
         } finally {
-            searchInProgress = false;
-            UI.enableSearch();
+            finishSearchRequest(signal);
+        }
+    }
+
+    /**
+     * Open the set browser and load every set
+     */
+    async function showSetBrowser() {
+        const signal = startSetsRequest();
+        UI.showSets();
+
+        const result = await API.getSetList({ signal });
+        if (signal.aborted) return;
+
+        browserSets = result.success ? result.data : [];
+        setOptionsLoaded = result.success;
+        UI.updateSets(result);
+    }
+
+    /**
+     * Show a set's checklist
+     * @param {string} setId - ID of the set picked in the set browser
+     */
+    async function openSet(setId) {
+        const set = browserSets.find(browserSet => browserSet.id === setId);
+        if (!set) return;
+
+        const signal = startSetsRequest();
+        checklistCards = [];
+        UI.showSetChecklist(set);
+
+        const result = await API.getSetChecklist(setId, { signal });
+        if (signal.aborted) return;
+
+        checklistCards = result.success ? result.data : [];
+        UI.updateSetChecklist(set, result);
+    }
+
+    /**
+     * Start loading the set list or a checklist, cancelling any still loading
+     * @returns {AbortSignal} Signal for the new request
+     */
+    function startSetsRequest() {
+        if (setsController) {
+            setsController.abort();
         }
+        setsController = new AbortController();
+        return setsController.signal;
+    }
+
+    /**
+     * Look up name suggestions once typing pauses, dropping any earlier lookup
+     * @param {string} text - Text in the card name field
+     */
+    function scheduleNameSuggestions(text) {
+        clearTimeout(suggestTimer);
+        if (suggestController) {
+            suggestController.abort();
+            suggestController = null;
+        }
+
+        if (!text.trim()) {
+            UI.hideNameSuggestions();
+            return;
+        }
+
+        suggestTimer = setTimeout(() => suggestNames(text), SUGGEST_DELAY);
+    }
+
+    /**
+     * Show name suggestions for typed text
+     * @param {string} text - Text in the card name field
+     */
+    async function suggestNames(text) {
+        suggestController = new AbortController();
+        const signal = suggestController.signal;
+
+        const result = await API.suggestCards(text, { signal });
+        if (signal.aborted) return;
+
+        if (result.success) {
+            UI.showNameSuggestions(result.data);
+        } else {
+            console.warn('Name suggestions unavailable:', result.error);
+            UI.hideNameSuggestions();
+        }
+    }
+
+    /**
+     * Look up the printing's variants once typing pauses, dropping any earlier lookup
+     */
+    function scheduleVariantLookup() {
+        clearTimeout(variantTimer);
+        variantTimer = setTimeout(lookUpVariants, VARIANT_DELAY);
+    }
+
+    /**
+     * List the variants of the printing entered on the card input screen
+     * Nothing is looked up again while the details are unchanged
+     */
+    async function lookUpVariants() {
+        clearTimeout(variantTimer);
+        const details = UI.getCardDetails();
+        const key = JSON.stringify(details);
+        if (key === variantDetails) return;
+        variantDetails = key;
+
+        if (variantController) {
+            variantController.abort();
+        }
+        variantController = new AbortController();
+        const signal = variantController.signal;
+
+        if (!details.name || !details.set || !details.number) {
+            UI.updateVariantOptions(null, 'Enter the name, set and number to list variants');
+            return;
+        }
+
+        UI.updateVariantOptions(null, 'Looking up variants...');
+        const result = await findVariants(details, signal);
+        if (signal.aborted) return;
+
+        // Try again next time when the lookup itself failed
+        if (result.failed) {
+            variantDetails = null;
+        }
+        UI.updateVariantOptions(result.variants, result.message);
+    }
+
+    /**
+     * List the variants on the confirmation screen when the card input screen had none
+     * Advanced searches choose the variant after the printing is picked
+     */
+    async function loadConfirmationVariants() {
+        const cardData = JSON.parse(sessionStorage.getItem('cardData'));
+        if (sessionStorage.getItem('currentScreen') !== 'confirmation' || !cardData || cardData.query ||
+            cardData.variantOptions?.length > 0) {
+            return;
+        }
+
+        if (variantController) {
+            variantController.abort();
+        }
+        variantController = new AbortController();
+        const signal = variantController.signal;
+
+        const result = await findVariants(cardData, signal);
+        if (signal.aborted) return;
+
+        UI.updateConfirmationVariants(result.variants, result.message);
+    }
+
+    /**
+     * Find the printing matching some card details and the variants it has prices for
+     * @param {object} details - { name, set, number }
+     * @param {AbortSignal} signal - Cancels the lookup
+     * @returns {Promise<object>} { variants (null when none), message, failed }
+     */
+    async function findVariants(details, signal) {
+        const search = await API.searchCards(details.name, details.set, details.number, { signal });
+
+        if (!search.success && (search.offline || search.errorType)) {
+            return { variants: null, message: 'Variants could not be looked up', failed: true };
+        }
+        if (!search.success || !search.data || search.data.length === 0) {
+            return { variants: null, message: 'No printing found to list variants' };
+        }
+        if (search.data.length > 1) {
+            return { variants: null, message: 'Several printings match; pick one to price its most common variant' };
+        }
+
+        const variants = await API.getCardVariants(search.data[0], { signal });
+        return variants.length > 0
+            ? { variants, message: '' }
+            : { variants: null, message: 'No variant prices found for this printing' };
+    }
+
+    /**
+     * Fill the set field's suggestions from the set list
+     * Tried again on the next focus if the list could not be loaded
+     */
+    async function loadSetOptions() {
+        if (setOptionsLoaded) return;
+        setOptionsLoaded = true;
+
+        const result = await API.getSetList();
+        if (result.success) {
+            UI.fillSetOptions(result.data);
+        } else {
+            setOptionsLoaded = false;
+        }
+    }
+
+    /**
+     * Look up market prices for a card, apply condition and show results
+     * @param {object} card - Card to price
+     * @param {string} condition - Card condition
+     * @param {AbortSignal} signal - Cancels the price lookup
+     */
+    async function showPricedCard(card, condition, signal) {
+        const pricedCard = await API.priceCard(card, condition, { signal });
+        if (signal.aborted) return;
+
+        currentCard = card;
+        UI.showResults(Currency.applyDisplayCurrency(Buylist.applyOffer(pricedCard)), pendingNotice);
     }
 
     /**
@@ -113,6 +835,7 @@ const App = (() => {
         return {
             id: `mock_${Date.now()}`,
             name: cardData.name,
+            variant: cardData.variant || null,
             set: cardData.set,
             setCode: cardData.set.substring(0, 2).toUpperCase(),
             number: cardData.number || '1/102',
@@ -120,11 +843,7 @@ const App = (() => {
             rarity: 'Holo Rare',
             type: 'Varies',
             hp: '120',
-            prices: {
-                tcgplayer: {
-                    avg: generateMockPrice(cardData.name)
-                }
-            }
+            prices: {}
         };
     }
 
@@ -154,28 +873,6 @@ const App = (() => {
         return pokemonMap[normalizedName] || 'https://images.pokemontcg.io/base1/4.png';
     }
 
-    /**
-     * Generate mock price based on card name
-     * Deterministic but varies by input
-     * @param {string} cardName - Card name
-     * @returns {number} Mock price
-     */
-    function generateMockPrice(cardName) {
-        // Use card name to generate consistent but varied prices
-        const seed = cardName.charCodeAt(0) + cardName.charCodeAt(cardName.length - 1);
-        // Generate price between $15 and $500
-        return 15 + ((seed * 257) % 486);
-    }
-
-    /**
-     * Utility function to delay execution
-     * @param {number} ms - Milliseconds to delay
-     * @returns {Promise}
-     */
-    function delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Get current card data
      * @returns {object} Current card or null
@@ -184,12 +881,35 @@ const App = (() => {
         return currentCard;
     }
 
+    /**
+     * Get results of the last batch valuation
+     * @returns {array} Batch results
+     */
+    function getBatchResults() {
+        return batchResults;
+    }
+
     /**
      * Reset application state
      */
     function reset() {
+        if (searchController) {
+            searchController.abort();
+            searchController = null;
+        }
         currentCard = null;
-        searchInProgress = false;
+        if (matchesController) {
+            matchesController.abort();
+            matchesController = null;
+        }
+        if (setsController) {
+            setsController.abort();
+            setsController = null;
+        }
+        searchMatches = [];
+        searchPaging = null;
+        pendingCondition = null;
+        pendingNotice = null;
         UI.clearCardForm();
     }
 
@@ -197,6 +917,7 @@ const App = (() => {
     return {
         init,
         getCurrentCard,
+        getBatchResults,
         reset
     };
 })();
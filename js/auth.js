@@ -1,50 +1,104 @@
 /**
  * Authentication Module
  * Handles user login, signup, and session management
- * Uses localStorage for local data persistence
+ * Accounts live in a provider: this browser's localStorage (default) or a
+ * shared REST/JWT server. Sessions are kept in localStorage and expire
+ * Each user has a role (staff, manager or admin) that decides what they can do
  */
 
 const Auth = (() => {
     // Private variables
-    const STORAGE_KEY = 'nashCards_users';
     const SESSION_KEY = 'nashCards_session';
+    const BACKEND_KEY = 'nashCards_authBackend';
+
+    // Available account backends
+    const PROVIDERS = {
+        local: LocalAuthProvider,
+        http: HttpAuthProvider
+    };
+
+    // Roles, lowest first; each role can do everything the ones before it can
+    const ROLES = ['staff', 'manager', 'admin'];
+
+    // Lowest role allowed to perform each action
+    const PERMISSIONS = {
+        valueCards: 'staff',
+        editBuylist: 'manager',
+        editConditions: 'manager',
+        editPriceSources: 'manager',
+        editRates: 'manager',
+        manageUsers: 'admin'
+    };
+
+    // Sessions end after 30 minutes without activity, or 12 hours after login
+    const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+    const SESSION_MAX_AGE = 12 * 60 * 60 * 1000;
+
+    // Only record activity this often, to avoid writing on every click
+    const ACTIVITY_WRITE_INTERVAL = 30 * 1000;
+
+    // Provider in use
+    let provider = LocalAuthProvider;
+
+    // Options init was given, passed on to a provider switched to later
+    let providerOptions = {};
 
     /**
      * Initialize authentication system
+     * @param {object} options - { demoMode: seed the demo account }
+     * @returns {Promise}
      */
-    function init() {
-        // Create default test users if not exists
-        if (!getStoredUsers()) {
-            setStoredUsers([
-                {
-                    id: '1',
-                    name: 'Demo User',
-                    email: 'demo@example.com',
-                    password: 'password123'
-                }
-            ]);
-        }
+    async function init(options = {}) {
+        const backend = getBackend();
+        providerOptions = options;
+        provider = PROVIDERS[backend.provider] || LocalAuthProvider;
+        await provider.init({ ...providerOptions, baseUrl: backend.baseUrl });
 
         // Check if user is already logged in
         const currentSession = getSession();
         if (currentSession) {
             console.log('User already logged in:', currentSession.name);
+            await refreshSession();
         }
     }
 
     /**
-     * Get all stored users from localStorage
+     * Get the configured account backend
+     * @returns {object} { provider: 'local' or 'http', baseUrl }
      */
-    function getStoredUsers() {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        return stored ? JSON.parse(stored) : null;
+    function getBackend() {
+        const stored = localStorage.getItem(BACKEND_KEY);
+        return stored ? JSON.parse(stored) : { provider: 'local', baseUrl: '' };
     }
 
     /**
-     * Set users in localStorage
+     * Switch account backend
+     * Logs out, since the current session belongs to the old backend
+     * @param {object} backend - { provider: 'local' or 'http', baseUrl }
+     * @returns {Promise<object>} Result with success status and message
      */
-    function setStoredUsers(users) {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(users));
+    async function setBackend(backend) {
+        if (!PROVIDERS[backend.provider]) {
+            return { success: false, message: 'Unknown account backend' };
+        }
+
+        const baseUrl = String(backend.baseUrl || '').trim();
+        if (backend.provider === 'http' && !/^https?:\/\/[^\s]+$/i.test(baseUrl)) {
+            return { success: false, message: 'Enter the server address, e.g. http://localhost:8787' };
+        }
+
+        await logout();
+
+        const config = { provider: backend.provider, baseUrl: backend.provider === 'http' ? baseUrl : '' };
+        localStorage.setItem(BACKEND_KEY, JSON.stringify(config));
+
+        provider = PROVIDERS[config.provider];
+        await provider.init({ ...providerOptions, baseUrl: config.baseUrl });
+
+        return {
+            success: true,
+            message: config.provider === 'http' ? `Using account server ${config.baseUrl}` : 'Using accounts on this device'
+        };
     }
 
     /**
@@ -52,9 +106,9 @@ const Auth = (() => {
      * @param {string} name - Full name
      * @param {string} email - Email address
      * @param {string} password - Password
-     * @returns {object} Result with success status and message
+     * @returns {Promise<object>} Result with success status and message
      */
-    function signup(name, email, password) {
+    async function signup(name, email, password) {
         // Validation
         if (!name || !email || !password) {
             return { success: false, message: 'All fields are required' };
@@ -68,80 +122,148 @@ const Auth = (() => {
             return { success: false, message: 'Password must be at least 6 characters' };
         }
 
-        const users = getStoredUsers() || [];
-
-        // Check if email already exists
-        if (users.some(user => user.email === email)) {
-            return { success: false, message: 'Email already registered' };
+        const result = await provider.signup(name, email, password);
+        if (!result.success) {
+            return result;
         }
 
-        // Create new user
-        const newUser = {
-            id: Date.now().toString(),
-            name,
-            email,
-            password // Note: In production, this should be hashed
-        };
-
-        users.push(newUser);
-        setStoredUsers(users);
-
         // Auto-login after signup
-        login(email, password);
+        startSession(result.user, result.credentials);
 
-        return { success: true, message: 'Account created successfully' };
+        return { success: true, message: result.message };
     }
 
     /**
      * Login user
      * @param {string} email - Email address
      * @param {string} password - Password
-     * @returns {object} Result with success status and user data
+     * @returns {Promise<object>} Result with success status and user data
      */
-    function login(email, password) {
+    async function login(email, password) {
         // Validation
         if (!email || !password) {
             return { success: false, message: 'Email and password are required' };
         }
 
-        const users = getStoredUsers() || [];
-
-        // Find user
-        const user = users.find(u => u.email === email);
-
-        if (!user) {
-            return { success: false, message: 'User not found' };
+        const result = await provider.login(email, password);
+        if (!result.success) {
+            return result;
         }
 
-        // Check password (in production, use bcrypt or similar)
-        if (user.password !== password) {
-            return { success: false, message: 'Invalid password' };
-        }
+        return {
+            success: true,
+            message: result.message,
+            user: startSession(result.user, result.credentials)
+        };
+    }
 
-        // Create session
+    /**
+     * Create and store a session for a user
+     * @param {object} user - { id, name, email } from the provider
+     * @param {object} credentials - Provider tokens, if any
+     * @returns {object} Session
+     */
+    function startSession(user, credentials = null) {
+        const now = Date.now();
         const session = {
             id: user.id,
             name: user.name,
             email: user.email,
-            loginTime: new Date().toISOString()
+            role: user.role || 'staff',
+            provider: provider.name,
+            loginTime: new Date(now).toISOString(),
+            lastActivity: now,
+            expiresAt: now + SESSION_MAX_AGE,
+            credentials
         };
 
         localStorage.setItem(SESSION_KEY, JSON.stringify(session));
-
-        return {
-            success: true,
-            message: 'Login successful',
-            user: session
-        };
+        return session;
     }
 
     /**
      * Get current user session
+     * Expired sessions are removed
      * @returns {object|null} Current session or null if not logged in
      */
     function getSession() {
-        const session = localStorage.getItem(SESSION_KEY);
-        return session ? JSON.parse(session) : null;
+        const stored = localStorage.getItem(SESSION_KEY);
+        if (!stored) return null;
+
+        const session = JSON.parse(stored);
+        if (isExpired(session)) {
+            localStorage.removeItem(SESSION_KEY);
+            console.log('Session expired');
+            return null;
+        }
+
+        return session;
+    }
+
+    /**
+     * Check whether a session has passed its idle or absolute limit
+     * Sessions from older versions have no expiry and are treated as expired
+     * @param {object} session - Stored session
+     * @returns {boolean}
+     */
+    function isExpired(session) {
+        const now = Date.now();
+        return !session.expiresAt ||
+            now >= session.expiresAt ||
+            now - session.lastActivity >= SESSION_IDLE_TIMEOUT ||
+            (session.provider || 'local') !== provider.name;
+    }
+
+    /**
+     * Record user activity to keep the session from going idle
+     */
+    function touchSession() {
+        const session = getSession();
+        if (!session) return;
+
+        const now = Date.now();
+        if (now - session.lastActivity >= ACTIVITY_WRITE_INTERVAL) {
+            session.lastActivity = now;
+            localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+        }
+    }
+
+    /**
+     * Ask the provider to confirm the session and renew its tokens
+     * The session is ended when the provider rejects it, but kept when
+     * the backend cannot be reached
+     * @returns {Promise<boolean>} Whether the user is still logged in
+     */
+    async function refreshSession() {
+        const session = getSession();
+        if (!session) return false;
+
+        const result = await provider.refreshSession(session);
+
+        if (!result.success) {
+            if (result.offline) {
+                return true;
+            }
+            console.log('Session rejected by account backend:', result.message);
+            localStorage.removeItem(SESSION_KEY);
+            return false;
+        }
+
+        // Re-read in case the session was touched while the request was running
+        const current = getSession();
+        if (!current) return false;
+
+        if (result.user) {
+            current.name = result.user.name;
+            current.email = result.user.email;
+            current.role = result.user.role || 'staff';
+        }
+        if (result.credentials) {
+            current.credentials = result.credentials;
+        }
+        localStorage.setItem(SESSION_KEY, JSON.stringify(current));
+
+        return true;
     }
 
     /**
@@ -152,12 +274,52 @@ const Auth = (() => {
         return getSession() !== null;
     }
 
+    /**
+     * Check whether the logged in user has at least a role
+     * @param {string} role - 'staff', 'manager' or 'admin'
+     * @returns {boolean}
+     */
+    function hasRole(role) {
+        const session = getSession();
+        if (!session) return false;
+
+        return ROLES.indexOf(session.role || 'staff') >= ROLES.indexOf(role);
+    }
+
+    /**
+     * Check whether the logged in user may perform an action
+     * @param {string} action - Key of PERMISSIONS, e.g. 'editBuylist'
+     * @returns {boolean}
+     */
+    function can(action) {
+        return Boolean(PERMISSIONS[action]) && hasRole(PERMISSIONS[action]);
+    }
+
+    /**
+     * Get the available roles, lowest first
+     * @returns {array} Role names
+     */
+    function getRoles() {
+        return [...ROLES];
+    }
+
     /**
      * Logout user
+     * The session is cleared straight away; the provider is told afterwards
+     * @returns {Promise}
      */
-    function logout() {
+    async function logout() {
+        const stored = localStorage.getItem(SESSION_KEY);
         localStorage.removeItem(SESSION_KEY);
         console.log('User logged out');
+
+        if (stored) {
+            try {
+                await provider.logout(JSON.parse(stored));
+            } catch (error) {
+                console.error('Logout error:', error);
+            }
+        }
     }
 
     /**
@@ -172,27 +334,198 @@ const Auth = (() => {
 
     /**
      * Get user profile
-     * @returns {object} User profile or null
+     * @returns {Promise<object|null>} User profile (without password data) or null
      */
-    function getProfile() {
+    async function getProfile() {
         const session = getSession();
         if (!session) return null;
 
-        const users = getStoredUsers() || [];
-        return users.find(u => u.id === session.id) || null;
+        return provider.getProfile(session);
+    }
+
+    /**
+     * Change the logged in user's name and email
+     * @param {object} changes - { name, email }
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function updateProfile(changes) {
+        const session = getSession();
+        if (!session) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        const name = String(changes.name || '').trim();
+        const email = String(changes.email || '').trim();
+
+        if (!name || !email) {
+            return { success: false, message: 'Name and email are required' };
+        }
+
+        if (!isValidEmail(email)) {
+            return { success: false, message: 'Invalid email address' };
+        }
+
+        const result = await provider.updateProfile(session, { name, email });
+        if (!result.success) {
+            return result;
+        }
+
+        const current = getSession();
+        if (current) {
+            current.name = result.user.name;
+            current.email = result.user.email;
+            localStorage.setItem(SESSION_KEY, JSON.stringify(current));
+        }
+
+        return { success: true, message: result.message };
+    }
+
+    /**
+     * Change the logged in user's password
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function changePassword(currentPassword, newPassword) {
+        const session = getSession();
+        if (!session) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        if (!currentPassword) {
+            return { success: false, message: 'Enter your current password' };
+        }
+
+        if (!newPassword || newPassword.length < 6) {
+            return { success: false, message: 'Password must be at least 6 characters' };
+        }
+
+        return provider.changePassword(session, currentPassword, newPassword);
+    }
+
+    /**
+     * Delete the logged in user's account and end the session
+     * The caller removes the user's stored data
+     * @param {string} password - Current password
+     * @returns {Promise<object>} Result with success status, message and the deleted user's ID
+     */
+    async function deleteAccount(password) {
+        const session = getSession();
+        if (!session) {
+            return { success: false, message: 'You must be logged in' };
+        }
+
+        if (!password) {
+            return { success: false, message: 'Enter your password to delete your account' };
+        }
+
+        const result = await provider.deleteAccount(session, password);
+        if (!result.success) {
+            return result;
+        }
+
+        localStorage.removeItem(SESSION_KEY);
+        console.log('Account deleted:', session.email);
+
+        return { success: true, message: result.message, userId: session.id };
+    }
+
+    /**
+     * List every account (admins only)
+     * @returns {Promise<object>} Result with success status and users
+     */
+    async function listUsers() {
+        if (!can('manageUsers')) {
+            return { success: false, message: 'Only admins can manage users' };
+        }
+
+        return provider.listUsers(getSession());
+    }
+
+    /**
+     * Create an account for someone else (admins only)
+     * @param {object} details - { name, email, password, role }
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function createUser(details) {
+        if (!can('manageUsers')) {
+            return { success: false, message: 'Only admins can manage users' };
+        }
+
+        const name = String(details.name || '').trim();
+        const email = String(details.email || '').trim();
+        const password = details.password || '';
+
+        if (!name || !email || !password) {
+            return { success: false, message: 'All fields are required' };
+        }
+
+        if (!isValidEmail(email)) {
+            return { success: false, message: 'Invalid email address' };
+        }
+
+        if (password.length < 6) {
+            return { success: false, message: 'Password must be at least 6 characters' };
+        }
+
+        if (!ROLES.includes(details.role)) {
+            return { success: false, message: 'Unknown role' };
+        }
+
+        return provider.createUser(getSession(), { name, email, password, role: details.role });
+    }
+
+    /**
+     * Change an account's role or disable it (admins only)
+     * @param {string} userId - Account to change
+     * @param {object} changes - Any of { role, disabled }
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function updateUser(userId, changes) {
+        if (!can('manageUsers')) {
+            return { success: false, message: 'Only admins can manage users' };
+        }
+
+        if (changes.role !== undefined && !ROLES.includes(changes.role)) {
+            return { success: false, message: 'Unknown role' };
+        }
+
+        const session = getSession();
+        const result = await provider.updateUser(session, userId, changes);
+
+        // Changing your own role takes effect straight away
+        if (result.success && userId === session.id) {
+            const current = getSession();
+            if (current) {
+                current.role = result.user.role;
+                localStorage.setItem(SESSION_KEY, JSON.stringify(current));
+            }
+        }
+
+        return result;
     }
 
     // Public API
     return {
         init,
+        getBackend,
+        setBackend,
         signup,
         login,
         logout,
         getSession,
+        touchSession,
+        refreshSession,
         isLoggedIn,
-        getProfile
+        hasRole,
+        can,
+        getRoles,
+        getProfile,
+        updateProfile,
+        changePassword,
+        deleteAccount,
+        listUsers,
+        createUser,
+        updateUser
     };
 })();
-
-// Initialize auth on page load
-Auth.init();
@@ -0,0 +1,214 @@
+/**
+ * Batch Module
+ * Values a whole stack of cards in one go
+ * Each line is searched and priced through the API module with limited concurrency
+ */
+
+const Batch = (() => {
+    // Number of lines looked up at the same time
+    const DEFAULT_CONCURRENCY = 3;
+
+    /**
+     * Parse pasted text into batch rows
+     * One card per line: name, set, number, condition
+     * Fields may be separated by commas, tabs, semicolons or pipes
+     * @param {string} text - Pasted lines
+     * @param {string} defaultCondition - Condition used when a line has none
+     * @returns {array} Rows with parsed fields or a parse error
+     */
+    function parseLines(text, defaultCondition = 'Near Mint') {
+        return String(text || '')
+            .split(/\r?\n/)
+            .map((line, index) => ({ line: line.trim(), lineNumber: index + 1 }))
+            .filter(({ line }) => line && !isHeaderLine(line))
+            .map(({ line, lineNumber }) => {
+                const [name = '', set = '', number = '', condition = ''] = line
+                    .split(/\t|\||;|,/)
+                    .map(field => field.trim());
+
+                const row = {
+                    lineNumber,
+                    input: line,
+                    name,
+                    set,
+                    number,
+                    condition: condition ? normalizeCondition(condition) : defaultCondition,
+                    quantity: 1,
+                    error: null
+                };
+
+                if (!name) {
+                    row.error = 'Missing card name';
+                } else if (!row.condition) {
+                    row.error = `Unknown condition "${condition}"`;
+                }
+
+                return row;
+            });
+    }
+
+    /**
+     * Check whether a line is a column header
+     * @param {string} line - Input line
+     * @returns {boolean}
+     */
+    function isHeaderLine(line) {
+        return /^name\b/i.test(line) && /\bset\b/i.test(line);
+    }
+
+    /**
+     * Map a condition code, name or grade to a condition used for pricing
+     * @param {string} condition - Condition text
+     * @returns {string|null} Condition label or null if unknown
+     */
+    function normalizeCondition(condition) {
+        return Conditions.normalize(condition);
+    }
+
+    /**
+     * Search and price every row
+     * @param {array} rows - Rows from parseLines
+     * @param {object} options - { concurrency, onProgress(done, total, result) }
+     * @returns {Promise<array>} One result per row, in input order
+     */
+    async function run(rows, options = {}) {
+        const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        const onProgress = options.onProgress || (() => {});
+        const results = new Array(rows.length);
+        let nextIndex = 0;
+        let done = 0;
+
+        async function worker() {
+            while (nextIndex < rows.length) {
+                const index = nextIndex++;
+                results[index] = await valueRow(rows[index]);
+                done++;
+                onProgress(done, rows.length, results[index]);
+            }
+        }
+
+        const workers = [];
+        for (let i = 0; i < Math.min(concurrency, rows.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    /**
+     * Search and price a single row
+     * @param {object} row - Parsed row
+     * @returns {Promise<object>} Result with status 'ok', 'review' or 'failed'
+     */
+    async function valueRow(row) {
+        if (row.error) {
+            return { row, status: 'failed', card: null, matchCount: 0, reasons: [row.error] };
+        }
+
+        try {
+            const searchResult = await API.searchCards(row.name, row.set, row.number);
+
+            if (!searchResult.success || !searchResult.data || searchResult.data.length === 0) {
+                return {
+                    row,
+                    status: 'failed',
+                    card: null,
+                    matchCount: 0,
+                    reasons: [searchResult.error || 'No cards found']
+                };
+            }
+
+            const reasons = [];
+            const candidates = narrowMatches(searchResult.data, row);
+
+            if (candidates.length > 1) {
+                reasons.push(`${candidates.length} printings match; priced the first one`);
+            }
+            if (searchResult.notice) {
+                reasons.push(searchResult.notice);
+            }
+
+            const pricedCard = await API.priceCard(candidates[0], row.condition);
+            const card = Currency.applyDisplayCurrency(Buylist.applyOffer(pricedCard));
+
+            if (card.isMockPrice) {
+                reasons.push('No market price found; value is a mock estimate');
+            }
+
+            return {
+                row,
+                status: reasons.length > 0 ? 'review' : 'ok',
+                card,
+                matchCount: searchResult.totalCount ?? searchResult.data.length,
+                reasons
+            };
+        } catch (error) {
+            console.error('Batch row error:', error);
+            return { row, status: 'failed', card: null, matchCount: 0, reasons: [error.message] };
+        }
+    }
+
+    /**
+     * Narrow search results to the cards that best fit the row
+     * Prefers an exact name match, then a matching card number
+     * @param {array} cards - Search results
+     * @param {object} row - Parsed row
+     * @returns {array} Best candidates (never empty)
+     */
+    function narrowMatches(cards, row) {
+        let candidates = cards;
+
+        const exactName = candidates.filter(card =>
+            card.name.toLowerCase() === row.name.toLowerCase()
+        );
+        if (exactName.length > 0) {
+            candidates = exactName;
+        }
+
+        const number = row.number.split('/')[0].trim().replace(/^0+(?=\w)/, '').toLowerCase();
+        if (number) {
+            const byNumber = candidates.filter(card => String(card.number).toLowerCase() === number);
+            if (byNumber.length > 0) {
+                candidates = byNumber;
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Total up batch results
+     * Values are multiplied by each row's quantity
+     * @param {array} results - Results from run
+     * @returns {object} { count, ok, review, failed, totalValue }
+     */
+    function summarize(results) {
+        return results.reduce((summary, result) => ({
+            count: summary.count + 1,
+            ok: summary.ok + (result.status === 'ok' ? 1 : 0),
+            review: summary.review + (result.status === 'review' ? 1 : 0),
+            failed: summary.failed + (result.status === 'failed' ? 1 : 0),
+            totalValue: summary.totalValue + getResultValue(result)
+        }), { count: 0, ok: 0, review: 0, failed: 0, totalValue: 0 });
+    }
+
+    /**
+     * Get the value of one batch result (unit value × quantity)
+     * @param {object} result - Batch result
+     * @returns {number} Estimated value
+     */
+    function getResultValue(result) {
+        if (!result.card) return 0;
+        return (parseFloat(result.card.adjustedPrice) || 0) * (result.row.quantity || 1);
+    }
+
+    // Public API
+    return {
+        parseLines,
+        normalizeCondition,
+        run,
+        summarize,
+        getResultValue
+    };
+})();
@@ -0,0 +1,190 @@
+/**
+ * Buylist Module
+ * Calculates trade-in offers (cash and store credit) from a card's market value
+ * Rates depend on the price tier and the card's rarity and are stored in localStorage
+ * Only managers can change the rates or set their own price tiers
+ */
+
+const Buylist = (() => {
+    // Private variables
+    const STORAGE_KEY = 'nashCards_buylist';
+
+    // Shop defaults: percent of market value paid out, by minimum market value
+    const DEFAULT_RATES = {
+        tiers: [
+            { min: 0, cash: 30, credit: 45 },
+            { min: 10, cash: 50, credit: 65 },
+            { min: 50, cash: 60, credit: 75 },
+            { min: 200, cash: 70, credit: 85 }
+        ],
+        // Percentage points added to (or taken from) both rates
+        rarityAdjustments: [
+            { rarity: 'Common', points: -10 },
+            { rarity: 'Uncommon', points: -5 },
+            { rarity: 'Rare Secret', points: 5 },
+            { rarity: 'Special Illustration Rare', points: 5 }
+        ]
+    };
+
+    /**
+     * Get the shop's saved buylist rates, falling back to the shop defaults
+     * @returns {object} { tiers, rarityAdjustments }
+     */
+    function getShopRates() {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? JSON.parse(stored) : JSON.parse(JSON.stringify(DEFAULT_RATES));
+    }
+
+    /**
+     * Get the rates used for offers: the shop rates, with the logged in
+     * manager's own price tiers when they have set some
+     * @returns {object} { tiers, rarityAdjustments }
+     */
+    function getRates() {
+        const rates = getShopRates();
+        const personalTiers = Preferences.get().buylistTiers;
+        return personalTiers && Auth.can('editBuylist') ? { ...rates, tiers: personalTiers } : rates;
+    }
+
+    /**
+     * Validate and normalize price tiers
+     * @param {array} tiers - [{ min, cash, credit }]
+     * @returns {object} Result with success status, message and sorted tiers
+     */
+    function validateTiers(tiers) {
+        const normalized = (tiers || []).map(tier => ({
+            min: Number(tier.min),
+            cash: Number(tier.cash),
+            credit: Number(tier.credit)
+        }));
+
+        if (normalized.length === 0) {
+            return { success: false, message: 'At least one price tier is required' };
+        }
+
+        const invalidTier = normalized.find(tier =>
+            !Number.isFinite(tier.min) || tier.min < 0 ||
+            !isValidPercent(tier.cash) || !isValidPercent(tier.credit)
+        );
+        if (invalidTier) {
+            return { success: false, message: 'Tier minimums must be 0 or more and rates between 0 and 100%' };
+        }
+
+        normalized.sort((a, b) => a.min - b.min);
+        return { success: true, tiers: normalized };
+    }
+
+    /**
+     * Validate and save the shop's buylist rates
+     * @param {object} rates - { tiers, rarityAdjustments }
+     * @returns {object} Result with success status and message
+     */
+    function saveRates(rates) {
+        if (!Auth.can('editBuylist')) {
+            return { success: false, message: 'Only managers can change buylist rates' };
+        }
+
+        const tierValidation = validateTiers(rates.tiers);
+        if (!tierValidation.success) {
+            return tierValidation;
+        }
+
+        const rarityAdjustments = (rates.rarityAdjustments || [])
+            .map(adjustment => ({
+                rarity: String(adjustment.rarity || '').trim(),
+                points: Number(adjustment.points)
+            }))
+            .filter(adjustment => adjustment.rarity);
+
+        if (rarityAdjustments.some(adjustment => !Number.isFinite(adjustment.points) || Math.abs(adjustment.points) > 100)) {
+            return { success: false, message: 'Rarity adjustments must be between -100 and 100 points' };
+        }
+
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ tiers: tierValidation.tiers, rarityAdjustments }));
+
+        return { success: true, message: 'Buylist rates saved' };
+    }
+
+    /**
+     * Restore the shop default rates
+     * @returns {object} Result with success status and message
+     */
+    function resetRates() {
+        if (!Auth.can('editBuylist')) {
+            return { success: false, message: 'Only managers can change buylist rates' };
+        }
+
+        localStorage.removeItem(STORAGE_KEY);
+        return { success: true, message: 'Default rates restored' };
+    }
+
+    /**
+     * Calculate cash and store-credit offers for a priced card
+     * @param {object} card - Card enriched by API.enrichCardWithPricing
+     * @returns {object} Offer details
+     */
+    function calculateOffer(card) {
+        const rates = getRates();
+        const marketValue = parseFloat(card.adjustedPrice) || 0;
+
+        // Highest tier whose minimum the card reaches
+        const tier = rates.tiers
+            .filter(t => marketValue >= t.min)
+            .sort((a, b) => b.min - a.min)[0] || rates.tiers[0];
+
+        const adjustment = rates.rarityAdjustments.find(a =>
+            a.rarity.toLowerCase() === String(card.rarity || '').toLowerCase()
+        );
+        const points = adjustment ? adjustment.points : 0;
+
+        const cashPercent = clampPercent(tier.cash + points);
+        const creditPercent = clampPercent(tier.credit + points);
+
+        return {
+            tierMin: tier.min,
+            rarityAdjustment: points,
+            cashPercent,
+            creditPercent,
+            cash: (marketValue * cashPercent / 100).toFixed(2),
+            credit: (marketValue * creditPercent / 100).toFixed(2)
+        };
+    }
+
+    /**
+     * Attach buylist offers to a priced card
+     * @param {object} card - Card enriched by API.enrichCardWithPricing
+     * @returns {object} Card with buylistOffer
+     */
+    function applyOffer(card) {
+        return { ...card, buylistOffer: calculateOffer(card) };
+    }
+
+    /**
+     * Check that a rate is a percentage
+     * @param {number} value - Rate
+     * @returns {boolean}
+     */
+    function isValidPercent(value) {
+        return Number.isFinite(value) && value >= 0 && value <= 100;
+    }
+
+    /**
+     * Keep a rate between 0 and 100
+     * @param {number} value - Rate
+     * @returns {number} Clamped rate
+     */
+    function clampPercent(value) {
+        return Math.min(100, Math.max(0, value));
+    }
+
+    // Public API
+    return {
+        getShopRates,
+        getRates,
+        validateTiers,
+        saveRates,
+        resetRates,
+        calculateOffer,
+        applyOffer
+    };
+})();
@@ -0,0 +1,218 @@
+/**
+ * Card Names Module
+ * Fuzzy matching of typed card names, for typeahead suggestions
+ * Ignores accents ("Flabebe" finds "Flabébé"), hyphens and spacing
+ * ("Mewtwo EX", "Mewtwo-EX" and "MewtwoEX" are the same) and allows small typos
+ * ("Charzard" finds "Charizard")
+ */
+
+const CardNames = (() => {
+    // Private variables
+    const DEFAULT_LIMIT = 10;
+
+    // Typos allowed in a word, by word length
+    const TYPO_LENGTHS = [
+        { minLength: 8, typos: 2 },
+        { minLength: 4, typos: 1 }
+    ];
+
+    // Offline name index, rebuilt when the catalog's card list changes
+    let indexedCards = null;
+    let index = [];
+
+    /**
+     * Normalize a name for matching
+     * Strips accents, lowercases, and turns hyphens and punctuation into spaces
+     * @param {string} name - Card name or typed text
+     * @returns {string} Normalized name, words separated by single spaces
+     */
+    function normalize(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/['’.]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Count the edits (insert, delete, substitute, swap neighbours) between two words
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @returns {number} Edit distance
+     */
+    function editDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Get the typos allowed in a typed word
+     * @param {string} word - Typed word
+     * @returns {number} Typos allowed
+     */
+    function allowedTypos(word) {
+        return TYPO_LENGTHS.find(rule => word.length >= rule.minLength)?.typos || 0;
+    }
+
+    /**
+     * Score one typed word against the words of a name
+     * The last typed word may be unfinished, so it also matches word starts
+     * @param {string} typed - Typed word
+     * @param {array} words - Words of the name
+     * @param {boolean} partial - Whether the word may be unfinished
+     * @returns {number|null} Cost (lower is closer), or null when nothing is close
+     */
+    function scoreWord(typed, words, partial) {
+        let best = null;
+        const typos = allowedTypos(typed);
+
+        words.forEach(word => {
+            let cost = null;
+            if (word === typed) {
+                cost = 0;
+            } else if (partial && word.startsWith(typed)) {
+                cost = 0.25;
+            } else if (typos > 0) {
+                const distance = Math.min(
+                    editDistance(typed, word),
+                    partial ? editDistance(typed, word.slice(0, typed.length)) : Infinity
+                );
+                cost = distance <= typos ? 1 + distance : null;
+            }
+
+            if (cost !== null && (best === null || cost < best)) {
+                best = cost;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Score a card against typed text
+     * Words that match nothing in the name may match the card's set or number,
+     * so "charizard base" narrows to Base Set Charizards
+     * @param {string} typed - Normalized typed text
+     * @param {object} entry - Index entry
+     * @returns {number|null} Score (lower is closer), or null when it does not match
+     */
+    function scoreEntry(typed, entry) {
+        // Spacing is ignored: "mewtwoex" matches "mewtwo ex"
+        if (entry.compact.startsWith(typed.replace(/ /g, ''))) {
+            return entry.compact.length === typed.replace(/ /g, '').length ? 0 : 0.25;
+        }
+
+        // Names that start with the typed text come first
+        const typedWords = typed.split(' ');
+        let score = 0.5;
+        let nameMatches = 0;
+
+        for (const [i, typedWord] of typedWords.entries()) {
+            const partial = i === typedWords.length - 1;
+            const nameCost = scoreWord(typedWord, entry.words, partial);
+
+            if (nameCost !== null) {
+                score += nameCost;
+                nameMatches++;
+            } else if (entry.setWords.some(word => word === typedWord || (partial && word.startsWith(typedWord)))) {
+                score += 0.5;
+            } else {
+                return null;
+            }
+        }
+
+        return nameMatches > 0 ? score : null;
+    }
+
+    /**
+     * Build index entries for cards
+     * @param {array} cards - Cards in the app's card shape
+     * @returns {array} { card, words, compact, setWords }
+     */
+    function buildEntries(cards) {
+        return cards.map(card => {
+            const name = normalize(card.name);
+            return {
+                card,
+                words: name.split(' '),
+                compact: name.replace(/ /g, ''),
+                setWords: [
+                    ...normalize(card.set).split(' '),
+                    normalize(card.setCode),
+                    normalize(String(card.number).split('/')[0])
+                ].filter(Boolean)
+            };
+        });
+    }
+
+    /**
+     * Find the cards whose names best match typed text
+     * @param {string} text - Typed text
+     * @param {array} cards - Cards in the app's card shape
+     * @param {number} limit - Most suggestions to return
+     * @returns {array} Cards, closest first, then newest first
+     */
+    function match(text, cards, limit = DEFAULT_LIMIT) {
+        return rank(text, buildEntries(cards), limit);
+    }
+
+    /**
+     * Rank index entries against typed text
+     * @param {string} text - Typed text
+     * @param {array} entries - Index entries
+     * @param {number} limit - Most suggestions to return
+     * @returns {array} Cards, closest first, then newest first
+     */
+    function rank(text, entries, limit) {
+        const typed = normalize(text);
+        if (!typed) return [];
+
+        return entries
+            .map(entry => ({ entry, score: scoreEntry(typed, entry) }))
+            .filter(result => result.score !== null)
+            .sort((a, b) =>
+                a.score - b.score ||
+                a.entry.compact.length - b.entry.compact.length ||
+                String(b.entry.card.releaseDate).localeCompare(String(a.entry.card.releaseDate))
+            )
+            .slice(0, limit)
+            .map(result => result.entry.card);
+    }
+
+    /**
+     * Find the offline catalog cards whose names best match typed text
+     * The index is built once per catalog download
+     * @param {string} text - Typed text
+     * @param {number} limit - Most suggestions to return
+     * @returns {Promise<array>} Cards, closest first
+     */
+    async function matchOffline(text, limit = DEFAULT_LIMIT) {
+        const cards = await Catalog.getCards();
+        if (cards !== indexedCards) {
+            indexedCards = cards;
+            index = buildEntries(cards);
+        }
+        return rank(text, index, limit);
+    }
+
+    // Public API
+    return {
+        normalize,
+        match,
+        matchOffline
+    };
+})();
@@ -0,0 +1,756 @@
+/**
+ * Card Scanner Module
+ * Identifies a card from a photo without the network
+ * Finds the card's edges, straightens it, reads the name and collector number
+ * (see TextReader), and compares an image hash against hashes of the offline
+ * catalog's card images
+ */
+
+const CardScanner = (() => {
+    // Private variables
+    // Size cards are straightened to for hashing (63 x 88 mm)
+    const CARD_WIDTH = 252;
+    const CARD_HEIGHT = 352;
+
+    // Size cards are straightened to for reading text
+    const TEXT_WIDTH = 630;
+    const TEXT_HEIGHT = 880;
+
+    // Longest side of the photo used to find edges, and to read text
+    const EDGE_SIZE = 480;
+    const TEXT_SIZE = 1600;
+
+    // A detected outline must cover this much of the photo and be roughly card shaped
+    const MIN_CARD_AREA = 0.2;
+    const MIN_ASPECT = 0.55;
+    const MAX_ASPECT = 0.9;
+
+    // Parts of a straightened card, as fractions of its width and height
+    const FULL_REGION = { x: 0, y: 0, width: 1, height: 1 };
+    const NAME_REGION = { x: 0.04, y: 0.02, width: 0.72, height: 0.09 };
+    const NUMBER_REGION = { x: 0, y: 0.87, width: 1, height: 0.13 };
+    const ART_REGION = { x: 0.08, y: 0.11, width: 0.84, height: 0.42 };
+
+    // Hash distances (of 128 bits) for the same card photographed, and for unrelated cards
+    const SAME_DISTANCE = 14;
+    const UNRELATED_DISTANCE = 52;
+
+    // How much each clue counts towards the confidence score
+    const WEIGHTS = { image: 0.5, name: 0.3, number: 0.2 };
+
+    // Best guesses below this confidence are not filled in
+    const MIN_CONFIDENCE = 0.35;
+
+    // Closest catalog images kept as candidates
+    const IMAGE_CANDIDATES = 10;
+
+    // Catalog images hashed at once while building the index, and saved together
+    const INDEX_CONCURRENCY = 6;
+    const INDEX_SAVE_EVERY = 100;
+
+    // Set bits in each hex digit
+    const BIT_COUNTS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+    /**
+     * Load an image
+     * @param {string} src - Image URL or data URL
+     * @param {boolean} crossOrigin - Request CORS access, so pixels of remote images can be read
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    function loadImage(src, crossOrigin = false) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            if (crossOrigin) {
+                image.crossOrigin = 'anonymous';
+            }
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Could not load image ${src.slice(0, 80)}`));
+            image.src = src;
+        });
+    }
+
+    /**
+     * Read an image's pixels, scaled down so its longest side fits
+     * @param {HTMLImageElement} image - Loaded image
+     * @param {number} maxSize - Longest side in pixels
+     * @returns {ImageData} Pixels
+     */
+    function getPixels(image, maxSize) {
+        const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Convert pixels to brightness values
+     * @param {object} pixels - { width, height, data (RGBA) }
+     * @returns {Float32Array} Brightness per pixel, 0-255
+     */
+    function toGray(pixels) {
+        const gray = new Float32Array(pixels.width * pixels.height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * pixels.data[i * 4] + 0.587 * pixels.data[i * 4 + 1] + 0.114 * pixels.data[i * 4 + 2];
+        }
+        return gray;
+    }
+
+    /**
+     * Find edges with a Sobel filter
+     * Pixels much sharper than the photo's average count as edges
+     * @param {object} pixels - { width, height, data }
+     * @returns {Uint8Array} 1 for edge pixels
+     */
+    function detectEdges(pixels) {
+        const { width, height } = pixels;
+        const gray = toGray(pixels);
+        const magnitude = new Float32Array(width * height);
+        let sum = 0;
+        let sumSquares = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const gx = gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1] -
+                    gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1];
+                const gy = gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1] -
+                    gray[i - width - 1] - 2 * gray[i - width] - gray[i - width + 1];
+                magnitude[i] = Math.hypot(gx, gy);
+                sum += magnitude[i];
+                sumSquares += magnitude[i] * magnitude[i];
+            }
+        }
+
+        const count = width * height;
+        const mean = sum / count;
+        const threshold = mean + 1.5 * Math.sqrt(Math.max(0, sumSquares / count - mean * mean));
+
+        const edges = new Uint8Array(count);
+        for (let i = 0; i < count; i++) {
+            edges[i] = magnitude[i] > threshold ? 1 : 0;
+        }
+        return edges;
+    }
+
+    /**
+     * Find the card's four corners
+     * Takes the connected run of edges spanning the largest area (the card's
+     * outline) and picks its extreme points
+     * @param {object} pixels - { width, height, data }
+     * @returns {array|null} Corners [topLeft, topRight, bottomRight, bottomLeft] as { x, y },
+     *     or null when no card-shaped outline is found
+     */
+    function findCardCorners(pixels) {
+        const { width, height } = pixels;
+        const edges = detectEdges(pixels);
+        const labels = new Int32Array(width * height);
+        const stack = [];
+        let best = null;
+
+        for (let start = 0; start < edges.length; start++) {
+            if (!edges[start] || labels[start]) continue;
+
+            const label = start + 1;
+            const points = [];
+            let minX = width;
+            let maxX = 0;
+            let minY = height;
+            let maxY = 0;
+
+            labels[start] = label;
+            stack.push(start);
+            while (stack.length > 0) {
+                const i = stack.pop();
+                const x = i % width;
+                const y = (i - x) / width;
+                points.push(i);
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+                        const n = ny * width + nx;
+                        if (edges[n] && !labels[n]) {
+                            labels[n] = label;
+                            stack.push(n);
+                        }
+                    }
+                }
+            }
+
+            const area = (maxX - minX) * (maxY - minY);
+            if (!best || area > best.area) {
+                best = { area, points };
+            }
+        }
+
+        if (!best) return null;
+
+        // Corners are where x + y and x - y are smallest and largest
+        const corners = { topLeft: null, topRight: null, bottomRight: null, bottomLeft: null };
+        const score = {
+            topLeft: (x, y) => -(x + y),
+            topRight: (x, y) => x - y,
+            bottomRight: (x, y) => x + y,
+            bottomLeft: (x, y) => y - x
+        };
+        best.points.forEach(i => {
+            const x = i % width;
+            const y = (i - x) / width;
+            Object.keys(corners).forEach(corner => {
+                if (!corners[corner] || score[corner](x, y) > score[corner](corners[corner].x, corners[corner].y)) {
+                    corners[corner] = { x, y };
+                }
+            });
+        });
+
+        const quad = [corners.topLeft, corners.topRight, corners.bottomRight, corners.bottomLeft];
+        return isCardShaped(quad, width * height) ? quad : null;
+    }
+
+    /**
+     * Check that an outline is big enough and has a card's proportions
+     * @param {array} quad - Corners in order around the outline
+     * @param {number} imageArea - Photo area in pixels
+     * @returns {boolean} True when it looks like a card
+     */
+    function isCardShaped(quad, imageArea) {
+        const area = Math.abs(quad.reduce((total, point, i) => {
+            const next = quad[(i + 1) % quad.length];
+            return total + point.x * next.y - next.x * point.y;
+        }, 0)) / 2;
+
+        const [width, height] = getQuadSize(quad);
+        const aspect = Math.min(width, height) / Math.max(width, height);
+        return area >= imageArea * MIN_CARD_AREA && aspect >= MIN_ASPECT && aspect <= MAX_ASPECT;
+    }
+
+    /**
+     * Get the average width and height of an outline
+     * @param {array} quad - [topLeft, topRight, bottomRight, bottomLeft]
+     * @returns {array} [width, height]
+     */
+    function getQuadSize(quad) {
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        return [
+            (distance(quad[0], quad[1]) + distance(quad[3], quad[2])) / 2,
+            (distance(quad[0], quad[3]) + distance(quad[1], quad[2])) / 2
+        ];
+    }
+
+    /**
+     * Get the ways a card outline may be the right way up
+     * A card lying sideways may be turned either way, and an upright one may be upside down
+     * @param {array} quad - [topLeft, topRight, bottomRight, bottomLeft] as found in the photo
+     * @returns {array} Outlines with the card's top-left corner first
+     */
+    function getOrientations(quad) {
+        const [topLeft, topRight, bottomRight, bottomLeft] = quad;
+        const [width, height] = getQuadSize(quad);
+
+        if (width > height) {
+            return [
+                [bottomLeft, topLeft, topRight, bottomRight],
+                [topRight, bottomRight, bottomLeft, topLeft]
+            ];
+        }
+        return [quad, [bottomRight, bottomLeft, topLeft, topRight]];
+    }
+
+    /**
+     * Solve a linear system by Gaussian elimination
+     * @param {array} matrix - Rows of coefficients
+     * @param {array} values - Right-hand side
+     * @returns {array} Solution
+     */
+    function solve(matrix, values) {
+        const n = values.length;
+        const rows = matrix.map((row, i) => [...row, values[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+            }
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+            for (let row = 0; row < n; row++) {
+                if (row === col || rows[col][col] === 0) continue;
+                const factor = rows[row][col] / rows[col][col];
+                for (let k = col; k <= n; k++) {
+                    rows[row][k] -= factor * rows[col][k];
+                }
+            }
+        }
+
+        return rows.map((row, i) => row[n] / row[i]);
+    }
+
+    /**
+     * Find the perspective transform from a straight card to its outline in the photo
+     * @param {array} quad - Outline corners, card's top-left first
+     * @param {number} width - Straightened width
+     * @param {number} height - Straightened height
+     * @returns {array} Transform coefficients [a, b, c, d, e, f, g, h]
+     */
+    function getPerspective(quad, width, height) {
+        const corners = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+        const matrix = [];
+        const values = [];
+
+        corners.forEach(({ x, y }, i) => {
+            const { x: u, y: v } = quad[i];
+            matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+            values.push(u);
+            matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+            values.push(v);
+        });
+
+        return solve(matrix, values);
+    }
+
+    /**
+     * Straighten the card, or part of it, into a rectangle
+     * @param {object} pixels - Photo { width, height, data }
+     * @param {array} quad - Outline corners in the photo, card's top-left first
+     * @param {number} width - Straightened card width
+     * @param {number} height - Straightened card height
+     * @param {object} region - Part of the card to produce
+     * @returns {object} { width, height, data } of the region
+     */
+    function warp(pixels, quad, width, height, region = FULL_REGION) {
+        const [a, b, c, d, e, f, g, h] = getPerspective(quad, width, height);
+        const left = Math.round(region.x * width);
+        const top = Math.round(region.y * height);
+        const outWidth = Math.max(1, Math.round(region.width * width));
+        const outHeight = Math.max(1, Math.round(region.height * height));
+        const data = new Uint8ClampedArray(outWidth * outHeight * 4);
+
+        for (let y = 0; y < outHeight; y++) {
+            for (let x = 0; x < outWidth; x++) {
+                const cardX = left + x + 0.5;
+                const cardY = top + y + 0.5;
+                const w = g * cardX + h * cardY + 1;
+                const sourceX = Math.min(pixels.width - 1, Math.max(0, (a * cardX + b * cardY + c) / w - 0.5));
+                const sourceY = Math.min(pixels.height - 1, Math.max(0, (d * cardX + e * cardY + f) / w - 0.5));
+
+                // Bilinear sampling
+                const x0 = Math.floor(sourceX);
+                const y0 = Math.floor(sourceY);
+                const x1 = Math.min(pixels.width - 1, x0 + 1);
+                const y1 = Math.min(pixels.height - 1, y0 + 1);
+                const fx = sourceX - x0;
+                const fy = sourceY - y0;
+
+                for (let channel = 0; channel < 4; channel++) {
+                    const at = (px, py) => pixels.data[(py * pixels.width + px) * 4 + channel];
+                    data[(y * outWidth + x) * 4 + channel] =
+                        at(x0, y0) * (1 - fx) * (1 - fy) + at(x1, y0) * fx * (1 - fy) +
+                        at(x0, y1) * (1 - fx) * fy + at(x1, y1) * fx * fy;
+                }
+            }
+        }
+
+        return { width: outWidth, height: outHeight, data };
+    }
+
+    /**
+     * Get the corners of the whole photo, for photos already cropped to the card
+     * @param {object} pixels - { width, height }
+     * @returns {array} Corners [topLeft, topRight, bottomRight, bottomLeft]
+     */
+    function getFullQuad(pixels) {
+        return [
+            { x: 0, y: 0 },
+            { x: pixels.width, y: 0 },
+            { x: pixels.width, y: pixels.height },
+            { x: 0, y: pixels.height }
+        ];
+    }
+
+    /**
+     * Compute a difference hash: each bit says whether brightness rises
+     * between neighbouring cells of a 9 x 8 grid
+     * @param {object} card - Straightened card { width, height, data }
+     * @param {object} region - Part of the card to hash
+     * @returns {string} 64-bit hash as 16 hex digits
+     */
+    function differenceHash(card, region) {
+        const gray = toGray(card);
+        const cells = [];
+        const left = region.x * card.width;
+        const top = region.y * card.height;
+        const cellWidth = region.width * card.width / 9;
+        const cellHeight = region.height * card.height / 8;
+
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 9; col++) {
+                const x0 = Math.floor(left + col * cellWidth);
+                const y0 = Math.floor(top + row * cellHeight);
+                const x1 = Math.max(x0 + 1, Math.floor(left + (col + 1) * cellWidth));
+                const y1 = Math.max(y0 + 1, Math.floor(top + (row + 1) * cellHeight));
+                let sum = 0;
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) {
+                        sum += gray[y * card.width + x];
+                    }
+                }
+                cells.push(sum / ((x1 - x0) * (y1 - y0)));
+            }
+        }
+
+        let hash = '';
+        for (let row = 0; row < 8; row++) {
+            let byte = 0;
+            for (let col = 0; col < 8; col++) {
+                byte = (byte << 1) | (cells[row * 9 + col] < cells[row * 9 + col + 1] ? 1 : 0);
+            }
+            hash += byte.toString(16).padStart(2, '0');
+        }
+        return hash;
+    }
+
+    /**
+     * Hash a straightened card: the whole card, then its artwork
+     * @param {object} card - Straightened card { width, height, data }
+     * @returns {string} 128-bit hash as 32 hex digits
+     */
+    function hashCard(card) {
+        return differenceHash(card, FULL_REGION) + differenceHash(card, ART_REGION);
+    }
+
+    /**
+     * Count the bits that differ between two hashes
+     * @param {string} a - Hex hash
+     * @param {string} b - Hex hash of the same length
+     * @returns {number} Hamming distance
+     */
+    function hashDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.length; i++) {
+            distance += BIT_COUNTS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+        }
+        return distance;
+    }
+
+    /**
+     * Check whether this browser can read card text
+     * @returns {boolean}
+     */
+    function canReadText() {
+        return TextReader.isAvailable();
+    }
+
+    /**
+     * Read the name and collector number, trying each way the card may be up
+     * Text read upside down gives no collector number, so the first
+     * orientation that gives one is kept
+     * @param {object} photo - Photo pixels at reading size
+     * @param {array} quads - Card outlines in those pixels, card's top-left first
+     * @returns {Promise<object|null>} { name, number, total }, or null when the browser cannot read text
+     */
+    async function readTextUpright(photo, quads) {
+        if (!canReadText()) return null;
+
+        let first = null;
+        for (const quad of quads) {
+            const text = await readText(photo, quad);
+            if (text.number) return text;
+            first = first || text;
+        }
+        return first;
+    }
+
+    /**
+     * Read the name and collector number
+     * The two parts are read one after the other, as Tesseract reads one image at a time
+     * @param {object} photo - Photo pixels at reading size
+     * @param {array} quad - Card outline in those pixels, card's top-left first
+     * @returns {Promise<object>} { name, number, total }
+     */
+    async function readText(photo, quad) {
+        const detect = async region => {
+            try {
+                return await TextReader.read(warp(photo, quad, TEXT_WIDTH, TEXT_HEIGHT, region));
+            } catch (error) {
+                console.warn('Text detection failed:', error);
+                return [];
+            }
+        };
+
+        const nameTexts = await detect(NAME_REGION);
+        const numberTexts = await detect(NUMBER_REGION);
+        return {
+            name: parseName(nameTexts),
+            ...parseNumber(numberTexts.map(text => text.rawValue).join(' '))
+        };
+    }
+
+    /**
+     * Pick the card name from text read along the top of the card
+     * The name is the tallest text there, once stage labels and HP are removed
+     * @param {array} texts - Detected texts { rawValue, boundingBox }
+     * @returns {string} Name, or '' when none was read
+     */
+    function parseName(texts) {
+        const names = texts
+            .map(text => ({
+                height: text.boundingBox?.height || 0,
+                value: text.rawValue
+                    .replace(/\b(basic|stage\s*\d|break|restored|legend|evolves from.*)\b/gi, '')
+                    .replace(/\bHP\s*\d+\b|\b\d+\s*HP\b/gi, '')
+                    .replace(/\s+/g, ' ')
+                    .trim()
+            }))
+            .filter(text => /[a-z]{2}/i.test(text.value));
+
+        names.sort((a, b) => b.height - a.height);
+        return names[0]?.value || '';
+    }
+
+    /**
+     * Pick the collector number and set total from text read along the bottom of the card
+     * @param {string} text - Detected text
+     * @returns {object} { number, total }, empty strings when not read
+     */
+    function parseNumber(text) {
+        const match = /\b([A-Z]{0,4}\d{1,3})\s*\/\s*([A-Z]{0,4}\d{1,3})\b/i.exec(text);
+        return match ? { number: match[1].toUpperCase(), total: match[2].toUpperCase() } : { number: '', total: '' };
+    }
+
+    /**
+     * Normalize a collector number for comparison ("004" and "4" are equal)
+     * @param {string} number - Collector number
+     * @returns {string} Normalized number
+     */
+    function normalizeNumber(number) {
+        return String(number || '').toUpperCase().replace(/^([A-Z]*)0+(?=\d)/, '$1');
+    }
+
+    /**
+     * Score a catalog card against what was read from the photo
+     * @param {object} card - Catalog card
+     * @param {object} clues - { distance, text, nameMatches }
+     * @returns {number} Confidence, 0-1
+     */
+    function scoreCandidate(card, clues) {
+        let score = 0;
+        let weight = 0;
+
+        if (clues.distance !== null) {
+            const similarity = (UNRELATED_DISTANCE - clues.distance) / (UNRELATED_DISTANCE - SAME_DISTANCE);
+            score += WEIGHTS.image * Math.min(1, Math.max(0, similarity));
+            weight += WEIGHTS.image;
+        }
+
+        if (clues.text?.name) {
+            if (CardNames.normalize(card.name) === CardNames.normalize(clues.text.name)) {
+                score += WEIGHTS.name;
+            } else if (clues.nameMatches.has(card.id)) {
+                score += WEIGHTS.name * 0.6;
+            }
+            weight += WEIGHTS.name;
+        }
+
+        if (clues.text?.number) {
+            const totalMatches = String(card.printedTotal || '') === clues.text.total.replace(/^0+/, '');
+            if (normalizeNumber(card.number) === normalizeNumber(clues.text.number)) {
+                score += WEIGHTS.number * (totalMatches ? 1 : 0.6);
+            }
+            weight += WEIGHTS.number;
+        }
+
+        return weight > 0 ? score / weight : 0;
+    }
+
+    /**
+     * Compare the photo against every indexed card image in one pass
+     * @param {array} photoHashes - Hashes of the photo, one per orientation
+     * @param {Map} hashes - Catalog hashes by card ID
+     * @returns {object} { distances: Map of card ID to distance, closest: [{ id, distance }] nearest first }
+     */
+    function compareHashes(photoHashes, hashes) {
+        const distances = new Map();
+        const closest = [];
+
+        hashes.forEach((hash, id) => {
+            let distance = Infinity;
+            for (const photoHash of photoHashes) {
+                distance = Math.min(distance, hashDistance(photoHash, hash));
+            }
+            distances.set(id, distance);
+
+            // Keep the nearest few in order, without sorting the whole catalog
+            if (closest.length < IMAGE_CANDIDATES || distance < closest[closest.length - 1].distance) {
+                let index = closest.length;
+                while (index > 0 && closest[index - 1].distance > distance) index--;
+                closest.splice(index, 0, { id, distance });
+                if (closest.length > IMAGE_CANDIDATES) closest.pop();
+            }
+        });
+
+        return { distances, closest };
+    }
+
+    /**
+     * Identify the card in a photo
+     * @param {string} src - Photo as a data URL
+     * @returns {Promise<object>} { success, card, confidence, read: { name, number, total }, message }
+     */
+    async function identify(src) {
+        try {
+            const image = await loadImage(src);
+            const edgePhoto = getPixels(image, EDGE_SIZE);
+            const outline = findCardCorners(edgePhoto);
+            const orientations = outline ? getOrientations(outline) : [getFullQuad(edgePhoto)];
+
+            // Read text from a sharper copy of the photo
+            const textPhoto = getPixels(image, TEXT_SIZE);
+            const scale = textPhoto.width / edgePhoto.width;
+            const text = await readTextUpright(textPhoto, orientations.map(quad =>
+                quad.map(point => ({ x: point.x * scale, y: point.y * scale }))));
+            const read = { name: text?.name || '', number: text?.number || '', total: text?.total || '' };
+
+            const [cards, hashes] = await Promise.all([Catalog.getCards(), Catalog.getHashes()]);
+            if (cards.length === 0) {
+                return {
+                    success: false,
+                    read,
+                    message: 'Download the offline catalog under Settings to identify cards from photos'
+                };
+            }
+            if (!text && hashes.size === 0) {
+                return {
+                    success: false,
+                    read,
+                    message: 'This browser cannot read card text. Build the photo index under Settings so photos can be matched by image.'
+                };
+            }
+
+            const photoHashes = orientations.map(quad => hashCard(warp(edgePhoto, quad, CARD_WIDTH, CARD_HEIGHT)));
+            const { distances, closest } = compareHashes(photoHashes, hashes);
+
+            // Candidates: the closest images, plus cards matching the text read
+            const byImage = closest.map(({ id }) => id);
+            const nameMatches = new Set(read.name ? CardNames.match(read.name, cards, 50).map(card => card.id) : []);
+            const candidates = cards.filter(card =>
+                byImage.includes(card.id) ||
+                nameMatches.has(card.id) ||
+                (read.number && normalizeNumber(card.number) === normalizeNumber(read.number) &&
+                    String(card.printedTotal || '') === read.total.replace(/^0+/, ''))
+            );
+
+            const ranked = candidates
+                .map(card => ({
+                    card,
+                    confidence: scoreCandidate(card, {
+                        distance: distances.has(card.id) ? distances.get(card.id) : null,
+                        text,
+                        nameMatches
+                    })
+                }))
+                .sort((a, b) => b.confidence - a.confidence);
+
+            if (ranked.length === 0 || ranked[0].confidence < MIN_CONFIDENCE) {
+                return { success: false, read, message: 'Could not identify the card. Check the photo or type its details.' };
+            }
+
+            // Two near-equal guesses make either less certain
+            const [best, second] = ranked;
+            const confidence = second && best.confidence - second.confidence < 0.05
+                ? best.confidence * 0.8
+                : best.confidence;
+
+            return {
+                success: true,
+                card: best.card,
+                confidence: Math.round(confidence * 100) / 100,
+                read,
+                message: `Identified ${best.card.name} (${best.card.set} #${best.card.number})`
+            };
+        } catch (error) {
+            console.error('Photo identification error:', error);
+            return { success: false, read: { name: '', number: '', total: '' }, message: 'Could not read the photo' };
+        }
+    }
+
+    /**
+     * Get the small image of a catalog card
+     * @param {object} card - Catalog card
+     * @returns {string} Image URL
+     */
+    function getThumbnailUrl(card) {
+        return card.imageUrl.replace(/_hires(\.\w+)$/, '$1');
+    }
+
+    /**
+     * Hash the image of every catalog card not hashed yet
+     * Hashes are saved as they are made, so an interrupted build can be resumed
+     * @param {object} options - { onProgress(done, total) }
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function buildIndex(options = {}) {
+        const cards = (await Catalog.getCards()).filter(card => card.imageUrl);
+        if (cards.length === 0) {
+            return { success: false, message: 'Download the offline catalog first' };
+        }
+
+        const hashes = await Catalog.getHashes();
+        const pending = cards.filter(card => !hashes.has(card.id));
+        let done = cards.length - pending.length;
+        let failed = 0;
+        let unsaved = [];
+
+        options.onProgress?.(done, cards.length);
+
+        const worker = async () => {
+            while (pending.length > 0) {
+                const card = pending.shift();
+                try {
+                    const image = await loadImage(getThumbnailUrl(card), true);
+                    const pixels = getPixels(image, CARD_HEIGHT);
+                    unsaved.push({ id: card.id, hash: hashCard(warp(pixels, getFullQuad(pixels), CARD_WIDTH, CARD_HEIGHT)) });
+                } catch (error) {
+                    failed++;
+                }
+
+                if (unsaved.length >= INDEX_SAVE_EVERY) {
+                    const batch = unsaved;
+                    unsaved = [];
+                    await Catalog.saveHashes(batch);
+                }
+                options.onProgress?.(++done, cards.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: INDEX_CONCURRENCY }, worker));
+        await Catalog.saveHashes(unsaved);
+
+        if (failed > 0) {
+            return {
+                success: false,
+                message: `${failed} of ${cards.length} card images could not be read. Build the index again to retry them.`
+            };
+        }
+        return { success: true, message: `Photo index ready: ${cards.length.toLocaleString()} cards` };
+    }
+
+    // Public API
+    return {
+        identify,
+        buildIndex,
+        canReadText,
+        parseNumber,
+        hashDistance
+    };
+})();
@@ -0,0 +1,271 @@
+/**
+ * Catalog Module
+ * Offline copy of the card and set catalog, searched when the network is down
+ * Sets and cards are downloaded from Pokémon TCG API into IndexedDB, along
+ * with the image hashes CardScanner uses to identify photos
+ */
+
+const Catalog = (() => {
+    // Private variables
+    const DB_NAME = 'nashCards_catalog';
+    const DB_VERSION = 2;
+    const SETS_STORE = 'sets';
+    const CARDS_STORE = 'cards';
+    const HASHES_STORE = 'hashes';
+
+    let dbPromise = null;
+
+    // Cards loaded for searching, kept until the catalog changes
+    let cardsCache = null;
+
+    /**
+     * Open the catalog database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    [SETS_STORE, CARDS_STORE, HASHES_STORE].forEach(name => {
+                        if (!request.result.objectStoreNames.contains(name)) {
+                            request.result.createObjectStore(name, { keyPath: 'id' });
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable, offline catalog disabled:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run work in a transaction over both stores
+     * @param {IDBDatabase} db - Database
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} work - (setsStore, cardsStore, result) => void; set result.value to return it
+     * @returns {Promise<*>} result.value once the transaction completes
+     */
+    function runTransaction(db, mode, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([SETS_STORE, CARDS_STORE], mode);
+            const result = { value: undefined };
+
+            transaction.oncomplete = () => resolve(result.value);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+
+            work(transaction.objectStore(SETS_STORE), transaction.objectStore(CARDS_STORE), result);
+        });
+    }
+
+    /**
+     * Run work in a transaction over the image hashes
+     * @param {IDBDatabase} db - Database
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} work - (hashesStore, result) => void; set result.value to return it
+     * @returns {Promise<*>} result.value once the transaction completes
+     */
+    function runHashesTransaction(db, mode, work) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(HASHES_STORE, mode);
+            const result = { value: undefined };
+
+            transaction.oncomplete = () => resolve(result.value);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+
+            work(transaction.objectStore(HASHES_STORE), result);
+        });
+    }
+
+    /**
+     * Download the set list and every set not already stored
+     * Sets are saved one at a time, so an interrupted download can be resumed
+     * @param {object} options - { onProgress(done, total) }
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function download(options = {}) {
+        const db = await openDatabase();
+        if (!db) {
+            return { success: false, message: 'This browser cannot store an offline catalog' };
+        }
+
+        const setsResult = await API.getPopularSets();
+        if (!setsResult.success || !Array.isArray(setsResult.data?.data)) {
+            return { success: false, message: 'Could not load the set list. Check your connection and try again.' };
+        }
+
+        const sets = setsResult.data.data;
+        const stored = new Map((await getSets()).map(set => [set.id, set]));
+        let failed = 0;
+
+        options.onProgress?.(0, sets.length);
+
+        for (const [index, set] of sets.entries()) {
+            // Sets gain cards only when their total changes
+            if (stored.get(set.id)?.total !== set.total) {
+                const result = await API.fetchSetCards(set.id);
+                if (result.success) {
+                    await saveSet(db, set, result.data);
+                } else {
+                    failed++;
+                }
+            }
+            options.onProgress?.(index + 1, sets.length);
+        }
+
+        cardsCache = null;
+
+        if (failed > 0) {
+            return {
+                success: false,
+                message: `${failed} of ${sets.length} sets could not be downloaded. Run the download again to finish.`
+            };
+        }
+        return { success: true, message: `Offline catalog ready: ${sets.length} sets` };
+    }
+
+    /**
+     * Store a set and its cards
+     * @param {IDBDatabase} db - Database
+     * @param {object} set - Set from the API
+     * @param {array} cards - Formatted cards in the set
+     * @returns {Promise}
+     */
+    function saveSet(db, set, cards) {
+        return runTransaction(db, 'readwrite', (setsStore, cardsStore) => {
+            setsStore.put({ ...set, cardCount: cards.length, downloadedAt: Date.now() });
+            cards.forEach(card => cardsStore.put(card));
+        });
+    }
+
+    /**
+     * Get the stored sets
+     * @returns {Promise<array>} Sets, each with cardCount and downloadedAt
+     */
+    async function getSets() {
+        const db = await openDatabase();
+        if (!db) return [];
+
+        return runTransaction(db, 'readonly', (setsStore, cardsStore, result) => {
+            const request = setsStore.getAll();
+            request.onsuccess = () => {
+                result.value = request.result;
+            };
+        });
+    }
+
+    /**
+     * Get every stored card
+     * @returns {Promise<array>} Cards in the app's card shape
+     */
+    async function getCards() {
+        if (cardsCache) return cardsCache;
+
+        const db = await openDatabase();
+        if (!db) return [];
+
+        cardsCache = await runTransaction(db, 'readonly', (setsStore, cardsStore, result) => {
+            const request = cardsStore.getAll();
+            request.onsuccess = () => {
+                result.value = request.result;
+            };
+        });
+        return cardsCache;
+    }
+
+    /**
+     * Get the stored image hashes
+     * @returns {Promise<Map>} Hash by card ID
+     */
+    async function getHashes() {
+        const db = await openDatabase();
+        if (!db) return new Map();
+
+        const entries = await runHashesTransaction(db, 'readonly', (hashesStore, result) => {
+            const request = hashesStore.getAll();
+            request.onsuccess = () => {
+                result.value = request.result;
+            };
+        });
+        return new Map(entries.map(entry => [entry.id, entry.hash]));
+    }
+
+    /**
+     * Store image hashes
+     * @param {array} entries - { id (card ID), hash }
+     * @returns {Promise}
+     */
+    async function saveHashes(entries) {
+        const db = await openDatabase();
+        if (!db) return;
+
+        await runHashesTransaction(db, 'readwrite', hashesStore => {
+            entries.forEach(entry => hashesStore.put(entry));
+        });
+    }
+
+    /**
+     * Describe the stored catalog
+     * @returns {Promise<object>} { available, sets, cards, hashed, downloadedAt }
+     */
+    async function getStatus() {
+        const db = await openDatabase();
+        if (!db) {
+            return { available: false, sets: 0, cards: 0, hashed: 0, downloadedAt: null };
+        }
+
+        const sets = await getSets();
+        const hashed = await runHashesTransaction(db, 'readonly', (hashesStore, result) => {
+            const request = hashesStore.count();
+            request.onsuccess = () => {
+                result.value = request.result;
+            };
+        });
+
+        return {
+            available: true,
+            sets: sets.length,
+            cards: sets.reduce((total, set) => total + set.cardCount, 0),
+            hashed,
+            downloadedAt: sets.length > 0 ? Math.max(...sets.map(set => set.downloadedAt)) : null
+        };
+    }
+
+    /**
+     * Delete the stored catalog
+     * @returns {Promise}
+     */
+    async function clear() {
+        const db = await openDatabase();
+        if (!db) return;
+
+        await runTransaction(db, 'readwrite', (setsStore, cardsStore) => {
+            setsStore.clear();
+            cardsStore.clear();
+        });
+        await runHashesTransaction(db, 'readwrite', hashesStore => hashesStore.clear());
+        cardsCache = null;
+    }
+
+    // Public API
+    return {
+        download,
+        getSets,
+        getCards,
+        getHashes,
+        saveHashes,
+        getStatus,
+        clear
+    };
+})();
@@ -0,0 +1,303 @@
+/**
+ * Conditions Module
+ * Condition grading model: raw card conditions and graded slabs (PSA, BGS, CGC)
+ * Each condition maps to a multiplier on the Near Mint price; multipliers are
+ * editable by managers and stored in localStorage
+ */
+
+const Conditions = (() => {
+    // Private variables
+    const STORAGE_KEY = 'nashCards_conditions';
+
+    // Raw conditions, best first
+    const RAW_CONDITIONS = [
+        { name: 'Mint', code: 'M', description: 'Flawless, as pulled from the pack', multiplier: 1.1 },
+        { name: 'Near Mint', code: 'NM', description: 'Minimal wear', multiplier: 1.0 },
+        { name: 'Lightly Played', code: 'LP', description: 'Minor wear visible', multiplier: 0.75 },
+        { name: 'Moderately Played', code: 'MP', description: 'Obvious wear', multiplier: 0.5 },
+        { name: 'Heavily Played', code: 'HP', description: 'Major wear, creases or whitening', multiplier: 0.35 },
+        { name: 'Damaged', code: 'DMG', description: 'Tears, water damage or heavy creasing', multiplier: 0.2 }
+    ];
+
+    // Grading companies and the grades they issue
+    const GRADING_COMPANIES = {
+        PSA: { factor: 1.0, grades: buildGrades(false) },
+        BGS: { factor: 0.95, grades: buildGrades(true) },
+        CGC: { factor: 0.85, grades: buildGrades(true) }
+    };
+
+    // Multipliers on the Near Mint price by grade; grades in between are interpolated
+    const DEFAULT_GRADE_MULTIPLIERS = [
+        { grade: 10, multiplier: 5.0 },
+        { grade: 9.5, multiplier: 3.0 },
+        { grade: 9, multiplier: 2.0 },
+        { grade: 8, multiplier: 1.4 },
+        { grade: 7, multiplier: 1.15 },
+        { grade: 6, multiplier: 1.0 },
+        { grade: 5, multiplier: 0.85 },
+        { grade: 4, multiplier: 0.7 },
+        { grade: 3, multiplier: 0.55 },
+        { grade: 2, multiplier: 0.45 },
+        { grade: 1, multiplier: 0.35 }
+    ];
+
+    // Other ways people write raw conditions
+    const ALIASES = {
+        'm': 'Mint',
+        'mint': 'Mint',
+        'nm': 'Near Mint',
+        'near mint': 'Near Mint',
+        'lp': 'Lightly Played',
+        'lightly played': 'Lightly Played',
+        'mp': 'Moderately Played',
+        'moderately played': 'Moderately Played',
+        'hp': 'Heavily Played',
+        'heavily played': 'Heavily Played',
+        'dmg': 'Damaged',
+        'd': 'Damaged',
+        'damaged': 'Damaged'
+    };
+
+    /**
+     * List grades 1 to 10 in half steps
+     * @param {boolean} allowNinePointFive - Whether the company issues a 9.5
+     * @returns {array} Grades, highest first
+     */
+    function buildGrades(allowNinePointFive) {
+        const grades = [];
+        for (let grade = 10; grade >= 1; grade -= 0.5) {
+            if (grade === 9.5 && !allowNinePointFive) continue;
+            grades.push(grade);
+        }
+        return grades;
+    }
+
+    /**
+     * Get the saved multipliers, falling back to the defaults
+     * @returns {object} { raw: {name: multiplier}, grades: [{grade, multiplier}], companies: {name: factor} }
+     */
+    function getMultipliers() {
+        const defaults = {
+            raw: Object.fromEntries(RAW_CONDITIONS.map(c => [c.name, c.multiplier])),
+            grades: DEFAULT_GRADE_MULTIPLIERS.map(g => ({ ...g })),
+            companies: Object.fromEntries(Object.entries(GRADING_COMPANIES).map(([name, c]) => [name, c.factor]))
+        };
+
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (!stored) return defaults;
+
+        const saved = JSON.parse(stored);
+        return {
+            raw: { ...defaults.raw, ...saved.raw },
+            grades: saved.grades && saved.grades.length > 0 ? saved.grades : defaults.grades,
+            companies: { ...defaults.companies, ...saved.companies }
+        };
+    }
+
+    /**
+     * Validate and save multipliers
+     * @param {object} multipliers - { raw, grades, companies }
+     * @returns {object} Result with success status and message
+     */
+    function saveMultipliers(multipliers) {
+        if (!Auth.can('editConditions')) {
+            return { success: false, message: 'Only managers can change condition multipliers' };
+        }
+
+        const raw = {};
+        for (const condition of RAW_CONDITIONS) {
+            const value = Number(multipliers.raw?.[condition.name]);
+            if (!isValidMultiplier(value)) {
+                return { success: false, message: `Multiplier for ${condition.name} must be between 0 and 10` };
+            }
+            raw[condition.name] = value;
+        }
+
+        const grades = (multipliers.grades || []).map(g => ({
+            grade: Number(g.grade),
+            multiplier: Number(g.multiplier)
+        }));
+        if (grades.length === 0 || grades.some(g => !(g.grade >= 1 && g.grade <= 10) || !isValidMultiplier(g.multiplier))) {
+            return { success: false, message: 'Grades must be between 1 and 10 with multipliers between 0 and 10' };
+        }
+
+        const companies = {};
+        for (const company of Object.keys(GRADING_COMPANIES)) {
+            const value = Number(multipliers.companies?.[company]);
+            if (!isValidMultiplier(value)) {
+                return { success: false, message: `Factor for ${company} must be between 0 and 10` };
+            }
+            companies[company] = value;
+        }
+
+        grades.sort((a, b) => b.grade - a.grade);
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ raw, grades, companies }));
+
+        return { success: true, message: 'Condition multipliers saved' };
+    }
+
+    /**
+     * Restore the default multipliers
+     * @returns {object} Result with success status and message
+     */
+    function resetMultipliers() {
+        if (!Auth.can('editConditions')) {
+            return { success: false, message: 'Only managers can change condition multipliers' };
+        }
+
+        localStorage.removeItem(STORAGE_KEY);
+        return { success: true, message: 'Default multipliers restored' };
+    }
+
+    /**
+     * Parse a condition label
+     * @param {string} condition - e.g. "Near Mint", "PSA 9", "BGS 9.5"
+     * @returns {object|null} { type: 'raw', name } or { type: 'graded', company, grade }, null if unknown
+     */
+    function parse(condition) {
+        const text = String(condition || '').trim();
+
+        const raw = RAW_CONDITIONS.find(c => c.name === text);
+        if (raw) {
+            return { type: 'raw', name: raw.name };
+        }
+
+        const match = text.match(/^(PSA|BGS|CGC)\s*(\d+(?:\.5)?)$/i);
+        if (match) {
+            const company = match[1].toUpperCase();
+            const grade = parseFloat(match[2]);
+            if (GRADING_COMPANIES[company].grades.includes(grade)) {
+                return { type: 'graded', company, grade };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Turn free-text condition input into a canonical label
+     * Accepts codes (NM, LP, DMG), full names and grades ("psa10", "BGS 9.5")
+     * @param {string} text - Condition text
+     * @returns {string|null} Canonical label or null if unknown
+     */
+    function normalize(text) {
+        const value = String(text || '').trim();
+        const alias = ALIASES[value.toLowerCase()];
+        if (alias) return alias;
+
+        const parsed = parse(value);
+        if (!parsed) return null;
+
+        return parsed.type === 'raw' ? parsed.name : formatGraded(parsed.company, parsed.grade);
+    }
+
+    /**
+     * Build the label for a graded slab
+     * @param {string} company - Grading company
+     * @param {number} grade - Grade
+     * @returns {string} e.g. "PSA 9"
+     */
+    function formatGraded(company, grade) {
+        return `${company} ${grade}`;
+    }
+
+    /**
+     * Get the multiplier applied to the Near Mint price for a condition
+     * @param {string} condition - Condition label
+     * @returns {number|null} Multiplier or null if the condition is unknown
+     */
+    function getMultiplier(condition) {
+        const parsed = parse(condition);
+        if (!parsed) return null;
+
+        const multipliers = getMultipliers();
+
+        if (parsed.type === 'raw') {
+            return multipliers.raw[parsed.name];
+        }
+
+        return getGradeMultiplier(parsed.grade, multipliers.grades) * multipliers.companies[parsed.company];
+    }
+
+    /**
+     * Get the multiplier for a grade, interpolating between configured grades
+     * @param {number} grade - Grade
+     * @param {array} table - Configured grade multipliers
+     * @returns {number} Multiplier
+     */
+    function getGradeMultiplier(grade, table) {
+        const sorted = [...table].sort((a, b) => a.grade - b.grade);
+        const exact = sorted.find(g => g.grade === grade);
+        if (exact) return exact.multiplier;
+
+        const lower = [...sorted].reverse().find(g => g.grade < grade);
+        const upper = sorted.find(g => g.grade > grade);
+        if (!lower) return upper.multiplier;
+        if (!upper) return lower.multiplier;
+
+        const ratio = (grade - lower.grade) / (upper.grade - lower.grade);
+        return lower.multiplier + (upper.multiplier - lower.multiplier) * ratio;
+    }
+
+    /**
+     * Describe a condition for display
+     * @param {string} condition - Condition label
+     * @returns {string} Description, e.g. "PSA 9 (graded slab)"
+     */
+    function describe(condition) {
+        const parsed = parse(condition);
+        if (!parsed) return condition || 'N/A';
+        return parsed.type === 'graded' ? `${condition} (graded slab)` : condition;
+    }
+
+    /**
+     * Check whether a condition is a graded slab
+     * @param {string} condition - Condition label
+     * @returns {boolean}
+     */
+    function isGraded(condition) {
+        return parse(condition)?.type === 'graded';
+    }
+
+    /**
+     * Get the raw conditions, best first
+     * @returns {array} [{ name, code, description }]
+     */
+    function getRawConditions() {
+        return RAW_CONDITIONS.map(({ name, code, description }) => ({ name, code, description }));
+    }
+
+    /**
+     * Get the grading companies and the grades each issues
+     * @returns {object} { PSA: [10, 9, ...], ... }
+     */
+    function getGradingCompanies() {
+        return Object.fromEntries(
+            Object.entries(GRADING_COMPANIES).map(([name, company]) => [name, [...company.grades]])
+        );
+    }
+
+    /**
+     * Check that a multiplier is usable
+     * @param {number} value - Multiplier
+     * @returns {boolean}
+     */
+    function isValidMultiplier(value) {
+        return Number.isFinite(value) && value >= 0 && value <= 10;
+    }
+
+    // Public API
+    return {
+        getMultipliers,
+        saveMultipliers,
+        resetMultipliers,
+        parse,
+        normalize,
+        formatGraded,
+        getMultiplier,
+        describe,
+        isGraded,
+        getRawConditions,
+        getGradingCompanies
+    };
+})();
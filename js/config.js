@@ -0,0 +1,11 @@
+/**
+ * Config
+ * Settings chosen when the app is deployed; edit this file, not the URL,
+ * to change them
+ */
+
+const Config = Object.freeze({
+    // Seed the demo account (demo@example.com / password123). Only turn this
+    // on for demo deployments: anyone can log in with the demo password
+    demoMode: false
+});
@@ -0,0 +1,261 @@
+/**
+ * Currency Module
+ * Converts and formats prices in the currencies the shop buys in
+ * Market prices come in US dollars; exchange rates come from a rate
+ * provider (a rates file served with the app, or an exchange rate service)
+ * and are kept in localStorage so conversions still work offline
+ */
+
+const Currency = (() => {
+    // Private variables
+    const SOURCE_KEY = 'nashCards_rateSource';
+    const RATES_KEY = 'nashCards_rates';
+
+    // Currency market prices are quoted in
+    const BASE_CURRENCY = 'USD';
+
+    // Currencies prices can be shown in
+    const CURRENCIES = ['USD', 'CAD', 'EUR', 'GBP', 'JPY'];
+
+    // Available rate providers
+    const PROVIDERS = {
+        file: FileRateProvider,
+        http: HttpRateProvider
+    };
+
+    // Rates older than this are reloaded when the app starts
+    const RATES_MAX_AGE = 12 * 60 * 60 * 1000;
+
+    // Loaded rates: { base, date, rates, provider, fetchedAt }
+    let current = null;
+
+    // Number formatters by currency
+    const formatters = new Map();
+
+    /**
+     * Load the saved rates, and reload them in the background when they are old
+     */
+    function init() {
+        const stored = localStorage.getItem(RATES_KEY);
+        current = stored ? JSON.parse(stored) : null;
+
+        if (!current || Date.now() - current.fetchedAt > RATES_MAX_AGE) {
+            refreshRates().then(result => {
+                if (!result.success) console.warn('Exchange rates not updated:', result.message);
+            });
+        }
+    }
+
+    /**
+     * Get the configured rate provider
+     * @returns {object} { provider: 'file' or 'http', url }
+     */
+    function getSource() {
+        const stored = localStorage.getItem(SOURCE_KEY);
+        return stored ? JSON.parse(stored) : { provider: 'file', url: '' };
+    }
+
+    /**
+     * Switch rate provider and load rates from it
+     * @param {object} source - { provider: 'file' or 'http', url ('' for the provider's default) }
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function setSource(source) {
+        if (!Auth.can('editRates')) {
+            return { success: false, message: 'Only managers can change the exchange rate source' };
+        }
+
+        if (!PROVIDERS[source.provider]) {
+            return { success: false, message: 'Unknown exchange rate source' };
+        }
+
+        const url = String(source.url || '').trim();
+        if (source.provider === 'http' && url && !/^https?:\/\/[^\s]+$/i.test(url)) {
+            return { success: false, message: 'Enter the service address, e.g. https://api.frankfurter.app/latest?from=USD' };
+        }
+
+        localStorage.setItem(SOURCE_KEY, JSON.stringify({ provider: source.provider, url }));
+        return refreshRates();
+    }
+
+    /**
+     * Load rates from the configured provider
+     * When it fails and no rates were ever loaded, the rates file is tried,
+     * so prices can be converted on a first visit with no connection
+     * @param {object} options - { signal }
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function refreshRates(options = {}) {
+        const source = getSource();
+        const result = await loadFrom(source.provider, source.url, options.signal);
+
+        if (!result.success && !current && source.provider !== 'file') {
+            const fallback = await loadFrom('file', '', options.signal);
+            if (fallback.success) {
+                return { ...fallback, message: `${result.message}. Using the rates file instead.` };
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Load, check and save rates from one provider
+     * @param {string} providerName - 'file' or 'http'
+     * @param {string} url - Provider URL ('' for its default)
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function loadFrom(providerName, url, signal) {
+        const provider = PROVIDERS[providerName];
+        const response = await provider.fetchRates({ url: url || provider.defaultUrl, signal });
+        if (!response.success) {
+            return response;
+        }
+
+        const validation = normalizeRates(response);
+        if (!validation.success) {
+            return validation;
+        }
+
+        current = { ...validation, provider: providerName, fetchedAt: Date.now() };
+        localStorage.setItem(RATES_KEY, JSON.stringify(current));
+        return { success: true, message: `Exchange rates updated (${provider.label}${current.date ? `, ${current.date}` : ''})` };
+    }
+
+    /**
+     * Check a provider's rates and re-base them on the base currency
+     * @param {object} response - { base, date, rates }
+     * @returns {object} Result with success status, and { base, date, rates } when valid
+     */
+    function normalizeRates(response) {
+        const base = String(response.base || '').toUpperCase();
+        const rates = { ...(response.rates || {}), [base]: 1 };
+        const baseRate = Number(rates[BASE_CURRENCY]);
+
+        const missing = CURRENCIES.filter(code => !(Number(rates[code]) > 0));
+        if (!base || missing.length > 0 || !(baseRate > 0)) {
+            return { success: false, message: `Exchange rates are missing ${missing.join(', ') || 'a base currency'}` };
+        }
+
+        // Rates are kept as units of each currency per US dollar
+        const normalized = {};
+        CURRENCIES.forEach(code => {
+            normalized[code] = Number(rates[code]) / baseRate;
+        });
+
+        return { success: true, base: BASE_CURRENCY, date: response.date || null, rates: normalized };
+    }
+
+    /**
+     * Get the units of a currency per US dollar
+     * @param {string} currency - Currency code
+     * @returns {number|null} Rate, or null when no rate is loaded for it
+     */
+    function getRate(currency) {
+        if (currency === BASE_CURRENCY) return 1;
+        return current?.rates?.[currency] || null;
+    }
+
+    /**
+     * Convert an amount between currencies
+     * @param {number} amount - Amount
+     * @param {string} to - Currency to convert to
+     * @param {string} from - Currency the amount is in (US dollars by default)
+     * @returns {number|null} Converted amount, or null when a rate is missing
+     */
+    function convert(amount, to, from = BASE_CURRENCY) {
+        const fromRate = getRate(from);
+        const toRate = getRate(to);
+        if (fromRate === null || toRate === null) return null;
+        return Number(amount) / fromRate * toRate;
+    }
+
+    /**
+     * Format an amount in a currency for the browser's locale
+     * Uses the currency's own minor units (no decimals for yen)
+     * @param {number} amount - Amount
+     * @param {string} currency - Currency code
+     * @returns {string} e.g. "$12.50", "CA$17.25", "€11.50", "¥1,869"
+     */
+    function format(amount, currency = BASE_CURRENCY) {
+        if (!formatters.has(currency)) {
+            formatters.set(currency, new Intl.NumberFormat(undefined, { style: 'currency', currency }));
+        }
+        return formatters.get(currency).format(Number(amount) || 0);
+    }
+
+    /**
+     * Get the currency the logged in user wants prices shown in, when its rate is loaded
+     * @returns {string} Currency code
+     */
+    function getDisplayCurrency() {
+        const preferred = Preferences.get().currency;
+        return getRate(preferred) !== null ? preferred : BASE_CURRENCY;
+    }
+
+    /**
+     * Record the currency a valuation is shown in alongside its original currency
+     * @param {object} card - Card enriched by API.enrichCardWithPricing
+     * @returns {object} Card with displayCurrency, exchangeRate, displayPrice and ratesDate
+     */
+    function applyDisplayCurrency(card) {
+        const displayCurrency = getDisplayCurrency();
+        const priceCurrency = card.priceCurrency || BASE_CURRENCY;
+        const exchangeRate = convert(1, displayCurrency, priceCurrency);
+
+        return {
+            ...card,
+            displayCurrency,
+            exchangeRate: Number(exchangeRate.toFixed(6)),
+            displayPrice: (parseFloat(card.adjustedPrice) * exchangeRate).toFixed(2),
+            ratesDate: displayCurrency === priceCurrency ? null : current?.date || null
+        };
+    }
+
+    /**
+     * Describe the loaded rates
+     * @returns {object|null} { provider, label, date, fetchedAt, rates } or null when none are loaded
+     */
+    function getStatus() {
+        if (!current) return null;
+        return { ...current, label: PROVIDERS[current.provider]?.label || current.provider };
+    }
+
+    /**
+     * Get the currencies prices can be shown in
+     * @returns {array} Currency codes
+     */
+    function getCurrencies() {
+        return [...CURRENCIES];
+    }
+
+    /**
+     * Get the rate providers
+     * @returns {array} { id, label, defaultUrl }
+     */
+    function getProviders() {
+        return Object.entries(PROVIDERS).map(([id, provider]) => ({
+            id,
+            label: provider.label,
+            defaultUrl: provider.defaultUrl
+        }));
+    }
+
+    // Public API
+    return {
+        BASE_CURRENCY,
+        init,
+        getSource,
+        setSource,
+        refreshRates,
+        getRate,
+        convert,
+        format,
+        getDisplayCurrency,
+        applyDisplayCurrency,
+        getStatus,
+        getCurrencies,
+        getProviders
+    };
+})();
@@ -0,0 +1,40 @@
+/**
+ * File Rate Provider
+ * Reads exchange rates from a JSON file served with the app (rates.json by
+ * default), so prices can still be converted with no connection
+ * The file holds { base, date, rates: { CODE: units per one base unit } };
+ * edit it to set the shop's own rates
+ */
+
+const FileRateProvider = (() => {
+    // File shipped with the app, cached by the service worker
+    const DEFAULT_URL = 'rates.json';
+
+    /**
+     * Load exchange rates from the file
+     * @param {object} options - { url, signal }
+     * @returns {Promise<object>} { success, base, date, rates } or { success: false, message, offline }
+     */
+    async function fetchRates(options = {}) {
+        const url = options.url || DEFAULT_URL;
+        const response = await HttpClient.request(url, {
+            headers: { 'Accept': 'application/json' },
+            retries: 0,
+            signal: options.signal
+        });
+
+        if (!response.success) {
+            return { success: false, offline: response.offline, message: `Could not read the rates file ${url}` };
+        }
+
+        const { base, date, rates } = response.data || {};
+        return { success: true, base, date, rates };
+    }
+
+    // Public API
+    return {
+        label: 'Rates file',
+        defaultUrl: DEFAULT_URL,
+        fetchRates
+    };
+})();
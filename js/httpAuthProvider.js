@@ -0,0 +1,271 @@
+/**
+ * HTTP Auth Provider
+ * Keeps accounts on a shared REST backend so several devices can use them
+ * The server issues a short-lived JWT access token and a refresh token;
+ * see server/auth-server.js for the endpoints
+ */
+
+const HttpAuthProvider = (() => {
+    // Refresh the access token when it has less than this left
+    const REFRESH_MARGIN = 2 * 60 * 1000;
+
+    // Give up on a request after this long
+    const REQUEST_TIMEOUT = 10 * 1000;
+
+    // Server address, e.g. http://localhost:8787
+    let baseUrl = '';
+
+    /**
+     * Set the server address
+     * @param {object} options - { baseUrl }
+     * @returns {Promise}
+     */
+    async function init(options = {}) {
+        baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    }
+
+    /**
+     * Send a JSON request to the auth server
+     * @param {string} path - Endpoint path, e.g. /auth/login
+     * @param {object} options - { method, body, token }
+     * @returns {Promise<object>} { ok, status, data, networkError }
+     */
+    async function request(path, options = {}) {
+        const headers = { 'Accept': 'application/json' };
+        if (options.token) headers['Authorization'] = `Bearer ${options.token}`;
+
+        const response = await HttpClient.request(`${baseUrl}${path}`, {
+            method: options.method || 'GET',
+            headers,
+            body: options.body,
+            timeout: REQUEST_TIMEOUT
+        });
+
+        const { NETWORK, TIMEOUT } = HttpClient.ERRORS;
+        return {
+            ok: response.success,
+            status: response.status,
+            data: response.data || {},
+            networkError: response.errorType === NETWORK || response.errorType === TIMEOUT
+        };
+    }
+
+    /**
+     * Turn a response into a provider result
+     * @param {object} response - Result from request
+     * @param {string} successMessage - Message used on success
+     * @returns {object} Result with success status, message and user (when returned)
+     */
+    function toResult(response, successMessage) {
+        if (!response.ok) {
+            return {
+                success: false,
+                offline: response.networkError,
+                message: response.networkError
+                    ? 'Could not reach the account server'
+                    : response.data.message || `Account server error (${response.status})`
+            };
+        }
+
+        return { success: true, message: successMessage, user: response.data.user };
+    }
+
+    /**
+     * Turn a token response into a provider result
+     * @param {object} response - Result from request
+     * @param {string} successMessage - Message used on success
+     * @returns {object} Result with success status, message, user and credentials
+     */
+    function toAuthResult(response, successMessage) {
+        if (!response.ok) {
+            return toResult(response, successMessage);
+        }
+
+        return {
+            success: true,
+            message: successMessage,
+            user: response.data.user,
+            credentials: {
+                accessToken: response.data.accessToken,
+                refreshToken: response.data.refreshToken,
+                accessExpiresAt: Date.now() + response.data.expiresIn * 1000
+            }
+        };
+    }
+
+    /**
+     * Create a new account on the server
+     * @param {string} name - Full name
+     * @param {string} email - Email address
+     * @param {string} password - Password
+     * @returns {Promise<object>} Result with success status, message, user and credentials
+     */
+    async function signup(name, email, password) {
+        const response = await request('/auth/signup', { method: 'POST', body: { name, email, password } });
+        return toAuthResult(response, 'Account created successfully');
+    }
+
+    /**
+     * Log in on the server
+     * @param {string} email - Email address
+     * @param {string} password - Password
+     * @returns {Promise<object>} Result with success status, message, user and credentials
+     */
+    async function login(email, password) {
+        const response = await request('/auth/login', { method: 'POST', body: { email, password } });
+        return toAuthResult(response, 'Login successful');
+    }
+
+    /**
+     * Revoke the session's refresh token
+     * @param {object} session - Session being ended
+     * @returns {Promise}
+     */
+    async function logout(session) {
+        if (!session.credentials) return;
+
+        await request('/auth/logout', {
+            method: 'POST',
+            token: session.credentials.accessToken,
+            body: { refreshToken: session.credentials.refreshToken }
+        });
+    }
+
+    /**
+     * Swap the refresh token for a new access token when the current one is about to expire
+     * @param {object} session - Current session
+     * @returns {Promise<object>} Result with success status, and the user and credentials when refreshed
+     */
+    async function refreshSession(session) {
+        const credentials = session.credentials;
+        if (!credentials || !credentials.refreshToken) {
+            return { success: false, message: 'Session has no refresh token' };
+        }
+
+        if (credentials.accessExpiresAt - Date.now() > REFRESH_MARGIN) {
+            return { success: true };
+        }
+
+        const response = await request('/auth/refresh', {
+            method: 'POST',
+            body: { refreshToken: credentials.refreshToken }
+        });
+        return toAuthResult(response, 'Session refreshed');
+    }
+
+    /**
+     * Get the profile for a session from the server
+     * @param {object} session - Current session
+     * @returns {Promise<object|null>} Profile or null
+     */
+    async function getProfile(session) {
+        if (!session.credentials) return null;
+
+        const response = await request('/auth/profile', { token: session.credentials.accessToken });
+        return response.ok ? response.data.user : null;
+    }
+
+    /**
+     * Change the name and email of a session's account
+     * @param {object} session - Current session
+     * @param {object} changes - { name, email }
+     * @returns {Promise<object>} Result with success status, message and user
+     */
+    async function updateProfile(session, changes) {
+        const response = await request('/auth/profile', {
+            method: 'PATCH',
+            token: session.credentials?.accessToken,
+            body: { name: changes.name, email: changes.email }
+        });
+        return toResult(response, 'Profile updated');
+    }
+
+    /**
+     * Change a session's password; the server checks the current one
+     * @param {object} session - Current session
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function changePassword(session, currentPassword, newPassword) {
+        const response = await request('/auth/password', {
+            method: 'POST',
+            token: session.credentials?.accessToken,
+            body: { currentPassword, newPassword }
+        });
+        return toResult(response, 'Password changed');
+    }
+
+    /**
+     * Delete a session's account; the server checks the password
+     * @param {object} session - Current session
+     * @param {string} password - Current password
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function deleteAccount(session, password) {
+        const response = await request('/auth/account', {
+            method: 'DELETE',
+            token: session.credentials?.accessToken,
+            body: { password }
+        });
+        return toResult(response, 'Account deleted');
+    }
+
+    /**
+     * List every account
+     * @param {object} session - Current session (the server checks it is an admin)
+     * @returns {Promise<object>} Result with success status and users
+     */
+    async function listUsers(session) {
+        const response = await request('/admin/users', { token: session.credentials?.accessToken });
+        return { ...toResult(response, ''), users: response.data.users };
+    }
+
+    /**
+     * Create an account for someone else
+     * @param {object} session - Current session
+     * @param {object} details - { name, email, password, role }
+     * @returns {Promise<object>} Result with success status, message and user
+     */
+    async function createUser(session, details) {
+        const response = await request('/admin/users', {
+            method: 'POST',
+            token: session.credentials?.accessToken,
+            body: details
+        });
+        return toResult(response, `Account created for ${details.email}`);
+    }
+
+    /**
+     * Change an account's role or disable it
+     * @param {object} session - Current session
+     * @param {string} userId - Account to change
+     * @param {object} changes - Any of { role, disabled }
+     * @returns {Promise<object>} Result with success status, message and user
+     */
+    async function updateUser(session, userId, changes) {
+        const response = await request(`/admin/users/${encodeURIComponent(userId)}`, {
+            method: 'PATCH',
+            token: session.credentials?.accessToken,
+            body: changes
+        });
+        return toResult(response, response.data.user ? `Updated ${response.data.user.email}` : '');
+    }
+
+    // Public API
+    return {
+        name: 'http',
+        init,
+        signup,
+        login,
+        logout,
+        refreshSession,
+        getProfile,
+        updateProfile,
+        changePassword,
+        deleteAccount,
+        listUsers,
+        createUser,
+        updateUser
+    };
+})();
@@ -0,0 +1,431 @@
+/**
+ * HTTP Client Module
+ * One request client for every API the app talks to
+ * Adds timeouts and cancellation (AbortController), retries with jittered
+ * backoff that honors Retry-After, a small queue per host, and sharing of
+ * identical GET requests already in flight
+ * Failures come back as results with an errorType the UI can act on
+ */
+
+const HttpClient = (() => {
+    // Private variables
+    const DEFAULT_TIMEOUT = 15 * 1000;
+    const MAX_RETRIES = 3;
+
+    // Backoff doubles from BACKOFF_BASE up to MAX_BACKOFF; the actual wait is
+    // a random point below it so clients that failed together retry apart
+    const BACKOFF_BASE = 500;
+    const MAX_BACKOFF = 10 * 1000;
+
+    // A Retry-After longer than this is reported instead of waited out
+    const MAX_RETRY_AFTER = 60 * 1000;
+
+    // Requests sent to one host at the same time; the rest wait their turn
+    const MAX_CONCURRENT_PER_HOST = 2;
+
+    // Kinds of failure, in result.errorType
+    const ERRORS = {
+        NETWORK: 'network',
+        TIMEOUT: 'timeout',
+        ABORTED: 'aborted',
+        RATE_LIMITED: 'rate_limited',
+        SERVER: 'server',
+        CLIENT: 'client',
+        PARSE: 'parse'
+    };
+
+    // Queue state per host: { active, waiting, pausedUntil }
+    const hosts = new Map();
+
+    // Shared GET requests by key: { promise, controller, callers }
+    const inFlight = new Map();
+
+    /**
+     * Send a request
+     * Identical GET requests already in flight share one response; the shared
+     * request is only aborted once every caller waiting on it has aborted
+     * @param {string|URL} url - Request URL
+     * @param {object} options - { method, headers, body (sent as JSON), timeout, retries, signal }
+     * @returns {Promise<object>} { success: true, status, data } or
+     *     { success: false, error, errorType, status, data, retryAfter, offline }
+     */
+    function request(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const key = method === 'GET' ? `${url} ${JSON.stringify(options.headers || {})}` : null;
+
+        let shared = key ? inFlight.get(key) : null;
+        if (!shared) {
+            const controller = new AbortController();
+            shared = {
+                key,
+                controller,
+                callers: 0,
+                promise: execute(String(url), { ...options, method }, controller.signal)
+            };
+
+            if (key) {
+                inFlight.set(key, shared);
+                shared.promise.finally(() => {
+                    if (inFlight.get(key) === shared) inFlight.delete(key);
+                });
+            }
+        }
+
+        shared.callers++;
+        return follow(shared, options.signal);
+    }
+
+    /**
+     * Wait for a shared request on behalf of one caller
+     * @param {object} shared - Shared request
+     * @param {AbortSignal} signal - Caller's signal (optional)
+     * @returns {Promise<object>} The request's result, or an aborted result
+     */
+    function follow(shared, signal) {
+        if (!signal) return shared.promise;
+
+        if (signal.aborted) {
+            leave(shared);
+            return Promise.resolve(failure(ERRORS.ABORTED));
+        }
+
+        return new Promise(resolve => {
+            const onAbort = () => {
+                leave(shared);
+                resolve(failure(ERRORS.ABORTED));
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            shared.promise.then(result => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Drop one caller from a shared request, aborting it when none are left
+     * @param {object} shared - Shared request
+     */
+    function leave(shared) {
+        shared.callers--;
+        if (shared.callers === 0) {
+            shared.controller.abort();
+            if (shared.key && inFlight.get(shared.key) === shared) {
+                inFlight.delete(shared.key);
+            }
+        }
+    }
+
+    /**
+     * Send a request, retrying failures that may succeed on a later attempt
+     * @param {string} url - Request URL
+     * @param {object} options - Request options
+     * @param {AbortSignal} signal - Aborts the request and any wait
+     * @returns {Promise<object>} Result
+     */
+    async function execute(url, options, signal) {
+        const host = new URL(url, window.location.href).host;
+        const retries = options.retries ?? MAX_RETRIES;
+
+        for (let attempt = 0; ; attempt++) {
+            const result = await withHostSlot(host, signal, () => send(url, options, signal));
+            if (result.success || signal.aborted) {
+                return result;
+            }
+
+            const delay = attempt < retries ? getRetryDelay(result, attempt, options.method) : null;
+            if (delay === null) {
+                return result;
+            }
+
+            // Other requests to a rate-limited host wait as well
+            if (result.errorType === ERRORS.RATE_LIMITED) {
+                getHost(host).pausedUntil = Date.now() + delay;
+            }
+
+            console.warn(`Retrying ${options.method} ${url} in ${delay} ms (${result.error})`);
+            if (!await sleep(delay, signal)) {
+                return failure(ERRORS.ABORTED);
+            }
+        }
+    }
+
+    /**
+     * Decide whether and when to retry a failed request
+     * Rate limits are retried for any method, since the server did not act on
+     * the request; other failures only for GET, which is safe to repeat
+     * @param {object} result - Failed result
+     * @param {number} attempt - Attempts made so far, minus one
+     * @param {string} method - HTTP method
+     * @returns {number|null} Delay in ms, or null to give up
+     */
+    function getRetryDelay(result, attempt, method) {
+        if (result.errorType === ERRORS.RATE_LIMITED) {
+            const delay = result.retryAfter ?? getBackoff(attempt);
+            return delay <= MAX_RETRY_AFTER ? delay : null;
+        }
+
+        if (method !== 'GET') {
+            return null;
+        }
+
+        if (result.errorType === ERRORS.SERVER || result.errorType === ERRORS.TIMEOUT) {
+            const delay = result.retryAfter ?? getBackoff(attempt);
+            return delay <= MAX_RETRY_AFTER ? delay : null;
+        }
+
+        // Retrying is pointless when the device knows it is offline
+        if (result.errorType === ERRORS.NETWORK && navigator.onLine) {
+            return getBackoff(attempt);
+        }
+
+        return null;
+    }
+
+    /**
+     * Get a jittered exponential backoff delay
+     * @param {number} attempt - Attempts made so far, minus one
+     * @returns {number} Delay in ms
+     */
+    function getBackoff(attempt) {
+        const ceiling = Math.min(MAX_BACKOFF, BACKOFF_BASE * 2 ** attempt);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Make one attempt at a request
+     * @param {string} url - Request URL
+     * @param {object} options - Request options
+     * @param {AbortSignal} signal - Aborts the attempt
+     * @returns {Promise<object>} Result
+     */
+    async function send(url, options, signal) {
+        // The attempt's own controller also fires on timeout
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort);
+
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, options.timeout || DEFAULT_TIMEOUT);
+
+        const headers = { ...options.headers };
+        if (options.body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        try {
+            const response = await fetch(url, {
+                method: options.method,
+                headers,
+                body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+                signal: controller.signal
+            });
+
+            if (response.ok) {
+                const data = await readBody(response);
+                return { success: true, status: response.status, data };
+            }
+
+            const data = await readBody(response).catch(() => null);
+            return failure(getStatusErrorType(response.status), {
+                status: response.status,
+                data,
+                retryAfter: parseRetryAfter(response.headers?.get('Retry-After'))
+            });
+        } catch (error) {
+            if (signal.aborted) return failure(ERRORS.ABORTED);
+            if (timedOut) return failure(ERRORS.TIMEOUT);
+            if (error instanceof SyntaxError) return failure(ERRORS.PARSE);
+
+            console.error(`Request to ${url} failed:`, error);
+            return failure(ERRORS.NETWORK);
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Read a response body as JSON
+     * @param {Response} response - Fetch response
+     * @returns {Promise<*>} Parsed body, or null when empty
+     * @throws {SyntaxError} When the body is not valid JSON
+     */
+    async function readBody(response) {
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Classify an HTTP error status
+     * @param {number} status - HTTP status
+     * @returns {string} Error type
+     */
+    function getStatusErrorType(status) {
+        if (status === 429) return ERRORS.RATE_LIMITED;
+        if (status >= 500) return ERRORS.SERVER;
+        return ERRORS.CLIENT;
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or an HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|null} Delay in ms, or null when missing or invalid
+     */
+    function parseRetryAfter(value) {
+        if (!value) return null;
+
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10) * 1000;
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Build a failed result
+     * @param {string} errorType - One of ERRORS
+     * @param {object} details - { status, data, retryAfter }
+     * @returns {object} Failed result with a message for the user
+     */
+    function failure(errorType, details = {}) {
+        const { status = 0, data = null, retryAfter = null } = details;
+        const messages = {
+            [ERRORS.NETWORK]: 'Could not reach the server. Check your connection.',
+            [ERRORS.TIMEOUT]: 'The server took too long to respond',
+            [ERRORS.ABORTED]: 'Request cancelled',
+            [ERRORS.RATE_LIMITED]: retryAfter
+                ? `Too many requests. Try again in ${Math.ceil(retryAfter / 1000)} seconds.`
+                : 'Too many requests. Try again shortly.',
+            [ERRORS.SERVER]: `Server error (${status})`,
+            [ERRORS.CLIENT]: `Request failed (${status})`,
+            [ERRORS.PARSE]: 'The server sent an invalid response'
+        };
+
+        return {
+            success: false,
+            error: messages[errorType],
+            errorType,
+            status,
+            data,
+            retryAfter,
+            offline: errorType === ERRORS.NETWORK
+        };
+    }
+
+    /**
+     * Get the queue state for a host
+     * @param {string} host - Host name and port
+     * @returns {object} { active, waiting, pausedUntil }
+     */
+    function getHost(host) {
+        if (!hosts.has(host)) {
+            hosts.set(host, { active: 0, waiting: [], pausedUntil: 0 });
+        }
+        return hosts.get(host);
+    }
+
+    /**
+     * Run work once the host has a free slot and is not paused
+     * @param {string} host - Host name and port
+     * @param {AbortSignal} signal - Abandons the wait, leaving the queue straight away
+     * @param {function} work - Returns a Promise of a result
+     * @returns {Promise<object>} Result of the work, or an aborted result
+     */
+    async function withHostSlot(host, signal, work) {
+        const state = getHost(host);
+        if (signal.aborted) {
+            return failure(ERRORS.ABORTED);
+        }
+
+        if (state.active < MAX_CONCURRENT_PER_HOST) {
+            state.active++;
+        } else if (!await waitForSlot(state, signal)) {
+            return failure(ERRORS.ABORTED);
+        }
+
+        try {
+            const pause = state.pausedUntil - Date.now();
+            if (pause > 0 && !await sleep(pause, signal)) {
+                return failure(ERRORS.ABORTED);
+            }
+            if (signal.aborted) {
+                return failure(ERRORS.ABORTED);
+            }
+            return await work();
+        } finally {
+            releaseSlot(state);
+        }
+    }
+
+    /**
+     * Wait in a host's queue until releaseSlot hands over a slot
+     * @param {object} state - Host queue state
+     * @param {AbortSignal} signal - Leaves the queue when aborted
+     * @returns {Promise<boolean>} True when a slot was handed over, false when aborted
+     */
+    function waitForSlot(state, signal) {
+        return new Promise(resolve => {
+            const onAbort = () => {
+                state.waiting.splice(state.waiting.indexOf(grant), 1);
+                resolve(false);
+            };
+            const grant = () => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(true);
+            };
+
+            state.waiting.push(grant);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Free a host slot, handing it to the next waiting request
+     * @param {object} state - Host queue state
+     */
+    function releaseSlot(state) {
+        const next = state.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            state.active--;
+        }
+    }
+
+    /**
+     * Wait, unless aborted first
+     * @param {number} ms - Delay
+     * @param {AbortSignal} signal - Ends the wait early
+     * @returns {Promise<boolean>} True when the full delay passed
+     */
+    function sleep(ms, signal) {
+        return new Promise(resolve => {
+            if (signal.aborted) {
+                resolve(false);
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve(false);
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(true);
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // Public API
+    return {
+        ERRORS,
+        request
+    };
+})();
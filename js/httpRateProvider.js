@@ -0,0 +1,55 @@
+/**
+ * HTTP Rate Provider
+ * Loads daily exchange rates from a currency API
+ * Defaults to Frankfurter (European Central Bank reference rates, no key
+ * needed); any API answering { base, date, rates } works, as do APIs that
+ * name the base "base_code"
+ */
+
+const HttpRateProvider = (() => {
+    const DEFAULT_URL = 'https://api.frankfurter.app/latest?from=USD';
+
+    // Give up on a request after this long
+    const REQUEST_TIMEOUT = 10 * 1000;
+
+    /**
+     * Load exchange rates from the API
+     * @param {object} options - { url, signal }
+     * @returns {Promise<object>} { success, base, date, rates } or { success: false, message, offline }
+     */
+    async function fetchRates(options = {}) {
+        const url = options.url || DEFAULT_URL;
+        console.log('Fetching exchange rates:', url);
+
+        const response = await HttpClient.request(url, {
+            headers: { 'Accept': 'application/json' },
+            timeout: REQUEST_TIMEOUT,
+            signal: options.signal
+        });
+
+        if (!response.success) {
+            return {
+                success: false,
+                offline: response.offline,
+                message: response.offline
+                    ? 'Could not reach the exchange rate service'
+                    : `Exchange rate service error (${response.status || response.error})`
+            };
+        }
+
+        const data = response.data || {};
+        return {
+            success: true,
+            base: data.base || data.base_code,
+            date: data.date || data.time_last_update_utc || null,
+            rates: data.rates
+        };
+    }
+
+    // Public API
+    return {
+        label: 'Exchange rate service',
+        defaultUrl: DEFAULT_URL,
+        fetchRates
+    };
+})();
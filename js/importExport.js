@@ -0,0 +1,342 @@
+/**
+ * Import/Export Module
+ * Converts valuations, batches and the collection to CSV or JSON,
+ * and reads CSV files into rows that can be valued in batch
+ */
+
+const ImportExport = (() => {
+    // Card fields written for every exported card, in column order
+    const CARD_COLUMNS = [
+        { key: 'id', label: 'Card ID' },
+        { key: 'name', label: 'Name' },
+        { key: 'set', label: 'Set' },
+        { key: 'setCode', label: 'Set Code' },
+        { key: 'number', label: 'Number' },
+        { key: 'rarity', label: 'Rarity' },
+        { key: 'type', label: 'Type' },
+        { key: 'hp', label: 'HP' },
+        { key: 'condition', label: 'Condition' },
+        { key: 'variant', label: 'Variant' },
+        { key: 'basePrice', label: 'Base Price' },
+        { key: 'conditionMultiplier', label: 'Condition Multiplier' },
+        { key: 'estimatedValue', label: 'Estimated Value' },
+        { key: 'cashOffer', label: 'Cash Offer' },
+        { key: 'creditOffer', label: 'Credit Offer' },
+        { key: 'currency', label: 'Currency' },
+        { key: 'displayCurrency', label: 'Display Currency' },
+        { key: 'exchangeRate', label: 'Exchange Rate' },
+        { key: 'displayValue', label: 'Display Value' },
+        { key: 'priceSource', label: 'Price Source' },
+        { key: 'isMockPrice', label: 'Mock Price' },
+        { key: 'priceUpdatedAt', label: 'Price Updated' },
+        { key: 'imageUrl', label: 'Image URL' }
+    ];
+
+    // Extra columns for batch exports
+    const BATCH_COLUMNS = [
+        { key: 'line', label: 'Line' },
+        { key: 'input', label: 'Input' },
+        { key: 'status', label: 'Status' },
+        { key: 'quantity', label: 'Quantity' },
+        ...CARD_COLUMNS,
+        { key: 'reasons', label: 'Review Notes' }
+    ];
+
+    // Extra columns for collection exports
+    const COLLECTION_COLUMNS = [
+        ...CARD_COLUMNS,
+        { key: 'quantity', label: 'Quantity' },
+        { key: 'totalValue', label: 'Total Value' },
+        { key: 'purchasePrice', label: 'Purchase Price' },
+        { key: 'notes', label: 'Notes' },
+        { key: 'addedAt', label: 'Added' }
+    ];
+
+    // Text starting with one of these is read as a formula by spreadsheets,
+    // unless it is just a number such as "-3.50"
+    const FORMULA_START = /^[=+\-@\t\r]/;
+    const PLAIN_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+    // Header names recognized for each import field
+    const IMPORT_FIELDS = {
+        name: ['name', 'card name', 'card', 'pokemon', 'product name'],
+        set: ['set', 'set name', 'set code', 'expansion'],
+        number: ['number', 'card number', 'no', 'no.', '#', 'collector number'],
+        condition: ['condition', 'cond', 'grade'],
+        quantity: ['qty', 'quantity', 'count', 'amount']
+    };
+
+    /**
+     * Flatten an enriched card into an export record
+     * @param {object} card - Card from API.enrichCardWithPricing
+     * @returns {object} Export record
+     */
+    function cardToRecord(card) {
+        return {
+            id: card.id,
+            name: card.name,
+            set: card.set,
+            setCode: card.setCode,
+            number: card.number,
+            rarity: card.rarity,
+            type: card.type,
+            hp: card.hp,
+            condition: card.selectedCondition,
+            variant: card.variant || '',
+            basePrice: card.basePrice,
+            conditionMultiplier: card.conditionMultiplier,
+            estimatedValue: card.adjustedPrice,
+            cashOffer: card.buylistOffer ? card.buylistOffer.cash : '',
+            creditOffer: card.buylistOffer ? card.buylistOffer.credit : '',
+            // Prices above are in the original currency; the display value is what the user was shown
+            currency: card.priceCurrency || Currency.BASE_CURRENCY,
+            displayCurrency: card.displayCurrency || card.priceCurrency || Currency.BASE_CURRENCY,
+            exchangeRate: card.exchangeRate ?? 1,
+            displayValue: card.displayPrice ?? card.adjustedPrice,
+            priceSource: card.priceSource,
+            isMockPrice: Boolean(card.isMockPrice),
+            priceUpdatedAt: card.priceUpdatedAt,
+            imageUrl: card.imageUrl
+        };
+    }
+
+    /**
+     * Export a single valuation
+     * @param {object} card - Enriched card
+     * @param {string} format - 'csv' or 'json'
+     * @returns {object} File description { filename, mimeType, content }
+     */
+    function exportValuation(card, format) {
+        const record = cardToRecord(card);
+        const name = `valuation-${slugify(card.name)}-${dateStamp()}`;
+        return buildFile(name, format, [record], CARD_COLUMNS);
+    }
+
+    /**
+     * Export batch results
+     * @param {array} results - Results from Batch.run
+     * @param {string} format - 'csv' or 'json'
+     * @returns {object} File description
+     */
+    function exportBatch(results, format) {
+        const records = results.map(result => ({
+            line: result.row.lineNumber,
+            input: result.row.input,
+            status: result.status,
+            quantity: result.row.quantity || 1,
+            ...(result.card ? cardToRecord(result.card) : { name: result.row.name }),
+            reasons: result.reasons.join('; ')
+        }));
+        return buildFile(`batch-${dateStamp()}`, format, records, BATCH_COLUMNS);
+    }
+
+    /**
+     * Export collection items
+     * @param {array} items - Items from Inventory.getItems
+     * @param {string} format - 'csv' or 'json'
+     * @returns {object} File description
+     */
+    function exportCollection(items, format) {
+        const records = items.map(item => ({
+            ...cardToRecord(item.card),
+            quantity: item.quantity,
+            totalValue: Inventory.getItemValue(item).toFixed(2),
+            purchasePrice: item.purchasePrice,
+            notes: item.notes,
+            addedAt: item.addedAt
+        }));
+        return buildFile(`collection-${dateStamp()}`, format, records, COLLECTION_COLUMNS);
+    }
+
+    /**
+     * Build a file description in the requested format
+     * @param {string} name - File name without extension
+     * @param {string} format - 'csv' or 'json'
+     * @param {array} records - Export records
+     * @param {array} columns - CSV columns
+     * @returns {object} File description
+     */
+    function buildFile(name, format, records, columns) {
+        if (format === 'json') {
+            return {
+                filename: `${name}.json`,
+                mimeType: 'application/json',
+                content: JSON.stringify({ exportedAt: new Date().toISOString(), records }, null, 2)
+            };
+        }
+
+        return {
+            filename: `${name}.csv`,
+            mimeType: 'text/csv',
+            content: toCsv(records, columns)
+        };
+    }
+
+    /**
+     * Convert records to CSV text
+     * @param {array} records - Export records
+     * @param {array} columns - Columns to write
+     * @returns {string} CSV text
+     */
+    function toCsv(records, columns) {
+        const header = columns.map(column => escapeCsvValue(column.label)).join(',');
+        const lines = records.map(record =>
+            columns.map(column => escapeCsvValue(record[column.key])).join(',')
+        );
+        return [header, ...lines].join('\r\n');
+    }
+
+    /**
+     * Escape a value for CSV
+     * Text a spreadsheet would run as a formula (notes, names, imported values)
+     * gets a leading apostrophe so it is shown as typed
+     * @param {*} value - Value to write
+     * @returns {string} CSV field
+     */
+    function escapeCsvValue(value) {
+        if (value === null || value === undefined) return '';
+
+        const text = String(value);
+        if (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) {
+            return `"'${text.replace(/"/g, '""')}"`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Parse CSV text into rows of fields
+     * Handles quoted fields, escaped quotes and line breaks inside quotes
+     * @param {string} text - CSV text
+     * @returns {array} Array of rows, each an array of fields
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const source = String(text || '').replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(r => r.some(value => value.trim()));
+    }
+
+    /**
+     * Guess which CSV column holds each import field
+     * @param {array} headers - Header row
+     * @returns {object} Map of field to column index (-1 when not found)
+     */
+    function detectColumns(headers) {
+        const normalized = headers.map(header => header.trim().toLowerCase());
+        const mapping = {};
+
+        Object.keys(IMPORT_FIELDS).forEach(field => {
+            mapping[field] = normalized.findIndex(header => IMPORT_FIELDS[field].includes(header));
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Turn parsed CSV data into batch rows using a column mapping
+     * Each row gets an error message when it cannot be valued
+     * @param {array} table - Parsed CSV rows, header first
+     * @param {object} mapping - Map of field to column index
+     * @param {string} defaultCondition - Condition used when the column is empty
+     * @returns {array} Rows ready for Batch.run
+     */
+    function buildImportRows(table, mapping, defaultCondition = 'Near Mint') {
+        const getField = (values, field) =>
+            mapping[field] >= 0 ? String(values[mapping[field]] || '').trim() : '';
+
+        return table.slice(1).map((values, index) => {
+            const name = getField(values, 'name');
+            const conditionText = getField(values, 'condition');
+            const quantityText = getField(values, 'quantity');
+            const condition = conditionText ? Batch.normalizeCondition(conditionText) : defaultCondition;
+            const quantity = quantityText ? Number(quantityText) : 1;
+
+            let error = null;
+            if (mapping.name < 0) {
+                error = 'No name column selected';
+            } else if (!name) {
+                error = 'Missing card name';
+            } else if (!condition) {
+                error = `Unknown condition "${conditionText}"`;
+            } else if (!Number.isInteger(quantity) || quantity < 1) {
+                error = `Invalid quantity "${quantityText}"`;
+            }
+
+            return {
+                lineNumber: index + 2,
+                input: values.join(', '),
+                name,
+                set: getField(values, 'set'),
+                number: getField(values, 'number'),
+                condition,
+                quantity: error ? 1 : quantity,
+                error
+            };
+        });
+    }
+
+    /**
+     * Make text safe for use in a file name
+     * @param {string} text - Text
+     * @returns {string} Slug
+     */
+    function slugify(text) {
+        return String(text || 'card').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'card';
+    }
+
+    /**
+     * Get today's date for file names
+     * @returns {string} YYYY-MM-DD
+     */
+    function dateStamp() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    // Public API
+    return {
+        IMPORT_FIELDS: Object.keys(IMPORT_FIELDS),
+        exportValuation,
+        exportBatch,
+        exportCollection,
+        parseCsv,
+        detectColumns,
+        buildImportRows
+    };
+})();
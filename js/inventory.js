@@ -0,0 +1,250 @@
+/**
+ * Inventory Module
+ * Keeps each user's collection of valued cards
+ * Stored in localStorage under nashCards_inventory_<user id>
+ */
+
+const Inventory = (() => {
+    // Private variables
+    const STORAGE_PREFIX = 'nashCards_inventory_';
+
+    /**
+     * Get the storage key for the logged in user
+     * @returns {string|null} Storage key or null if not logged in
+     */
+    function getStorageKey() {
+        const session = Auth.getSession();
+        return session ? `${STORAGE_PREFIX}${session.id}` : null;
+    }
+
+    /**
+     * Get the logged in user's items from localStorage
+     * @returns {array} Collection items
+     */
+    function getStoredItems() {
+        const key = getStorageKey();
+        if (!key) return [];
+
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    /**
+     * Save the logged in user's items to localStorage
+     * @param {array} items - Collection items
+     */
+    function setStoredItems(items) {
+        const key = getStorageKey();
+        if (key) {
+            localStorage.setItem(key, JSON.stringify(items));
+        }
+    }
+
+    /**
+     * Get all items in the collection, newest first
+     * @returns {array} Collection items
+     */
+    function getItems() {
+        return getStoredItems().sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+    }
+
+    /**
+     * Get a single collection item
+     * @param {string} itemId - Item ID
+     * @returns {object|null} Item or null if not found
+     */
+    function getItem(itemId) {
+        return getStoredItems().find(item => item.id === itemId) || null;
+    }
+
+    /**
+     * Add a valued card to the collection
+     * @param {object} card - Card enriched by API.enrichCardWithPricing
+     * @param {object} details - { quantity, purchasePrice, notes }
+     * @returns {object} Result with success status and message
+     */
+    function addItem(card, details = {}) {
+        if (!Auth.isLoggedIn()) {
+            return { success: false, message: 'You must be logged in to save cards' };
+        }
+
+        if (!card || !card.selectedCondition) {
+            return { success: false, message: 'Value a card before adding it to your collection' };
+        }
+
+        const validation = validateDetails(details);
+        if (!validation.success) {
+            return validation;
+        }
+
+        const now = new Date().toISOString();
+        const item = {
+            id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            card,
+            condition: card.selectedCondition,
+            quantity: validation.quantity,
+            purchasePrice: validation.purchasePrice,
+            notes: validation.notes,
+            addedAt: now,
+            updatedAt: now
+        };
+
+        const items = getStoredItems();
+        items.push(item);
+        setStoredItems(items);
+
+        return { success: true, message: 'Card added to collection', item };
+    }
+
+    /**
+     * Update a collection item
+     * Changing the condition re-prices the card from its stored prices
+     * @param {string} itemId - Item ID
+     * @param {object} changes - { condition, quantity, purchasePrice, notes }
+     * @returns {object} Result with success status and message
+     */
+    function updateItem(itemId, changes = {}) {
+        const items = getStoredItems();
+        const item = items.find(i => i.id === itemId);
+
+        if (!item) {
+            return { success: false, message: 'Item not found' };
+        }
+
+        const validation = validateDetails({ ...item, ...changes });
+        if (!validation.success) {
+            return validation;
+        }
+
+        if (changes.condition && changes.condition !== item.condition) {
+            const repriced = API.enrichCardWithPricing(item.card, changes.condition);
+            item.card = Currency.applyDisplayCurrency(Buylist.applyOffer(repriced));
+            item.condition = changes.condition;
+        }
+
+        item.quantity = validation.quantity;
+        item.purchasePrice = validation.purchasePrice;
+        item.notes = validation.notes;
+        item.updatedAt = new Date().toISOString();
+
+        setStoredItems(items);
+
+        return { success: true, message: 'Item updated', item };
+    }
+
+    /**
+     * Replace an item's prices with a fresh lookup
+     * Ignored when the item's condition changed while the lookup ran, or when
+     * the lookup priced another variant (its prices were no longer found);
+     * items saved before variants were tracked take the variant priced
+     * @param {string} itemId - Item ID
+     * @param {object} pricedCard - Card re-priced by API.priceCard
+     * @returns {object} Result with success status and message
+     */
+    function updatePrice(itemId, pricedCard) {
+        const items = getStoredItems();
+        const item = items.find(i => i.id === itemId);
+
+        if (!item || item.condition !== pricedCard.selectedCondition ||
+            (item.card.variant && item.card.variant !== pricedCard.variant)) {
+            return { success: false, message: 'Item not found' };
+        }
+
+        item.card = Currency.applyDisplayCurrency(Buylist.applyOffer(pricedCard));
+        setStoredItems(items);
+
+        return { success: true, message: 'Price updated', item };
+    }
+
+    /**
+     * Remove an item from the collection
+     * @param {string} itemId - Item ID
+     * @returns {object} Result with success status and message
+     */
+    function removeItem(itemId) {
+        const items = getStoredItems();
+        const remaining = items.filter(item => item.id !== itemId);
+
+        if (remaining.length === items.length) {
+            return { success: false, message: 'Item not found' };
+        }
+
+        setStoredItems(remaining);
+        return { success: true, message: 'Item removed' };
+    }
+
+    /**
+     * Get the estimated value of one item (unit value × quantity)
+     * @param {object} item - Collection item
+     * @returns {number} Estimated value
+     */
+    function getItemValue(item) {
+        return (parseFloat(item.card.adjustedPrice) || 0) * item.quantity;
+    }
+
+    /**
+     * Get collection totals
+     * @returns {object} { itemCount, cardCount, estimatedValue, purchaseTotal }
+     */
+    function getSummary() {
+        const items = getStoredItems();
+
+        return items.reduce((summary, item) => ({
+            itemCount: summary.itemCount + 1,
+            cardCount: summary.cardCount + item.quantity,
+            estimatedValue: summary.estimatedValue + getItemValue(item),
+            purchaseTotal: summary.purchaseTotal + (item.purchasePrice || 0) * item.quantity
+        }), { itemCount: 0, cardCount: 0, estimatedValue: 0, purchaseTotal: 0 });
+    }
+
+    /**
+     * Delete a user's whole collection
+     * @param {string} userId - User ID
+     */
+    function removeUserData(userId) {
+        localStorage.removeItem(`${STORAGE_PREFIX}${userId}`);
+    }
+
+    /**
+     * Validate and normalize quantity, purchase price and notes
+     * @param {object} details - Raw values
+     * @returns {object} Result with success status and normalized values
+     */
+    function validateDetails(details) {
+        const quantity = details.quantity === undefined || details.quantity === ''
+            ? 1
+            : Number(details.quantity);
+
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return { success: false, message: 'Quantity must be a whole number of at least 1' };
+        }
+
+        let purchasePrice = null;
+        if (details.purchasePrice !== undefined && details.purchasePrice !== null && details.purchasePrice !== '') {
+            purchasePrice = Number(details.purchasePrice);
+            if (!Number.isFinite(purchasePrice) || purchasePrice < 0) {
+                return { success: false, message: 'Purchase price must be a positive number' };
+            }
+        }
+
+        return {
+            success: true,
+            quantity,
+            purchasePrice,
+            notes: String(details.notes || '').trim()
+        };
+    }
+
+    // Public API
+    return {
+        getItems,
+        getItem,
+        addItem,
+        updateItem,
+        updatePrice,
+        removeItem,
+        getItemValue,
+        getSummary,
+        removeUserData
+    };
+})();
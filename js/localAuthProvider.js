@@ -0,0 +1,511 @@
+/**
+ * Local Auth Provider
+ * Keeps accounts in this browser's localStorage (the default backend)
+ * Passwords are stored as salted PBKDF2 hashes (Web Crypto)
+ * The first account becomes the admin (the demo account is staff and does
+ * not count); later signups are staff
+ */
+
+const LocalAuthProvider = (() => {
+    // Private variables
+    const STORAGE_KEY = 'nashCards_users';
+
+    // Password hashing (PBKDF2-HMAC-SHA256)
+    const HASH_ITERATIONS = 600000;
+    const SALT_BYTES = 16;
+
+    // Demo account, only created in demo mode
+    const DEMO_USER = {
+        id: '1',
+        name: 'Demo User',
+        email: 'demo@example.com',
+        password: 'password123',
+        role: 'staff'
+    };
+
+    /**
+     * Prepare the user store
+     * @param {object} options - { demoMode: seed the demo account }
+     * @returns {Promise}
+     */
+    async function init(options = {}) {
+        const users = getStoredUsers() || [];
+
+        if (options.demoMode) {
+            const existing = users.find(isDemoUser);
+            if (existing && existing.role !== DEMO_USER.role) {
+                // Older demo accounts were admins; anyone knowing the demo password could manage users
+                existing.role = DEMO_USER.role;
+                setStoredUsers(users);
+            } else if (!existing) {
+                users.push({
+                    id: DEMO_USER.id,
+                    name: DEMO_USER.name,
+                    email: DEMO_USER.email,
+                    role: DEMO_USER.role,
+                    ...await hashPassword(DEMO_USER.password)
+                });
+                setStoredUsers(users);
+                console.log('Demo mode: demo account created');
+            }
+        } else {
+            // The demo password is public, so a demo account left over from
+            // demo mode (or seeded by older versions) must not stay usable
+            const remaining = users.filter(user => !isDemoUser(user));
+            if (remaining.length !== users.length) {
+                setStoredUsers(remaining);
+                console.log('Removed demo account');
+            }
+        }
+
+        migrateRoles();
+    }
+
+    /**
+     * Give users from older versions a role
+     * Everyone becomes staff, except the first account which becomes the
+     * admin when there is none, so someone can still manage users
+     * The demo account never takes that place
+     */
+    function migrateRoles() {
+        const users = getStoredUsers() || [];
+        const first = users.find(user => !isDemoUser(user));
+        const needsAdmin = Boolean(first) && !users.some(user => user.role === 'admin');
+        if (!needsAdmin && users.every(user => user.role)) return;
+
+        users.forEach(user => {
+            user.role = user.role || 'staff';
+        });
+        if (needsAdmin) {
+            first.role = 'admin';
+            console.log('Made the first account an admin:', first.email);
+        }
+
+        setStoredUsers(users);
+    }
+
+    /**
+     * Check whether a user is the demo account, hashed or from older versions
+     * @param {object} user - Stored user
+     * @returns {boolean}
+     */
+    function isDemoUser(user) {
+        return isDemoEmail(user.email);
+    }
+
+    /**
+     * Check whether an email is the demo account's, which no other account may use
+     * (the demo account is removed whenever demo mode is off)
+     * @param {string} email - Email address
+     * @returns {boolean}
+     */
+    function isDemoEmail(email) {
+        return String(email || '').trim().toLowerCase() === DEMO_USER.email;
+    }
+
+    /**
+     * Get all stored users from localStorage
+     */
+    function getStoredUsers() {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    /**
+     * Set users in localStorage
+     */
+    function setStoredUsers(users) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(users));
+    }
+
+    /**
+     * Hash a password with a new or given salt
+     * @param {string} password - Password
+     * @param {string} salt - Hex salt (generated when omitted)
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<object>} { passwordHash, salt, iterations }
+     */
+    async function hashPassword(password, salt = null, iterations = HASH_ITERATIONS) {
+        const saltHex = salt || toHex(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(saltHex), iterations },
+            key,
+            256
+        );
+
+        return { passwordHash: toHex(new Uint8Array(bits)), salt: saltHex, iterations };
+    }
+
+    /**
+     * Check a password against a stored user
+     * Users from older versions (plaintext password) are checked directly
+     * @param {object} user - Stored user
+     * @param {string} password - Password to check
+     * @returns {Promise<boolean>}
+     */
+    async function verifyPassword(user, password) {
+        if (user.passwordHash) {
+            const { passwordHash } = await hashPassword(password, user.salt, user.iterations);
+            return constantTimeEqual(passwordHash, user.passwordHash);
+        }
+
+        return typeof user.password === 'string' && constantTimeEqual(user.password, password);
+    }
+
+    /**
+     * Compare two strings without stopping at the first difference
+     * @param {string} a
+     * @param {string} b
+     * @returns {boolean}
+     */
+    function constantTimeEqual(a, b) {
+        if (a.length !== b.length) return false;
+
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    /**
+     * Convert bytes to a hex string
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     */
+    function toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Convert a hex string to bytes
+     * @param {string} hex
+     * @returns {Uint8Array}
+     */
+    function fromHex(hex) {
+        return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+    }
+
+    /**
+     * Strip password data from a stored user
+     * @param {object} user - Stored user
+     * @returns {object} Public user fields
+     */
+    function toPublicUser(user) {
+        const { password, passwordHash, salt, iterations, ...profile } = user;
+        return { ...profile, role: profile.role || 'staff', disabled: Boolean(profile.disabled) };
+    }
+
+    /**
+     * Check whether a user is the only admin who can still log in
+     * @param {array} users - Stored users
+     * @param {object} user - User to check
+     * @returns {boolean}
+     */
+    function isLastAdmin(users, user) {
+        const activeAdmins = users.filter(u => u.role === 'admin' && !u.disabled);
+        return activeAdmins.length === 1 && activeAdmins[0].id === user.id;
+    }
+
+    /**
+     * Check that a session belongs to an active admin
+     * @param {array} users - Stored users
+     * @param {object} session - Current session
+     * @returns {object|null} Failure result, or null when allowed
+     */
+    function requireAdmin(users, session) {
+        const admin = users.find(u => u.id === session.id);
+        if (!admin || admin.disabled || admin.role !== 'admin') {
+            return { success: false, message: 'Only admins can manage users' };
+        }
+        return null;
+    }
+
+    /**
+     * Create a new account
+     * @param {string} name - Full name
+     * @param {string} email - Email address
+     * @param {string} password - Password
+     * @returns {Promise<object>} Result with success status, message and user
+     */
+    async function signup(name, email, password) {
+        const users = getStoredUsers() || [];
+
+        // Check if email already exists
+        if (users.some(user => user.email === email)) {
+            return { success: false, message: 'Email already registered' };
+        }
+
+        if (isDemoEmail(email)) {
+            return { success: false, message: 'This email is reserved for the demo account' };
+        }
+
+        const newUser = {
+            id: Date.now().toString(),
+            name,
+            email,
+            role: users.every(isDemoUser) ? 'admin' : 'staff',
+            ...await hashPassword(password)
+        };
+
+        users.push(newUser);
+        setStoredUsers(users);
+
+        return { success: true, message: 'Account created successfully', user: toPublicUser(newUser) };
+    }
+
+    /**
+     * Check an email and password
+     * @param {string} email - Email address
+     * @param {string} password - Password
+     * @returns {Promise<object>} Result with success status, message and user
+     */
+    async function login(email, password) {
+        const users = getStoredUsers() || [];
+        const user = users.find(u => u.email === email);
+
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
+
+        if (!await verifyPassword(user, password)) {
+            return { success: false, message: 'Invalid password' };
+        }
+
+        if (user.disabled) {
+            return { success: false, message: 'This account has been disabled' };
+        }
+
+        // Migrate users from older versions to a hashed password
+        if (!user.passwordHash) {
+            Object.assign(user, await hashPassword(password));
+            delete user.password;
+            setStoredUsers(users);
+            console.log('Migrated password to hashed storage for:', user.email);
+        }
+
+        return { success: true, message: 'Login successful', user: toPublicUser(user) };
+    }
+
+    /**
+     * End a session
+     * Local sessions hold no tokens, so there is nothing to revoke
+     * @returns {Promise}
+     */
+    async function logout() {}
+
+    /**
+     * Check that a session's account still exists
+     * @param {object} session - Current session
+     * @returns {Promise<object>} Result with success status and the current user
+     */
+    async function refreshSession(session) {
+        const user = (getStoredUsers() || []).find(u => u.id === session.id);
+        if (!user) {
+            return { success: false, message: 'Account no longer exists' };
+        }
+
+        if (user.disabled) {
+            return { success: false, message: 'This account has been disabled' };
+        }
+
+        return { success: true, user: toPublicUser(user) };
+    }
+
+    /**
+     * Get the profile for a session
+     * @param {object} session - Current session
+     * @returns {Promise<object|null>} Profile (without password data) or null
+     */
+    async function getProfile(session) {
+        const user = (getStoredUsers() || []).find(u => u.id === session.id);
+        return user ? toPublicUser(user) : null;
+    }
+
+    /**
+     * Change the name and email of a session's account
+     * @param {object} session - Current session
+     * @param {object} changes - { name, email }
+     * @returns {Promise<object>} Result with success status, message and user
+     */
+    async function updateProfile(session, changes) {
+        const users = getStoredUsers() || [];
+        const user = users.find(u => u.id === session.id);
+        if (!user) {
+            return { success: false, message: 'Account no longer exists' };
+        }
+
+        if (users.some(u => u.id !== user.id && u.email === changes.email)) {
+            return { success: false, message: 'Email already registered' };
+        }
+
+        if (isDemoUser(user) && !isDemoEmail(changes.email)) {
+            return { success: false, message: 'The demo account\'s email cannot be changed' };
+        }
+
+        if (!isDemoUser(user) && isDemoEmail(changes.email)) {
+            return { success: false, message: 'This email is reserved for the demo account' };
+        }
+
+        user.name = changes.name;
+        user.email = changes.email;
+        setStoredUsers(users);
+
+        return { success: true, message: 'Profile updated', user: toPublicUser(user) };
+    }
+
+    /**
+     * Change a session's password after checking the current one
+     * @param {object} session - Current session
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function changePassword(session, currentPassword, newPassword) {
+        const users = getStoredUsers() || [];
+        const user = users.find(u => u.id === session.id);
+        if (!user) {
+            return { success: false, message: 'Account no longer exists' };
+        }
+
+        if (!await verifyPassword(user, currentPassword)) {
+            return { success: false, message: 'Current password is incorrect' };
+        }
+
+        Object.assign(user, await hashPassword(newPassword));
+        delete user.password;
+        setStoredUsers(users);
+
+        return { success: true, message: 'Password changed' };
+    }
+
+    /**
+     * Delete a session's account after checking its password
+     * @param {object} session - Current session
+     * @param {string} password - Current password
+     * @returns {Promise<object>} Result with success status and message
+     */
+    async function deleteAccount(session, password) {
+        const users = getStoredUsers() || [];
+        const user = users.find(u => u.id === session.id);
+        if (!user) {
+            return { success: false, message: 'Account no longer exists' };
+        }
+
+        if (!await verifyPassword(user, password)) {
+            return { success: false, message: 'Password is incorrect' };
+        }
+
+        if (isLastAdmin(users, user)) {
+            return { success: false, message: 'Make another account an admin before deleting the last admin' };
+        }
+
+        setStoredUsers(users.filter(u => u.id !== user.id));
+        return { success: true, message: 'Account deleted' };
+    }
+
+    /**
+     * List every account
+     * @param {object} session - Current session (must be an admin)
+     * @returns {Promise<object>} Result with success status and users
+     */
+    async function listUsers(session) {
+        const users = getStoredUsers() || [];
+        const denied = requireAdmin(users, session);
+        if (denied) return denied;
+
+        return { success: true, users: users.map(toPublicUser) };
+    }
+
+    /**
+     * Create an account for someone else
+     * @param {object} session - Current session (must be an admin)
+     * @param {object} details - { name, email, password, role }
+     * @returns {Promise<object>} Result with success status, message and user
+     */
+    async function createUser(session, details) {
+        const users = getStoredUsers() || [];
+        const denied = requireAdmin(users, session);
+        if (denied) return denied;
+
+        if (users.some(user => user.email === details.email)) {
+            return { success: false, message: 'Email already registered' };
+        }
+
+        if (isDemoEmail(details.email)) {
+            return { success: false, message: 'This email is reserved for the demo account' };
+        }
+
+        const newUser = {
+            id: Date.now().toString(),
+            name: details.name,
+            email: details.email,
+            role: details.role,
+            ...await hashPassword(details.password)
+        };
+
+        users.push(newUser);
+        setStoredUsers(users);
+
+        return { success: true, message: `Account created for ${newUser.email}`, user: toPublicUser(newUser) };
+    }
+
+    /**
+     * Change an account's role or disable it
+     * @param {object} session - Current session (must be an admin)
+     * @param {string} userId - Account to change
+     * @param {object} changes - Any of { role, disabled }
+     * @returns {Promise<object>} Result with success status, message and user
+     */
+    async function updateUser(session, userId, changes) {
+        const users = getStoredUsers() || [];
+        const denied = requireAdmin(users, session);
+        if (denied) return denied;
+
+        const user = users.find(u => u.id === userId);
+        if (!user) {
+            return { success: false, message: 'User not found' };
+        }
+
+        if (changes.role !== undefined && changes.role !== 'staff' && isDemoUser(user)) {
+            return { success: false, message: 'The demo account can only be staff' };
+        }
+
+        const losesAdmin = (changes.role !== undefined && changes.role !== 'admin') || changes.disabled === true;
+        if (losesAdmin && isLastAdmin(users, user)) {
+            return { success: false, message: 'At least one active admin is required' };
+        }
+
+        if (changes.role !== undefined) user.role = changes.role;
+        if (changes.disabled !== undefined) user.disabled = changes.disabled;
+        setStoredUsers(users);
+
+        return { success: true, message: `Updated ${user.email}`, user: toPublicUser(user) };
+    }
+
+    // Public API
+    return {
+        name: 'local',
+        init,
+        signup,
+        login,
+        logout,
+        refreshSession,
+        getProfile,
+        updateProfile,
+        changePassword,
+        deleteAccount,
+        listUsers,
+        createUser,
+        updateUser
+    };
+})();
@@ -0,0 +1,102 @@
+/**
+ * Preferences Module
+ * Per-user settings: default condition, display currency and own buylist tiers
+ * Stored in localStorage under nashCards_preferences_<user id>
+ */
+
+const Preferences = (() => {
+    // Private variables
+    const STORAGE_PREFIX = 'nashCards_preferences_';
+
+    const DEFAULTS = {
+        // Condition pre-selected for new valuations ('' asks every time)
+        defaultCondition: '',
+        currency: 'USD',
+        // Own price tiers for buylist offers, managers only (null uses the shop rates)
+        buylistTiers: null
+    };
+
+    /**
+     * Get the storage key for the logged in user
+     * @returns {string|null} Storage key or null if not logged in
+     */
+    function getStorageKey() {
+        const session = Auth.getSession();
+        return session ? `${STORAGE_PREFIX}${session.id}` : null;
+    }
+
+    /**
+     * Get the logged in user's preferences, falling back to the defaults
+     * @returns {object} { defaultCondition, currency, buylistTiers }
+     */
+    function get() {
+        const key = getStorageKey();
+        const stored = key ? localStorage.getItem(key) : null;
+        return { ...DEFAULTS, ...(stored ? JSON.parse(stored) : {}) };
+    }
+
+    /**
+     * Validate and save preference changes for the logged in user
+     * @param {object} changes - Any of { defaultCondition, currency, buylistTiers }
+     * @returns {object} Result with success status and message
+     */
+    function save(changes) {
+        const key = getStorageKey();
+        if (!key) {
+            return { success: false, message: 'You must be logged in to save preferences' };
+        }
+
+        const preferences = { ...get(), ...changes };
+
+        if (preferences.defaultCondition && Conditions.parse(preferences.defaultCondition)?.type !== 'raw') {
+            return { success: false, message: `Unknown condition "${preferences.defaultCondition}"` };
+        }
+
+        if (!Currency.getCurrencies().includes(preferences.currency)) {
+            return { success: false, message: `Unsupported currency "${preferences.currency}"` };
+        }
+
+        if (preferences.buylistTiers && !Auth.can('editBuylist')) {
+            if (changes.buylistTiers) {
+                return { success: false, message: 'Only managers can set their own buylist rates' };
+            }
+            // Tiers saved before the user lost the manager role no longer apply
+            preferences.buylistTiers = null;
+        }
+
+        if (preferences.buylistTiers) {
+            const validation = Buylist.validateTiers(preferences.buylistTiers);
+            if (!validation.success) {
+                return validation;
+            }
+            preferences.buylistTiers = validation.tiers;
+        }
+
+        localStorage.setItem(key, JSON.stringify(preferences));
+        return { success: true, message: 'Preferences saved' };
+    }
+
+    /**
+     * Delete a user's preferences
+     * @param {string} userId - User ID
+     */
+    function removeUserData(userId) {
+        localStorage.removeItem(`${STORAGE_PREFIX}${userId}`);
+    }
+
+    /**
+     * Get the currencies prices can be shown in
+     * @returns {array} Currency codes
+     */
+    function getCurrencies() {
+        return Currency.getCurrencies();
+    }
+
+    // Public API
+    return {
+        get,
+        save,
+        removeUserData,
+        getCurrencies
+    };
+})();
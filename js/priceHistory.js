@@ -0,0 +1,209 @@
+/**
+ * Price History Module
+ * Records a card's value over time, one series per card, condition and variant, so
+ * staff can see whether a card is spiking before making an offer
+ * Market prices are the same for every user, so history is shared
+ * Snapshots for every card are stored together under nashCards_priceHistory
+ */
+
+const PriceHistory = (() => {
+    // Private variables
+    const STORAGE_KEY = 'nashCards_priceHistory';
+
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // Snapshots older than this are dropped
+    const RETENTION_DAYS = 180;
+
+    // Snapshots older than this are thinned to the last one of each day
+    const DETAIL_DAYS = 2;
+
+    // Periods the change is reported over
+    const CHANGE_PERIODS = [7, 30, 90];
+
+    // A change smaller than this (as a fraction) counts as flat
+    const TREND_THRESHOLD = 0.02;
+
+    /**
+     * Get every series from localStorage
+     * @returns {object} Snapshots keyed by card and condition
+     */
+    function getStoredHistory() {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? JSON.parse(stored) : {};
+    }
+
+    /**
+     * Save every series to localStorage
+     * @param {object} history - Snapshots keyed by card and condition
+     * @returns {boolean} False when storage is full
+     */
+    function setStoredHistory(history) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+            return true;
+        } catch (error) {
+            console.warn('Price history could not be saved:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the key of a card's series
+     * Cards priced before variants were tracked have no variant in the key
+     * @param {string} cardId - Card ID
+     * @param {string} condition - Card condition
+     * @param {string|null} variant - Card variant (see Variants)
+     * @returns {string} Series key
+     */
+    function getKey(cardId, condition, variant) {
+        return variant ? `${cardId}|${condition}|${variant}` : `${cardId}|${condition}`;
+    }
+
+    /**
+     * Drop expired snapshots and keep one per day once they are a few days old
+     * @param {array} snapshots - Snapshots, oldest first
+     * @param {number} now - Epoch milliseconds
+     * @returns {array} Thinned snapshots, oldest first
+     */
+    function thin(snapshots, now) {
+        const kept = snapshots.filter(snapshot => now - snapshot.time <= RETENTION_DAYS * DAY);
+
+        return kept.filter((snapshot, i) => {
+            const next = kept[i + 1];
+            if (!next || now - snapshot.time <= DETAIL_DAYS * DAY) return true;
+            return Math.floor(snapshot.time / DAY) !== Math.floor(next.time / DAY);
+        });
+    }
+
+    /**
+     * Record a priced card's value
+     * Mock estimates are not recorded, and a price already recorded (the same
+     * cached lookup shown twice) is not recorded again
+     * @param {object} card - Card enriched by API.enrichCardWithPricing
+     * @returns {object} Result with success status and message
+     */
+    function record(card) {
+        if (!card || !card.id || !card.selectedCondition) {
+            return { success: false, message: 'Only priced cards can be recorded' };
+        }
+
+        if (card.isMockPrice) {
+            return { success: false, message: 'Mock estimates are not recorded' };
+        }
+
+        const price = parseFloat(card.adjustedPrice);
+        if (!(price > 0)) {
+            return { success: false, message: 'Card has no price to record' };
+        }
+
+        const now = Date.now();
+        const time = card.priceFetchedAt || now;
+        const key = getKey(card.id, card.selectedCondition, card.variant);
+        const history = getStoredHistory();
+        const snapshots = history[key] || [];
+
+        if (snapshots.some(snapshot => snapshot.time === time)) {
+            return { success: true, message: 'Price already recorded' };
+        }
+
+        snapshots.push({ time, price, source: card.priceSource });
+        snapshots.sort((a, b) => a.time - b.time);
+        history[key] = thin(snapshots, now);
+
+        if (!setStoredHistory(history)) {
+            return { success: false, message: 'Price history storage is full' };
+        }
+        return { success: true, message: 'Price recorded' };
+    }
+
+    /**
+     * Get a card's snapshots
+     * @param {string} cardId - Card ID
+     * @param {string} condition - Card condition
+     * @param {string|null} variant - Card variant
+     * @returns {array} { time, price, source }, oldest first
+     */
+    function getSeries(cardId, condition, variant = null) {
+        return getStoredHistory()[getKey(cardId, condition, variant)] || [];
+    }
+
+    /**
+     * Get when a card's price was last recorded
+     * @param {string} cardId - Card ID
+     * @param {string} condition - Card condition
+     * @param {string|null} variant - Card variant
+     * @returns {number|null} Epoch milliseconds or null if never recorded
+     */
+    function getLastRecorded(cardId, condition, variant = null) {
+        const snapshots = getSeries(cardId, condition, variant);
+        return snapshots.length > 0 ? snapshots[snapshots.length - 1].time : null;
+    }
+
+    /**
+     * Work out how a price changed over a period
+     * Compares the latest price to the last one recorded before the period began
+     * @param {array} snapshots - Snapshots, oldest first
+     * @param {number} days - Length of the period
+     * @returns {object|null} { days, from, to, amount, percent }, or null when
+     *     the history does not go back that far
+     */
+    function getChange(snapshots, days) {
+        if (snapshots.length < 2) return null;
+
+        const latest = snapshots[snapshots.length - 1];
+        const start = latest.time - days * DAY;
+        const before = snapshots.filter(snapshot => snapshot.time <= start);
+        if (before.length === 0) return null;
+
+        const from = before[before.length - 1].price;
+        return {
+            days,
+            from,
+            to: latest.price,
+            amount: latest.price - from,
+            percent: from > 0 ? (latest.price - from) / from * 100 : 0
+        };
+    }
+
+    /**
+     * Summarize a card's history for display
+     * The trend is taken over the shortest period with history, or over the
+     * whole history while it is shorter than a week
+     * @param {string} cardId - Card ID
+     * @param {string} condition - Card condition
+     * @param {string|null} variant - Card variant
+     * @returns {object} { snapshots, changes, trend: 'up'|'down'|'flat'|null }
+     */
+    function getSummary(cardId, condition, variant = null) {
+        const snapshots = getSeries(cardId, condition, variant);
+        const changes = CHANGE_PERIODS.map(days => getChange(snapshots, days) || { days, amount: null, percent: null });
+
+        let trend = null;
+        if (snapshots.length >= 2) {
+            const first = changes.find(change => change.percent !== null);
+            const percent = first
+                ? first.percent
+                : (snapshots[snapshots.length - 1].price - snapshots[0].price) / snapshots[0].price * 100;
+
+            if (percent >= TREND_THRESHOLD * 100) {
+                trend = 'up';
+            } else if (percent <= -TREND_THRESHOLD * 100) {
+                trend = 'down';
+            } else {
+                trend = 'flat';
+            }
+        }
+
+        return { snapshots, changes, trend };
+    }
+
+    // Public API
+    return {
+        record,
+        getSeries,
+        getLastRecorded,
+        getChange,
+        getSummary
+    };
+})();
@@ -0,0 +1,206 @@
+/**
+ * Price Sources Module
+ * The market price sources a card's value is estimated from, and how their
+ * prices are blended: a weight per source, the TCGplayer price point used,
+ * and an outlier guard that leaves out a price far from the others
+ * Settings are editable by managers and stored in localStorage
+ */
+
+const PriceSources = (() => {
+    // Private variables
+    const STORAGE_KEY = 'nashCards_priceSources';
+
+    // Sources, in the order they are shown, with their default weights
+    const SOURCES = [
+        { id: 'justtcg', label: 'JustTCG', currency: 'USD', weight: 1 },
+        { id: 'tcgplayer', label: 'TCGplayer', currency: 'USD', weight: 1 },
+        { id: 'cardmarket', label: 'Cardmarket', currency: 'EUR', weight: 0.5 }
+    ];
+
+    // TCGplayer price points, and the one blended by default
+    const TCGPLAYER_POINTS = ['market', 'low', 'mid', 'high'];
+    const DEFAULT_TCGPLAYER_POINT = 'market';
+
+    // A price more than this percent away from the median is left out (0 turns the guard off)
+    const DEFAULT_OUTLIER_PERCENT = 50;
+
+    // Prices needed before the guard applies; with two there is no telling which is off
+    const OUTLIER_MIN_PRICES = 3;
+
+    /**
+     * Get the saved settings, falling back to the defaults
+     * @returns {object} { weights: {id: weight}, tcgplayerPoint, outlierPercent }
+     */
+    function getSettings() {
+        const defaults = {
+            weights: Object.fromEntries(SOURCES.map(source => [source.id, source.weight])),
+            tcgplayerPoint: DEFAULT_TCGPLAYER_POINT,
+            outlierPercent: DEFAULT_OUTLIER_PERCENT
+        };
+
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (!stored) return defaults;
+
+        const saved = JSON.parse(stored);
+        return {
+            weights: { ...defaults.weights, ...saved.weights },
+            tcgplayerPoint: TCGPLAYER_POINTS.includes(saved.tcgplayerPoint) ? saved.tcgplayerPoint : defaults.tcgplayerPoint,
+            outlierPercent: Number.isFinite(saved.outlierPercent) ? saved.outlierPercent : defaults.outlierPercent
+        };
+    }
+
+    /**
+     * Validate and save settings
+     * @param {object} settings - { weights, tcgplayerPoint, outlierPercent }
+     * @returns {object} Result with success status and message
+     */
+    function saveSettings(settings) {
+        if (!Auth.can('editPriceSources')) {
+            return { success: false, message: 'Only managers can change price sources' };
+        }
+
+        const weights = {};
+        for (const source of SOURCES) {
+            const value = Number(settings.weights?.[source.id]);
+            if (!(Number.isFinite(value) && value >= 0 && value <= 10)) {
+                return { success: false, message: `Weight for ${source.label} must be between 0 and 10` };
+            }
+            weights[source.id] = value;
+        }
+        if (Object.values(weights).every(weight => weight === 0)) {
+            return { success: false, message: 'At least one source needs a weight above 0' };
+        }
+
+        if (!TCGPLAYER_POINTS.includes(settings.tcgplayerPoint)) {
+            return { success: false, message: 'Choose the TCGplayer price to use' };
+        }
+
+        const outlierPercent = Number(settings.outlierPercent);
+        if (!(Number.isFinite(outlierPercent) && outlierPercent >= 0 && outlierPercent <= 1000)) {
+            return { success: false, message: 'Outlier limit must be between 0 and 1000 percent' };
+        }
+
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            weights,
+            tcgplayerPoint: settings.tcgplayerPoint,
+            outlierPercent
+        }));
+
+        return { success: true, message: 'Price sources saved' };
+    }
+
+    /**
+     * Restore the default settings
+     * @returns {object} Result with success status and message
+     */
+    function resetSettings() {
+        if (!Auth.can('editPriceSources')) {
+            return { success: false, message: 'Only managers can change price sources' };
+        }
+
+        localStorage.removeItem(STORAGE_KEY);
+        return { success: true, message: 'Default price sources restored' };
+    }
+
+    /**
+     * Get the median of some numbers
+     * @param {array} values - Numbers
+     * @returns {number} Median
+     */
+    function median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Blend the prices quoted by each source into one estimate
+     * Sources with a weight of 0 are shown but not blended; when none of the
+     * sources with a price has a weight, they are blended equally instead
+     * @param {array} quotes - { source, price, basePrice } per source with a price, in US dollars
+     * @param {object} settings - Settings (the saved ones by default)
+     * @returns {object|null} { price, basePrice, quotes (with weight, included and note), median,
+     *     spread: { low, high, amount, percent }, equalWeights }, or null when there are no quotes
+     */
+    function blend(quotes, settings = getSettings()) {
+        if (quotes.length === 0) return null;
+
+        const weighted = quotes.filter(quote => settings.weights[quote.source] > 0);
+        const equalWeights = weighted.length === 0;
+        const candidates = equalWeights ? quotes : weighted;
+        const middle = median(candidates.map(quote => quote.price));
+        const guard = settings.outlierPercent > 0 && candidates.length >= OUTLIER_MIN_PRICES;
+
+        const annotated = quotes.map(quote => {
+            const weight = equalWeights ? 1 : settings.weights[quote.source] || 0;
+            const deviation = middle > 0 ? (quote.price - middle) / middle * 100 : 0;
+
+            if (weight === 0) {
+                return { ...quote, weight, included: false, note: 'Weight 0' };
+            }
+            if (guard && Math.abs(deviation) > settings.outlierPercent) {
+                const direction = deviation > 0 ? 'above' : 'below';
+                return { ...quote, weight, included: false, note: `Left out: ${Math.round(Math.abs(deviation))}% ${direction} the median` };
+            }
+            return { ...quote, weight, included: true, note: '' };
+        });
+
+        const included = annotated.filter(quote => quote.included);
+        const totalWeight = included.reduce((sum, quote) => sum + quote.weight, 0);
+        const average = field => included.reduce((sum, quote) => sum + quote[field] * quote.weight, 0) / totalWeight;
+
+        const prices = quotes.map(quote => quote.price);
+        const low = Math.min(...prices);
+        const high = Math.max(...prices);
+
+        return {
+            price: average('price'),
+            basePrice: average('basePrice'),
+            quotes: annotated,
+            median: middle,
+            spread: {
+                low,
+                high,
+                amount: high - low,
+                percent: low > 0 ? (high - low) / low * 100 : 0
+            },
+            equalWeights
+        };
+    }
+
+    /**
+     * Get the price sources
+     * @returns {array} [{ id, label, currency }]
+     */
+    function getSources() {
+        return SOURCES.map(({ id, label, currency }) => ({ id, label, currency }));
+    }
+
+    /**
+     * Get a source's label
+     * @param {string} id - Source ID
+     * @returns {string} Label
+     */
+    function getLabel(id) {
+        return SOURCES.find(source => source.id === id)?.label || id;
+    }
+
+    /**
+     * Get the TCGplayer price points a manager can choose from
+     * @returns {array} e.g. ['market', 'low', 'mid', 'high']
+     */
+    function getTcgplayerPoints() {
+        return [...TCGPLAYER_POINTS];
+    }
+
+    // Public API
+    return {
+        getSettings,
+        saveSettings,
+        resetSettings,
+        blend,
+        getSources,
+        getLabel,
+        getTcgplayerPoints
+    };
+})();
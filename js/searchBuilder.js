@@ -0,0 +1,242 @@
+/**
+ * Search Builder Module
+ * Builds Pokémon TCG API query expressions (the `q` parameter) from search
+ * fields, and keeps each user's saved searches
+ * Saved searches are stored in localStorage under nashCards_savedSearches_<user id>
+ */
+
+const SearchBuilder = (() => {
+    // Private variables
+    const STORAGE_PREFIX = 'nashCards_savedSearches_';
+
+    const TYPES = ['Colorless', 'Darkness', 'Dragon', 'Fairy', 'Fighting', 'Fire', 'Grass', 'Lightning', 'Metal',
+        'Psychic', 'Water'];
+    const SUPERTYPES = ['Pokémon', 'Trainer', 'Energy'];
+    const SUBTYPES = ['Basic', 'Stage 1', 'Stage 2', 'BREAK', 'EX', 'GX', 'V', 'VMAX', 'VSTAR', 'ex', 'Radiant',
+        'Item', 'Supporter', 'Stadium', 'Pokémon Tool', 'Special'];
+    const REGULATION_MARKS = ['D', 'E', 'F', 'G', 'H', 'I'];
+    const LEGALITIES = ['standard', 'expanded', 'unlimited'];
+
+    // HP printed on cards
+    const MIN_HP = 10;
+    const MAX_HP = 400;
+
+    /**
+     * Quote a value for a query expression, escaping quotes and backslashes
+     * @param {string} value - Raw value
+     * @returns {string} Quoted value
+     */
+    function quote(value) {
+        return `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+    }
+
+    /**
+     * Read an HP bound
+     * @param {string|number} value - Entered value ('' for none)
+     * @returns {number|null|undefined} Whole number, null when empty, undefined when invalid
+     */
+    function parseHp(value) {
+        const text = String(value ?? '').trim();
+        if (!text) return null;
+
+        const hp = Number(text);
+        return Number.isInteger(hp) && hp >= MIN_HP && hp <= MAX_HP ? hp : undefined;
+    }
+
+    /**
+     * Tell whether any field beyond name, set and number is filled in
+     * @param {object} criteria - Search fields
+     * @returns {boolean} True when an advanced field is used
+     */
+    function hasFilters(criteria) {
+        return ['type', 'rarity', 'supertype', 'subtype', 'hpMin', 'hpMax', 'artist', 'regulationMark', 'legality']
+            .some(field => String(criteria[field] ?? '').trim() !== '');
+    }
+
+    /**
+     * Build a query expression from search fields
+     * @param {object} criteria - { name, set, number, type, rarity, supertype, subtype,
+     *     hpMin, hpMax, artist, regulationMark, legality }
+     * @returns {object} Result with success status, query and message
+     */
+    function build(criteria) {
+        const value = field => String(criteria[field] ?? '').trim();
+        const clauses = [];
+
+        if (value('name')) {
+            clauses.push(`name:${quote(value('name'))}`);
+        }
+
+        if (value('set')) {
+            const set = quote(value('set'));
+            clauses.push(`(set.id:${set} OR set.ptcgoCode:${set} OR set.name:${set})`);
+        }
+
+        if (value('number')) {
+            const number = value('number').split('/')[0].trim().replace(/^0+(?=\w)/, '');
+            clauses.push(`number:${quote(number)}`);
+        }
+
+        if (value('type')) {
+            if (!TYPES.includes(value('type'))) {
+                return { success: false, message: `Unknown type "${value('type')}"` };
+            }
+            clauses.push(`types:${quote(value('type'))}`);
+        }
+
+        if (value('supertype')) {
+            if (!SUPERTYPES.includes(value('supertype'))) {
+                return { success: false, message: `Unknown card category "${value('supertype')}"` };
+            }
+            clauses.push(`supertype:${quote(value('supertype'))}`);
+        }
+
+        if (value('subtype')) {
+            clauses.push(`subtypes:${quote(value('subtype'))}`);
+        }
+
+        if (value('rarity')) {
+            clauses.push(`rarity:${quote(value('rarity'))}`);
+        }
+
+        const hpMin = parseHp(criteria.hpMin);
+        const hpMax = parseHp(criteria.hpMax);
+        if (hpMin === undefined || hpMax === undefined) {
+            return { success: false, message: `HP must be a whole number from ${MIN_HP} to ${MAX_HP}` };
+        }
+        if (hpMin !== null && hpMax !== null && hpMin > hpMax) {
+            return { success: false, message: 'Minimum HP cannot be more than maximum HP' };
+        }
+        if (hpMin !== null || hpMax !== null) {
+            clauses.push(`hp:[${hpMin ?? '*'} TO ${hpMax ?? '*'}]`);
+        }
+
+        if (value('artist')) {
+            clauses.push(`artist:${quote(value('artist'))}`);
+        }
+
+        if (value('regulationMark')) {
+            const mark = value('regulationMark').toUpperCase();
+            if (!REGULATION_MARKS.includes(mark)) {
+                return { success: false, message: `Unknown regulation mark "${value('regulationMark')}"` };
+            }
+            clauses.push(`regulationMark:${mark}`);
+        }
+
+        if (value('legality')) {
+            if (!LEGALITIES.includes(value('legality'))) {
+                return { success: false, message: `Unknown format "${value('legality')}"` };
+            }
+            clauses.push(`legalities.${value('legality')}:legal`);
+        }
+
+        if (clauses.length === 0) {
+            return { success: false, message: 'Enter a card name or at least one search field' };
+        }
+
+        return { success: true, query: clauses.join(' '), message: 'Search ready' };
+    }
+
+    /**
+     * Get the options offered for each field
+     * @returns {object} { types, supertypes, subtypes, regulationMarks, legalities }
+     */
+    function getOptions() {
+        return {
+            types: [...TYPES],
+            supertypes: [...SUPERTYPES],
+            subtypes: [...SUBTYPES],
+            regulationMarks: [...REGULATION_MARKS],
+            legalities: [...LEGALITIES]
+        };
+    }
+
+    /**
+     * Get the storage key for the logged in user
+     * @returns {string|null} Storage key or null if not logged in
+     */
+    function getStorageKey() {
+        const session = Auth.getSession();
+        return session ? `${STORAGE_PREFIX}${session.id}` : null;
+    }
+
+    /**
+     * Get the logged in user's saved searches
+     * @returns {array} { name, criteria, savedAt }, sorted by name
+     */
+    function getSaved() {
+        const key = getStorageKey();
+        const stored = key ? localStorage.getItem(key) : null;
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    /**
+     * Save a search under a name, replacing any search with the same name
+     * @param {string} name - Name for the search
+     * @param {object} criteria - Search fields
+     * @returns {object} Result with success status and message
+     */
+    function save(name, criteria) {
+        const key = getStorageKey();
+        if (!key) {
+            return { success: false, message: 'You must be logged in to save searches' };
+        }
+
+        const searchName = String(name || '').trim();
+        if (!searchName) {
+            return { success: false, message: 'Enter a name for the search' };
+        }
+
+        const built = build(criteria);
+        if (!built.success) {
+            return built;
+        }
+
+        const saved = getSaved().filter(search => search.name.toLowerCase() !== searchName.toLowerCase());
+        saved.push({ name: searchName, criteria: { ...criteria }, savedAt: new Date().toISOString() });
+        saved.sort((a, b) => a.name.localeCompare(b.name));
+
+        localStorage.setItem(key, JSON.stringify(saved));
+        return { success: true, message: `Saved "${searchName}"` };
+    }
+
+    /**
+     * Delete a saved search
+     * @param {string} name - Name of the search
+     * @returns {object} Result with success status and message
+     */
+    function remove(name) {
+        const key = getStorageKey();
+        if (!key) {
+            return { success: false, message: 'You must be logged in to delete searches' };
+        }
+
+        const saved = getSaved();
+        const remaining = saved.filter(search => search.name !== name);
+        if (remaining.length === saved.length) {
+            return { success: false, message: `No saved search named "${name}"` };
+        }
+
+        localStorage.setItem(key, JSON.stringify(remaining));
+        return { success: true, message: `Deleted "${name}"` };
+    }
+
+    /**
+     * Delete a user's saved searches
+     * @param {string} userId - User ID
+     */
+    function removeUserData(userId) {
+        localStorage.removeItem(`${STORAGE_PREFIX}${userId}`);
+    }
+
+    // Public API
+    return {
+        build,
+        hasFilters,
+        getOptions,
+        getSaved,
+        save,
+        remove,
+        removeUserData
+    };
+})();
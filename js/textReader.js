@@ -0,0 +1,97 @@
+/**
+ * Text Reader Module
+ * Reads printed text from part of a card image without the network
+ * Uses the browser's TextDetector where one exists, and otherwise Tesseract.js
+ * with its worker, engine and English data served from vendor/tesseract
+ * (cached by the service worker, so it works offline once the app has loaded)
+ */
+
+const TextReader = (() => {
+    // Vendored Tesseract.js files, relative to the page
+    const VENDOR_PATH = 'vendor/tesseract/';
+
+    // Tesseract worker, started on first use and kept for later photos
+    let tesseractWorker = null;
+
+    /**
+     * Check whether text can be read in this browser
+     * @returns {boolean}
+     */
+    function isAvailable() {
+        return typeof TextDetector !== 'undefined' ||
+            (typeof Tesseract !== 'undefined' && typeof WebAssembly !== 'undefined');
+    }
+
+    /**
+     * Start the Tesseract worker, or get the one already started
+     * Paths are absolute because the worker runs from a blob URL
+     * @returns {Promise<object>} Tesseract worker
+     */
+    function getTesseractWorker() {
+        if (!tesseractWorker) {
+            const base = new URL(VENDOR_PATH, location.href).href;
+            tesseractWorker = Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+                workerPath: `${base}worker.min.js`,
+                corePath: `${base}tesseract-core-lstm.wasm.js`,
+                langPath: `${base}lang`,
+                gzip: true
+            })
+                .then(async worker => {
+                    // Card text is a few scattered lines, not a page
+                    await worker.setParameters({ tessedit_pageseg_mode: Tesseract.PSM.SPARSE_TEXT });
+                    return worker;
+                })
+                .catch(error => {
+                    tesseractWorker = null;
+                    throw error;
+                });
+        }
+        return tesseractWorker;
+    }
+
+    /**
+     * Read the lines of text in an image with Tesseract
+     * @param {object} pixels - { width, height, data } RGBA pixels
+     * @returns {Promise<array>} Texts { rawValue, boundingBox: { height } }
+     */
+    async function readWithTesseract(pixels) {
+        const canvas = document.createElement('canvas');
+        canvas.width = pixels.width;
+        canvas.height = pixels.height;
+        canvas.getContext('2d').putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+
+        const worker = await getTesseractWorker();
+        const { data } = await worker.recognize(canvas, {}, { blocks: true });
+
+        return (data.blocks || [])
+            .flatMap(block => block.paragraphs)
+            .flatMap(paragraph => paragraph.lines)
+            .map(line => ({
+                rawValue: line.text.trim(),
+                boundingBox: { height: line.bbox.y1 - line.bbox.y0 }
+            }))
+            .filter(text => text.rawValue);
+    }
+
+    /**
+     * Read the text in an image
+     * @param {object} pixels - { width, height, data } RGBA pixels
+     * @returns {Promise<array>} Texts { rawValue, boundingBox: { height } }, in the TextDetector's shape
+     * @throws {Error} When no reader is available or reading fails
+     */
+    async function read(pixels) {
+        if (typeof TextDetector !== 'undefined') {
+            return new TextDetector().detect(new ImageData(pixels.data, pixels.width, pixels.height));
+        }
+        if (!isAvailable()) {
+            throw new Error('This browser cannot read text');
+        }
+        return readWithTesseract(pixels);
+    }
+
+    // Public API
+    return {
+        isAvailable,
+        read
+    };
+})();
@@ -4,13 +4,26 @@
  */
 
 const UI = (() => {
+    // Shown when a card has no image
+    const PLACEHOLDER_IMAGE = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="280" viewBox="0 0 200 280"%3E%3Crect width="200" height="280" fill="%23f0f0f0"/%3E%3Ctext x="50%" y="50%" text-anchor="middle" dy=".3em" fill="%23999" font-family="Arial" font-size="14"%3ENo Image%3C/text%3E%3C/svg%3E';
+
     // Screen elements
     const screens = {
         auth: document.getElementById('authScreen'),
         cardInput: document.getElementById('cardInputScreen'),
         confirmation: document.getElementById('confirmationScreen'),
+        matches: document.getElementById('matchesScreen'),
+        sets: document.getElementById('setsScreen'),
+        setChecklist: document.getElementById('setChecklistScreen'),
         loading: document.getElementById('loadingScreen'),
         results: document.getElementById('resultsScreen'),
+        collection: document.getElementById('collectionScreen'),
+        watchlist: document.getElementById('watchlistScreen'),
+        batch: document.getElementById('batchScreen'),
+        import: document.getElementById('importScreen'),
+        settings: document.getElementById('settingsScreen'),
+        profile: document.getElementById('profileScreen'),
+        users: document.getElementById('usersScreen'),
         error: document.getElementById('errorScreen')
     };
 
@@ -28,11 +41,66 @@ const UI = (() => {
         signupEmail: document.getElementById('signupEmail'),
         signupPassword: document.getElementById('signupPassword'),
         signupPassword2: document.getElementById('signupPassword2'),
+        authProvider: document.getElementById('authProvider'),
+        authServerUrl: document.getElementById('authServerUrl'),
         cardName: document.getElementById('cardName'),
         cardSet: document.getElementById('cardSet'),
         cardNumber: document.getElementById('cardNumber'),
+        cardVariant: document.getElementById('cardVariant'),
+        confirmVariant: document.getElementById('confirmVariant'),
+        advType: document.getElementById('advType'),
+        advSupertype: document.getElementById('advSupertype'),
+        advSubtype: document.getElementById('advSubtype'),
+        advRarity: document.getElementById('advRarity'),
+        advHpMin: document.getElementById('advHpMin'),
+        advHpMax: document.getElementById('advHpMax'),
+        advArtist: document.getElementById('advArtist'),
+        advRegulationMark: document.getElementById('advRegulationMark'),
+        advLegality: document.getElementById('advLegality'),
+        savedSearchSelect: document.getElementById('savedSearchSelect'),
+        savedSearchName: document.getElementById('savedSearchName'),
         cardPhotoInput: document.getElementById('cardPhotoInput'),
-        conditionRadios: document.querySelectorAll('input[name="condition"]')
+        watchAbove: document.getElementById('watchAbove'),
+        watchBelow: document.getElementById('watchBelow'),
+        conditionRadios: document.querySelectorAll('input[name="condition"]'),
+        gradingCompany: document.getElementById('gradingCompany'),
+        gradingGrade: document.getElementById('gradingGrade'),
+        matchesFilter: document.getElementById('matchesFilter'),
+        matchesRarity: document.getElementById('matchesRarity'),
+        matchesSort: document.getElementById('matchesSort'),
+        setsFilter: document.getElementById('setsFilter'),
+        setChecklistFilter: document.getElementById('setChecklistFilter'),
+        setChecklistRarity: document.getElementById('setChecklistRarity'),
+        setChecklistCondition: document.getElementById('setChecklistCondition'),
+        collectionQuantity: document.getElementById('collectionQuantity'),
+        collectionPurchasePrice: document.getElementById('collectionPurchasePrice'),
+        collectionNotes: document.getElementById('collectionNotes'),
+        editCondition: document.getElementById('editCondition'),
+        editQuantity: document.getElementById('editQuantity'),
+        editPurchasePrice: document.getElementById('editPurchasePrice'),
+        editNotes: document.getElementById('editNotes'),
+        batchInput: document.getElementById('batchInput'),
+        batchDefaultCondition: document.getElementById('batchDefaultCondition'),
+        importFile: document.getElementById('importFileInput'),
+        importDefaultCondition: document.getElementById('importDefaultCondition'),
+        importColumns: document.querySelectorAll('#importMapping select[data-field]'),
+        profileName: document.getElementById('profileName'),
+        profileEmail: document.getElementById('profileEmail'),
+        currentPassword: document.getElementById('currentPassword'),
+        newPassword: document.getElementById('newPassword'),
+        newPassword2: document.getElementById('newPassword2'),
+        preferenceCondition: document.getElementById('preferenceCondition'),
+        preferenceCurrency: document.getElementById('preferenceCurrency'),
+        rateProvider: document.getElementById('rateProvider'),
+        rateUrl: document.getElementById('rateUrl'),
+        tcgplayerPoint: document.getElementById('tcgplayerPoint'),
+        outlierPercent: document.getElementById('outlierPercent'),
+        preferenceBuylist: document.getElementById('preferenceBuylist'),
+        deletePassword: document.getElementById('deletePassword'),
+        newUserName: document.getElementById('newUserName'),
+        newUserEmail: document.getElementById('newUserEmail'),
+        newUserPassword: document.getElementById('newUserPassword'),
+        newUserRole: document.getElementById('newUserRole')
     };
 
     // Buttons
@@ -41,15 +109,68 @@ const UI = (() => {
         signup: document.getElementById('signupBtn'),
         showSignupLink: document.getElementById('showSignupLink'),
         showLoginLink: document.getElementById('showLoginLink'),
+        saveAuthBackend: document.getElementById('saveAuthBackendBtn'),
         search: document.getElementById('searchBtn'),
+        saveSearch: document.getElementById('saveSearchBtn'),
+        deleteSearch: document.getElementById('deleteSearchBtn'),
         confirmSearch: document.getElementById('confirmSearchBtn'),
         back: document.getElementById('backBtn'),
+        matchesBack: document.getElementById('matchesBackBtn'),
+        loadMoreMatches: document.getElementById('loadMoreMatchesBtn'),
+        setsBack: document.getElementById('setsBackBtn'),
+        setChecklistBack: document.getElementById('setChecklistBackBtn'),
         newSearch: document.getElementById('newSearchBtn'),
         home: document.getElementById('homeBtn'),
         errorRetry: document.getElementById('errorRetryBtn'),
         errorHome: document.getElementById('errorHomeBtn'),
         userMenu: document.getElementById('userMenuBtn'),
         profile: document.getElementById('profileBtn'),
+        collection: document.getElementById('collectionBtn'),
+        addToCollection: document.getElementById('addToCollectionBtn'),
+        saveCollectionItem: document.getElementById('saveCollectionItemBtn'),
+        cancelCollectionEdit: document.getElementById('cancelCollectionEditBtn'),
+        collectionSearch: document.getElementById('collectionSearchBtn'),
+        watchlist: document.getElementById('watchlistBtn'),
+        watchCard: document.getElementById('watchCardBtn'),
+        watchlistSearch: document.getElementById('watchlistSearchBtn'),
+        clearAlerts: document.getElementById('clearAlertsBtn'),
+        enableNotifications: document.getElementById('enableNotificationsBtn'),
+        batch: document.getElementById('batchBtn'),
+        showBatchLink: document.getElementById('showBatchLink'),
+        runBatch: document.getElementById('runBatchBtn'),
+        batchHome: document.getElementById('batchHomeBtn'),
+        batchToCollection: document.getElementById('batchToCollectionBtn'),
+        showImportLink: document.getElementById('showImportLink'),
+        collectionImport: document.getElementById('collectionImportBtn'),
+        valueImport: document.getElementById('valueImportBtn'),
+        importBack: document.getElementById('importBackBtn'),
+        exports: document.querySelectorAll('[data-export]'),
+        printQuote: document.getElementById('printQuoteBtn'),
+        settings: document.getElementById('settingsBtn'),
+        settingsHome: document.getElementById('settingsHomeBtn'),
+        addTier: document.getElementById('addTierBtn'),
+        addRarityAdjustment: document.getElementById('addRarityAdjustmentBtn'),
+        saveBuylist: document.getElementById('saveBuylistBtn'),
+        resetBuylist: document.getElementById('resetBuylistBtn'),
+        addGrade: document.getElementById('addGradeBtn'),
+        saveConditions: document.getElementById('saveConditionsBtn'),
+        resetConditions: document.getElementById('resetConditionsBtn'),
+        savePriceSources: document.getElementById('savePriceSourcesBtn'),
+        resetPriceSources: document.getElementById('resetPriceSourcesBtn'),
+        clearCache: document.getElementById('clearCacheBtn'),
+        updateRates: document.getElementById('updateRatesBtn'),
+        downloadCatalog: document.getElementById('downloadCatalogBtn'),
+        buildPhotoIndex: document.getElementById('buildPhotoIndexBtn'),
+        clearCatalog: document.getElementById('clearCatalogBtn'),
+        profileHome: document.getElementById('profileHomeBtn'),
+        saveProfile: document.getElementById('saveProfileBtn'),
+        changePassword: document.getElementById('changePasswordBtn'),
+        addPreferenceTier: document.getElementById('addPreferenceTierBtn'),
+        savePreferences: document.getElementById('savePreferencesBtn'),
+        deleteAccount: document.getElementById('deleteAccountBtn'),
+        users: document.getElementById('usersBtn'),
+        usersHome: document.getElementById('usersHomeBtn'),
+        createUser: document.getElementById('createUserBtn'),
         logout: document.getElementById('logoutBtn'),
         clearPhoto: document.getElementById('clearPhotoBtn')
     };
@@ -59,11 +180,200 @@ const UI = (() => {
         uploadArea: document.getElementById('uploadArea'),
         photoPreview: document.getElementById('photoPreview'),
         previewImage: document.getElementById('previewImage'),
+        photoScanStatus: document.getElementById('photoScanStatus'),
+        photoTextNotice: document.getElementById('photoTextNotice'),
+        confirmPhotoMatchItem: document.getElementById('confirmPhotoMatchItem'),
+        confirmPhotoMatch: document.getElementById('confirmPhotoMatch'),
         userDisplayName: document.getElementById('userDisplayName'),
         userMenu: document.getElementById('userMenu'),
-        errorMessage: document.getElementById('errorMessage')
+        authBackendStatus: document.getElementById('authBackendStatus'),
+        errorMessage: document.getElementById('errorMessage'),
+        advancedSearch: document.getElementById('advancedSearch'),
+        advSubtypeOptions: document.getElementById('advSubtypeOptions'),
+        advRarityOptions: document.getElementById('advRarityOptions'),
+        advQuery: document.getElementById('advQuery'),
+        savedSearchStatus: document.getElementById('savedSearchStatus'),
+        confirmQueryItem: document.getElementById('confirmQueryItem'),
+        confirmQuery: document.getElementById('confirmQuery'),
+        matchesGrid: document.getElementById('matchesGrid'),
+        matchesEmpty: document.getElementById('matchesEmpty'),
+        matchesMore: document.getElementById('matchesMore'),
+        matchesSummary: document.getElementById('matchesSummary'),
+        matchesNotice: document.getElementById('matchesNotice'),
+        cardSetOptions: document.getElementById('cardSetOptions'),
+        cardNameSuggestions: document.getElementById('cardNameSuggestions'),
+        setsSummary: document.getElementById('setsSummary'),
+        setsList: document.getElementById('setsList'),
+        setsEmpty: document.getElementById('setsEmpty'),
+        setChecklistLogo: document.getElementById('setChecklistLogo'),
+        setChecklistName: document.getElementById('setChecklistName'),
+        setChecklistSummary: document.getElementById('setChecklistSummary'),
+        setChecklistGrid: document.getElementById('setChecklistGrid'),
+        setChecklistEmpty: document.getElementById('setChecklistEmpty'),
+        resultsSearchNotice: document.getElementById('resultsSearchNotice'),
+        addToCollectionStatus: document.getElementById('addToCollectionStatus'),
+        collectionList: document.getElementById('collectionList'),
+        watchCardStatus: document.getElementById('watchCardStatus'),
+        watchlistBadge: document.getElementById('watchlistBadge'),
+        watchlistList: document.getElementById('watchlistList'),
+        watchlistEmpty: document.getElementById('watchlistEmpty'),
+        alertHistoryList: document.getElementById('alertHistoryList'),
+        alertHistoryEmpty: document.getElementById('alertHistoryEmpty'),
+        notificationStatus: document.getElementById('notificationStatus'),
+        alertToasts: document.getElementById('alertToasts'),
+        collectionEmpty: document.getElementById('collectionEmpty'),
+        collectionEditor: document.getElementById('collectionEditor'),
+        collectionEditorName: document.getElementById('collectionEditorName'),
+        collectionCardCount: document.getElementById('collectionCardCount'),
+        collectionPurchaseTotal: document.getElementById('collectionPurchaseTotal'),
+        collectionTotalValue: document.getElementById('collectionTotalValue'),
+        batchProgress: document.getElementById('batchProgress'),
+        batchProgressFill: document.getElementById('batchProgressFill'),
+        batchProgressText: document.getElementById('batchProgressText'),
+        batchResults: document.getElementById('batchResults'),
+        batchResultsBody: document.getElementById('batchResultsBody'),
+        batchValuedCount: document.getElementById('batchValuedCount'),
+        batchReviewCount: document.getElementById('batchReviewCount'),
+        batchTotalValue: document.getElementById('batchTotalValue'),
+        batchCollectionStatus: document.getElementById('batchCollectionStatus'),
+        importMapping: document.getElementById('importMapping'),
+        importSummary: document.getElementById('importSummary'),
+        importPreviewBody: document.getElementById('importPreviewBody'),
+        priceHistory: document.getElementById('priceHistory'),
+        priceTrend: document.getElementById('priceTrend'),
+        priceHistoryChart: document.getElementById('priceHistoryChart'),
+        priceHistoryCaption: document.getElementById('priceHistoryCaption'),
+        priceChanges: document.getElementById('priceChanges'),
+        buylistOffers: document.getElementById('buylistOffers'),
+        cashOfferLabel: document.getElementById('cashOfferLabel'),
+        cashOffer: document.getElementById('cashOffer'),
+        creditOfferLabel: document.getElementById('creditOfferLabel'),
+        creditOffer: document.getElementById('creditOffer'),
+        buylistTiersBody: document.getElementById('buylistTiersBody'),
+        rarityAdjustmentsBody: document.getElementById('rarityAdjustmentsBody'),
+        buylistStatus: document.getElementById('buylistStatus'),
+        buylistSettings: document.getElementById('buylistSettings'),
+        conditionSettings: document.getElementById('conditionSettings'),
+        priceSourceSettings: document.getElementById('priceSourceSettings'),
+        rateSettings: document.getElementById('rateSettings'),
+        gradedOptions: document.getElementById('gradedOptions'),
+        rawMultipliersBody: document.getElementById('rawMultipliersBody'),
+        gradeMultipliersBody: document.getElementById('gradeMultipliersBody'),
+        companyFactorsBody: document.getElementById('companyFactorsBody'),
+        conditionsStatus: document.getElementById('conditionsStatus'),
+        sourceWeightsBody: document.getElementById('sourceWeightsBody'),
+        priceSourcesStatus: document.getElementById('priceSourcesStatus'),
+        breakdownSources: document.getElementById('breakdownSources'),
+        breakdownSpread: document.getElementById('breakdownSpread'),
+        breakdownMethod: document.getElementById('breakdownMethod'),
+        breakdownVariant: document.getElementById('breakdownVariant'),
+        offlineBanner: document.getElementById('offlineBanner'),
+        catalogSummary: document.getElementById('catalogSummary'),
+        ratesSummary: document.getElementById('ratesSummary'),
+        ratesStatus: document.getElementById('ratesStatus'),
+        resultsCurrencyNote: document.getElementById('resultsCurrencyNote'),
+        catalogProgress: document.getElementById('catalogProgress'),
+        catalogProgressFill: document.getElementById('catalogProgressFill'),
+        catalogProgressText: document.getElementById('catalogProgressText'),
+        catalogStatus: document.getElementById('catalogStatus'),
+        photoIndexSummary: document.getElementById('photoIndexSummary'),
+        photoIndexProgress: document.getElementById('photoIndexProgress'),
+        photoIndexProgressFill: document.getElementById('photoIndexProgressFill'),
+        photoIndexProgressText: document.getElementById('photoIndexProgressText'),
+        cacheStatsBody: document.getElementById('cacheStatsBody'),
+        cacheSummary: document.getElementById('cacheSummary'),
+        cacheStatus: document.getElementById('cacheStatus'),
+        profileStatus: document.getElementById('profileStatus'),
+        passwordStatus: document.getElementById('passwordStatus'),
+        preferenceTiers: document.getElementById('preferenceTiers'),
+        preferenceTiersBody: document.getElementById('preferenceTiersBody'),
+        preferencesStatus: document.getElementById('preferencesStatus'),
+        deleteAccountStatus: document.getElementById('deleteAccountStatus'),
+        preferenceBuylistGroup: document.getElementById('preferenceBuylistGroup'),
+        usersBody: document.getElementById('usersBody'),
+        usersStatus: document.getElementById('usersStatus'),
+        createUserStatus: document.getElementById('createUserStatus')
+    };
+
+    // Card shown on the results screen, ready to be added to the collection
+    let lastResult = null;
+
+    // Collection item open in the editor
+    let editingItemId = null;
+
+    // Results of the last batch shown on the batch screen
+    let lastBatchResults = [];
+
+    // Parsed CSV file and the rows built from it
+    let importTable = [];
+    let importRows = [];
+
+    // Cards currently listed on the matches screen, and the search they came from
+    let matchCards = [];
+    let matchName = '';
+    let matchPaging = { totalCount: 0, hasMore: false };
+
+    // Variants the API has for the printing entered on the card input screen
+    let variantOptions = [];
+
+    // What photo identification filled in, and which upload is being identified
+    let photoMatch = null;
+    let photoScanId = 0;
+
+    // Name suggestions listed under the card name, and the one picked with the arrow keys
+    let nameSuggestions = [];
+    let activeSuggestion = -1;
+
+    // Sets listed in the set browser, and the checklist of the set opened from it
+    let browserSets = [];
+    let checklistCards = [];
+
+    // Pokémon TCG API order for each matches sort option, so later pages
+    // continue in the order shown
+    const MATCH_ORDER_BY = {
+        releaseAsc: 'set.releaseDate,number',
+        releaseDesc: '-set.releaseDate,number',
+        set: 'set.name,number',
+        number: 'number',
+        rarity: 'rarity',
+        name: 'name'
+    };
+
+    // Search fields on the card input screen, by SearchBuilder criteria name
+    const SEARCH_FIELDS = {
+        name: 'cardName',
+        set: 'cardSet',
+        number: 'cardNumber',
+        type: 'advType',
+        supertype: 'advSupertype',
+        subtype: 'advSubtype',
+        rarity: 'advRarity',
+        hpMin: 'advHpMin',
+        hpMax: 'advHpMax',
+        artist: 'advArtist',
+        regulationMark: 'advRegulationMark',
+        legality: 'advLegality'
+    };
+
+    // Days of history drawn on the results screen's price chart, and the chart's size
+    const PRICE_CHART_DAYS = 90;
+    const PRICE_CHART_SIZE = { width: 320, height: 120, padding: 8 };
+
+    // How long a price alert stays on screen
+    const ALERT_TOAST_DURATION = 15 * 1000;
+
+    // How each price trend is shown
+    const TRENDS = {
+        up: { arrow: '▲', label: 'Rising' },
+        down: { arrow: '▼', label: 'Falling' },
+        flat: { arrow: '▶', label: 'Steady' }
     };
 
+    // Rarity order used when sorting matches
+    const RARITY_ORDER = ['Common', 'Uncommon', 'Rare', 'Rare Holo', 'Rare Holo EX', 'Rare Holo GX', 'Rare Holo V',
+        'Rare Holo VMAX', 'Rare Ultra', 'Rare Secret', 'Rare Rainbow', 'Illustration Rare', 'Special Illustration Rare',
+        'Hyper Rare'];
+
     /**
      * Initialize UI event listeners
      */
@@ -79,16 +389,36 @@ const UI = (() => {
             e.preventDefault();
             toggleForms();
         });
+        inputs.authProvider.addEventListener('change', updateAuthBackendForm);
+        buttons.saveAuthBackend.addEventListener('click', handleSaveAuthBackend);
+        renderAuthBackend();
 
         // Upload area
         setupUploadArea();
 
         // Card input
+        setupConditionPicker();
+        setupAdvancedSearch();
+        setupNameSuggestions();
         buttons.search.addEventListener('click', handleSearch);
         buttons.back.addEventListener('click', () => showScreen('cardInput'));
 
         // Confirmation
         buttons.confirmSearch.addEventListener('click', handleConfirmSearch);
+        inputs.confirmVariant.addEventListener('change', handleConfirmVariantChange);
+
+        // Matches
+        inputs.matchesFilter.addEventListener('input', renderMatches);
+        inputs.matchesRarity.addEventListener('change', renderMatches);
+        inputs.matchesSort.addEventListener('change', renderMatches);
+        buttons.matchesBack.addEventListener('click', () => showScreen('cardInput'));
+
+        // Set browser
+        inputs.setsFilter.addEventListener('input', renderSets);
+        buttons.setsBack.addEventListener('click', () => showScreen('cardInput'));
+        inputs.setChecklistFilter.addEventListener('input', renderSetChecklist);
+        inputs.setChecklistRarity.addEventListener('change', renderSetChecklist);
+        buttons.setChecklistBack.addEventListener('click', () => showScreen('sets'));
 
         // Results
         buttons.newSearch.addEventListener('click', () => showScreen('cardInput'));
@@ -96,6 +426,115 @@ const UI = (() => {
             showScreen('cardInput');
             clearCardForm();
         });
+        buttons.addToCollection.addEventListener('click', handleAddToCollection);
+
+        // Collection
+        buttons.collection.addEventListener('click', showCollection);
+        buttons.collectionSearch.addEventListener('click', () => showScreen('cardInput'));
+        buttons.saveCollectionItem.addEventListener('click', handleSaveCollectionItem);
+        buttons.cancelCollectionEdit.addEventListener('click', closeCollectionEditor);
+        elements.collectionList.addEventListener('click', handleCollectionAction);
+
+        // Watchlist and price alerts
+        buttons.watchCard.addEventListener('click', handleWatchCard);
+        buttons.watchlist.addEventListener('click', showWatchlist);
+        buttons.watchlistSearch.addEventListener('click', () => showScreen('cardInput'));
+        buttons.clearAlerts.addEventListener('click', handleClearAlerts);
+        buttons.enableNotifications.addEventListener('click', handleEnableNotifications);
+        elements.watchlistList.addEventListener('click', handleWatchlistAction);
+        elements.alertToasts.addEventListener('click', handleAlertToastClick);
+
+        // Batch
+        buttons.batch.addEventListener('click', showBatch);
+        buttons.showBatchLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            showBatch();
+        });
+        buttons.batchHome.addEventListener('click', () => showScreen('cardInput'));
+        buttons.batchToCollection.addEventListener('click', handleBatchToCollection);
+
+        // Import & export
+        buttons.showImportLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            showImport();
+        });
+        buttons.collectionImport.addEventListener('click', showImport);
+        buttons.importBack.addEventListener('click', showBatch);
+        inputs.importFile.addEventListener('change', (e) => {
+            handleImportFile(e.target.files[0]);
+        });
+        inputs.importColumns.forEach(select => select.addEventListener('change', renderImportPreview));
+        inputs.importDefaultCondition.addEventListener('change', renderImportPreview);
+        buttons.exports.forEach(button => button.addEventListener('click', handleExport));
+        buttons.printQuote.addEventListener('click', () => window.print());
+
+        // Settings
+        buttons.settings.addEventListener('click', showSettings);
+        buttons.settingsHome.addEventListener('click', () => showScreen('cardInput'));
+        buttons.addTier.addEventListener('click', () => {
+            elements.buylistTiersBody.appendChild(createTierRow({ min: '', cash: '', credit: '' }));
+        });
+        buttons.addRarityAdjustment.addEventListener('click', () => {
+            elements.rarityAdjustmentsBody.appendChild(createRarityAdjustmentRow({ rarity: '', points: 0 }));
+        });
+        buttons.saveBuylist.addEventListener('click', handleSaveBuylist);
+        buttons.resetBuylist.addEventListener('click', () => {
+            const result = Buylist.resetRates();
+            renderBuylistSettings();
+            showBuylistStatus(result.message);
+        });
+        elements.buylistTiersBody.addEventListener('click', handleRemoveSettingsRow);
+        elements.rarityAdjustmentsBody.addEventListener('click', handleRemoveSettingsRow);
+        buttons.addGrade.addEventListener('click', () => {
+            elements.gradeMultipliersBody.appendChild(createGradeRow({ grade: '', multiplier: '' }));
+        });
+        buttons.saveConditions.addEventListener('click', handleSaveConditions);
+        buttons.resetConditions.addEventListener('click', () => {
+            const result = Conditions.resetMultipliers();
+            renderConditionSettings();
+            showConditionsStatus(result.message);
+        });
+        elements.gradeMultipliersBody.addEventListener('click', handleRemoveSettingsRow);
+        buttons.savePriceSources.addEventListener('click', handleSavePriceSources);
+        buttons.resetPriceSources.addEventListener('click', () => {
+            const result = PriceSources.resetSettings();
+            renderPriceSourceSettings();
+            showStatus(elements.priceSourcesStatus, result.message);
+        });
+        elements.cacheStatsBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="clear-cache"]');
+            if (button) {
+                handleClearCache(button.dataset.namespace);
+            }
+        });
+        buttons.clearCache.addEventListener('click', () => handleClearCache(null));
+        buttons.updateRates.addEventListener('click', handleUpdateRates);
+        inputs.rateProvider.addEventListener('change', updateRateUrlPlaceholder);
+        buttons.clearCatalog.addEventListener('click', handleClearCatalog);
+
+        // Offline banner
+        window.addEventListener('online', updateOfflineBanner);
+        window.addEventListener('offline', updateOfflineBanner);
+
+        // Profile
+        buttons.profile.addEventListener('click', showProfile);
+        buttons.profileHome.addEventListener('click', () => showScreen('cardInput'));
+        buttons.saveProfile.addEventListener('click', handleSaveProfile);
+        buttons.changePassword.addEventListener('click', handleChangePassword);
+        inputs.preferenceBuylist.addEventListener('change', updatePreferenceTiers);
+        buttons.addPreferenceTier.addEventListener('click', () => {
+            elements.preferenceTiersBody.appendChild(createTierRow({ min: '', cash: '', credit: '' }));
+        });
+        elements.preferenceTiersBody.addEventListener('click', handleRemoveSettingsRow);
+        buttons.savePreferences.addEventListener('click', handleSavePreferences);
+        buttons.deleteAccount.addEventListener('click', handleDeleteAccount);
+
+        // Users
+        buttons.users.addEventListener('click', showUsers);
+        buttons.usersHome.addEventListener('click', () => showScreen('cardInput'));
+        buttons.createUser.addEventListener('click', handleCreateUser);
+        elements.usersBody.addEventListener('change', handleUserRoleChange);
+        elements.usersBody.addEventListener('click', handleUserToggle);
 
         // Error
         buttons.errorRetry.addEventListener('click', () => {
@@ -110,6 +549,8 @@ const UI = (() => {
 
         // Update user display
         updateUserDisplay();
+        applyDefaultCondition();
+        updateOfflineBanner();
     }
 
     /**
@@ -117,15 +558,35 @@ const UI = (() => {
      * @param {string} screenName - Name of screen to show
      */
     function showScreen(screenName) {
-        // Check authentication for protected screens
-        const protectedScreens = ['cardInput', 'confirmation', 'loading', 'results'];
-        
-        if (protectedScreens.includes(screenName) && !Auth.isLoggedIn()) {
+        // Check authentication for protected screens, and the lowest role allowed on each
+        const protectedScreens = {
+            cardInput: 'staff',
+            confirmation: 'staff',
+            matches: 'staff',
+            sets: 'staff',
+            setChecklist: 'staff',
+            loading: 'staff',
+            results: 'staff',
+            collection: 'staff',
+            watchlist: 'staff',
+            batch: 'staff',
+            import: 'staff',
+            profile: 'staff',
+            settings: 'staff',
+            users: 'admin'
+        };
+
+        if (protectedScreens[screenName] && !Auth.isLoggedIn()) {
             showError('Please log in first to continue');
             showScreen('auth');
             return;
         }
 
+        if (protectedScreens[screenName] && !Auth.hasRole(protectedScreens[screenName])) {
+            showError(`This screen needs the ${protectedScreens[screenName]} role`);
+            return;
+        }
+
         // Hide all screens
         Object.values(screens).forEach(screen => {
             if (screen) screen.classList.remove('active');
@@ -167,7 +628,7 @@ const UI = (() => {
     /**
      * Handle login button click
      */
-    function handleLogin() {
+    async function handleLogin() {
         const email = inputs.loginEmail.value.trim();
         const password = inputs.loginPassword.value;
 
@@ -176,11 +637,14 @@ const UI = (() => {
             return;
         }
 
-        const result = Auth.login(email, password);
+        buttons.login.disabled = true;
+        const result = await Auth.login(email, password);
+        buttons.login.disabled = false;
 
         if (result.success) {
             updateUserDisplay();
             clearAuthForm();
+            applyDefaultCondition();
             showScreen('cardInput');
         } else {
             showError(result.message);
@@ -190,7 +654,7 @@ const UI = (() => {
     /**
      * Handle signup button click
      */
-    function handleSignup() {
+    async function handleSignup() {
         const name = inputs.signupName.value.trim();
         const email = inputs.signupEmail.value.trim();
         const password = inputs.signupPassword.value;
@@ -206,7 +670,9 @@ const UI = (() => {
             return;
         }
 
-        const result = Auth.signup(name, email, password);
+        buttons.signup.disabled = true;
+        const result = await Auth.signup(name, email, password);
+        buttons.signup.disabled = false;
 
         if (result.success) {
             updateUserDisplay();
@@ -217,6 +683,43 @@ const UI = (() => {
         }
     }
 
+    /**
+     * Fill the account server form from the saved backend
+     */
+    function renderAuthBackend() {
+        const backend = Auth.getBackend();
+        inputs.authProvider.value = backend.provider;
+        inputs.authServerUrl.value = backend.baseUrl || '';
+        updateAuthBackendForm();
+    }
+
+    /**
+     * Only ask for a server address when accounts are on a server
+     */
+    function updateAuthBackendForm() {
+        inputs.authServerUrl.disabled = inputs.authProvider.value !== 'http';
+    }
+
+    /**
+     * Handle saving the account server settings
+     */
+    async function handleSaveAuthBackend() {
+        buttons.saveAuthBackend.disabled = true;
+        const result = await Auth.setBackend({
+            provider: inputs.authProvider.value,
+            baseUrl: inputs.authServerUrl.value
+        });
+        buttons.saveAuthBackend.disabled = false;
+
+        elements.authBackendStatus.textContent = result.message;
+        elements.authBackendStatus.classList.remove('hidden');
+
+        if (result.success) {
+            renderAuthBackend();
+            updateUserDisplay();
+        }
+    }
+
     /**
      * Handle logout
      */
@@ -236,6 +739,12 @@ const UI = (() => {
         if (session) {
             elements.userDisplayName.textContent = session.name || 'User';
             buttons.userMenu.style.display = 'block';
+
+            // Only offer the screens the user's role allows
+            buttons.users.classList.toggle('hidden', !Auth.can('manageUsers'));
+            renderSavedSearches();
+            updateAlertBadge();
+            renderCurrencyLabels();
         } else {
             elements.userDisplayName.textContent = 'Login';
             buttons.userMenu.style.display = 'none';
@@ -256,6 +765,9 @@ const UI = (() => {
     function setupUploadArea() {
         const uploadArea = elements.uploadArea;
 
+        // Without text reading, photos are only matched against the photo index
+        elements.photoTextNotice.classList.toggle('hidden', CardScanner.canReadText());
+
         uploadArea.addEventListener('click', () => {
             inputs.cardPhotoInput.click();
         });
@@ -315,6 +827,69 @@ const UI = (() => {
     function showPhoto(src) {
         elements.previewImage.src = src;
         elements.photoPreview.classList.remove('hidden');
+        identifyPhoto(src);
+    }
+
+    /**
+     * Identify the card in an uploaded photo and fill in its details
+     * @param {string} src - Image data URL
+     */
+    async function identifyPhoto(src) {
+        const scanId = ++photoScanId;
+        photoMatch = null;
+        showStatus(elements.photoScanStatus, 'Identifying card...');
+
+        const result = await CardScanner.identify(src);
+
+        // A newer photo, or a cleared one, replaces this result
+        if (scanId !== photoScanId) return;
+
+        if (result.success) {
+            const card = result.card;
+            inputs.cardName.value = card.name;
+            inputs.cardSet.value = card.set;
+            inputs.cardNumber.value = formatCardNumber(card);
+            photoMatch = {
+                name: inputs.cardName.value,
+                set: inputs.cardSet.value,
+                number: inputs.cardNumber.value,
+                confidence: result.confidence
+            };
+            showStatus(elements.photoScanStatus,
+                `${result.message}, ${formatConfidence(result.confidence)}. Check the details before searching.`);
+        } else {
+            // Fill in whatever text could be read
+            if (result.read.name) {
+                inputs.cardName.value = result.read.name;
+            }
+            if (result.read.number) {
+                inputs.cardNumber.value = result.read.total ? `${result.read.number}/${result.read.total}` : result.read.number;
+            }
+            showStatus(elements.photoScanStatus, result.message);
+        }
+
+        updateSearchQuery();
+    }
+
+    /**
+     * Get the photo match confidence, if the details it filled in are unchanged
+     * @returns {number|null} Confidence, 0-1
+     */
+    function getPhotoConfidence() {
+        const unchanged = photoMatch &&
+            inputs.cardName.value === photoMatch.name &&
+            inputs.cardSet.value === photoMatch.set &&
+            inputs.cardNumber.value === photoMatch.number;
+        return unchanged ? photoMatch.confidence : null;
+    }
+
+    /**
+     * Describe a photo match confidence
+     * @param {number} confidence - 0-1
+     * @returns {string} e.g. "86% confidence"
+     */
+    function formatConfidence(confidence) {
+        return `${Math.round(confidence * 100)}% confidence`;
     }
 
     /**
@@ -324,6 +899,9 @@ const UI = (() => {
         elements.previewImage.src = '';
         elements.photoPreview.classList.add('hidden');
         inputs.cardPhotoInput.value = '';
+        photoScanId++;
+        photoMatch = null;
+        elements.photoScanStatus.classList.add('hidden');
     }
 
     /**
@@ -340,17 +918,30 @@ const UI = (() => {
         const cardName = inputs.cardName.value.trim();
         const cardSet = inputs.cardSet.value.trim();
         const condition = getSelectedCondition();
+        const criteria = readSearchCriteria();
+        const advanced = SearchBuilder.hasFilters(criteria);
 
-        if (!hasPhoto && !cardName && !cardSet) {
+        if (!hasPhoto && !cardName && !cardSet && !advanced) {
             showError('Please upload a photo or enter card details');
             return;
         }
 
-        if (!cardName || !cardSet) {
+        // Advanced searches are exact, so name and set are optional there
+        if (!advanced && (!cardName || !cardSet)) {
             showError('Please enter card name and set');
             return;
         }
 
+        let query = null;
+        if (advanced) {
+            const built = SearchBuilder.build(criteria);
+            if (!built.success) {
+                showError(built.message);
+                return;
+            }
+            query = built.query;
+        }
+
         if (!condition) {
             showError('Please select a card condition');
             return;
@@ -361,8 +952,12 @@ const UI = (() => {
             name: cardName,
             set: cardSet,
             number: inputs.cardNumber.value.trim(),
+            query,
             condition: condition,
-            photo: elements.previewImage.src
+            variant: inputs.cardVariant.value || null,
+            variantOptions,
+            photo: elements.previewImage.src,
+            photoConfidence: hasPhoto ? getPhotoConfidence() : null
         }));
 
         showConfirmation();
@@ -374,20 +969,92 @@ const UI = (() => {
     function showConfirmation() {
         const cardData = JSON.parse(sessionStorage.getItem('cardData'));
 
-        document.getElementById('confirmCardName').textContent = cardData.name;
-        document.getElementById('confirmCardSet').textContent = cardData.set;
+        document.getElementById('confirmCardName').textContent = cardData.name || 'Any';
+        document.getElementById('confirmCardSet').textContent = cardData.set || 'Any';
         document.getElementById('confirmCardNumber').textContent = cardData.number || 'N/A';
-        document.getElementById('confirmCondition').textContent = cardData.condition;
+        document.getElementById('confirmCondition').textContent = Conditions.describe(cardData.condition);
+        fillVariantSelect(inputs.confirmVariant, cardData.variantOptions || [], cardData.variant,
+            cardData.query ? 'Choose after picking the printing' : 'Looking up variants...');
+        const photoMatched = typeof cardData.photoConfidence === 'number';
+        elements.confirmPhotoMatch.textContent = photoMatched ? formatConfidence(cardData.photoConfidence) : '';
+        elements.confirmPhotoMatchItem.classList.toggle('hidden', !photoMatched);
+        elements.confirmQuery.textContent = cardData.query || '';
+        elements.confirmQueryItem.classList.toggle('hidden', !cardData.query);
 
         if (cardData.photo) {
             document.getElementById('confirmCardImage').src = cardData.photo;
         } else {
-            document.getElementById('confirmCardImage').src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="280" viewBox="0 0 200 280"%3E%3Crect width="200" height="280" fill="%23f0f0f0"/%3E%3Ctext x="50%" y="50%" text-anchor="middle" dy=".3em" fill="%23999" font-family="Arial" font-size="14"%3ENo Image%3C/text%3E%3C/svg%3E';
+            document.getElementById('confirmCardImage').src = PLACEHOLDER_IMAGE;
         }
 
         showScreen('confirmation');
     }
 
+    /**
+     * Fill a variant select, keeping the chosen variant when the printing has it
+     * The first option prices the most common variant
+     * @param {HTMLSelectElement} select - Variant select
+     * @param {array} variants - Canonical variant names (see Variants)
+     * @param {string|null} selected - Variant to select
+     * @param {string} emptyText - Text of the only option when there are no variants
+     */
+    function fillVariantSelect(select, variants, selected, emptyText) {
+        select.innerHTML = '';
+        if (variants.length === 0) {
+            select.appendChild(new Option(emptyText, ''));
+            return;
+        }
+
+        select.appendChild(new Option(`Most common (${Variants.getDefault(variants)})`, ''));
+        variants.forEach(variant => select.appendChild(new Option(variant, variant)));
+        select.value = variants.includes(selected) ? selected : '';
+    }
+
+    /**
+     * Show the variants found for the printing on the card input screen
+     * @param {array|null} variants - Canonical variant names, or null when none were found
+     * @param {string} message - Why there are none, shown in place of the options
+     */
+    function updateVariantOptions(variants, message = '') {
+        variantOptions = variants || [];
+        fillVariantSelect(inputs.cardVariant, variantOptions, inputs.cardVariant.value, message);
+    }
+
+    /**
+     * Show the variants found for the printing on the confirmation screen
+     * @param {array|null} variants - Canonical variant names, or null when none were found
+     * @param {string} message - Why there are none, shown in place of the options
+     */
+    function updateConfirmationVariants(variants, message = '') {
+        const cardData = JSON.parse(sessionStorage.getItem('cardData'));
+        if (!cardData) return;
+
+        sessionStorage.setItem('cardData', JSON.stringify({ ...cardData, variantOptions: variants || [] }));
+        fillVariantSelect(inputs.confirmVariant, variants || [], cardData.variant, message);
+    }
+
+    /**
+     * Keep the variant chosen on the confirmation screen with the search
+     */
+    function handleConfirmVariantChange() {
+        const cardData = JSON.parse(sessionStorage.getItem('cardData'));
+        if (cardData) {
+            sessionStorage.setItem('cardData', JSON.stringify({ ...cardData, variant: inputs.confirmVariant.value || null }));
+        }
+    }
+
+    /**
+     * Get the card details entered on the card input screen
+     * @returns {object} { name, set, number }
+     */
+    function getCardDetails() {
+        return {
+            name: inputs.cardName.value.trim(),
+            set: inputs.cardSet.value.trim(),
+            number: inputs.cardNumber.value.trim()
+        };
+    }
+
     /**
      * Handle confirm search button click
      */
@@ -404,75 +1071,2599 @@ const UI = (() => {
         showScreen('loading');
     }
 
+    /**
+     * Show every card that matched the search so the user can pick a printing
+     * @param {array} cards - Formatted cards from API.searchCards
+     * @param {object} cardData - The search that produced them
+     * @param {string|null} notice - Which search fallback was used, if any
+     * @param {object} paging - { totalCount, hasMore } from API.searchCards
+     */
+    function showMatches(cards, cardData, notice = null, paging = null) {
+        matchName = cardData.query ? 'your search' : `"${cardData.name}"`;
+        showSearchNotice(elements.matchesNotice, notice);
+
+        inputs.matchesFilter.value = '';
+        inputs.matchesRarity.value = '';
+        updateMatches(cards, paging);
+        showScreen('matches');
+    }
+
+    /**
+     * Replace the cards on the matches screen, keeping the filters
+     * Used when more pages load or the order changes
+     * @param {array} cards - Every card loaded so far
+     * @param {object} paging - { totalCount, hasMore }
+     */
+    function updateMatches(cards, paging = null) {
+        matchCards = cards;
+        matchPaging = paging || { totalCount: cards.length, hasMore: false };
+
+        elements.matchesSummary.textContent = matchPaging.hasMore
+            ? `Showing ${cards.length} of ${matchPaging.totalCount} printings that match ${matchName}. Pick the exact card to price it.`
+            : `${cards.length} printings match ${matchName}. Pick the exact card to price it.`;
+
+        // Rebuild the rarity filter from the rarities present
+        const selectedRarity = inputs.matchesRarity.value;
+        const rarities = [...new Set(cards.map(card => card.rarity))].sort(compareRarity);
+        inputs.matchesRarity.innerHTML = '';
+        inputs.matchesRarity.appendChild(new Option('All rarities', ''));
+        rarities.forEach(rarity => inputs.matchesRarity.appendChild(new Option(rarity, rarity)));
+        inputs.matchesRarity.value = rarities.includes(selectedRarity) ? selectedRarity : '';
+
+        setMatchesLoading(false);
+        renderMatches();
+    }
+
+    /**
+     * Show that another page of matches is loading
+     * @param {boolean} loading - Whether a page is loading
+     */
+    function setMatchesLoading(loading) {
+        elements.matchesMore.classList.toggle('hidden', !matchPaging.hasMore);
+        buttons.loadMoreMatches.disabled = loading;
+        buttons.loadMoreMatches.textContent = loading ? 'Loading...' : 'Load More';
+    }
+
+    /**
+     * Get the API order for the selected matches sort
+     * @returns {string} Pokémon TCG API orderBy value
+     */
+    function getMatchesOrderBy() {
+        return MATCH_ORDER_BY[inputs.matchesSort.value] || MATCH_ORDER_BY.releaseAsc;
+    }
+
+    /**
+     * Render the matches grid using the current filter and sort
+     */
+    function renderMatches() {
+        const filter = inputs.matchesFilter.value.trim().toLowerCase();
+        const rarity = inputs.matchesRarity.value;
+        const sort = inputs.matchesSort.value;
+
+        const visible = matchCards
+            .filter(card => !rarity || card.rarity === rarity)
+            .filter(card => !filter ||
+                [card.name, card.set, card.setCode, card.number].some(value =>
+                    String(value).toLowerCase().includes(filter)
+                ))
+            .sort(getMatchComparator(sort));
+
+        elements.matchesGrid.innerHTML = '';
+        visible.forEach(card => elements.matchesGrid.appendChild(createMatchItem(card)));
+        elements.matchesEmpty.classList.toggle('hidden', visible.length > 0);
+    }
+
+    /**
+     * Build the clickable tile for one matching card
+     * @param {object} card - Formatted card
+     * @returns {HTMLElement} Match tile
+     */
+    function createMatchItem(card) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'match-item';
+        item.dataset.cardId = card.id;
+
+        const image = document.createElement('img');
+        image.src = card.imageUrl || PLACEHOLDER_IMAGE;
+        image.alt = card.name;
+        image.loading = 'lazy';
+
+        const name = document.createElement('strong');
+        name.textContent = card.name;
+
+        const set = document.createElement('small');
+        set.textContent = `${card.set} · #${formatCardNumber(card)}`;
+
+        const rarity = document.createElement('small');
+        rarity.textContent = card.releaseDate ? `${card.rarity} · ${card.releaseDate}` : card.rarity;
+
+        item.append(image, name, set, rarity);
+        return item;
+    }
+
+    /**
+     * Get the sort function for the matches screen
+     * @param {string} sort - Sort option value
+     * @returns {function} Comparator
+     */
+    function getMatchComparator(sort) {
+        const byRelease = (a, b) => String(a.releaseDate).localeCompare(String(b.releaseDate));
+        const byNumber = (a, b) => String(a.number).localeCompare(String(b.number), undefined, { numeric: true });
+
+        switch (sort) {
+            case 'releaseDesc':
+                return (a, b) => byRelease(b, a) || byNumber(a, b);
+            case 'set':
+                return (a, b) => a.set.localeCompare(b.set) || byNumber(a, b);
+            case 'number':
+                return (a, b) => byNumber(a, b) || byRelease(a, b);
+            case 'rarity':
+                return (a, b) => compareRarity(a.rarity, b.rarity) || byRelease(a, b);
+            case 'name':
+                return (a, b) => a.name.localeCompare(b.name) || byRelease(a, b);
+            default:
+                return (a, b) => byRelease(a, b) || byNumber(a, b);
+        }
+    }
+
+    /**
+     * Compare two rarities, lowest first; unknown rarities sort last
+     * @param {string} a - Rarity
+     * @param {string} b - Rarity
+     * @returns {number} Comparison result
+     */
+    function compareRarity(a, b) {
+        const rank = rarity => {
+            const index = RARITY_ORDER.indexOf(rarity);
+            return index === -1 ? RARITY_ORDER.length : index;
+        };
+        return rank(a) - rank(b) || String(a).localeCompare(String(b));
+    }
+
+    /**
+     * Show the set browser while the set list loads
+     */
+    function showSets() {
+        elements.setsSummary.textContent = 'Loading sets...';
+        elements.setsList.innerHTML = '';
+        elements.setsEmpty.classList.add('hidden');
+        showScreen('sets');
+    }
+
+    /**
+     * Fill the set browser
+     * @param {object} result - Result from API.getSetList
+     */
+    function updateSets(result) {
+        if (!result.success) {
+            browserSets = [];
+            elements.setsSummary.textContent = result.error || 'Could not load the set list. Please try again.';
+            renderSets();
+            return;
+        }
+
+        browserSets = result.data;
+        elements.setsSummary.textContent = `${browserSets.length} sets. Pick one to see its checklist.` +
+            (result.offline ? ' Showing the offline catalog.' : '');
+        fillSetOptions(browserSets);
+        renderSets();
+    }
+
+    /**
+     * Render the set browser, grouped by series with the newest series first
+     */
+    function renderSets() {
+        const filter = inputs.setsFilter.value.trim().toLowerCase();
+        const visible = browserSets.filter(set => !filter ||
+            [set.name, set.id, set.ptcgoCode, set.series].some(value =>
+                String(value || '').toLowerCase().includes(filter)
+            ));
+
+        const series = new Map();
+        [...visible]
+            .sort((a, b) => String(b.releaseDate).localeCompare(String(a.releaseDate)))
+            .forEach(set => {
+                const name = set.series || 'Other';
+                if (!series.has(name)) series.set(name, []);
+                series.get(name).push(set);
+            });
+
+        elements.setsList.innerHTML = '';
+        series.forEach((sets, name) => {
+            const section = document.createElement('section');
+            section.className = 'set-series';
+
+            const heading = document.createElement('h3');
+            heading.textContent = name;
+
+            const grid = document.createElement('div');
+            grid.className = 'set-grid';
+            sets.forEach(set => grid.appendChild(createSetItem(set)));
+
+            section.append(heading, grid);
+            elements.setsList.appendChild(section);
+        });
+
+        elements.setsEmpty.classList.toggle('hidden', visible.length > 0 || browserSets.length === 0);
+    }
+
+    /**
+     * Create a set button for the set browser
+     * @param {object} set - Set from the API or the offline catalog
+     * @returns {HTMLElement} Set item
+     */
+    function createSetItem(set) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'match-item set-item';
+        item.dataset.setId = set.id;
+
+        const logo = document.createElement('img');
+        logo.src = set.images?.logo || PLACEHOLDER_IMAGE;
+        logo.alt = set.name;
+        logo.loading = 'lazy';
+
+        const name = document.createElement('strong');
+        name.textContent = set.name;
+
+        const details = document.createElement('small');
+        details.textContent = `${set.ptcgoCode || set.id} · ${formatReleaseDate(set.releaseDate)}`;
+
+        const count = document.createElement('small');
+        count.textContent = `${set.total ?? set.cardCount ?? '?'} cards`;
+
+        item.append(logo, name, details, count);
+        return item;
+    }
+
+    /**
+     * Format a release date from the API ("1999/01/09")
+     * @param {string} releaseDate - Release date
+     * @returns {string} Date for display
+     */
+    function formatReleaseDate(releaseDate) {
+        const [year, month, day] = String(releaseDate || '').split('/').map(Number);
+        if (!year) return 'Unknown date';
+
+        return new Date(year, (month || 1) - 1, day || 1)
+            .toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Offer the sets as suggestions in the set field on the card input screen
+     * @param {array} sets - Sets from the API or the offline catalog
+     */
+    function fillSetOptions(sets) {
+        elements.cardSetOptions.innerHTML = '';
+        [...sets]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(set => {
+                const year = String(set.releaseDate || '').slice(0, 4);
+                elements.cardSetOptions.appendChild(new Option(`${set.ptcgoCode || set.id} · ${set.series} ${year}`, set.name));
+            });
+    }
+
+    /**
+     * Show a set's checklist screen while its cards load
+     * @param {object} set - Set from the set browser
+     */
+    function showSetChecklist(set) {
+        elements.setChecklistLogo.src = set.images?.logo || PLACEHOLDER_IMAGE;
+        elements.setChecklistLogo.alt = set.name;
+        elements.setChecklistName.textContent = set.name;
+        elements.setChecklistSummary.textContent = 'Loading checklist...';
+
+        checklistCards = [];
+        inputs.setChecklistFilter.value = '';
+        inputs.setChecklistRarity.value = '';
+        fillConditionSelect(inputs.setChecklistCondition);
+        renderSetChecklist();
+        showScreen('setChecklist');
+    }
+
+    /**
+     * Fill a set's checklist
+     * @param {object} set - Set from the set browser
+     * @param {object} result - Result from API.getSetChecklist
+     */
+    function updateSetChecklist(set, result) {
+        if (!result.success) {
+            checklistCards = [];
+            elements.setChecklistSummary.textContent = result.error || 'Could not load this set. Please try again.';
+            renderSetChecklist();
+            return;
+        }
+
+        checklistCards = result.data;
+        elements.setChecklistSummary.textContent = `${set.series} · ${formatReleaseDate(set.releaseDate)} · ` +
+            `${checklistCards.length} cards. Pick a card to price it.`;
+
+        const rarities = [...new Set(checklistCards.map(card => card.rarity))].sort(compareRarity);
+        inputs.setChecklistRarity.innerHTML = '';
+        inputs.setChecklistRarity.appendChild(new Option('All rarities', ''));
+        rarities.forEach(rarity => inputs.setChecklistRarity.appendChild(new Option(rarity, rarity)));
+
+        renderSetChecklist();
+    }
+
+    /**
+     * Render the checklist grid using the current filters
+     */
+    function renderSetChecklist() {
+        const filter = inputs.setChecklistFilter.value.trim().toLowerCase();
+        const rarity = inputs.setChecklistRarity.value;
+
+        const visible = checklistCards
+            .filter(card => !rarity || card.rarity === rarity)
+            .filter(card => !filter ||
+                [card.name, card.number].some(value => String(value).toLowerCase().includes(filter)));
+
+        elements.setChecklistGrid.innerHTML = '';
+        visible.forEach(card => elements.setChecklistGrid.appendChild(createMatchItem(card)));
+        elements.setChecklistEmpty.classList.toggle('hidden', visible.length > 0 || checklistCards.length === 0);
+    }
+
+    /**
+     * Get the condition chosen on the checklist screen
+     * @returns {string} Condition
+     */
+    function getSetChecklistCondition() {
+        return inputs.setChecklistCondition.value;
+    }
+
+    /**
+     * Show or hide a search fallback notice
+     * @param {HTMLElement} element - Notice element
+     * @param {string|null} notice - Notice text
+     */
+    function showSearchNotice(element, notice) {
+        element.textContent = notice || '';
+        element.classList.toggle('hidden', !notice);
+    }
+
     /**
      * Show results screen
      * @param {object} cardData - Card data with pricing
+     * @param {string|null} searchNotice - Which search fallback was used, if any
      */
-    function showResults(cardData) {
-        const priceValue = cardData.adjustedPrice || cardData.price || 'N/A';
+    function showResults(cardData, searchNotice = null) {
+        showSearchNotice(elements.resultsSearchNotice, searchNotice);
+        resetAddToCollection(cardData);
+
+        const priceValue = cardData.adjustedPrice || cardData.price;
 
         document.getElementById('resultsCardName').textContent = cardData.name;
         document.getElementById('resultsCardSet').textContent = cardData.set || cardData.setCode || 'N/A';
-        document.getElementById('resultsCondition').textContent = cardData.selectedCondition || 'N/A';
-        document.getElementById('resultsPrice').textContent = `$${priceValue}`;
+        document.getElementById('resultsCondition').textContent = Conditions.describe(cardData.selectedCondition);
+        document.getElementById('resultsVariant').textContent = Variants.describe(cardData.variant);
+        document.getElementById('resultsPrice').textContent = cardData.displayCurrency
+            ? Currency.format(cardData.displayPrice, cardData.displayCurrency)
+            : (priceValue ? formatPrice(priceValue, cardData.priceCurrency) : 'N/A');
+        renderCurrencyNote(cardData);
+        renderCurrencyLabels();
+
+        // Label where the price came from, and flag mock estimates loudly
+        const sourceLabel = cardData.isMockPrice ? 'Mock estimate' : (cardData.priceSource || 'N/A');
+        const updated = cardData.priceUpdatedAt ? ` (updated ${formatDate(cardData.priceUpdatedAt)})` : '';
+        const checked = cardData.priceFetchedAt ? `, checked ${formatAge(cardData.priceFetchedAt)}` : '';
+        document.getElementById('resultsPriceSource').textContent = sourceLabel + updated + checked;
+        document.getElementById('mockPriceNotice').classList.toggle('hidden', !cardData.isMockPrice);
 
         if (cardData.imageUrl) {
             document.getElementById('resultsCardImage').src = cardData.imageUrl;
         } else {
-            document.getElementById('resultsCardImage').src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="280" viewBox="0 0 200 280"%3E%3Crect width="200" height="280" fill="%23f0f0f0"/%3E%3Ctext x="50%" y="50%" text-anchor="middle" dy=".3em" fill="%23999" font-family="Arial" font-size="14"%3ENo Image%3C/text%3E%3C/svg%3E';
+            document.getElementById('resultsCardImage').src = PLACEHOLDER_IMAGE;
         }
 
         // Show price breakdown if available
         if (cardData.priceBreakdown) {
-            const breakdown = document.getElementById('priceBreakdown');
-            breakdown.classList.remove('hidden');
-            document.getElementById('breakdownLabel').textContent = `Base Price × ${cardData.priceBreakdown.conditionAdjustment}`;
-            document.getElementById('breakdownPrice').textContent = `$${cardData.priceBreakdown.estimatedValue}`;
+            renderPriceBreakdown(cardData);
+        }
+
+        // Show trade-in offers next to the breakdown
+        const offer = cardData.buylistOffer;
+        elements.buylistOffers.classList.toggle('hidden', !offer);
+        if (offer) {
+            elements.cashOfferLabel.textContent = `Cash (${offer.cashPercent}%)`;
+            elements.cashOffer.textContent = formatPrice(offer.cash, cardData.priceCurrency);
+            elements.creditOfferLabel.textContent = `Store Credit (${offer.creditPercent}%)`;
+            elements.creditOffer.textContent = formatPrice(offer.credit, cardData.priceCurrency);
         }
 
+        renderPriceHistory(cardData);
+        resetWatchCard(cardData);
         showScreen('results');
     }
 
     /**
-     * Show error screen
-     * @param {string} message - Error message
+     * Show each source's price, the spread between them, and how they were blended
+     * @param {object} cardData - Card shown on the results screen
      */
-    function showError(message) {
-        elements.errorMessage.textContent = message;
-        showScreen('error');
+    function renderPriceBreakdown(cardData) {
+        const breakdown = cardData.priceBreakdown;
+        const sources = breakdown.sources || [];
+        const blended = sources.filter(source => source.included).length > 1;
+        document.getElementById('priceBreakdown').classList.remove('hidden');
+
+        elements.breakdownSources.innerHTML = '';
+        elements.breakdownSources.classList.toggle('hidden', !blended && sources.length <= 1);
+        sources.forEach(source => elements.breakdownSources.appendChild(createSourceRow(source, cardData.priceCurrency)));
+
+        const basis = breakdown.basis || 'Base Price';
+        document.getElementById('breakdownLabel').textContent = blended
+            ? 'Blended estimate'
+            : `${basis} × ${breakdown.conditionAdjustment}`;
+        document.getElementById('breakdownPrice').textContent =
+            formatPrice(breakdown.estimatedValue, cardData.priceCurrency);
+
+        elements.breakdownVariant.classList.toggle('hidden', !breakdown.variantNote);
+        elements.breakdownVariant.textContent = breakdown.variantNote ? `${breakdown.variantNote}.` : '';
+
+        const spread = breakdown.spread;
+        const showSpread = Boolean(spread) && sources.length > 1;
+        elements.breakdownSpread.classList.toggle('hidden', !showSpread);
+        if (showSpread) {
+            elements.breakdownSpread.textContent =
+                `Spread: ${formatPrice(spread.low, cardData.priceCurrency)} to ${formatPrice(spread.high, cardData.priceCurrency)} ` +
+                `(${formatPrice(spread.amount, cardData.priceCurrency)}, ${spread.percent}%)`;
+        }
+
+        elements.breakdownMethod.classList.toggle('hidden', sources.length <= 1);
+        if (sources.length > 1) {
+            const weighting = breakdown.equalWeights
+                ? 'No weighted source has a price, so the sources are averaged equally.'
+                : 'Weighted average of the sources\' prices for this condition.';
+            const guard = breakdown.outlierPercent > 0
+                ? ` Prices more than ${breakdown.outlierPercent}% from the median (${formatPrice(breakdown.median, cardData.priceCurrency)}) ` +
+                    'are left out when three or more sources have a price.'
+                : ' The outlier guard is off.';
+            elements.breakdownMethod.textContent = weighting + guard;
+        }
     }
 
     /**
-     * Show error alert (temporary)
-     * @param {string} message - Error message
+     * Build a breakdown row for one price source
+     * @param {object} source - Source from the price breakdown
+     * @param {string} priceCurrency - Currency the card was priced in
+     * @returns {HTMLElement} Row
      */
-    function showErrorAlert(message) {
-        // Use alert for simple errors, or implement a toast notification
-        alert('Error: ' + message);
+    function createSourceRow(source, priceCurrency) {
+        const row = document.createElement('div');
+        row.className = 'price-item';
+        row.classList.toggle('excluded', !source.included);
+
+        const original = source.currency !== priceCurrency
+            ? `${Currency.format(source.originalPrice, source.currency)} = ${formatPrice(source.basePrice, priceCurrency)}`
+            : formatPrice(source.basePrice, priceCurrency);
+
+        const label = document.createElement('span');
+        label.textContent = `${source.basis} ${original} × ${source.conditionAdjustment}`;
+        const detail = document.createElement('span');
+        detail.className = 'source-detail';
+        detail.textContent = source.note || `Weight ${source.weight}`;
+        label.appendChild(detail);
+
+        const price = document.createElement('span');
+        price.className = 'source-price';
+        price.textContent = formatPrice(source.price, priceCurrency);
+
+        row.append(label, price);
+        return row;
     }
 
     /**
-     * Get selected condition radio button value
-     * @returns {string} Selected condition
+     * Say what a converted price was converted from, and at what rate
+     * @param {object} cardData - Card shown on the results screen
      */
-    function getSelectedCondition() {
-        for (const radio of inputs.conditionRadios) {
-            if (radio.checked) {
-                return radio.value;
-            }
-        }
-        return null;
+    function renderCurrencyNote(cardData) {
+        const priceCurrency = cardData.priceCurrency || Currency.BASE_CURRENCY;
+        const converted = cardData.displayCurrency && cardData.displayCurrency !== priceCurrency;
+        elements.resultsCurrencyNote.classList.toggle('hidden', !converted);
+        if (!converted) return;
+
+        elements.resultsCurrencyNote.textContent =
+            `Converted from ${Currency.format(cardData.adjustedPrice, priceCurrency)} at ` +
+            `1 ${priceCurrency} = ${cardData.exchangeRate} ${cardData.displayCurrency}` +
+            (cardData.ratesDate ? ` (rates of ${cardData.ratesDate})` : '');
     }
 
     /**
-     * Clear card input form
+     * Show the display currency next to fields where amounts are typed
      */
-    function clearCardForm() {
-        inputs.cardName.value = '';
-        inputs.cardSet.value = '';
-        inputs.cardNumber.value = '';
-        inputs.conditionRadios.forEach(radio => radio.checked = false);
-        clearPhoto();
+    function renderCurrencyLabels() {
+        const currency = Currency.getDisplayCurrency();
+        document.querySelectorAll('.currency-code').forEach(label => {
+            label.textContent = currency;
+        });
+    }
+
+    /**
+     * Convert an amount typed in the display currency to US dollars for storage
+     * @param {string} value - Typed amount
+     * @returns {string|number} Amount in US dollars, or the typed value when empty or not a number
+     */
+    function toBaseAmount(value) {
+        const text = String(value ?? '').trim();
+        if (text === '' || !Number.isFinite(Number(text))) return value;
+        return Number(Currency.convert(Number(text), Currency.BASE_CURRENCY, Currency.getDisplayCurrency()).toFixed(6));
+    }
+
+    /**
+     * Convert a stored US dollar amount to the display currency for editing
+     * @param {number|null} amount - Amount in US dollars
+     * @returns {string|number} Amount in the display currency, '' for none
+     */
+    function fromBaseAmount(amount) {
+        if (amount === null || amount === undefined || amount === '') return '';
+        return Number(Currency.convert(amount, Currency.getDisplayCurrency()).toFixed(2));
+    }
+
+    /**
+     * Show a card's price history chart, its change over each period and its trend
+     * Mock estimates have no history
+     * @param {object} cardData - Card shown on the results screen
+     */
+    function renderPriceHistory(cardData) {
+        elements.priceHistory.classList.toggle('hidden', Boolean(cardData.isMockPrice));
+        if (cardData.isMockPrice) return;
+
+        const history = PriceHistory.getSummary(cardData.id, cardData.selectedCondition, cardData.variant);
+        const cutoff = Date.now() - PRICE_CHART_DAYS * 24 * 60 * 60 * 1000;
+        const snapshots = history.snapshots.filter(snapshot => snapshot.time >= cutoff);
+
+        const trend = TRENDS[history.trend];
+        elements.priceTrend.textContent = trend ? `${trend.arrow} ${trend.label}` : '';
+        elements.priceTrend.className = `price-trend${trend ? ` trend-${history.trend}` : ''}`;
+
+        elements.priceHistoryChart.innerHTML = '';
+        elements.priceHistoryChart.classList.toggle('hidden', snapshots.length < 2);
+        if (snapshots.length < 2) {
+            elements.priceHistoryCaption.textContent = 'This is the first price recorded for this card in this ' +
+                'condition. History builds up with every lookup, and collection cards are re-priced on a schedule.';
+        } else {
+            const prices = snapshots.map(snapshot => snapshot.price);
+            elements.priceHistoryChart.appendChild(createPriceChart(snapshots));
+            elements.priceHistoryCaption.textContent = `${snapshots.length} prices since ` +
+                `${formatDate(snapshots[0].time)} · Low ${formatPrice(Math.min(...prices))} · ` +
+                `High ${formatPrice(Math.max(...prices))}`;
+        }
+
+        elements.priceChanges.innerHTML = '';
+        history.changes.forEach(change => {
+            const item = document.createElement('div');
+            item.className = 'price-change';
+            const label = document.createElement('span');
+            label.className = 'label';
+            label.textContent = `${change.days} days`;
+            const value = document.createElement('span');
+            value.className = 'value';
+
+            if (change.amount === null) {
+                value.textContent = 'Not enough history';
+            } else {
+                const sign = change.amount > 0 ? '+' : change.amount < 0 ? '−' : '';
+                value.textContent = `${sign}${formatPrice(Math.abs(change.amount))} ` +
+                    `(${sign}${Math.abs(change.percent).toFixed(1)}%)`;
+                value.classList.add(change.amount > 0 ? 'trend-up' : change.amount < 0 ? 'trend-down' : 'trend-flat');
+            }
+
+            item.append(label, value);
+            elements.priceChanges.appendChild(item);
+        });
+    }
+
+    /**
+     * Draw a line chart of recorded prices
+     * @param {array} snapshots - At least two snapshots, oldest first
+     * @returns {SVGElement} Chart
+     */
+    function createPriceChart(snapshots) {
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        const { width, height, padding } = PRICE_CHART_SIZE;
+
+        const prices = snapshots.map(snapshot => snapshot.price);
+        const low = Math.min(...prices);
+        const high = Math.max(...prices);
+        const first = snapshots[0].time;
+        const span = snapshots[snapshots.length - 1].time - first || 1;
+
+        // A flat history is drawn across the middle
+        const x = time => padding + (time - first) / span * (width - padding * 2);
+        const y = price => high === low
+            ? height / 2
+            : padding + (high - price) / (high - low) * (height - padding * 2);
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', `Price history from ${formatPrice(prices[0])} to ${formatPrice(prices[prices.length - 1])}`);
+
+        const line = document.createElementNS(SVG_NS, 'polyline');
+        line.setAttribute('class', 'price-line');
+        line.setAttribute('points', snapshots.map(s => `${x(s.time).toFixed(1)},${y(s.price).toFixed(1)}`).join(' '));
+        svg.appendChild(line);
+
+        snapshots.forEach(snapshot => {
+            const point = document.createElementNS(SVG_NS, 'circle');
+            point.setAttribute('class', 'price-point');
+            point.setAttribute('cx', x(snapshot.time).toFixed(1));
+            point.setAttribute('cy', y(snapshot.price).toFixed(1));
+            point.setAttribute('r', '3');
+
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = `${formatDate(snapshot.time)}: ${formatPrice(snapshot.price)}`;
+            point.appendChild(title);
+            svg.appendChild(point);
+        });
+
+        return svg;
+    }
+
+    /**
+     * Format a timestamp for display
+     * @param {string|number} value - ISO date string or epoch (seconds or ms)
+     * @returns {string} Localized date
+     */
+    function formatDate(value) {
+        const time = typeof value === 'number' && value < 1e12 ? value * 1000 : value;
+        const date = new Date(time);
+        return isNaN(date.getTime()) ? String(value) : date.toLocaleDateString();
+    }
+
+    /**
+     * Describe how long ago a timestamp was
+     * @param {number} time - Epoch milliseconds
+     * @returns {string} e.g. "just now", "3 hours ago", "2 days ago"
+     */
+    function formatAge(time) {
+        const minutes = Math.floor((Date.now() - time) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+
+        const days = Math.floor(hours / 24);
+        return `${days} day${days === 1 ? '' : 's'} ago`;
+    }
+
+    /**
+     * Reset the add-to-collection form for a new result
+     * @param {object} cardData - Card shown on the results screen
+     */
+    function resetAddToCollection(cardData) {
+        lastResult = cardData;
+        inputs.collectionQuantity.value = '1';
+        inputs.collectionPurchasePrice.value = '';
+        inputs.collectionNotes.value = '';
+        buttons.addToCollection.disabled = false;
+        elements.addToCollectionStatus.classList.add('hidden');
+    }
+
+    /**
+     * Handle add to collection button click
+     */
+    function handleAddToCollection() {
+        const result = Inventory.addItem(lastResult, {
+            quantity: inputs.collectionQuantity.value,
+            purchasePrice: toBaseAmount(inputs.collectionPurchasePrice.value),
+            notes: inputs.collectionNotes.value
+        });
+
+        elements.addToCollectionStatus.classList.remove('hidden');
+
+        if (result.success) {
+            const item = result.item;
+            const description = describeConditionAndVariant(item.condition, item.card.variant);
+            elements.addToCollectionStatus.textContent =
+                `Added ${item.quantity} × ${item.card.name} (${description}) to your collection.`;
+            buttons.addToCollection.disabled = true;
+        } else {
+            elements.addToCollectionStatus.textContent = result.message;
+        }
+    }
+
+    /**
+     * Fill the watch form with the card's current alert prices, if it is watched
+     * Mock estimates cannot be watched
+     * @param {object} cardData - Card shown on the results screen
+     */
+    function resetWatchCard(cardData) {
+        const watch = cardData.isMockPrice ? null : Watchlist.find(cardData.id, cardData.selectedCondition, cardData.variant);
+        inputs.watchAbove.value = fromBaseAmount(watch?.above);
+        inputs.watchBelow.value = fromBaseAmount(watch?.below);
+        buttons.watchCard.disabled = Boolean(cardData.isMockPrice);
+        buttons.watchCard.textContent = watch ? 'Update Alert Prices' : 'Watch Price';
+        elements.watchCardStatus.classList.add('hidden');
+    }
+
+    /**
+     * Handle watch price button click
+     * Asks for notification permission the first time, while the click allows it
+     */
+    function handleWatchCard() {
+        const result = Watchlist.add(lastResult, {
+            above: toBaseAmount(inputs.watchAbove.value),
+            below: toBaseAmount(inputs.watchBelow.value)
+        });
+
+        if (!result.success) {
+            showStatus(elements.watchCardStatus, result.message);
+            return;
+        }
+
+        const watch = result.watch;
+        const limits = [
+            watch.above !== null ? `above ${formatPrice(watch.above)}` : '',
+            watch.below !== null ? `below ${formatPrice(watch.below)}` : ''
+        ].filter(Boolean).join(' or ');
+        showStatus(elements.watchCardStatus,
+            `Watching ${watch.card.name} (${describeConditionAndVariant(watch.condition, watch.card.variant)}). ` +
+            `You will be alerted when it goes ${limits}.`);
+        buttons.watchCard.textContent = 'Update Alert Prices';
+
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission().catch(() => {});
+        }
+    }
+
+    /**
+     * Show the watchlist screen, marking every alert as seen
+     */
+    function showWatchlist() {
+        renderWatchlist();
+        Watchlist.markAlertsRead();
+        updateAlertBadge();
+        showScreen('watchlist');
+    }
+
+    /**
+     * Redraw the watchlist after its prices are checked, when it is on screen
+     */
+    function refreshWatchlist() {
+        if (sessionStorage.getItem('currentScreen') === 'watchlist') {
+            renderWatchlist();
+            Watchlist.markAlertsRead();
+        }
+        updateAlertBadge();
+    }
+
+    /**
+     * Render the watched cards, the alert history and the notification setting
+     */
+    function renderWatchlist() {
+        const watches = Watchlist.getItems();
+        elements.watchlistList.innerHTML = '';
+        watches.forEach(watch => elements.watchlistList.appendChild(createWatchItem(watch)));
+        elements.watchlistEmpty.classList.toggle('hidden', watches.length > 0);
+
+        const alerts = Watchlist.getAlerts();
+        elements.alertHistoryList.innerHTML = '';
+        alerts.forEach(alert => {
+            const item = document.createElement('div');
+            item.className = `alert-item trend-${alert.direction === 'above' ? 'up' : 'down'}${alert.read ? '' : ' unread'}`;
+            const text = document.createElement('span');
+            text.textContent = describeAlert(alert);
+            const time = document.createElement('small');
+            time.textContent = new Date(alert.time).toLocaleString();
+            item.append(text, time);
+            elements.alertHistoryList.appendChild(item);
+        });
+        elements.alertHistoryEmpty.classList.toggle('hidden', alerts.length > 0);
+        buttons.clearAlerts.disabled = alerts.length === 0;
+
+        renderNotificationStatus();
+    }
+
+    /**
+     * Build a watchlist row
+     * @param {object} watch - Watch
+     * @returns {HTMLElement} Row element
+     */
+    function createWatchItem(watch) {
+        const row = document.createElement('div');
+        row.className = 'collection-item';
+
+        const image = document.createElement('img');
+        image.src = watch.card.imageUrl || PLACEHOLDER_IMAGE;
+        image.alt = watch.card.name;
+        image.loading = 'lazy';
+
+        const details = document.createElement('div');
+        details.className = 'collection-item-details';
+        const name = document.createElement('strong');
+        name.textContent = watch.card.name;
+        const set = document.createElement('small');
+        set.textContent = `${watch.card.set} · #${watch.card.number} · ${describeConditionAndVariant(watch.condition, watch.card.variant)}`;
+        const limits = document.createElement('small');
+        limits.textContent = [
+            watch.above !== null ? `Alert above ${formatPrice(watch.above)}` : '',
+            watch.below !== null ? `Alert below ${formatPrice(watch.below)}` : ''
+        ].filter(Boolean).join(' · ');
+        details.append(name, set, limits);
+
+        const value = document.createElement('div');
+        value.className = 'collection-item-value';
+        const price = document.createElement('span');
+        price.className = 'price';
+        price.textContent = formatPrice(watch.lastPrice);
+        const checked = document.createElement('small');
+        checked.textContent = `Checked ${formatAge(new Date(watch.lastCheckedAt).getTime())}`;
+        value.append(price, checked);
+
+        const actions = document.createElement('div');
+        actions.className = 'collection-item-actions';
+        actions.appendChild(createActionButton('Remove', 'remove', watch.id));
+        value.appendChild(actions);
+
+        row.append(image, details, value);
+        return row;
+    }
+
+    /**
+     * Handle remove clicks in the watchlist
+     * @param {Event} e - Click event
+     */
+    function handleWatchlistAction(e) {
+        const button = e.target.closest('[data-action="remove"]');
+        if (!button) return;
+
+        if (confirm('Stop watching this card?')) {
+            Watchlist.remove(button.dataset.itemId);
+            renderWatchlist();
+        }
+    }
+
+    /**
+     * Handle clear alert history button click
+     */
+    function handleClearAlerts() {
+        if (confirm('Clear your alert history?')) {
+            Watchlist.clearAlerts();
+            renderWatchlist();
+            updateAlertBadge();
+        }
+    }
+
+    /**
+     * Show whether browser notifications are on, and offer to turn them on
+     */
+    function renderNotificationStatus() {
+        const supported = 'Notification' in window;
+        const permission = supported ? Notification.permission : 'unsupported';
+        const messages = {
+            granted: 'Browser notifications are on.',
+            denied: 'Browser notifications are blocked. Alerts still show here while the app is open.',
+            default: 'Turn on browser notifications to see alerts while this tab is in the background.',
+            unsupported: 'This browser cannot show notifications. Alerts still show here while the app is open.'
+        };
+
+        elements.notificationStatus.textContent = messages[permission];
+        buttons.enableNotifications.classList.toggle('hidden', permission !== 'default');
+    }
+
+    /**
+     * Handle turn on notifications button click
+     */
+    async function handleEnableNotifications() {
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.warn('Notification permission request failed:', error);
+        }
+        renderNotificationStatus();
+    }
+
+    /**
+     * Show the number of unseen alerts next to the watchlist menu item
+     */
+    function updateAlertBadge() {
+        const count = Auth.isLoggedIn() ? Watchlist.getUnreadCount() : 0;
+        elements.watchlistBadge.textContent = count;
+        elements.watchlistBadge.classList.toggle('hidden', count === 0);
+    }
+
+    /**
+     * Describe a card's condition and variant together
+     * @param {string} condition - Card condition
+     * @param {string|null} variant - Card variant (see Variants)
+     * @returns {string} e.g. "Near Mint, 1st Edition Holo"
+     */
+    function describeConditionAndVariant(condition, variant) {
+        return variant ? `${condition}, ${variant}` : condition;
+    }
+
+    /**
+     * Describe a price alert
+     * @param {object} alert - Alert from Watchlist.recordPrice
+     * @returns {string} e.g. "Charizard (Near Mint, Holo) rose above $300.00, now $312.50"
+     */
+    function describeAlert(alert) {
+        const movement = alert.direction === 'above' ? 'rose above' : 'fell below';
+        const description = describeConditionAndVariant(alert.condition, alert.variant);
+        return `${alert.cardName} (${description}) ${movement} ${formatPrice(alert.threshold)}, ` +
+            `now ${formatPrice(alert.price)}`;
+    }
+
+    /**
+     * Show new price alerts in the app, and as browser notifications when allowed
+     * @param {array} alerts - Alerts from Watchlist.recordPrice
+     */
+    function showPriceAlerts(alerts) {
+        alerts.forEach(alert => {
+            const toast = document.createElement('div');
+            toast.className = `alert-toast trend-${alert.direction === 'above' ? 'up' : 'down'}`;
+            toast.setAttribute('role', 'status');
+            const text = document.createElement('span');
+            text.textContent = `${alert.direction === 'above' ? '▲' : '▼'} ${describeAlert(alert)}`;
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'alert-toast-close';
+            close.setAttribute('aria-label', 'Dismiss');
+            close.textContent = '×';
+            toast.append(text, close);
+            elements.alertToasts.appendChild(toast);
+            setTimeout(() => toast.remove(), ALERT_TOAST_DURATION);
+
+            if ('Notification' in window && Notification.permission === 'granted') {
+                try {
+                    new Notification('Nash Cards price alert', { body: describeAlert(alert), tag: alert.id });
+                } catch (error) {
+                    // Some mobile browsers only allow notifications from a service worker
+                    console.warn('Notification failed:', error);
+                }
+            }
+        });
+
+        refreshWatchlist();
+    }
+
+    /**
+     * Handle clicks on alert toasts: dismiss, or open the watchlist
+     * @param {Event} e - Click event
+     */
+    function handleAlertToastClick(e) {
+        const toast = e.target.closest('.alert-toast');
+        if (!toast) return;
+
+        toast.remove();
+        if (!e.target.closest('.alert-toast-close')) {
+            showWatchlist();
+        }
+    }
+
+    /**
+     * Show the collection screen
+     */
+    function showCollection() {
+        closeCollectionEditor();
+        renderCollection();
+        showScreen('collection');
+    }
+
+    /**
+     * Redraw the collection after its prices change, when it is on screen
+     */
+    function refreshCollection() {
+        if (sessionStorage.getItem('currentScreen') === 'collection') {
+            renderCollection();
+        }
+    }
+
+    /**
+     * Render the collection list and totals
+     */
+    function renderCollection() {
+        const items = Inventory.getItems();
+        const summary = Inventory.getSummary();
+
+        elements.collectionCardCount.textContent = summary.cardCount;
+        elements.collectionPurchaseTotal.textContent = formatPrice(summary.purchaseTotal);
+        elements.collectionTotalValue.textContent = formatPrice(summary.estimatedValue);
+
+        elements.collectionList.innerHTML = '';
+        items.forEach(item => elements.collectionList.appendChild(createCollectionItem(item)));
+        elements.collectionEmpty.classList.toggle('hidden', items.length > 0);
+    }
+
+    /**
+     * Build the row for one collection item
+     * @param {object} item - Collection item
+     * @returns {HTMLElement} Collection row
+     */
+    function createCollectionItem(item) {
+        const row = document.createElement('div');
+        row.className = 'collection-item';
+
+        const image = document.createElement('img');
+        image.src = item.card.imageUrl || PLACEHOLDER_IMAGE;
+        image.alt = item.card.name;
+        image.loading = 'lazy';
+
+        const details = document.createElement('div');
+        details.className = 'collection-item-details';
+        const name = document.createElement('strong');
+        name.textContent = item.card.name;
+        const set = document.createElement('small');
+        set.textContent = `${item.card.set} · #${item.card.number} · ${describeConditionAndVariant(item.condition, item.card.variant)}`;
+        details.append(name, set);
+
+        if (item.purchasePrice !== null) {
+            const paid = document.createElement('small');
+            paid.textContent = `Paid ${formatPrice(item.purchasePrice)} each`;
+            details.appendChild(paid);
+        }
+
+        if (item.notes) {
+            const notes = document.createElement('small');
+            notes.textContent = item.notes;
+            details.appendChild(notes);
+        }
+
+        const value = document.createElement('div');
+        value.className = 'collection-item-value';
+        const total = document.createElement('span');
+        total.className = 'price';
+        total.textContent = formatPrice(Inventory.getItemValue(item));
+        const unit = document.createElement('small');
+        unit.textContent = `${item.quantity} × ${formatPrice(parseFloat(item.card.adjustedPrice) || 0)}` +
+            (item.card.isMockPrice ? ' (mock)' : '');
+        value.append(total, unit);
+
+        if (item.card.priceFetchedAt) {
+            const age = document.createElement('small');
+            age.textContent = `Price checked ${formatAge(item.card.priceFetchedAt)}`;
+            value.appendChild(age);
+        }
+
+        if (item.card.buylistOffer) {
+            const offer = document.createElement('small');
+            offer.textContent = `Cash ${formatPrice(item.card.buylistOffer.cash)} · ` +
+                `Credit ${formatPrice(item.card.buylistOffer.credit)} each`;
+            value.appendChild(offer);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'collection-item-actions';
+        actions.append(
+            createActionButton('Edit', 'edit', item.id),
+            createActionButton('Remove', 'remove', item.id)
+        );
+        value.appendChild(actions);
+
+        row.append(image, details, value);
+        return row;
+    }
+
+    /**
+     * Build a small action button for a list row
+     * @param {string} label - Button text
+     * @param {string} action - Action name stored in data-action
+     * @param {string} itemId - Item the action applies to
+     * @returns {HTMLElement} Button
+     */
+    function createActionButton(label, action, itemId) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary btn-small';
+        button.textContent = label;
+        button.dataset.action = action;
+        button.dataset.itemId = itemId;
+        return button;
+    }
+
+    /**
+     * Handle edit and remove clicks in the collection list
+     * @param {Event} e - Click event
+     */
+    function handleCollectionAction(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const item = Inventory.getItem(button.dataset.itemId);
+        if (!item) return;
+
+        if (button.dataset.action === 'edit') {
+            openCollectionEditor(item);
+        } else if (button.dataset.action === 'remove') {
+            if (confirm(`Remove ${item.card.name} from your collection?`)) {
+                Inventory.removeItem(item.id);
+                if (editingItemId === item.id) {
+                    closeCollectionEditor();
+                }
+                renderCollection();
+            }
+        }
+    }
+
+    /**
+     * Open the editor for a collection item
+     * @param {object} item - Collection item
+     */
+    function openCollectionEditor(item) {
+        editingItemId = item.id;
+
+        inputs.editCondition.innerHTML = '';
+        fillConditionSelect(inputs.editCondition);
+        if (Conditions.isGraded(item.condition)) {
+            inputs.editCondition.appendChild(new Option(item.condition, item.condition));
+        }
+
+        elements.collectionEditorName.textContent = item.card.name;
+        inputs.editCondition.value = item.condition;
+        inputs.editQuantity.value = item.quantity;
+        inputs.editPurchasePrice.value = fromBaseAmount(item.purchasePrice);
+        inputs.editNotes.value = item.notes;
+
+        elements.collectionEditor.classList.remove('hidden');
+        elements.collectionEditor.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Close the collection item editor
+     */
+    function closeCollectionEditor() {
+        editingItemId = null;
+        elements.collectionEditor.classList.add('hidden');
+    }
+
+    /**
+     * Save changes from the collection item editor
+     */
+    function handleSaveCollectionItem() {
+        if (!editingItemId) return;
+
+        const result = Inventory.updateItem(editingItemId, {
+            condition: inputs.editCondition.value,
+            quantity: inputs.editQuantity.value,
+            purchasePrice: toBaseAmount(inputs.editPurchasePrice.value),
+            notes: inputs.editNotes.value
+        });
+
+        if (!result.success) {
+            showErrorAlert(result.message);
+            return;
+        }
+
+        closeCollectionEditor();
+        renderCollection();
+    }
+
+    /**
+     * Show the batch valuation screen
+     */
+    function showBatch() {
+        fillConditionSelect(inputs.batchDefaultCondition);
+        showScreen('batch');
+    }
+
+    /**
+     * Fill a select with the available conditions, keeping its current value
+     * @param {HTMLSelectElement} select - Select to fill
+     */
+    function fillConditionSelect(select) {
+        const selected = select.value;
+        select.innerHTML = '';
+        getConditionOptions().forEach(condition => {
+            select.appendChild(new Option(condition, condition));
+        });
+        select.value = selected || Preferences.get().defaultCondition || select.value;
+    }
+
+    /**
+     * Get the text and default condition entered on the batch screen
+     * @returns {object} { text, defaultCondition }
+     */
+    function getBatchInput() {
+        return {
+            text: inputs.batchInput.value,
+            defaultCondition: inputs.batchDefaultCondition.value
+        };
+    }
+
+    /**
+     * Reset the batch screen for a new run
+     * @param {number} total - Number of lines to value
+     */
+    function startBatchProgress(total) {
+        buttons.runBatch.disabled = true;
+        elements.batchResults.classList.add('hidden');
+        elements.batchProgress.classList.remove('hidden');
+        updateBatchProgress(0, total);
+    }
+
+    /**
+     * Update the batch progress bar
+     * @param {number} done - Lines finished
+     * @param {number} total - Lines in the batch
+     */
+    function updateBatchProgress(done, total) {
+        const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+        elements.batchProgressFill.style.width = `${percent}%`;
+        elements.batchProgressText.textContent = `${done} of ${total} cards valued`;
+    }
+
+    /**
+     * Show the batch summary table
+     * @param {array} results - Results from Batch.run
+     * @param {object} summary - Totals from Batch.summarize
+     */
+    function showBatchResults(results, summary) {
+        lastBatchResults = results;
+        buttons.runBatch.disabled = false;
+        buttons.batchToCollection.disabled = false;
+        elements.batchCollectionStatus.classList.add('hidden');
+        elements.batchProgress.classList.add('hidden');
+
+        elements.batchValuedCount.textContent = `${summary.ok + summary.review} of ${summary.count}`;
+        elements.batchReviewCount.textContent = summary.review + summary.failed;
+        elements.batchTotalValue.textContent = formatPrice(summary.totalValue);
+
+        elements.batchResultsBody.innerHTML = '';
+        results.forEach(result => elements.batchResultsBody.appendChild(createBatchRow(result)));
+
+        elements.batchResults.classList.remove('hidden');
+    }
+
+    /**
+     * Build the table row for one batch result
+     * @param {object} result - Batch result
+     * @returns {HTMLElement} Table row
+     */
+    function createBatchRow(result) {
+        const row = document.createElement('tr');
+        row.className = `status-${result.status}`;
+
+        const line = document.createElement('td');
+        line.textContent = result.row.lineNumber;
+
+        const card = document.createElement('td');
+        const cardName = document.createElement('strong');
+        const cardDetails = document.createElement('small');
+        if (result.card) {
+            cardName.textContent = result.card.name;
+            cardDetails.textContent = [result.card.set, `#${result.card.number}`, result.card.variant].filter(Boolean).join(' · ');
+        } else {
+            cardName.textContent = result.row.name || '-';
+            cardDetails.textContent = result.row.input;
+        }
+        card.append(cardName, cardDetails);
+
+        const condition = document.createElement('td');
+        condition.textContent = result.row.condition || '-';
+
+        const quantity = document.createElement('td');
+        quantity.textContent = result.row.quantity || 1;
+
+        const value = document.createElement('td');
+        value.textContent = result.card ? formatPrice(Batch.getResultValue(result)) : '-';
+
+        const status = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = 'status-badge';
+        badge.textContent = { ok: 'OK', review: 'Review', failed: 'Failed' }[result.status];
+        status.appendChild(badge);
+        result.reasons.forEach(reason => {
+            const note = document.createElement('small');
+            note.textContent = reason;
+            status.appendChild(note);
+        });
+
+        row.append(line, card, condition, quantity, value, status);
+        return row;
+    }
+
+    /**
+     * Add every valued batch row to the collection
+     */
+    function handleBatchToCollection() {
+        const valued = lastBatchResults.filter(result => result.card);
+        let added = 0;
+
+        valued.forEach(result => {
+            const outcome = Inventory.addItem(result.card, { quantity: result.row.quantity || 1 });
+            if (outcome.success) added++;
+        });
+
+        const review = valued.filter(result => result.status === 'review').length;
+        const cards = `${added} card${added === 1 ? '' : 's'}`;
+        elements.batchCollectionStatus.textContent = review > 0
+            ? `Added ${cards} to your collection. ${review} still need review.`
+            : `Added ${cards} to your collection.`;
+        elements.batchCollectionStatus.classList.remove('hidden');
+        buttons.batchToCollection.disabled = true;
+    }
+
+    /**
+     * Show the CSV import screen
+     */
+    function showImport() {
+        importTable = [];
+        importRows = [];
+        inputs.importFile.value = '';
+        elements.importMapping.classList.add('hidden');
+        buttons.valueImport.disabled = true;
+        fillConditionSelect(inputs.importDefaultCondition);
+        showScreen('import');
+    }
+
+    /**
+     * Read a chosen CSV file and guess its columns
+     * @param {File} file - CSV file
+     */
+    function handleImportFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            importTable = ImportExport.parseCsv(e.target.result);
+
+            if (importTable.length < 2) {
+                showErrorAlert('The file needs a header row and at least one card row');
+                return;
+            }
+
+            const headers = importTable[0];
+            const detected = ImportExport.detectColumns(headers);
+
+            inputs.importColumns.forEach(select => {
+                select.innerHTML = '';
+                select.appendChild(new Option('(none)', '-1'));
+                headers.forEach((header, index) => {
+                    select.appendChild(new Option(header || `Column ${index + 1}`, String(index)));
+                });
+                select.value = String(detected[select.dataset.field]);
+            });
+
+            elements.importMapping.classList.remove('hidden');
+            renderImportPreview();
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Rebuild the import preview from the current column mapping
+     */
+    function renderImportPreview() {
+        if (importTable.length === 0) return;
+
+        const mapping = {};
+        inputs.importColumns.forEach(select => {
+            mapping[select.dataset.field] = parseInt(select.value, 10);
+        });
+
+        importRows = ImportExport.buildImportRows(importTable, mapping, inputs.importDefaultCondition.value);
+
+        elements.importPreviewBody.innerHTML = '';
+        importRows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = row.error ? 'status-failed' : 'status-ok';
+
+            [row.lineNumber, row.name || '-', row.set || '-', row.number || '-', row.condition || '-', row.quantity]
+                .forEach(value => {
+                    const td = document.createElement('td');
+                    td.textContent = value;
+                    tr.appendChild(td);
+                });
+
+            const status = document.createElement('td');
+            const badge = document.createElement('span');
+            badge.className = 'status-badge';
+            badge.textContent = row.error ? 'Error' : 'Ready';
+            status.appendChild(badge);
+            if (row.error) {
+                const note = document.createElement('small');
+                note.textContent = row.error;
+                status.appendChild(note);
+            }
+            tr.appendChild(status);
+
+            elements.importPreviewBody.appendChild(tr);
+        });
+
+        const errors = importRows.filter(row => row.error).length;
+        elements.importSummary.textContent = errors > 0
+            ? `${importRows.length} rows, ${errors} with errors. Rows with errors will be flagged as failed.`
+            : `${importRows.length} rows ready to value.`;
+        buttons.valueImport.disabled = importRows.length === errors;
+    }
+
+    /**
+     * Get the rows built from the imported CSV
+     * @returns {array} Rows ready for Batch.run
+     */
+    function getImportRows() {
+        return importRows;
+    }
+
+    /**
+     * Handle export button clicks
+     * @param {Event} e - Click event
+     */
+    function handleExport(e) {
+        const { export: kind, format } = e.currentTarget.dataset;
+        let file = null;
+
+        if (kind === 'valuation' && lastResult) {
+            file = ImportExport.exportValuation(lastResult, format);
+        } else if (kind === 'batch' && lastBatchResults.length > 0) {
+            file = ImportExport.exportBatch(lastBatchResults, format);
+        } else if (kind === 'collection') {
+            file = ImportExport.exportCollection(Inventory.getItems(), format);
+        }
+
+        if (!file) {
+            showErrorAlert('Nothing to export yet');
+            return;
+        }
+
+        downloadFile(file);
+    }
+
+    /**
+     * Download text content as a file
+     * @param {object} file - { filename, mimeType, content }
+     */
+    function downloadFile(file) {
+        const blob = new Blob([file.content], { type: `${file.mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Show the settings screen
+     * Staff see the offline catalog and cache; the shop-wide rates, multipliers
+     * and sources only to the roles allowed to change them
+     */
+    function showSettings() {
+        elements.buylistSettings.classList.toggle('hidden', !Auth.can('editBuylist'));
+        elements.conditionSettings.classList.toggle('hidden', !Auth.can('editConditions'));
+        elements.priceSourceSettings.classList.toggle('hidden', !Auth.can('editPriceSources'));
+        elements.rateSettings.classList.toggle('hidden', !Auth.can('editRates'));
+        renderBuylistSettings();
+        renderConditionSettings();
+        renderPriceSourceSettings();
+        elements.buylistStatus.classList.add('hidden');
+        elements.conditionsStatus.classList.add('hidden');
+        elements.priceSourcesStatus.classList.add('hidden');
+        elements.cacheStatus.classList.add('hidden');
+        elements.catalogStatus.classList.add('hidden');
+        renderCatalogStatus();
+        renderCacheStats();
+        renderRateSettings();
+        elements.ratesStatus.classList.add('hidden');
+        showScreen('settings');
+    }
+
+    /**
+     * Show the exchange rate source and the loaded rates
+     */
+    function renderRateSettings() {
+        const source = Currency.getSource();
+        inputs.rateProvider.innerHTML = '';
+        Currency.getProviders().forEach(provider => {
+            inputs.rateProvider.appendChild(new Option(provider.label, provider.id));
+        });
+        inputs.rateProvider.value = source.provider;
+        inputs.rateUrl.value = source.url;
+        updateRateUrlPlaceholder();
+
+        const status = Currency.getStatus();
+        if (!status) {
+            elements.ratesSummary.textContent = 'No exchange rates loaded yet, so prices are shown in US dollars.';
+            return;
+        }
+
+        const rates = Currency.getCurrencies()
+            .filter(code => code !== status.base)
+            .map(code => `${Number(status.rates[code].toPrecision(4))} ${code}`)
+            .join(' · ');
+        elements.ratesSummary.textContent = `1 ${status.base} = ${rates}. ` +
+            `Rates${status.date ? ` of ${status.date}` : ''} from the ${status.label.toLowerCase()}, ` +
+            `loaded ${formatAge(status.fetchedAt)}.`;
+    }
+
+    /**
+     * Show the chosen rate source's default address as the address placeholder
+     */
+    function updateRateUrlPlaceholder() {
+        const provider = Currency.getProviders().find(p => p.id === inputs.rateProvider.value);
+        inputs.rateUrl.placeholder = provider ? provider.defaultUrl : '';
+    }
+
+    /**
+     * Save the exchange rate source and load rates from it
+     */
+    async function handleUpdateRates() {
+        buttons.updateRates.disabled = true;
+        const result = await Currency.setSource({
+            provider: inputs.rateProvider.value,
+            url: inputs.rateUrl.value
+        });
+        buttons.updateRates.disabled = false;
+
+        showStatus(elements.ratesStatus, result.message);
+        renderRateSettings();
+        renderCurrencyLabels();
+    }
+
+    /**
+     * Fill the buylist settings tables from the saved rates
+     */
+    function renderBuylistSettings() {
+        const rates = Buylist.getShopRates();
+
+        elements.buylistTiersBody.innerHTML = '';
+        rates.tiers.forEach(tier => elements.buylistTiersBody.appendChild(createTierRow(tier)));
+
+        elements.rarityAdjustmentsBody.innerHTML = '';
+        rates.rarityAdjustments.forEach(adjustment => {
+            elements.rarityAdjustmentsBody.appendChild(createRarityAdjustmentRow(adjustment));
+        });
+    }
+
+    /**
+     * Build an editable row for a price tier
+     * @param {object} tier - { min, cash, credit }
+     * @returns {HTMLElement} Table row
+     */
+    function createTierRow(tier) {
+        const row = document.createElement('tr');
+        row.append(
+            createInputCell('number', 'min', tier.min, { min: 0, step: '0.01' }),
+            createInputCell('number', 'cash', tier.cash, { min: 0, max: 100 }),
+            createInputCell('number', 'credit', tier.credit, { min: 0, max: 100 }),
+            createRemoveCell()
+        );
+        return row;
+    }
+
+    /**
+     * Build an editable row for a rarity adjustment
+     * @param {object} adjustment - { rarity, points }
+     * @returns {HTMLElement} Table row
+     */
+    function createRarityAdjustmentRow(adjustment) {
+        const row = document.createElement('tr');
+        row.append(
+            createInputCell('text', 'rarity', adjustment.rarity, { placeholder: 'e.g., Rare Holo' }),
+            createInputCell('number', 'points', adjustment.points, { min: -100, max: 100 }),
+            createRemoveCell()
+        );
+        return row;
+    }
+
+    /**
+     * Build a table cell holding an input
+     * @param {string} type - Input type
+     * @param {string} field - Field name stored in data-field
+     * @param {*} value - Initial value
+     * @param {object} attributes - Extra input attributes
+     * @returns {HTMLElement} Table cell
+     */
+    function createInputCell(type, field, value, attributes = {}) {
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = type;
+        input.dataset.field = field;
+        input.value = value;
+        Object.entries(attributes).forEach(([name, attr]) => input.setAttribute(name, attr));
+        cell.appendChild(input);
+        return cell;
+    }
+
+    /**
+     * Build a table cell holding a remove button
+     * @returns {HTMLElement} Table cell
+     */
+    function createRemoveCell() {
+        const cell = document.createElement('td');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary btn-small';
+        button.textContent = 'Remove';
+        button.dataset.action = 'remove-row';
+        cell.appendChild(button);
+        return cell;
+    }
+
+    /**
+     * Remove a row from a settings table
+     * @param {Event} e - Click event
+     */
+    function handleRemoveSettingsRow(e) {
+        const button = e.target.closest('[data-action="remove-row"]');
+        if (button) {
+            button.closest('tr').remove();
+        }
+    }
+
+    /**
+     * Read the rows of a settings table into objects
+     * @param {HTMLElement} body - Table body
+     * @returns {array} One object per row, keyed by input data-field
+     */
+    function readSettingsRows(body) {
+        return Array.from(body.querySelectorAll('tr')).map(row => {
+            const values = {};
+            row.querySelectorAll('input[data-field]').forEach(input => {
+                values[input.dataset.field] = input.value;
+            });
+            return values;
+        });
+    }
+
+    /**
+     * Save the buylist rates from the settings tables
+     */
+    function handleSaveBuylist() {
+        const result = Buylist.saveRates({
+            tiers: readSettingsRows(elements.buylistTiersBody),
+            rarityAdjustments: readSettingsRows(elements.rarityAdjustmentsBody)
+        });
+
+        if (result.success) {
+            renderBuylistSettings();
+        }
+        showBuylistStatus(result.message);
+    }
+
+    /**
+     * Show a status message under the buylist settings
+     * @param {string} message - Message
+     */
+    function showBuylistStatus(message) {
+        elements.buylistStatus.textContent = message;
+        elements.buylistStatus.classList.remove('hidden');
+    }
+
+    /**
+     * Show the profile screen
+     */
+    async function showProfile() {
+        const session = Auth.getSession();
+        const profile = await Auth.getProfile() || session || {};
+
+        inputs.profileName.value = profile.name || '';
+        inputs.profileEmail.value = profile.email || '';
+        inputs.currentPassword.value = '';
+        inputs.newPassword.value = '';
+        inputs.newPassword2.value = '';
+        inputs.deletePassword.value = '';
+        renderPreferences();
+
+        [elements.profileStatus, elements.passwordStatus, elements.preferencesStatus, elements.deleteAccountStatus]
+            .forEach(status => status.classList.add('hidden'));
+        showScreen('profile');
+    }
+
+    /**
+     * Fill the preference fields from the saved preferences
+     */
+    function renderPreferences() {
+        const preferences = Preferences.get();
+
+        inputs.preferenceCondition.innerHTML = '';
+        inputs.preferenceCondition.appendChild(new Option('Ask every time', ''));
+        getConditionOptions().forEach(condition => {
+            inputs.preferenceCondition.appendChild(new Option(condition, condition));
+        });
+        inputs.preferenceCondition.value = preferences.defaultCondition;
+
+        inputs.preferenceCurrency.innerHTML = '';
+        Preferences.getCurrencies().forEach(currency => {
+            inputs.preferenceCurrency.appendChild(new Option(currency, currency));
+        });
+        inputs.preferenceCurrency.value = preferences.currency;
+
+        elements.preferenceBuylistGroup.classList.toggle('hidden', !Auth.can('editBuylist'));
+        inputs.preferenceBuylist.value = preferences.buylistTiers && Auth.can('editBuylist') ? 'own' : 'shop';
+        elements.preferenceTiersBody.innerHTML = '';
+        (preferences.buylistTiers || Buylist.getShopRates().tiers).forEach(tier => {
+            elements.preferenceTiersBody.appendChild(createTierRow(tier));
+        });
+        updatePreferenceTiers();
+    }
+
+    /**
+     * Only show the price tier table when the user sets their own tiers
+     */
+    function updatePreferenceTiers() {
+        elements.preferenceTiers.classList.toggle('hidden', inputs.preferenceBuylist.value !== 'own');
+    }
+
+    /**
+     * Save the display name and email
+     */
+    async function handleSaveProfile() {
+        buttons.saveProfile.disabled = true;
+        const result = await Auth.updateProfile({
+            name: inputs.profileName.value,
+            email: inputs.profileEmail.value
+        });
+        buttons.saveProfile.disabled = false;
+
+        showStatus(elements.profileStatus, result.message);
+        if (result.success) {
+            updateUserDisplay();
+        }
+    }
+
+    /**
+     * Change the password after checking the confirmation matches
+     */
+    async function handleChangePassword() {
+        if (inputs.newPassword.value !== inputs.newPassword2.value) {
+            showStatus(elements.passwordStatus, 'New passwords do not match');
+            return;
+        }
+
+        buttons.changePassword.disabled = true;
+        const result = await Auth.changePassword(inputs.currentPassword.value, inputs.newPassword.value);
+        buttons.changePassword.disabled = false;
+
+        showStatus(elements.passwordStatus, result.message);
+        if (result.success) {
+            inputs.currentPassword.value = '';
+            inputs.newPassword.value = '';
+            inputs.newPassword2.value = '';
+            updateUserDisplay();
+        }
+    }
+
+    /**
+     * Save the preference fields
+     */
+    function handleSavePreferences() {
+        const result = Preferences.save({
+            defaultCondition: inputs.preferenceCondition.value,
+            currency: inputs.preferenceCurrency.value,
+            buylistTiers: inputs.preferenceBuylist.value === 'own'
+                ? readSettingsRows(elements.preferenceTiersBody)
+                : null
+        });
+
+        showStatus(elements.preferencesStatus, result.message);
+        if (result.success) {
+            renderPreferences();
+            applyDefaultCondition();
+            updateUserDisplay();
+        }
+    }
+
+    /**
+     * Delete the account and everything stored for it
+     */
+    async function handleDeleteAccount() {
+        if (!confirm('Delete your account, collection and preferences? This cannot be undone.')) {
+            return;
+        }
+
+        buttons.deleteAccount.disabled = true;
+        const result = await Auth.deleteAccount(inputs.deletePassword.value);
+        buttons.deleteAccount.disabled = false;
+
+        if (!result.success) {
+            showStatus(elements.deleteAccountStatus, result.message);
+            return;
+        }
+
+        Inventory.removeUserData(result.userId);
+        Preferences.removeUserData(result.userId);
+        SearchBuilder.removeUserData(result.userId);
+        Watchlist.removeUserData(result.userId);
+        inputs.deletePassword.value = '';
+        clearCardForm();
+        updateUserDisplay();
+        alert(result.message);
+    }
+
+    /**
+     * Show the user management screen
+     */
+    async function showUsers() {
+        inputs.newUserRole.innerHTML = '';
+        Auth.getRoles().forEach(role => inputs.newUserRole.appendChild(new Option(capitalize(role), role)));
+        elements.usersStatus.classList.add('hidden');
+        elements.createUserStatus.classList.add('hidden');
+
+        showScreen('users');
+        await renderUsers();
+    }
+
+    /**
+     * Fill the users table
+     */
+    async function renderUsers() {
+        const result = await Auth.listUsers();
+        elements.usersBody.innerHTML = '';
+
+        if (!result.success) {
+            showStatus(elements.usersStatus, result.message);
+            return;
+        }
+
+        result.users.forEach(user => elements.usersBody.appendChild(createUserRow(user)));
+    }
+
+    /**
+     * Build a row of the users table
+     * @param {object} user - { id, name, email, role, disabled }
+     * @returns {HTMLElement} Table row
+     */
+    function createUserRow(user) {
+        const row = document.createElement('tr');
+        row.dataset.userId = user.id;
+
+        const nameCell = document.createElement('td');
+        nameCell.textContent = user.name;
+
+        const emailCell = document.createElement('td');
+        emailCell.textContent = user.email;
+
+        const roleCell = document.createElement('td');
+        const roleSelect = document.createElement('select');
+        roleSelect.dataset.action = 'change-role';
+        Auth.getRoles().forEach(role => roleSelect.appendChild(new Option(capitalize(role), role)));
+        roleSelect.value = user.role;
+        roleCell.appendChild(roleSelect);
+
+        const statusCell = document.createElement('td');
+        statusCell.textContent = user.disabled ? 'Disabled' : 'Active';
+
+        const actionCell = document.createElement('td');
+        const toggleButton = document.createElement('button');
+        toggleButton.type = 'button';
+        toggleButton.className = 'btn btn-secondary btn-small';
+        toggleButton.textContent = user.disabled ? 'Enable' : 'Disable';
+        toggleButton.dataset.action = 'toggle-disabled';
+        toggleButton.dataset.disabled = String(Boolean(user.disabled));
+        actionCell.appendChild(toggleButton);
+
+        row.append(nameCell, emailCell, roleCell, statusCell, actionCell);
+        return row;
+    }
+
+    /**
+     * Handle a role being changed in the users table
+     * @param {Event} e - Change event
+     */
+    async function handleUserRoleChange(e) {
+        const select = e.target.closest('[data-action="change-role"]');
+        if (!select) return;
+
+        const result = await Auth.updateUser(select.closest('tr').dataset.userId, { role: select.value });
+        await afterUserUpdate(result);
+    }
+
+    /**
+     * Handle an account being enabled or disabled in the users table
+     * @param {Event} e - Click event
+     */
+    async function handleUserToggle(e) {
+        const button = e.target.closest('[data-action="toggle-disabled"]');
+        if (!button) return;
+
+        button.disabled = true;
+        const result = await Auth.updateUser(button.closest('tr').dataset.userId, {
+            disabled: button.dataset.disabled !== 'true'
+        });
+        await afterUserUpdate(result);
+    }
+
+    /**
+     * Show the result of a user change and redraw the table
+     * Leaves the screen if the admin removed their own admin role
+     * @param {object} result - Result from Auth.updateUser
+     */
+    async function afterUserUpdate(result) {
+        updateUserDisplay();
+
+        if (!Auth.can('manageUsers')) {
+            showScreen('cardInput');
+            return;
+        }
+
+        await renderUsers();
+        showStatus(elements.usersStatus, result.message);
+    }
+
+    /**
+     * Create an account from the add user form
+     */
+    async function handleCreateUser() {
+        buttons.createUser.disabled = true;
+        const result = await Auth.createUser({
+            name: inputs.newUserName.value,
+            email: inputs.newUserEmail.value,
+            password: inputs.newUserPassword.value,
+            role: inputs.newUserRole.value
+        });
+        buttons.createUser.disabled = false;
+
+        showStatus(elements.createUserStatus, result.message);
+        if (result.success) {
+            inputs.newUserName.value = '';
+            inputs.newUserEmail.value = '';
+            inputs.newUserPassword.value = '';
+            await renderUsers();
+        }
+    }
+
+    /**
+     * Capitalize the first letter of a word
+     * @param {string} text - Word
+     * @returns {string}
+     */
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Show a status message under a profile or users section
+     * @param {HTMLElement} status - Status element
+     * @param {string} message - Message
+     */
+    function showStatus(status, message) {
+        status.textContent = message;
+        status.classList.remove('hidden');
+    }
+
+    /**
+     * Fill the condition multiplier tables from the saved multipliers
+     */
+    function renderConditionSettings() {
+        const multipliers = Conditions.getMultipliers();
+
+        elements.rawMultipliersBody.innerHTML = '';
+        Conditions.getRawConditions().forEach(condition => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = `${condition.name} (${condition.code})`;
+            row.append(
+                name,
+                createInputCell('number', condition.name, multipliers.raw[condition.name], { min: 0, max: 10, step: '0.01' })
+            );
+            elements.rawMultipliersBody.appendChild(row);
+        });
+
+        elements.gradeMultipliersBody.innerHTML = '';
+        multipliers.grades.forEach(grade => elements.gradeMultipliersBody.appendChild(createGradeRow(grade)));
+
+        elements.companyFactorsBody.innerHTML = '';
+        Object.entries(multipliers.companies).forEach(([company, factor]) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = company;
+            row.append(name, createInputCell('number', company, factor, { min: 0, max: 10, step: '0.01' }));
+            elements.companyFactorsBody.appendChild(row);
+        });
+    }
+
+    /**
+     * Build an editable row for a grade multiplier
+     * @param {object} grade - { grade, multiplier }
+     * @returns {HTMLElement} Table row
+     */
+    function createGradeRow(grade) {
+        const row = document.createElement('tr');
+        row.append(
+            createInputCell('number', 'grade', grade.grade, { min: 1, max: 10, step: '0.5' }),
+            createInputCell('number', 'multiplier', grade.multiplier, { min: 0, max: 10, step: '0.01' }),
+            createRemoveCell()
+        );
+        return row;
+    }
+
+    /**
+     * Save the condition multipliers from the settings tables
+     */
+    function handleSaveConditions() {
+        const result = Conditions.saveMultipliers({
+            raw: readSettingsRows(elements.rawMultipliersBody).reduce((all, row) => ({ ...all, ...row }), {}),
+            grades: readSettingsRows(elements.gradeMultipliersBody),
+            companies: readSettingsRows(elements.companyFactorsBody).reduce((all, row) => ({ ...all, ...row }), {})
+        });
+
+        if (result.success) {
+            renderConditionSettings();
+        }
+        showConditionsStatus(result.message);
+    }
+
+    /**
+     * Show a status message under the condition settings
+     * @param {string} message - Message
+     */
+    function showConditionsStatus(message) {
+        elements.conditionsStatus.textContent = message;
+        elements.conditionsStatus.classList.remove('hidden');
+    }
+
+    /**
+     * Fill the price source settings from the saved settings
+     */
+    function renderPriceSourceSettings() {
+        const settings = PriceSources.getSettings();
+
+        elements.sourceWeightsBody.innerHTML = '';
+        PriceSources.getSources().forEach(source => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = source.currency === Currency.BASE_CURRENCY ? source.label : `${source.label} (${source.currency})`;
+            row.append(name, createInputCell('number', source.id, settings.weights[source.id], { min: 0, max: 10, step: '0.1' }));
+            elements.sourceWeightsBody.appendChild(row);
+        });
+
+        inputs.tcgplayerPoint.innerHTML = '';
+        PriceSources.getTcgplayerPoints().forEach(point => {
+            inputs.tcgplayerPoint.appendChild(new Option(capitalize(point), point));
+        });
+        inputs.tcgplayerPoint.value = settings.tcgplayerPoint;
+        inputs.outlierPercent.value = settings.outlierPercent;
+    }
+
+    /**
+     * Save the price source settings
+     */
+    function handleSavePriceSources() {
+        const result = PriceSources.saveSettings({
+            weights: readSettingsRows(elements.sourceWeightsBody).reduce((all, row) => ({ ...all, ...row }), {}),
+            tcgplayerPoint: inputs.tcgplayerPoint.value,
+            outlierPercent: inputs.outlierPercent.value
+        });
+
+        if (result.success) {
+            renderPriceSourceSettings();
+        }
+        showStatus(elements.priceSourcesStatus, result.message);
+    }
+
+    /**
+     * Show what the offline catalog holds
+     */
+    async function renderCatalogStatus() {
+        const status = await Catalog.getStatus();
+
+        if (!status.available) {
+            elements.catalogSummary.textContent = 'This browser cannot store an offline catalog.';
+        } else if (status.cards === 0) {
+            elements.catalogSummary.textContent = 'No catalog downloaded yet.';
+        } else {
+            elements.catalogSummary.textContent = `${status.cards.toLocaleString()} cards in ${status.sets} sets, ` +
+                `last downloaded ${formatDate(status.downloadedAt)}.`;
+        }
+
+        buttons.downloadCatalog.disabled = !status.available;
+        buttons.downloadCatalog.textContent = status.cards > 0 ? 'Update Catalog' : 'Download Catalog';
+        buttons.clearCatalog.disabled = status.cards === 0;
+
+        elements.photoIndexSummary.textContent = status.cards > 0
+            ? `${status.hashed.toLocaleString()} of ${status.cards.toLocaleString()} card images indexed for photo identification.`
+            : 'Download the catalog before building the photo index.';
+        buttons.buildPhotoIndex.disabled = status.cards === 0;
+    }
+
+    /**
+     * Show the catalog progress bar for a new download
+     */
+    function startCatalogProgress() {
+        buttons.downloadCatalog.disabled = true;
+        buttons.clearCatalog.disabled = true;
+        elements.catalogStatus.classList.add('hidden');
+        elements.catalogProgress.classList.remove('hidden');
+        updateCatalogProgress(0, 0);
+    }
+
+    /**
+     * Update the catalog progress bar
+     * @param {number} done - Sets finished
+     * @param {number} total - Sets in the catalog
+     */
+    function updateCatalogProgress(done, total) {
+        const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+        elements.catalogProgressFill.style.width = `${percent}%`;
+        elements.catalogProgressText.textContent = `${done} of ${total} sets downloaded`;
+    }
+
+    /**
+     * Hide the catalog progress bar and show how the download went
+     * @param {object} result - Result from Catalog.download
+     */
+    async function finishCatalogDownload(result) {
+        elements.catalogProgress.classList.add('hidden');
+        showStatus(elements.catalogStatus, result.message);
+        await renderCatalogStatus();
+        await updateOfflineBanner();
+    }
+
+    /**
+     * Show the photo index progress bar for a new build
+     */
+    function startPhotoIndexProgress() {
+        buttons.buildPhotoIndex.disabled = true;
+        buttons.clearCatalog.disabled = true;
+        elements.catalogStatus.classList.add('hidden');
+        elements.photoIndexProgress.classList.remove('hidden');
+        updatePhotoIndexProgress(0, 0);
+    }
+
+    /**
+     * Update the photo index progress bar
+     * @param {number} done - Card images indexed
+     * @param {number} total - Cards in the catalog
+     */
+    function updatePhotoIndexProgress(done, total) {
+        const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+        elements.photoIndexProgressFill.style.width = `${percent}%`;
+        elements.photoIndexProgressText.textContent = `${done.toLocaleString()} of ${total.toLocaleString()} card images indexed`;
+    }
+
+    /**
+     * Hide the photo index progress bar and show how the build went
+     * @param {object} result - Result from CardScanner.buildIndex
+     */
+    async function finishPhotoIndex(result) {
+        elements.photoIndexProgress.classList.add('hidden');
+        showStatus(elements.catalogStatus, result.message);
+        await renderCatalogStatus();
+    }
+
+    /**
+     * Delete the offline catalog
+     */
+    async function handleClearCatalog() {
+        if (!confirm('Delete the offline catalog from this device?')) {
+            return;
+        }
+
+        await Catalog.clear();
+        await renderCatalogStatus();
+        showStatus(elements.catalogStatus, 'Offline catalog deleted');
+    }
+
+    /**
+     * Show or hide the offline banner, saying whether searches can still work
+     */
+    async function updateOfflineBanner() {
+        if (navigator.onLine) {
+            elements.offlineBanner.classList.add('hidden');
+            return;
+        }
+
+        const status = await Catalog.getStatus();
+        elements.offlineBanner.textContent = status.cards > 0
+            ? `You are offline. Searches use the offline catalog (downloaded ${formatDate(status.downloadedAt)}) and the last prices looked up.`
+            : 'You are offline and no offline catalog has been downloaded, so cards cannot be searched.';
+        elements.offlineBanner.classList.remove('hidden');
+    }
+
+    /**
+     * Fill the cache table with statistics per namespace
+     */
+    async function renderCacheStats() {
+        const stats = await ApiCache.getStats();
+
+        elements.cacheStatsBody.innerHTML = '';
+        stats.namespaces.forEach(namespace => {
+            const row = document.createElement('tr');
+            [
+                namespace.label,
+                namespace.entries,
+                namespace.fresh,
+                formatBytes(namespace.bytes),
+                formatDuration(namespace.ttl)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary btn-small';
+            button.textContent = 'Clear';
+            button.dataset.action = 'clear-cache';
+            button.dataset.namespace = namespace.name;
+            button.disabled = namespace.entries === 0;
+            actions.appendChild(button);
+            row.appendChild(actions);
+
+            elements.cacheStatsBody.appendChild(row);
+        });
+
+        elements.cacheSummary.textContent = `Stored in ${stats.storage}: ` +
+            `${formatBytes(stats.totalBytes)} of ${formatBytes(stats.maxBytes)}. ` +
+            `This session: ${stats.hits} fresh, ${stats.staleHits} stale, ${stats.misses} fetched.`;
+    }
+
+    /**
+     * Clear one cache namespace, or the whole cache
+     * @param {string|null} namespace - Namespace to clear (null for all)
+     */
+    async function handleClearCache(namespace) {
+        await API.clearCache(namespace);
+        await renderCacheStats();
+        showStatus(elements.cacheStatus, 'Cache cleared');
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Size in B, KB or MB
+     */
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Format a duration for display
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Duration in minutes, hours or days
+     */
+    function formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours} h`;
+        return `${Math.round(hours / 24)} days`;
+    }
+
+    /**
+     * Get the raw conditions, for selects outside the card input screen
+     * @returns {array} Condition names
+     */
+    function getConditionOptions() {
+        return Conditions.getRawConditions().map(condition => condition.name);
+    }
+
+    /**
+     * Setup the graded slab company and grade selects
+     */
+    function setupConditionPicker() {
+        const companies = Conditions.getGradingCompanies();
+
+        Object.keys(companies).forEach(company => {
+            inputs.gradingCompany.appendChild(new Option(company, company));
+        });
+
+        const fillGrades = () => {
+            const selected = inputs.gradingGrade.value;
+            inputs.gradingGrade.innerHTML = '';
+            companies[inputs.gradingCompany.value].forEach(grade => {
+                inputs.gradingGrade.appendChild(new Option(String(grade), String(grade)));
+            });
+            if (selected) {
+                inputs.gradingGrade.value = selected;
+            }
+        };
+
+        inputs.gradingCompany.addEventListener('change', fillGrades);
+        fillGrades();
+
+        inputs.conditionRadios.forEach(radio => {
+            radio.addEventListener('change', updateGradedOptions);
+        });
+    }
+
+    /**
+     * Setup keyboard and mouse picking of name suggestions
+     * The suggestions themselves are fetched by the app module
+     */
+    function setupNameSuggestions() {
+        inputs.cardName.addEventListener('keydown', (e) => {
+            if (nameSuggestions.length === 0) return;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                highlightNameSuggestion((activeSuggestion + step + nameSuggestions.length) % nameSuggestions.length);
+            } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+                e.preventDefault();
+                pickNameSuggestion(activeSuggestion);
+            } else if (e.key === 'Escape') {
+                hideNameSuggestions();
+            }
+        });
+        inputs.cardName.addEventListener('blur', hideNameSuggestions);
+
+        // Keep focus in the name field so blur does not close the list mid-click
+        elements.cardNameSuggestions.addEventListener('mousedown', (e) => e.preventDefault());
+        elements.cardNameSuggestions.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                pickNameSuggestion(Number(item.dataset.index));
+            }
+        });
+    }
+
+    /**
+     * List name suggestions under the card name field
+     * @param {array} cards - Cards from API.suggestCards, closest first
+     */
+    function showNameSuggestions(cards) {
+        // The user has moved on; a late answer should not reopen the list
+        if (document.activeElement !== inputs.cardName) {
+            hideNameSuggestions();
+            return;
+        }
+
+        nameSuggestions = cards;
+        activeSuggestion = -1;
+        elements.cardNameSuggestions.innerHTML = '';
+
+        cards.forEach((card, index) => {
+            const item = document.createElement('li');
+            item.id = `cardNameSuggestion${index}`;
+            item.setAttribute('role', 'option');
+            item.dataset.index = index;
+
+            const name = document.createElement('strong');
+            name.textContent = card.name;
+
+            const details = document.createElement('small');
+            details.textContent = `${card.set} · #${formatCardNumber(card)}`;
+
+            item.append(name, details);
+            elements.cardNameSuggestions.appendChild(item);
+        });
+
+        elements.cardNameSuggestions.classList.toggle('hidden', cards.length === 0);
+        inputs.cardName.setAttribute('aria-expanded', String(cards.length > 0));
+    }
+
+    /**
+     * Close the name suggestions
+     */
+    function hideNameSuggestions() {
+        nameSuggestions = [];
+        activeSuggestion = -1;
+        elements.cardNameSuggestions.innerHTML = '';
+        elements.cardNameSuggestions.classList.add('hidden');
+        inputs.cardName.setAttribute('aria-expanded', 'false');
+        inputs.cardName.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Highlight a name suggestion picked with the arrow keys
+     * @param {number} index - Suggestion index
+     */
+    function highlightNameSuggestion(index) {
+        activeSuggestion = index;
+        Array.from(elements.cardNameSuggestions.children).forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            item.setAttribute('aria-selected', String(i === index));
+        });
+        inputs.cardName.setAttribute('aria-activedescendant', `cardNameSuggestion${index}`);
+        elements.cardNameSuggestions.children[index].scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * Fill the name, set and number from a suggestion
+     * @param {number} index - Suggestion index
+     */
+    function pickNameSuggestion(index) {
+        const card = nameSuggestions[index];
+        if (!card) return;
+
+        inputs.cardName.value = card.name;
+        inputs.cardSet.value = card.set;
+        inputs.cardNumber.value = formatCardNumber(card);
+        hideNameSuggestions();
+        updateSearchQuery();
+    }
+
+    /**
+     * Format a card's number the way it is printed ("4/102")
+     * @param {object} card - Card in the app's card shape
+     * @returns {string} Card number
+     */
+    function formatCardNumber(card) {
+        return card.printedTotal ? `${card.number}/${card.printedTotal}` : String(card.number);
+    }
+
+    /**
+     * Setup the advanced search fields, query preview and saved searches
+     */
+    function setupAdvancedSearch() {
+        const options = SearchBuilder.getOptions();
+        const fillSelect = (select, values, label = value => value) => {
+            select.appendChild(new Option('Any', ''));
+            values.forEach(value => select.appendChild(new Option(label(value), value)));
+        };
+
+        fillSelect(inputs.advType, options.types);
+        fillSelect(inputs.advSupertype, options.supertypes);
+        fillSelect(inputs.advRegulationMark, options.regulationMarks);
+        fillSelect(inputs.advLegality, options.legalities,
+            legality => legality.charAt(0).toUpperCase() + legality.slice(1));
+        options.subtypes.forEach(subtype => elements.advSubtypeOptions.appendChild(new Option(subtype)));
+        RARITY_ORDER.forEach(rarity => elements.advRarityOptions.appendChild(new Option(rarity)));
+
+        Object.values(SEARCH_FIELDS).forEach(input => {
+            inputs[input].addEventListener('input', updateSearchQuery);
+        });
+
+        inputs.savedSearchSelect.addEventListener('change', handleLoadSavedSearch);
+        buttons.saveSearch.addEventListener('click', handleSaveSearch);
+        buttons.deleteSearch.addEventListener('click', handleDeleteSavedSearch);
+
+        updateSearchQuery();
+    }
+
+    /**
+     * Read the search fields on the card input screen
+     * @returns {object} SearchBuilder criteria
+     */
+    function readSearchCriteria() {
+        const criteria = {};
+        Object.entries(SEARCH_FIELDS).forEach(([field, input]) => {
+            criteria[field] = inputs[input].value.trim();
+        });
+        return criteria;
+    }
+
+    /**
+     * Show the query the current search fields will send
+     */
+    function updateSearchQuery() {
+        const criteria = readSearchCriteria();
+
+        if (!SearchBuilder.hasFilters(criteria)) {
+            elements.advQuery.textContent = 'Name, set and number only. The search widens by itself when nothing matches.';
+            return;
+        }
+
+        const built = SearchBuilder.build(criteria);
+        elements.advQuery.textContent = built.success ? built.query : built.message;
+    }
+
+    /**
+     * Fill the saved searches select for the logged in user
+     */
+    function renderSavedSearches() {
+        const selected = inputs.savedSearchSelect.value;
+        const saved = SearchBuilder.getSaved();
+
+        inputs.savedSearchSelect.innerHTML = '';
+        inputs.savedSearchSelect.appendChild(new Option(saved.length > 0 ? 'Choose a saved search' : 'No saved searches', ''));
+        saved.forEach(search => inputs.savedSearchSelect.appendChild(new Option(search.name, search.name)));
+        inputs.savedSearchSelect.value = saved.some(search => search.name === selected) ? selected : '';
+    }
+
+    /**
+     * Fill the search fields from the chosen saved search
+     */
+    function handleLoadSavedSearch() {
+        const search = SearchBuilder.getSaved().find(saved => saved.name === inputs.savedSearchSelect.value);
+        if (!search) return;
+
+        Object.entries(SEARCH_FIELDS).forEach(([field, input]) => {
+            inputs[input].value = search.criteria[field] ?? '';
+        });
+        inputs.savedSearchName.value = search.name;
+        updateSearchQuery();
+        showStatus(elements.savedSearchStatus, `Loaded "${search.name}"`);
+    }
+
+    /**
+     * Save the current search fields under the entered name
+     */
+    function handleSaveSearch() {
+        const name = inputs.savedSearchName.value.trim();
+        const result = SearchBuilder.save(name, readSearchCriteria());
+
+        if (result.success) {
+            renderSavedSearches();
+            inputs.savedSearchSelect.value = SearchBuilder.getSaved()
+                .find(search => search.name.toLowerCase() === name.toLowerCase())?.name || '';
+        }
+        showStatus(elements.savedSearchStatus, result.message);
+    }
+
+    /**
+     * Delete the chosen saved search
+     */
+    function handleDeleteSavedSearch() {
+        const name = inputs.savedSearchSelect.value;
+        if (!name) {
+            showStatus(elements.savedSearchStatus, 'Choose a saved search to delete');
+            return;
+        }
+
+        const result = SearchBuilder.remove(name);
+        renderSavedSearches();
+        showStatus(elements.savedSearchStatus, result.message);
+    }
+
+    /**
+     * Show the company and grade selects only when "Graded Slab" is chosen
+     */
+    function updateGradedOptions() {
+        const graded = Array.from(inputs.conditionRadios).some(radio => radio.checked && radio.value === 'Graded');
+        elements.gradedOptions.classList.toggle('hidden', !graded);
+    }
+
+    /**
+     * Format an amount as a price in the logged in user's currency
+     * @param {number|string} value - Amount
+     * @param {string} currency - Currency the amount is in (US dollars by default)
+     * @returns {string} Formatted price, converted when the rate is known
+     */
+    function formatPrice(value, currency = Currency.BASE_CURRENCY) {
+        const displayCurrency = Currency.getDisplayCurrency();
+        const converted = Currency.convert(value, displayCurrency, currency);
+        return converted === null ? Currency.format(value, currency) : Currency.format(converted, displayCurrency);
+    }
+
+    /**
+     * Show error screen
+     * @param {string} message - Error message
+     */
+    function showError(message) {
+        elements.errorMessage.textContent = message;
+        showScreen('error');
+    }
+
+    /**
+     * Show error alert (temporary)
+     * @param {string} message - Error message
+     */
+    function showErrorAlert(message) {
+        // Use alert for simple errors, or implement a toast notification
+        alert('Error: ' + message);
+    }
+
+    /**
+     * Get selected condition radio button value
+     * @returns {string} Selected condition
+     */
+    function getSelectedCondition() {
+        for (const radio of inputs.conditionRadios) {
+            if (radio.checked) {
+                if (radio.value === 'Graded') {
+                    const grade = parseFloat(inputs.gradingGrade.value);
+                    return grade ? Conditions.formatGraded(inputs.gradingCompany.value, grade) : null;
+                }
+                return radio.value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Clear card input form
+     */
+    function clearCardForm() {
+        Object.values(SEARCH_FIELDS).forEach(input => {
+            inputs[input].value = '';
+        });
+        inputs.savedSearchSelect.value = '';
+        updateSearchQuery();
+        updateVariantOptions(null, 'Enter the name, set and number to list variants');
+        applyDefaultCondition();
+        clearPhoto();
+    }
+
+    /**
+     * Pre-select the user's default condition on the card input screen
+     */
+    function applyDefaultCondition() {
+        const defaultCondition = Preferences.get().defaultCondition;
+        inputs.conditionRadios.forEach(radio => {
+            radio.checked = Boolean(defaultCondition) && radio.value === defaultCondition;
+        });
+        updateGradedOptions();
     }
 
     /**
@@ -494,7 +3685,39 @@ const UI = (() => {
         init,
         showScreen,
         showLoading,
+        showMatches,
+        updateMatches,
+        showNameSuggestions,
+        hideNameSuggestions,
+        showSets,
+        updateSets,
+        fillSetOptions,
+        showSetChecklist,
+        updateSetChecklist,
+        getSetChecklistCondition,
+        getCardDetails,
+        updateVariantOptions,
+        updateConfirmationVariants,
+        setMatchesLoading,
+        getMatchesOrderBy,
         showResults,
+        showCollection,
+        refreshCollection,
+        refreshWatchlist,
+        showPriceAlerts,
+        showBatch,
+        getBatchInput,
+        getImportRows,
+        startBatchProgress,
+        updateBatchProgress,
+        startCatalogProgress,
+        updateCatalogProgress,
+        finishCatalogDownload,
+        startPhotoIndexProgress,
+        updatePhotoIndexProgress,
+        finishPhotoIndex,
+        updateOfflineBanner,
+        showBatchResults,
         showError,
         showErrorAlert,
         showConfirmation,
@@ -0,0 +1,115 @@
+/**
+ * Variants Module
+ * Card variants (holo, reverse holo, 1st Edition, shadowless) a printing was
+ * released in, which can be worth very different amounts
+ * Each price source names variants its own way ("1stEditionHolofoil",
+ * "1st Edition Holofoil"); they are read into one canonical name so the
+ * same variant can be priced from every source
+ */
+
+const Variants = (() => {
+    // Variant of a printing with no special finish or edition
+    const NORMAL = 'Normal';
+
+    /**
+     * Read the features of a variant label
+     * @param {string} label - e.g. "1stEditionHolofoil", "Reverse Holofoil", "Shadowless Holo"
+     * @returns {object} { firstEdition, shadowless, reverse, holo }
+     */
+    function parse(label) {
+        const text = String(label || '')
+            .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+            .toLowerCase();
+
+        const reverse = /reverse/.test(text);
+        return {
+            firstEdition: /1st ?edition|first edition/.test(text),
+            shadowless: /shadowless/.test(text),
+            reverse,
+            holo: !reverse && /holo/.test(text)
+        };
+    }
+
+    /**
+     * Turn a price source's variant label into a canonical name
+     * "Unlimited" only means "not 1st Edition", so it is dropped
+     * @param {string} label - Variant label from a price source
+     * @returns {string|null} e.g. "1st Edition Holo", "Reverse Holo", "Normal"; null when empty
+     */
+    function normalize(label) {
+        if (!String(label || '').trim()) return null;
+
+        const features = parse(label);
+        const parts = [];
+        if (features.firstEdition) parts.push('1st Edition');
+        if (features.shadowless) parts.push('Shadowless');
+        if (features.reverse) parts.push('Reverse Holo');
+        if (features.holo) parts.push('Holo');
+
+        return parts.length > 0 ? parts.join(' ') : NORMAL;
+    }
+
+    /**
+     * Rank a variant for ordering: the common release first, then reverse
+     * holos, shadowless and 1st Edition copies
+     * @param {string} variant - Canonical variant name
+     * @returns {number} Rank, lowest first
+     */
+    function rank(variant) {
+        const features = parse(variant);
+        return (features.firstEdition ? 4 : 0) + (features.shadowless ? 2 : 0) + (features.reverse ? 1 : 0);
+    }
+
+    /**
+     * Sort variants and drop duplicates
+     * @param {array} variants - Canonical variant names
+     * @returns {array} Variants, the most common release first
+     */
+    function sort(variants) {
+        return [...new Set(variants.filter(Boolean))].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+    }
+
+    /**
+     * Get the variant priced when none was chosen: the common release
+     * @param {array} variants - Canonical variant names
+     * @returns {string|null} Variant, or null when there are none
+     */
+    function getDefault(variants) {
+        return sort(variants)[0] || null;
+    }
+
+    /**
+     * List the variants a card's prices cover
+     * @param {object} prices - card.prices with TCGplayer data from the Pokémon TCG API and/or JustTCG data
+     * @returns {array} Canonical variant names, the most common release first
+     */
+    function fromPrices(prices = {}) {
+        const tcgplayer = Object.entries(prices.tcgplayer?.prices || {})
+            .filter(([, points]) => Object.values(points || {}).some(value => value > 0))
+            .map(([key]) => normalize(key));
+
+        const justtcg = (prices.justtcg?.variants || [])
+            .filter(variant => variant.price > 0)
+            .map(variant => normalize(variant.printing || NORMAL));
+
+        return sort([...tcgplayer, ...justtcg]);
+    }
+
+    /**
+     * Describe a variant for display
+     * @param {string} variant - Canonical variant name
+     * @returns {string} Variant, or "N/A" when unknown
+     */
+    function describe(variant) {
+        return variant || 'N/A';
+    }
+
+    // Public API
+    return {
+        normalize,
+        sort,
+        getDefault,
+        fromPrices,
+        describe
+    };
+})();
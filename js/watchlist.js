@@ -0,0 +1,286 @@
+/**
+ * Watchlist Module
+ * Keeps each user's watched cards, with a price to alert above and/or below,
+ * and the history of alerts raised when a watched price crosses one
+ * Watches are stored under nashCards_watchlist_<user id>, alerts under nashCards_alerts_<user id>
+ */
+
+const Watchlist = (() => {
+    // Private variables
+    const STORAGE_PREFIX = 'nashCards_watchlist_';
+    const ALERTS_PREFIX = 'nashCards_alerts_';
+
+    // Alerts kept per user, newest first
+    const MAX_ALERTS = 200;
+
+    /**
+     * Get a storage key for the logged in user
+     * @param {string} prefix - Key prefix
+     * @returns {string|null} Storage key or null if not logged in
+     */
+    function getStorageKey(prefix) {
+        const session = Auth.getSession();
+        return session ? `${prefix}${session.id}` : null;
+    }
+
+    /**
+     * Read a list from localStorage
+     * @param {string} prefix - Key prefix
+     * @returns {array} Stored list
+     */
+    function getStored(prefix) {
+        const key = getStorageKey(prefix);
+        const stored = key ? localStorage.getItem(key) : null;
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    /**
+     * Save a list to localStorage
+     * @param {string} prefix - Key prefix
+     * @param {array} list - List to save
+     */
+    function setStored(prefix, list) {
+        const key = getStorageKey(prefix);
+        if (key) {
+            localStorage.setItem(key, JSON.stringify(list));
+        }
+    }
+
+    /**
+     * Work out which side of its thresholds a price is on
+     * @param {number} price - Current price
+     * @param {object} watch - { above, below }
+     * @returns {string} 'above', 'below' or 'inside'
+     */
+    function getZone(price, watch) {
+        if (watch.above !== null && price >= watch.above) return 'above';
+        if (watch.below !== null && price <= watch.below) return 'below';
+        return 'inside';
+    }
+
+    /**
+     * Validate and normalize alert thresholds
+     * @param {object} thresholds - { above, below }, '' or null for none
+     * @returns {object} Result with success status and normalized thresholds
+     */
+    function validateThresholds(thresholds) {
+        const parse = value => (value === undefined || value === null || value === '' ? null : Number(value));
+        const above = parse(thresholds.above);
+        const below = parse(thresholds.below);
+
+        if (above === null && below === null) {
+            return { success: false, message: 'Enter a price to alert above, below, or both' };
+        }
+        if ([above, below].some(value => value !== null && (!Number.isFinite(value) || value <= 0))) {
+            return { success: false, message: 'Alert prices must be more than zero' };
+        }
+        if (above !== null && below !== null && below >= above) {
+            return { success: false, message: 'The "below" price must be less than the "above" price' };
+        }
+
+        return { success: true, above, below };
+    }
+
+    /**
+     * Get every watched card, newest first
+     * @returns {array} Watches
+     */
+    function getItems() {
+        return getStored(STORAGE_PREFIX).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Check whether a watch is on a card, condition and variant
+     * Watches added before variants were tracked match any variant until re-priced
+     * @param {object} watch - Watch
+     * @param {string} cardId - Card ID
+     * @param {string} condition - Card condition
+     * @param {string|null} variant - Card variant (see Variants)
+     * @returns {boolean}
+     */
+    function isWatchOf(watch, cardId, condition, variant) {
+        return watch.card.id === cardId && watch.condition === condition &&
+            (!watch.card.variant || watch.card.variant === variant);
+    }
+
+    /**
+     * Get the watch on a card, condition and variant
+     * @param {string} cardId - Card ID
+     * @param {string} condition - Card condition
+     * @param {string|null} variant - Card variant
+     * @returns {object|null} Watch or null if the card is not watched
+     */
+    function find(cardId, condition, variant = null) {
+        return getStored(STORAGE_PREFIX).find(watch => isWatchOf(watch, cardId, condition, variant)) || null;
+    }
+
+    /**
+     * Watch a priced card, or change the thresholds of an existing watch
+     * A card already past a threshold does not alert until it crosses back and again
+     * @param {object} card - Card enriched by API.enrichCardWithPricing
+     * @param {object} thresholds - { above, below }, '' or null for none
+     * @returns {object} Result with success status, message and the watch
+     */
+    function add(card, thresholds = {}) {
+        if (!Auth.isLoggedIn()) {
+            return { success: false, message: 'You must be logged in to watch cards' };
+        }
+
+        if (!card || !card.selectedCondition) {
+            return { success: false, message: 'Value a card before watching it' };
+        }
+
+        if (card.isMockPrice) {
+            return { success: false, message: 'Cards with a mock estimate cannot be watched' };
+        }
+
+        const validation = validateThresholds(thresholds);
+        if (!validation.success) {
+            return validation;
+        }
+
+        const price = parseFloat(card.adjustedPrice);
+        const now = new Date().toISOString();
+        const watches = getStored(STORAGE_PREFIX);
+        let watch = watches.find(w => isWatchOf(w, card.id, card.selectedCondition, card.variant));
+
+        if (!watch) {
+            watch = {
+                id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                condition: card.selectedCondition,
+                createdAt: now
+            };
+            watches.push(watch);
+        }
+
+        Object.assign(watch, {
+            card,
+            above: validation.above,
+            below: validation.below,
+            lastPrice: price,
+            lastCheckedAt: now
+        });
+        watch.zone = getZone(price, watch);
+
+        setStored(STORAGE_PREFIX, watches);
+        return { success: true, message: 'Card added to watchlist', watch };
+    }
+
+    /**
+     * Stop watching a card
+     * @param {string} watchId - Watch ID
+     * @returns {object} Result with success status and message
+     */
+    function remove(watchId) {
+        const watches = getStored(STORAGE_PREFIX);
+        const remaining = watches.filter(watch => watch.id !== watchId);
+
+        if (remaining.length === watches.length) {
+            return { success: false, message: 'Watch not found' };
+        }
+
+        setStored(STORAGE_PREFIX, remaining);
+        return { success: true, message: 'Card removed from watchlist' };
+    }
+
+    /**
+     * Record a fresh price for a watched card, raising an alert when it crosses a threshold
+     * Ignored when the lookup priced another variant (its prices were no longer found)
+     * @param {string} watchId - Watch ID
+     * @param {object} pricedCard - Card re-priced by API.priceCard
+     * @returns {object} Result with success status, message, and the alert when one was raised
+     */
+    function recordPrice(watchId, pricedCard) {
+        const watches = getStored(STORAGE_PREFIX);
+        const watch = watches.find(w => w.id === watchId);
+
+        if (!watch || !isWatchOf(watch, pricedCard.id, pricedCard.selectedCondition, pricedCard.variant)) {
+            return { success: false, message: 'Watch not found' };
+        }
+
+        const price = parseFloat(pricedCard.adjustedPrice);
+        const zone = getZone(price, watch);
+        let alert = null;
+
+        if (zone !== watch.zone && zone !== 'inside') {
+            alert = {
+                id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+                watchId,
+                cardId: watch.card.id,
+                cardName: watch.card.name,
+                set: watch.card.set,
+                condition: watch.condition,
+                variant: watch.card.variant || null,
+                direction: zone,
+                threshold: watch[zone],
+                price,
+                time: new Date().toISOString(),
+                read: false
+            };
+            setStored(ALERTS_PREFIX, [alert, ...getStored(ALERTS_PREFIX)].slice(0, MAX_ALERTS));
+        }
+
+        Object.assign(watch, {
+            card: pricedCard,
+            lastPrice: price,
+            lastCheckedAt: new Date().toISOString(),
+            zone
+        });
+        setStored(STORAGE_PREFIX, watches);
+
+        return { success: true, message: alert ? 'Price alert raised' : 'Price recorded', alert };
+    }
+
+    /**
+     * Get the alert history, newest first
+     * @returns {array} Alerts
+     */
+    function getAlerts() {
+        return getStored(ALERTS_PREFIX);
+    }
+
+    /**
+     * Count the alerts not yet seen
+     * @returns {number} Unread alerts
+     */
+    function getUnreadCount() {
+        return getAlerts().filter(alert => !alert.read).length;
+    }
+
+    /**
+     * Mark every alert as seen
+     */
+    function markAlertsRead() {
+        setStored(ALERTS_PREFIX, getAlerts().map(alert => ({ ...alert, read: true })));
+    }
+
+    /**
+     * Delete the alert history
+     */
+    function clearAlerts() {
+        setStored(ALERTS_PREFIX, []);
+    }
+
+    /**
+     * Delete a user's watchlist and alert history
+     * @param {string} userId - User ID
+     */
+    function removeUserData(userId) {
+        localStorage.removeItem(`${STORAGE_PREFIX}${userId}`);
+        localStorage.removeItem(`${ALERTS_PREFIX}${userId}`);
+    }
+
+    // Public API
+    return {
+        getItems,
+        find,
+        add,
+        remove,
+        recordPrice,
+        getAlerts,
+        getUnreadCount,
+        markAlertsRead,
+        clearAlerts,
+        removeUserData
+    };
+})();
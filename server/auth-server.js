@@ -0,0 +1,535 @@
+/**
+ * Local Auth Server
+ * Stand-in for the shop's account backend, used to develop and test the
+ * HTTP auth provider offline. No dependencies beyond Node itself.
+ *
+ * Usage: node server/auth-server.js [--port 8787] [--data users.json] [--demo]
+ *   --port  Port to listen on (default 8787)
+ *   --data  JSON file to keep accounts in between runs (default: memory only)
+ *   --demo  Create the demo account (demo@example.com / password123, staff);
+ *           without it, a demo account in the data file is removed
+ *
+ * Endpoints (JSON in and out, errors as { message }):
+ *   POST /auth/signup   { name, email, password }  -> tokens
+ *   POST /auth/login    { email, password }        -> tokens
+ *   POST /auth/refresh  { refreshToken }           -> tokens
+ *   POST /auth/logout   { refreshToken }           -> 204
+ *   GET  /auth/profile  Authorization: Bearer <accessToken> -> { user }
+ *   PATCH /auth/profile { name, email }            -> { user }      (Bearer)
+ *   POST /auth/password { currentPassword, newPassword } -> 204     (Bearer)
+ *   DELETE /auth/account { password }              -> 204           (Bearer)
+ *   GET  /admin/users                              -> { users }     (Bearer, admin)
+ *   POST /admin/users   { name, email, password, role } -> { user } (Bearer, admin)
+ *   PATCH /admin/users/:id { role, disabled }      -> { user }      (Bearer, admin)
+ * where tokens is { user, accessToken, refreshToken, expiresIn }
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Access tokens are short-lived JWTs; refresh tokens last as long as a session
+const ACCESS_TOKEN_TTL = 15 * 60;
+const REFRESH_TOKEN_TTL = 12 * 60 * 60;
+
+// Roles, lowest first; the first account to sign up becomes the admin
+const ROLES = ['staff', 'manager', 'admin'];
+
+// Demo account created by --demo; its password is public, so it is only ever staff
+const DEMO_EMAIL = 'demo@example.com';
+
+// Password hashing (PBKDF2-HMAC-SHA256), same settings as the browser
+const HASH_ITERATIONS = 600000;
+
+// Signing key for access tokens; set AUTH_SECRET to keep tokens valid across restarts
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+
+const options = parseArgs(process.argv.slice(2));
+const users = loadUsers();
+const refreshTokens = new Map();
+
+/**
+ * Read command line options
+ * @param {array} args - Arguments after the script name
+ * @returns {object} { port, dataFile, demo }
+ */
+function parseArgs(args) {
+    const parsed = { port: 8787, dataFile: null, demo: false };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') parsed.port = Number(args[++i]);
+        else if (args[i] === '--data') parsed.dataFile = args[++i];
+        else if (args[i] === '--demo') parsed.demo = true;
+    }
+
+    return parsed;
+}
+
+/**
+ * Load accounts from the data file
+ * A demo account saved by an earlier --demo run is dropped when the server
+ * starts without --demo, as its password is public. Accounts saved before
+ * roles existed become staff, and the first one the admin; the demo account
+ * never takes that place
+ * @returns {array} Stored users
+ */
+function loadUsers() {
+    if (!options.dataFile || !fs.existsSync(options.dataFile)) return [];
+
+    const saved = JSON.parse(fs.readFileSync(options.dataFile, 'utf8'));
+    const stored = saved.filter(user => options.demo || !isDemoUser(user));
+    if (stored.length < saved.length) {
+        fs.writeFileSync(options.dataFile, JSON.stringify(stored, null, 2));
+        console.log('Removed the demo account (start with --demo to keep it)');
+    }
+
+    stored.forEach(user => {
+        user.role = isDemoUser(user) ? 'staff' : user.role || 'staff';
+    });
+    const first = stored.find(user => !isDemoUser(user));
+    if (first && !stored.some(user => user.role === 'admin')) {
+        first.role = 'admin';
+    }
+    return stored;
+}
+
+/**
+ * Check whether a user is the demo account
+ * @param {object} user - Stored user
+ * @returns {boolean}
+ */
+function isDemoUser(user) {
+    return isDemoEmail(user.email);
+}
+
+/**
+ * Check whether an email is the demo account's, which no other account may use
+ * (the demo account is removed when the server starts without --demo)
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+function isDemoEmail(email) {
+    return String(email || '').trim().toLowerCase() === DEMO_EMAIL;
+}
+
+/**
+ * Write accounts to the data file, if one was given
+ */
+function saveUsers() {
+    if (options.dataFile) {
+        fs.writeFileSync(options.dataFile, JSON.stringify(users, null, 2));
+    }
+}
+
+/**
+ * Hash a password with a new or given salt
+ * @param {string} password - Password
+ * @param {string} salt - Hex salt (generated when omitted)
+ * @returns {Promise<object>} { passwordHash, salt, iterations }
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return new Promise((resolve, reject) => {
+        crypto.pbkdf2(password, Buffer.from(salt, 'hex'), HASH_ITERATIONS, 32, 'sha256', (error, key) => {
+            if (error) reject(error);
+            else resolve({ passwordHash: key.toString('hex'), salt, iterations: HASH_ITERATIONS });
+        });
+    });
+}
+
+/**
+ * Check a password against a stored user
+ * @param {object} user - Stored user
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(user, password) {
+    const { passwordHash } = await hashPassword(password, user.salt);
+    return crypto.timingSafeEqual(Buffer.from(passwordHash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+}
+
+/**
+ * Encode data as unpadded base64url
+ * @param {Buffer|string} data
+ * @returns {string}
+ */
+function base64url(data) {
+    return Buffer.from(data).toString('base64url');
+}
+
+/**
+ * Create a signed HS256 access token
+ * @param {object} user - Stored user
+ * @returns {string} JWT
+ */
+function signAccessToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sub: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        iat: now,
+        exp: now + ACCESS_TOKEN_TTL
+    }));
+    const signature = crypto.createHmac('sha256', SECRET).update(`${header}.${payload}`).digest('base64url');
+
+    return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Check an access token's signature and expiry
+ * @param {string} token - JWT
+ * @returns {object|null} Token payload or null if invalid
+ */
+function verifyAccessToken(token) {
+    const [header, payload, signature] = String(token || '').split('.');
+    if (!header || !payload || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', SECRET).update(`${header}.${payload}`).digest('base64url');
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() / 1000 ? claims : null;
+}
+
+/**
+ * Issue a new access and refresh token pair
+ * @param {object} user - Stored user
+ * @returns {object} Token response body
+ */
+function issueTokens(user) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    refreshTokens.set(refreshToken, { userId: user.id, expiresAt: Date.now() + REFRESH_TOKEN_TTL * 1000 });
+
+    return {
+        user: toPublicUser(user),
+        accessToken: signAccessToken(user),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+/**
+ * Revoke every refresh token belonging to a user
+ * @param {string} userId - User ID
+ */
+function revokeRefreshTokens(userId) {
+    for (const [token, stored] of refreshTokens) {
+        if (stored.userId === userId) refreshTokens.delete(token);
+    }
+}
+
+/**
+ * Strip password data from a stored user
+ * @param {object} user - Stored user
+ * @returns {object} { id, name, email, role, disabled }
+ */
+function toPublicUser(user) {
+    return { id: user.id, name: user.name, email: user.email, role: user.role, disabled: Boolean(user.disabled) };
+}
+
+/**
+ * Find the enabled account an access token belongs to
+ * @param {object|null} claims - Verified token payload
+ * @returns {object|null} Stored user or null
+ */
+function findActiveUser(claims) {
+    const user = claims && users.find(u => u.id === claims.sub);
+    return user && !user.disabled ? user : null;
+}
+
+/**
+ * Check whether a user is the only admin who can still log in
+ * @param {object} user - Stored user
+ * @returns {boolean}
+ */
+function isLastAdmin(user) {
+    const activeAdmins = users.filter(u => u.role === 'admin' && !u.disabled);
+    return activeAdmins.length === 1 && activeAdmins[0].id === user.id;
+}
+
+/**
+ * Create the demo account if it does not exist
+ * @returns {Promise}
+ */
+async function seedDemoUser() {
+    if (users.some(isDemoUser)) return;
+
+    users.push({
+        id: '1',
+        name: 'Demo User',
+        email: DEMO_EMAIL,
+        role: 'staff',
+        ...await hashPassword('password123')
+    });
+    saveUsers();
+    console.log('Demo account created');
+}
+
+// Route handlers; each returns [status, body]
+const routes = {
+    'POST /auth/signup': async ({ body }) => {
+        const name = String(body.name || '').trim();
+        const email = String(body.email || '').trim();
+        const password = String(body.password || '');
+
+        if (!name || !email || !password) return [400, { message: 'All fields are required' }];
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return [400, { message: 'Invalid email address' }];
+        if (password.length < 6) return [400, { message: 'Password must be at least 6 characters' }];
+        if (users.some(user => user.email === email)) return [409, { message: 'Email already registered' }];
+        if (isDemoEmail(email)) return [409, { message: 'This email is reserved for the demo account' }];
+
+        const role = users.every(isDemoUser) ? 'admin' : 'staff';
+        const user = { id: Date.now().toString(), name, email, role, ...await hashPassword(password) };
+        users.push(user);
+        saveUsers();
+
+        return [201, issueTokens(user)];
+    },
+
+    'POST /auth/login': async ({ body }) => {
+        const user = users.find(u => u.email === body.email);
+
+        if (!user) return [404, { message: 'User not found' }];
+        if (!await verifyPassword(user, String(body.password || ''))) return [401, { message: 'Invalid password' }];
+        if (user.disabled) return [403, { message: 'This account has been disabled' }];
+
+        return [200, issueTokens(user)];
+    },
+
+    'POST /auth/refresh': async ({ body }) => {
+        const stored = refreshTokens.get(body.refreshToken);
+        refreshTokens.delete(body.refreshToken);
+
+        const user = stored && stored.expiresAt > Date.now() && users.find(u => u.id === stored.userId);
+        if (!user || user.disabled) return [401, { message: 'Session expired, please log in again' }];
+
+        return [200, issueTokens(user)];
+    },
+
+    'POST /auth/logout': async ({ body }) => {
+        refreshTokens.delete(body.refreshToken);
+        return [204, null];
+    },
+
+    'GET /auth/profile': async ({ claims }) => {
+        const user = findActiveUser(claims);
+        if (!user) return [401, { message: 'Not logged in' }];
+
+        return [200, { user: toPublicUser(user) }];
+    },
+
+    'PATCH /auth/profile': async ({ body, claims }) => {
+        const user = findActiveUser(claims);
+        if (!user) return [401, { message: 'Not logged in' }];
+
+        const name = String(body.name || '').trim();
+        const email = String(body.email || '').trim();
+        if (!name || !email) return [400, { message: 'Name and email are required' }];
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return [400, { message: 'Invalid email address' }];
+        if (users.some(u => u.id !== user.id && u.email === email)) return [409, { message: 'Email already registered' }];
+        if (isDemoUser(user) && !isDemoEmail(email)) return [400, { message: 'The demo account\'s email cannot be changed' }];
+        if (!isDemoUser(user) && isDemoEmail(email)) return [409, { message: 'This email is reserved for the demo account' }];
+
+        user.name = name;
+        user.email = email;
+        saveUsers();
+
+        return [200, { user: toPublicUser(user) }];
+    },
+
+    'POST /auth/password': async ({ body, claims }) => {
+        const user = findActiveUser(claims);
+        if (!user) return [401, { message: 'Not logged in' }];
+
+        const newPassword = String(body.newPassword || '');
+        if (!await verifyPassword(user, String(body.currentPassword || ''))) {
+            return [403, { message: 'Current password is incorrect' }];
+        }
+        if (newPassword.length < 6) return [400, { message: 'Password must be at least 6 characters' }];
+
+        Object.assign(user, await hashPassword(newPassword));
+        saveUsers();
+
+        return [204, null];
+    },
+
+    'DELETE /auth/account': async ({ body, claims }) => {
+        const user = findActiveUser(claims);
+        if (!user) return [401, { message: 'Not logged in' }];
+
+        if (!await verifyPassword(user, String(body.password || ''))) {
+            return [403, { message: 'Password is incorrect' }];
+        }
+        if (isLastAdmin(user)) {
+            return [409, { message: 'Make another account an admin before deleting the last admin' }];
+        }
+
+        users.splice(users.indexOf(user), 1);
+        saveUsers();
+        revokeRefreshTokens(user.id);
+
+        return [204, null];
+    },
+
+    'GET /admin/users': async ({ claims }) => {
+        const admin = findActiveUser(claims);
+        if (!admin || admin.role !== 'admin') return [403, { message: 'Only admins can manage users' }];
+
+        return [200, { users: users.map(toPublicUser) }];
+    },
+
+    'POST /admin/users': async ({ body, claims }) => {
+        const admin = findActiveUser(claims);
+        if (!admin || admin.role !== 'admin') return [403, { message: 'Only admins can manage users' }];
+
+        const name = String(body.name || '').trim();
+        const email = String(body.email || '').trim();
+        const password = String(body.password || '');
+
+        if (!name || !email || !password) return [400, { message: 'All fields are required' }];
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return [400, { message: 'Invalid email address' }];
+        if (password.length < 6) return [400, { message: 'Password must be at least 6 characters' }];
+        if (!ROLES.includes(body.role)) return [400, { message: 'Unknown role' }];
+        if (users.some(user => user.email === email)) return [409, { message: 'Email already registered' }];
+        if (isDemoEmail(email)) return [409, { message: 'This email is reserved for the demo account' }];
+
+        const user = { id: Date.now().toString(), name, email, role: body.role, ...await hashPassword(password) };
+        users.push(user);
+        saveUsers();
+
+        return [201, { user: toPublicUser(user) }];
+    },
+
+    'PATCH /admin/users/:id': async ({ body, claims, params }) => {
+        const admin = findActiveUser(claims);
+        if (!admin || admin.role !== 'admin') return [403, { message: 'Only admins can manage users' }];
+
+        const user = users.find(u => u.id === params.id);
+        if (!user) return [404, { message: 'User not found' }];
+        if (body.role !== undefined && !ROLES.includes(body.role)) return [400, { message: 'Unknown role' }];
+        if (body.role !== undefined && body.role !== 'staff' && isDemoUser(user)) {
+            return [400, { message: 'The demo account can only be staff' }];
+        }
+
+        const losesAdmin = (body.role !== undefined && body.role !== 'admin') || body.disabled === true;
+        if (losesAdmin && isLastAdmin(user)) return [409, { message: 'At least one active admin is required' }];
+
+        if (body.role !== undefined) user.role = body.role;
+        if (body.disabled !== undefined) user.disabled = Boolean(body.disabled);
+        if (user.disabled) revokeRefreshTokens(user.id);
+        saveUsers();
+
+        return [200, { user: toPublicUser(user) }];
+    }
+};
+
+/**
+ * Find the handler for a request, filling in :id style path parameters
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @returns {object|null} { handler, params } or null if no route matches
+ * @throws {URIError} When a path parameter is not valid percent-encoding
+ */
+function matchRoute(method, path) {
+    const parts = path.split('/');
+
+    for (const [key, handler] of Object.entries(routes)) {
+        const [routeMethod, routePath] = key.split(' ');
+        const routeParts = routePath.split('/');
+        if (routeMethod !== method || routeParts.length !== parts.length) continue;
+
+        const params = {};
+        const matches = routeParts.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeURIComponent(parts[i]);
+                return true;
+            }
+            return part === parts[i];
+        });
+        if (matches) return { handler, params };
+    }
+
+    return null;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>} Parsed body ({} when empty)
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+            if (data.length > 1e6) reject(new Error('Request body too large'));
+        });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response with CORS headers so the app can call from any origin
+ * @param {http.ServerResponse} res
+ * @param {number} status - HTTP status
+ * @param {object|null} body - Response body
+ */
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS'
+    });
+    res.end(body === null ? undefined : JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        send(res, 204, null);
+        return;
+    }
+
+    const path = new URL(req.url, 'http://localhost').pathname;
+
+    try {
+        // Inside the try: a malformed %-escape in a path parameter throws
+        const route = matchRoute(req.method, path);
+        if (!route) {
+            send(res, 404, { message: 'Not found' });
+            return;
+        }
+
+        const body = req.method === 'GET' ? {} : await readBody(req);
+        const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const [status, response] = await route.handler({ body, params: route.params, claims: verifyAccessToken(token) });
+
+        console.log(`${req.method} ${path} ${status}`);
+        send(res, status, response);
+    } catch (error) {
+        console.error(`${req.method} ${path} failed:`, error.message);
+        send(res, 400, { message: 'Invalid request' });
+    }
+});
+
+(async () => {
+    if (options.demo) {
+        await seedDemoUser();
+    }
+
+    server.listen(options.port, () => {
+        console.log(`Nash Cards auth server listening on http://localhost:${options.port}`);
+    });
+})();
@@ -0,0 +1,90 @@
+/**
+ * Service Worker
+ * Caches the app shell so index.html loads with no network
+ * Shell files are fetched from the network when possible (so updates show up
+ * straight away) and served from the cache when offline
+ * API calls are left alone; ApiCache and Catalog handle those
+ */
+
+const SHELL_CACHE = 'nashCards-shell-v12';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'rates.json',
+    'js/config.js',
+    'js/httpClient.js',
+    'js/localAuthProvider.js',
+    'js/httpAuthProvider.js',
+    'js/auth.js',
+    'js/conditions.js',
+    'js/variants.js',
+    'js/fileRateProvider.js',
+    'js/httpRateProvider.js',
+    'js/currency.js',
+    'js/preferences.js',
+    'js/searchBuilder.js',
+    'js/cardNames.js',
+    'js/apiCache.js',
+    'js/catalog.js',
+    'vendor/tesseract/tesseract.min.js',
+    'vendor/tesseract/worker.min.js',
+    'vendor/tesseract/tesseract-core-lstm.wasm.js',
+    'vendor/tesseract/lang/eng.traineddata.gz',
+    'js/textReader.js',
+    'js/cardScanner.js',
+    'js/priceHistory.js',
+    'js/priceSources.js',
+    'js/api.js',
+    'js/buylist.js',
+    'js/inventory.js',
+    'js/watchlist.js',
+    'js/batch.js',
+    'js/importExport.js',
+    'js/ui.js',
+    'js/app.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop shell caches from older versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        fetch(event.request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put(event.request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(event.request, { ignoreSearch: true })
+                .then(cached => {
+                    if (cached) return cached;
+                    // Pages with a query string (index.html?x) still open offline
+                    return event.request.mode === 'navigate' ? caches.match('index.html') : Response.error();
+                }))
+    );
+});
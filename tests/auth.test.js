@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./loadModules');
+
+const { Auth } = loadModules(['httpClient.js', 'localAuthProvider.js', 'httpAuthProvider.js', 'auth.js']);
+
+/**
+ * Read the stored account emails
+ * @returns {array} Emails
+ */
+function storedEmails() {
+    return JSON.parse(localStorage.getItem('nashCards_users') || '[]').map(user => user.email);
+}
+
+test('switching back to local accounts keeps demo mode', async () => {
+    await Auth.init({ demoMode: true });
+    assert.deepEqual(storedEmails(), ['demo@example.com']);
+
+    assert.equal((await Auth.setBackend({ provider: 'http', baseUrl: 'http://localhost:8787' })).success, true);
+    assert.equal((await Auth.setBackend({ provider: 'local' })).success, true);
+
+    assert.deepEqual(storedEmails(), ['demo@example.com']);
+    assert.equal((await Auth.login('demo@example.com', 'password123')).success, true);
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', 'server', 'auth-server.js');
+
+/**
+ * Start the auth server on a free-ish port
+ * @param {array} args - Extra command line arguments
+ * @returns {Promise<object>} { call(method, path, body, token), stop() }
+ */
+function startServer(args = []) {
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const child = spawn(process.execPath, [SERVER, '--port', String(port), ...args]);
+
+    const call = async (method, route, body, token) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(`http://localhost:${port}${route}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    return new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.stdout.on('data', chunk => {
+            if (String(chunk).includes('listening')) {
+                resolve({ call, stop: () => child.kill() });
+            }
+        });
+    });
+}
+
+/**
+ * Read a JWT's claims without checking it
+ * @param {string} token - JWT
+ * @returns {object} Claims
+ */
+function decodeClaims(token) {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+}
+
+test('auth server', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const signup = await server.call('POST', '/auth/signup', { name: 'Ash', email: 'ash@example.com', password: 'pikachu1' });
+
+    await t.test('signup issues a signed access token and a refresh token', async () => {
+        assert.equal(signup.status, 201);
+        assert.equal(signup.body.user.email, 'ash@example.com');
+        assert.equal(signup.body.user.passwordHash, undefined);
+
+        const claims = decodeClaims(signup.body.accessToken);
+        assert.equal(claims.sub, signup.body.user.id);
+        assert.equal(claims.exp - claims.iat, signup.body.expiresIn);
+
+        const profile = await server.call('GET', '/auth/profile', null, signup.body.accessToken);
+        assert.equal(profile.status, 200);
+        assert.equal(profile.body.user.name, 'Ash');
+    });
+
+    await t.test('a token with edited claims is rejected', async () => {
+        const [header, , signature] = signup.body.accessToken.split('.');
+        const claims = { ...decodeClaims(signup.body.accessToken), role: 'admin', sub: 'someone-else' };
+        const forged = `${header}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+
+        assert.equal((await server.call('GET', '/auth/profile', null, forged)).status, 401);
+        assert.equal((await server.call('GET', '/auth/profile', null, 'not-a-token')).status, 401);
+    });
+
+    await t.test('a refresh token works once and is replaced', async () => {
+        const first = await server.call('POST', '/auth/refresh', { refreshToken: signup.body.refreshToken });
+        assert.equal(first.status, 200);
+        assert.notEqual(first.body.refreshToken, signup.body.refreshToken);
+
+        const reused = await server.call('POST', '/auth/refresh', { refreshToken: signup.body.refreshToken });
+        assert.equal(reused.status, 401);
+
+        const second = await server.call('POST', '/auth/refresh', { refreshToken: first.body.refreshToken });
+        assert.equal(second.status, 200);
+    });
+
+    await t.test('logout revokes the refresh token', async () => {
+        const login = await server.call('POST', '/auth/login', { email: 'ash@example.com', password: 'pikachu1' });
+        assert.equal(login.status, 200);
+
+        assert.equal((await server.call('POST', '/auth/logout', { refreshToken: login.body.refreshToken })).status, 204);
+        assert.equal((await server.call('POST', '/auth/refresh', { refreshToken: login.body.refreshToken })).status, 401);
+    });
+
+    await t.test('a wrong password is refused', async () => {
+        const login = await server.call('POST', '/auth/login', { email: 'ash@example.com', password: 'pikachu2' });
+        assert.equal(login.status, 401);
+        assert.equal(login.body.accessToken, undefined);
+    });
+
+    await t.test('a malformed path is refused without stopping the server', async () => {
+        const malformed = await server.call('PATCH', '/admin/users/%E0%A4%A', { role: 'manager' }, signup.body.accessToken);
+        assert.equal(malformed.status, 400);
+
+        assert.equal((await server.call('POST', '/auth/login', { email: 'ash@example.com', password: 'pikachu1' })).status, 200);
+    });
+});
+
+test('auth server in demo mode', async (t) => {
+    const server = await startServer(['--demo']);
+    t.after(() => server.stop());
+
+    await t.test('the demo account is staff', async () => {
+        const demo = await server.call('POST', '/auth/login', { email: 'demo@example.com', password: 'password123' });
+        assert.equal(demo.status, 200);
+        assert.equal(demo.body.user.role, 'staff');
+        assert.equal((await server.call('GET', '/admin/users', null, demo.body.accessToken)).status, 403);
+    });
+
+    await t.test('the first real account still becomes the admin', async () => {
+        const owner = await server.call('POST', '/auth/signup', { name: 'Ash', email: 'ash@example.com', password: 'pikachu1' });
+        assert.equal(owner.body.user.role, 'admin');
+
+        const promoted = await server.call('PATCH', '/admin/users/1', { role: 'admin' }, owner.body.accessToken);
+        assert.equal(promoted.status, 400);
+    });
+
+    await t.test('no other account can take the demo account\'s email', async () => {
+        const gary = await server.call('POST', '/auth/signup', { name: 'Gary', email: 'Demo@Example.com', password: 'eevee123' });
+        assert.equal(gary.status, 409);
+        assert.equal(gary.body.message, 'This email is reserved for the demo account');
+
+        const owner = await server.call('POST', '/auth/login', { email: 'ash@example.com', password: 'pikachu1' });
+        const moved = await server.call('PATCH', '/auth/profile', { name: 'Ash', email: 'demo@example.com' }, owner.body.accessToken);
+        assert.equal(moved.status, 409);
+
+        const created = await server.call('POST', '/admin/users', { name: 'Gary', email: 'demo@example.com', password: 'eevee123', role: 'staff' }, owner.body.accessToken);
+        assert.equal(created.status, 409);
+
+        const demo = await server.call('POST', '/auth/login', { email: 'demo@example.com', password: 'password123' });
+        const renamed = await server.call('PATCH', '/auth/profile', { name: 'Demo', email: 'counter@example.com' }, demo.body.accessToken);
+        assert.equal(renamed.body.message, 'The demo account\'s email cannot be changed');
+    });
+});
+
+test('auth server started without --demo drops a saved demo account', async (t) => {
+    const dataFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'nash-auth-')), 'users.json');
+    t.after(() => fs.rmSync(path.dirname(dataFile), { recursive: true, force: true }));
+
+    const demoRun = await startServer(['--demo', '--data', dataFile]);
+    await demoRun.call('POST', '/auth/signup', { name: 'Ash', email: 'ash@example.com', password: 'pikachu1' });
+    demoRun.stop();
+
+    const server = await startServer(['--data', dataFile]);
+    t.after(() => server.stop());
+
+    assert.equal((await server.call('POST', '/auth/login', { email: 'demo@example.com', password: 'password123' })).status, 404);
+    assert.equal((await server.call('POST', '/auth/login', { email: 'ash@example.com', password: 'pikachu1' })).status, 200);
+    assert.deepEqual(JSON.parse(fs.readFileSync(dataFile, 'utf8')).map(user => user.email), ['ash@example.com']);
+});
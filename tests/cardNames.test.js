@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./loadModules');
+
+const { CardNames } = loadModules(['cardNames.js']);
+
+const CARDS = [
+    { id: 'base1-4', name: 'Charizard', set: 'Base', setCode: 'base1', number: '4', releaseDate: '1999/01/09' },
+    { id: 'sv3pt5-6', name: 'Charizard ex', set: '151', setCode: 'sv3pt5', number: '6', releaseDate: '2023/09/22' },
+    { id: 'base1-46', name: 'Charmander', set: 'Base', setCode: 'base1', number: '46', releaseDate: '1999/01/09' },
+    { id: 'xy1-10', name: 'Mewtwo-EX', set: 'XY', setCode: 'xy1', number: '10', releaseDate: '2014/02/05' },
+    { id: 'xy2-65', name: 'Flabébé', set: 'Flashfire', setCode: 'xy2', number: '65', releaseDate: '2014/05/07' },
+    { id: 'ex4-3', name: 'Team Aqua’s Kyogre', set: 'Team Magma vs Team Aqua', setCode: 'ex4', number: '3', releaseDate: '2004/03/01' }
+];
+
+/**
+ * Match typed text and list the IDs found
+ * @param {string} text - Typed text
+ * @returns {array} Card IDs, closest first
+ */
+function ids(text) {
+    return CardNames.match(text, CARDS).map(card => card.id);
+}
+
+test('normalize strips accents, case, punctuation and extra spaces', () => {
+    assert.equal(CardNames.normalize('  Flabébé '), 'flabebe');
+    assert.equal(CardNames.normalize('Mewtwo-EX'), 'mewtwo ex');
+    assert.equal(CardNames.normalize('Team Aqua’s Kyogre'), 'team aquas kyogre');
+    assert.equal(CardNames.normalize(null), '');
+});
+
+test('exact names come before longer ones', () => {
+    assert.deepEqual(ids('charizard'), ['base1-4', 'sv3pt5-6']);
+});
+
+test('an unfinished word matches the start of a name', () => {
+    assert.deepEqual(ids('char'), ['base1-4', 'base1-46', 'sv3pt5-6']);
+});
+
+test('spacing and hyphens are ignored', () => {
+    assert.deepEqual(ids('mewtwoex'), ['xy1-10']);
+    assert.deepEqual(ids('Mewtwo EX'), ['xy1-10']);
+});
+
+test('accents are ignored', () => {
+    assert.deepEqual(ids('flabebe'), ['xy2-65']);
+});
+
+test('small typos are allowed in longer words only', () => {
+    assert.deepEqual(ids('charzard').slice(0, 2), ['base1-4', 'sv3pt5-6']);
+    assert.deepEqual(ids('charizrd kyogre'), []);
+    assert.deepEqual(ids('mwe'), []);
+});
+
+test('extra words can narrow by set or number', () => {
+    assert.deepEqual(ids('charizard base'), ['base1-4']);
+    assert.deepEqual(ids('charizard 6'), ['sv3pt5-6']);
+    assert.deepEqual(ids('base'), []);
+});
+
+test('the limit caps the suggestions', () => {
+    assert.equal(CardNames.match('char', CARDS, 1).length, 1);
+    assert.deepEqual(CardNames.match('', CARDS), []);
+});
@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./loadModules');
+
+// Pixels of each stub image by src; images are drawn to canvases at full size
+const pixelsBySrc = new Map();
+
+class StubImage {
+    set src(value) {
+        this.pixels = pixelsBySrc.get(value);
+        this.naturalWidth = this.pixels.width;
+        this.naturalHeight = this.pixels.height;
+        setTimeout(() => this.onload());
+    }
+}
+
+const document = {
+    createElement: () => {
+        let drawn = null;
+        return {
+            getContext: () => ({
+                drawImage: image => {
+                    drawn = image.pixels;
+                },
+                getImageData: () => drawn
+            })
+        };
+    }
+};
+
+const catalog = { cards: [], hashes: new Map() };
+const Catalog = {
+    getCards: async () => catalog.cards,
+    getHashes: async () => catalog.hashes,
+    saveHashes: async batch => batch.forEach(({ id, hash }) => catalog.hashes.set(id, hash))
+};
+
+const { CardScanner } = loadModules(['cardNames.js', 'textReader.js', 'cardScanner.js'], { Image: StubImage, document, Catalog });
+
+/**
+ * Make a card image: a yellow border around a random grid of colours
+ * @param {number} seed - Seed for the colours
+ * @returns {object} { width, height, data } at 252 x 352
+ */
+function makeCard(seed) {
+    const width = 252;
+    const height = 352;
+    let state = seed;
+    const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+    const blocks = Array.from({ length: 144 }, () => [random() * 255, random() * 255, random() * 255]);
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const border = x < 12 || y < 12 || x >= width - 12 || y >= height - 12;
+            const [r, g, b] = border ? [240, 210, 40] : blocks[Math.floor(y / height * 12) * 12 + Math.floor(x / width * 12)];
+            data.set([r, g, b, 255], (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Photograph a card: draw it into a grey 480 x 400 photo with its corners at a quad
+ * @param {object} card - Card image
+ * @param {array} quad - Where the card's top-left, top-right, bottom-right and bottom-left corners land
+ * @returns {object} { width, height, data }
+ */
+function photograph(card, quad) {
+    const width = 480;
+    const height = 400;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const grey = 90 + ((i * 7919) % 23);
+        data.set([grey, grey, grey + 5, 255], i * 4);
+    }
+
+    const [topLeft, topRight, bottomRight, bottomLeft] = quad;
+    for (let v = 0; v < 1; v += 1 / (card.height * 3)) {
+        for (let u = 0; u < 1; u += 1 / (card.width * 3)) {
+            const top = { x: topLeft.x + (topRight.x - topLeft.x) * u, y: topLeft.y + (topRight.y - topLeft.y) * u };
+            const bottom = { x: bottomLeft.x + (bottomRight.x - bottomLeft.x) * u, y: bottomLeft.y + (bottomRight.y - bottomLeft.y) * u };
+            const x = Math.round(top.x + (bottom.x - top.x) * v);
+            const y = Math.round(top.y + (bottom.y - top.y) * v);
+            if (x < 0 || y < 0 || x >= width || y >= height) continue;
+
+            const source = (Math.floor(v * card.height) * card.width + Math.floor(u * card.width)) * 4;
+            data.set(card.data.subarray(source, source + 4), (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Identify a photo through the stub image loader
+ * @param {object} photo - Photo pixels
+ * @returns {Promise<object>} Identification result
+ */
+function identify(photo) {
+    pixelsBySrc.set('data:photo', photo);
+    return CardScanner.identify('data:photo');
+}
+
+test.before(async () => {
+    const images = Array.from({ length: 30 }, (_, i) => makeCard(i * 31 + 7));
+    catalog.cards = images.map((image, i) => {
+        pixelsBySrc.set(`https://images.example.com/${i}.png`, image);
+        return { id: `c${i}`, name: `Card ${i}`, set: 'Test', number: String(i + 1), printedTotal: 30, imageUrl: `https://images.example.com/${i}_hires.png` };
+    });
+
+    const result = await CardScanner.buildIndex();
+    assert.equal(result.success, true);
+});
+
+test('parseNumber reads the collector number and set total', () => {
+    assert.deepEqual(CardScanner.parseNumber('Illus. Mitsuhiro Arita 4/102 ★'), { number: '4', total: '102' });
+    assert.deepEqual(CardScanner.parseNumber('tg05 / tg30'), { number: 'TG05', total: 'TG30' });
+    assert.deepEqual(CardScanner.parseNumber('SV 049 / 198'), { number: '049', total: '198' });
+    assert.deepEqual(CardScanner.parseNumber('HP 120'), { number: '', total: '' });
+});
+
+test('hashDistance counts differing bits', () => {
+    assert.equal(CardScanner.hashDistance('00', '00'), 0);
+    assert.equal(CardScanner.hashDistance('0f', '00'), 4);
+    assert.equal(CardScanner.hashDistance('ff', '00'), 8);
+    assert.equal(CardScanner.hashDistance('a5', '5a'), 8);
+});
+
+test('a card photographed at an angle is straightened and matched', async () => {
+    const photo = photograph(makeCard(17 * 31 + 7), [{ x: 150, y: 40 }, { x: 370, y: 60 }, { x: 350, y: 360 }, { x: 120, y: 340 }]);
+
+    const result = await identify(photo);
+    assert.equal(result.success, true);
+    assert.equal(result.card.id, 'c17');
+    assert.ok(result.confidence > 0.8);
+});
+
+test('a card lying sideways is matched either way round', async () => {
+    const card = makeCard(5 * 31 + 7);
+    const clockwise = photograph(card, [{ x: 420, y: 60 }, { x: 420, y: 300 }, { x: 60, y: 300 }, { x: 60, y: 60 }]);
+    const anticlockwise = photograph(card, [{ x: 60, y: 300 }, { x: 60, y: 60 }, { x: 420, y: 60 }, { x: 420, y: 300 }]);
+
+    assert.equal((await identify(clockwise)).card?.id, 'c5');
+    assert.equal((await identify(anticlockwise)).card?.id, 'c5');
+});
+
+test('a card not in the catalog is not identified', async () => {
+    const photo = photograph(makeCard(4242), [{ x: 150, y: 40 }, { x: 370, y: 60 }, { x: 350, y: 360 }, { x: 120, y: 340 }]);
+
+    const result = await identify(photo);
+    assert.equal(result.success, false);
+    assert.equal(result.card, undefined);
+});
+
+test('text is read in each orientation until a collector number is found', async (t) => {
+    let calls = 0;
+    globalThis.ImageData = class {
+        constructor(data, width, height) {
+            Object.assign(this, { data, width, height });
+        }
+    };
+    globalThis.TextDetector = class {
+        async detect() {
+            // Name then number for each orientation; only the second reads the number
+            calls++;
+            return calls === 4 ? [{ rawValue: '6/30', boundingBox: { height: 10 } }] : [];
+        }
+    };
+    t.after(() => {
+        delete globalThis.ImageData;
+        delete globalThis.TextDetector;
+    });
+
+    const photo = photograph(makeCard(5 * 31 + 7), [{ x: 420, y: 60 }, { x: 420, y: 300 }, { x: 60, y: 300 }, { x: 60, y: 60 }]);
+    const result = await identify(photo);
+
+    assert.equal(calls, 4);
+    assert.deepEqual(result.read, { name: '', number: '6', total: '30' });
+    assert.equal(result.card.id, 'c5');
+});
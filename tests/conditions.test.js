@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./loadModules');
+
+let role = 'manager';
+const Auth = { can: () => role === 'manager' };
+const { Conditions } = loadModules(['conditions.js'], { Auth });
+
+test.beforeEach(() => {
+    role = 'manager';
+    localStorage.clear();
+});
+
+test('parse reads raw conditions and grades the company issues', () => {
+    assert.deepEqual(Conditions.parse('Near Mint'), { type: 'raw', name: 'Near Mint' });
+    assert.deepEqual(Conditions.parse('bgs 9.5'), { type: 'graded', company: 'BGS', grade: 9.5 });
+    assert.equal(Conditions.parse('PSA 9.5'), null);
+    assert.equal(Conditions.parse('PSA 11'), null);
+    assert.equal(Conditions.parse('Excellent'), null);
+});
+
+test('normalize accepts codes, names and grades', () => {
+    assert.equal(Conditions.normalize('nm'), 'Near Mint');
+    assert.equal(Conditions.normalize(' DMG '), 'Damaged');
+    assert.equal(Conditions.normalize('psa10'), 'PSA 10');
+    assert.equal(Conditions.normalize('cgc 8.5'), 'CGC 8.5');
+    assert.equal(Conditions.normalize('gem mint'), null);
+});
+
+test('raw and graded multipliers', () => {
+    assert.equal(Conditions.getMultiplier('Lightly Played'), 0.75);
+    assert.equal(Conditions.getMultiplier('PSA 9'), 2);
+    assert.equal(Conditions.getMultiplier('BGS 10'), 5 * 0.95);
+    assert.equal(Conditions.getMultiplier('Unknown'), null);
+});
+
+test('grades between configured ones are interpolated', () => {
+    // Halfway between 8 (1.4) and 9 (2.0)
+    assert.ok(Math.abs(Conditions.getMultiplier('PSA 8.5') - 1.7) < 1e-9);
+});
+
+test('saved multipliers are used, and reset restores the defaults', () => {
+    const multipliers = Conditions.getMultipliers();
+    multipliers.raw['Near Mint'] = 0.9;
+    multipliers.grades = [{ grade: 10, multiplier: 4 }, { grade: 1, multiplier: 1 }];
+
+    assert.equal(Conditions.saveMultipliers(multipliers).success, true);
+    assert.equal(Conditions.getMultiplier('Near Mint'), 0.9);
+    assert.ok(Math.abs(Conditions.getMultiplier('PSA 4') - 2) < 1e-9);
+
+    assert.equal(Conditions.resetMultipliers().success, true);
+    assert.equal(Conditions.getMultiplier('Near Mint'), 1);
+});
+
+test('invalid multipliers are rejected', () => {
+    const multipliers = Conditions.getMultipliers();
+    multipliers.raw.Mint = 11;
+    assert.equal(Conditions.saveMultipliers(multipliers).message, 'Multiplier for Mint must be between 0 and 10');
+
+    const grades = Conditions.getMultipliers();
+    grades.grades = [{ grade: 0, multiplier: 1 }];
+    assert.equal(Conditions.saveMultipliers(grades).success, false);
+});
+
+test('only managers can change multipliers', () => {
+    role = 'staff';
+    const result = Conditions.saveMultipliers(Conditions.getMultipliers());
+    assert.equal(result.success, false);
+    assert.equal(localStorage.getItem('nashCards_conditions'), null);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./loadModules');
+
+const preferences = { currency: 'USD' };
+let role = 'manager';
+const { Currency } = loadModules(
+    ['httpClient.js', 'fileRateProvider.js', 'httpRateProvider.js', 'currency.js'],
+    { Preferences: { get: () => preferences }, Auth: { can: () => role === 'manager' } }
+);
+
+const RATES_FILE = { base: 'USD', date: '2026-10-01', rates: { CAD: 1.38, EUR: 0.92, GBP: 0.78, JPY: 149.5 } };
+
+// Responses by URL: [status, body]
+let responses = {};
+globalThis.fetch = async url => {
+    const [status, body] = responses[String(url)] || [404, {}];
+    return new Response(JSON.stringify(body), { status });
+};
+
+test.beforeEach(() => {
+    localStorage.clear();
+    preferences.currency = 'USD';
+    role = 'manager';
+    responses = { 'rates.json': [200, RATES_FILE] };
+});
+
+test('rates from the rates file convert between any two currencies', async () => {
+    const result = await Currency.refreshRates();
+    assert.equal(result.success, true);
+    assert.equal(result.message, 'Exchange rates updated (Rates file, 2026-10-01)');
+
+    assert.equal(Currency.convert(100, 'CAD'), 138);
+    assert.ok(Math.abs(Currency.convert(92, 'USD', 'EUR') - 100) < 1e-9);
+    assert.ok(Math.abs(Currency.convert(78, 'JPY', 'GBP') - 14950) < 1e-9);
+});
+
+test('rates quoted from another base are re-based on US dollars', async () => {
+    responses['https://rates.example.com/latest'] = [200, {
+        base_code: 'EUR',
+        rates: { USD: 1.25, CAD: 1.5, GBP: 0.85, JPY: 160 }
+    }];
+
+    const result = await Currency.setSource({ provider: 'http', url: 'https://rates.example.com/latest' });
+    assert.equal(result.success, true);
+    assert.equal(Currency.getRate('EUR'), 0.8);
+    assert.equal(Currency.getRate('CAD'), 1.2);
+    assert.equal(Currency.getStatus().provider, 'http');
+});
+
+test('rates missing a currency are refused', async () => {
+    responses['rates.json'] = [200, { base: 'USD', rates: { CAD: 1.38, EUR: 0.92 } }];
+
+    const result = await Currency.refreshRates();
+    assert.equal(result.success, false);
+    assert.equal(result.message, 'Exchange rates are missing GBP, JPY');
+});
+
+test('a bad service address is refused before anything is saved', async () => {
+    const result = await Currency.setSource({ provider: 'http', url: 'rates.example.com' });
+    assert.equal(result.success, false);
+    assert.equal(Currency.getSource().provider, 'file');
+});
+
+test('only managers can change the rate source', async () => {
+    role = 'staff';
+    const result = await Currency.setSource({ provider: 'http', url: 'https://rates.example.com/latest' });
+    assert.equal(result.message, 'Only managers can change the exchange rate source');
+    assert.equal(Currency.getSource().provider, 'file');
+});
+
+test('formatting uses each currency\'s own minor units', () => {
+    // Separators and symbols follow the locale, so only the digits are checked
+    assert.equal(Currency.format(12.5, 'USD').replace(/\D/g, ''), '1250');
+    assert.equal(Currency.format(1869.4, 'JPY').replace(/\D/g, ''), '1869');
+    assert.equal(Currency.format('n/a', 'EUR').replace(/\D/g, ''), '000');
+});
+
+test('a valuation keeps its US dollar price and records the currency shown', async () => {
+    await Currency.refreshRates();
+    preferences.currency = 'EUR';
+
+    const card = Currency.applyDisplayCurrency({ adjustedPrice: '50.00', priceCurrency: 'USD' });
+    assert.equal(card.adjustedPrice, '50.00');
+    assert.equal(card.displayCurrency, 'EUR');
+    assert.equal(card.exchangeRate, 0.92);
+    assert.equal(card.displayPrice, '46.00');
+    assert.equal(card.ratesDate, '2026-10-01');
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./loadModules');
+
+const { HttpClient, ApiCache } = loadModules(['httpClient.js', 'apiCache.js']);
+
+// Requests seen by the fetch stub: { url, method, signal, respond(status, body, headers) }
+let requests = [];
+
+/**
+ * Stub fetch with requests the test answers by hand
+ * @param {function} autoRespond - Answers a request straight away when it returns a response
+ */
+function stubFetch(autoRespond = () => null) {
+    requests = [];
+    globalThis.fetch = (url, init) => new Promise((resolve, reject) => {
+        const request = {
+            url: String(url),
+            method: init.method,
+            signal: init.signal,
+            respond: (status, body = {}, headers = {}) => resolve(new Response(JSON.stringify(body), { status, headers }))
+        };
+        init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        requests.push(request);
+
+        const response = autoRespond(request, requests.length);
+        if (response) request.respond(...response);
+    });
+}
+
+/**
+ * Let pending promise callbacks run
+ * @returns {Promise}
+ */
+function flush() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+test('a GET that fails with a server error is retried', async () => {
+    stubFetch((request, count) => (count === 1 ? [503, {}, { 'Retry-After': '0' }] : [200, { ok: true }]));
+
+    const result = await HttpClient.request('https://api.example.com/cards');
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data, { ok: true });
+    assert.equal(requests.length, 2);
+});
+
+test('a POST is not retried after a server error', async () => {
+    stubFetch(() => [500]);
+
+    const result = await HttpClient.request('https://api.example.com/login', { method: 'POST', body: {} });
+    assert.equal(result.errorType, HttpClient.ERRORS.SERVER);
+    assert.equal(requests.length, 1);
+});
+
+test('a long Retry-After is reported instead of waited out', async () => {
+    stubFetch(() => [429, {}, { 'Retry-After': '120' }]);
+
+    const result = await HttpClient.request('https://api.example.com/prices');
+    assert.equal(result.errorType, HttpClient.ERRORS.RATE_LIMITED);
+    assert.equal(result.retryAfter, 120000);
+    assert.equal(requests.length, 1);
+});
+
+test('a long Retry-After on a server error is not waited out either', async () => {
+    stubFetch(() => [503, {}, { 'Retry-After': '86400' }]);
+
+    const result = await HttpClient.request('https://api.example.com/sets/base1');
+    assert.equal(result.errorType, HttpClient.ERRORS.SERVER);
+    assert.equal(result.retryAfter, 86400000);
+    assert.equal(requests.length, 1);
+});
+
+test('client errors are not retried', async () => {
+    stubFetch(() => [404, { message: 'Not found' }]);
+
+    const result = await HttpClient.request('https://api.example.com/cards/missing');
+    assert.equal(result.errorType, HttpClient.ERRORS.CLIENT);
+    assert.deepEqual(result.data, { message: 'Not found' });
+    assert.equal(requests.length, 1);
+});
+
+test('identical GETs in flight share one request', async () => {
+    stubFetch();
+
+    const first = HttpClient.request('https://api.example.com/sets');
+    const second = HttpClient.request('https://api.example.com/sets');
+    await flush();
+    assert.equal(requests.length, 1);
+
+    requests[0].respond(200, { data: [1] });
+    assert.deepEqual((await first).data, { data: [1] });
+    assert.deepEqual((await second).data, { data: [1] });
+});
+
+test('a shared GET is only cancelled once every caller has aborted', async () => {
+    stubFetch();
+    const firstCaller = new AbortController();
+    const secondCaller = new AbortController();
+
+    const first = HttpClient.request('https://api.example.com/search', { signal: firstCaller.signal });
+    const second = HttpClient.request('https://api.example.com/search', { signal: secondCaller.signal });
+    await flush();
+
+    firstCaller.abort();
+    assert.equal((await first).errorType, HttpClient.ERRORS.ABORTED);
+    assert.equal(requests[0].signal.aborted, false);
+
+    secondCaller.abort();
+    assert.equal((await second).errorType, HttpClient.ERRORS.ABORTED);
+    assert.equal(requests[0].signal.aborted, true);
+});
+
+test('a request aborted while queued for its host leaves the queue at once', async () => {
+    stubFetch();
+    const queued = new AbortController();
+
+    const running = [1, 2].map(n => HttpClient.request(`https://slow.example.com/${n}`));
+    const waiting = HttpClient.request('https://slow.example.com/3', { signal: queued.signal });
+    const next = HttpClient.request('https://slow.example.com/4');
+    await flush();
+    assert.equal(requests.length, 2);
+
+    queued.abort();
+    assert.equal((await waiting).errorType, HttpClient.ERRORS.ABORTED);
+
+    requests[0].respond(200);
+    requests[1].respond(200);
+    await Promise.all(running);
+    await flush();
+
+    assert.deepEqual(requests.map(request => request.url), [
+        'https://slow.example.com/1',
+        'https://slow.example.com/2',
+        'https://slow.example.com/4'
+    ]);
+    requests[2].respond(200);
+    assert.equal((await next).success, true);
+});
+
+test('a cached fetch shared by two callers survives one of them aborting', async () => {
+    stubFetch();
+    const fetcher = signal => HttpClient.request('https://api.example.com/cards/base1-4', { signal });
+    const firstCaller = new AbortController();
+
+    const first = ApiCache.getOrFetch('metadata', 'base1-4', fetcher, { signal: firstCaller.signal });
+    const second = ApiCache.getOrFetch('metadata', 'base1-4', fetcher);
+    await flush();
+
+    firstCaller.abort();
+    assert.equal((await first).errorType, HttpClient.ERRORS.ABORTED);
+
+    requests[0].respond(200, { name: 'Charizard' });
+    assert.deepEqual((await second).data, { name: 'Charizard' });
+
+    // Stored for the next caller
+    const cached = await ApiCache.getOrFetch('metadata', 'base1-4', () => assert.fail('fetched again'));
+    assert.deepEqual(cached.data, { name: 'Charizard' });
+    assert.equal(requests.length, 1);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./loadModules');
+
+const { ImportExport } = loadModules(['importExport.js'], {
+    Currency: { BASE_CURRENCY: 'USD' },
+    Inventory: { getItemValue: item => item.quantity * Number(item.card.adjustedPrice) }
+});
+
+/**
+ * Export one collection item as CSV and read it back
+ * @param {object} changes - Item fields to set
+ * @returns {object} Exported fields by column label
+ */
+function exportItem(changes) {
+    const item = {
+        card: { id: 'base1-4', name: 'Charizard', set: 'Base', number: '4', selectedCondition: 'Near Mint', adjustedPrice: '400.00' },
+        quantity: 1,
+        notes: '',
+        ...changes
+    };
+    const csv = ImportExport.exportCollection([item], 'csv').content;
+    const [header, values] = ImportExport.parseCsv(csv);
+    return { csv, fields: Object.fromEntries(header.map((label, i) => [label, values[i]])) };
+}
+
+test('text a spreadsheet would run as a formula is written as text', () => {
+    const formulas = ['=HYPERLINK("http://evil.example.com","Click")', '+1+1', '-2+3', '@SUM(A1:A2)', '\tTab'];
+
+    formulas.forEach(notes => {
+        const { csv, fields } = exportItem({ notes });
+        assert.equal(fields.Notes, `'${notes}`);
+        assert.ok(csv.includes(`"'${notes.replace(/"/g, '""')}"`));
+    });
+});
+
+test('plain numbers and ordinary text are written as they are', () => {
+    const { csv, fields } = exportItem({ notes: 'Left of counter, "mint"', purchasePrice: '-3.50' });
+
+    assert.equal(fields.Notes, 'Left of counter, "mint"');
+    assert.equal(fields['Purchase Price'], '-3.50');
+    assert.ok(csv.includes(',-3.50,'));
+    assert.equal(fields['Total Value'], '400.00');
+});
@@ -0,0 +1,58 @@
+/**
+ * Test Module Loader
+ * Runs the app's browser modules in Node for unit tests
+ * Modules are plain scripts declaring one global each (const Conditions = ...),
+ * so they are run in order in this process the way index.html runs them;
+ * node --test gives every test file its own process
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+/**
+ * In-memory stand-in for the browser's localStorage
+ * @returns {object} Storage
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+/**
+ * Load modules from js/
+ * Globals a module needs but no loaded file provides (e.g. Auth) are passed
+ * as stubs
+ * @param {array} files - File names in js/, in index.html order
+ * @param {object} stubs - Extra globals by name
+ * @returns {object} Loaded modules by name, e.g. { Conditions }
+ */
+function loadModules(files, stubs = {}) {
+    Object.assign(globalThis, {
+        window: { location: { href: 'http://localhost/' } },
+        localStorage: createStorage(),
+        ...stubs
+    });
+    if (typeof navigator === 'undefined') {
+        globalThis.navigator = { onLine: true };
+    }
+
+    const modules = {};
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(JS_DIR, file), 'utf8');
+        vm.runInThisContext(source, { filename: path.join(JS_DIR, file) });
+
+        const name = /^const (\w+) =/m.exec(source)[1];
+        modules[name] = vm.runInThisContext(name);
+    });
+    return modules;
+}
+
+module.exports = { loadModules };
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./loadModules');
+
+const { LocalAuthProvider } = loadModules(['localAuthProvider.js']);
+
+/**
+ * Read the stored accounts
+ * @returns {array} Stored users
+ */
+function storedUsers() {
+    return JSON.parse(localStorage.getItem('nashCards_users') || '[]');
+}
+
+test.beforeEach(() => {
+    localStorage.clear();
+});
+
+test('signup stores a salted PBKDF2 hash, never the password', async () => {
+    await LocalAuthProvider.signup('Ash', 'ash@example.com', 'pikachu1');
+    await LocalAuthProvider.signup('Misty', 'misty@example.com', 'pikachu1');
+
+    const [ash, misty] = storedUsers();
+    assert.equal(ash.password, undefined);
+    assert.match(ash.passwordHash, /^[0-9a-f]{64}$/);
+    assert.equal(ash.iterations, 600000);
+    assert.notEqual(ash.salt, misty.salt);
+    assert.notEqual(ash.passwordHash, misty.passwordHash);
+    assert.ok(!JSON.stringify(storedUsers()).includes('pikachu1'));
+});
+
+test('login checks the password against the hash', async () => {
+    await LocalAuthProvider.signup('Ash', 'ash@example.com', 'pikachu1');
+
+    assert.equal((await LocalAuthProvider.login('ash@example.com', 'pikachu1')).success, true);
+    assert.equal((await LocalAuthProvider.login('ash@example.com', 'pikachu2')).message, 'Invalid password');
+    assert.equal((await LocalAuthProvider.login('gary@example.com', 'pikachu1')).message, 'User not found');
+});
+
+test('plaintext passwords from older versions are hashed on login', async () => {
+    localStorage.setItem('nashCards_users', JSON.stringify([
+        { id: '7', name: 'Brock', email: 'brock@example.com', password: 'onix1234', role: 'admin' }
+    ]));
+
+    const result = await LocalAuthProvider.login('brock@example.com', 'onix1234');
+    assert.equal(result.success, true);
+    assert.equal(result.user.password, undefined);
+
+    const [brock] = storedUsers();
+    assert.equal(brock.password, undefined);
+    assert.match(brock.passwordHash, /^[0-9a-f]{64}$/);
+    assert.equal((await LocalAuthProvider.login('brock@example.com', 'onix1234')).success, true);
+});
+
+test('demo mode creates the demo account with a hashed password', async () => {
+    await LocalAuthProvider.init({ demoMode: true });
+
+    const [demo] = storedUsers();
+    assert.equal(demo.email, 'demo@example.com');
+    assert.equal(demo.password, undefined);
+    assert.equal((await LocalAuthProvider.login('demo@example.com', 'password123')).success, true);
+});
+
+test('without demo mode any demo account is removed', async () => {
+    await LocalAuthProvider.init({ demoMode: true });
+    await LocalAuthProvider.signup('Ash', 'ash@example.com', 'pikachu1');
+    localStorage.setItem('nashCards_users', JSON.stringify([
+        ...storedUsers(),
+        { id: '1', name: 'Demo User', email: 'Demo@Example.com', password: 'password123' }
+    ]));
+
+    await LocalAuthProvider.init();
+
+    assert.deepEqual(storedUsers().map(user => user.email), ['ash@example.com']);
+    assert.equal((await LocalAuthProvider.login('demo@example.com', 'password123')).success, false);
+});
+
+test('the first account becomes the admin, later ones staff', async () => {
+    assert.equal((await LocalAuthProvider.signup('Ash', 'ash@example.com', 'pikachu1')).user.role, 'admin');
+    assert.equal((await LocalAuthProvider.signup('Misty', 'misty@example.com', 'pikachu1')).user.role, 'staff');
+});
+
+test('the demo account is staff and never takes the first-admin place', async () => {
+    await LocalAuthProvider.init({ demoMode: true });
+    assert.equal(storedUsers()[0].role, 'staff');
+
+    const owner = await LocalAuthProvider.signup('Ash', 'ash@example.com', 'pikachu1');
+    assert.equal(owner.user.role, 'admin');
+
+    const promoted = await LocalAuthProvider.updateUser({ id: owner.user.id }, '1', { role: 'admin' });
+    assert.equal(promoted.message, 'The demo account can only be staff');
+});
+
+test('migrating roles skips the demo account and demotes an old admin demo account', async () => {
+    localStorage.setItem('nashCards_users', JSON.stringify([
+        { id: '1', name: 'Demo User', email: 'demo@example.com', password: 'password123', role: 'admin' },
+        { id: '7', name: 'Brock', email: 'brock@example.com', password: 'onix1234' }
+    ]));
+
+    await LocalAuthProvider.init({ demoMode: true });
+
+    assert.deepEqual(storedUsers().map(user => `${user.email}:${user.role}`), [
+        'demo@example.com:staff',
+        'brock@example.com:admin'
+    ]);
+});
+
+test('no other account can take the demo account\'s email', async () => {
+    const owner = await LocalAuthProvider.signup('Ash', 'ash@example.com', 'pikachu1');
+
+    assert.equal((await LocalAuthProvider.signup('Gary', 'Demo@Example.com', 'eevee123')).message, 'This email is reserved for the demo account');
+    assert.equal((await LocalAuthProvider.updateProfile({ id: owner.user.id }, { name: 'Ash', email: 'demo@example.com' })).message, 'This email is reserved for the demo account');
+    assert.equal((await LocalAuthProvider.createUser({ id: owner.user.id }, { name: 'Gary', email: 'demo@example.com', password: 'eevee123', role: 'staff' })).message, 'This email is reserved for the demo account');
+
+    // So turning demo mode off never removes a real account
+    await LocalAuthProvider.init();
+    assert.deepEqual(storedUsers().map(user => user.email), ['ash@example.com']);
+});
+
+test('the demo account keeps its email', async () => {
+    await LocalAuthProvider.init({ demoMode: true });
+
+    const renamed = await LocalAuthProvider.updateProfile({ id: '1' }, { name: 'Counter', email: 'demo@example.com' });
+    assert.equal(renamed.success, true);
+
+    const moved = await LocalAuthProvider.updateProfile({ id: '1' }, { name: 'Counter', email: 'counter@example.com' });
+    assert.equal(moved.message, 'The demo account\'s email cannot be changed');
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./loadModules');
+
+let role = 'manager';
+const { PriceSources } = loadModules(['priceSources.js'], { Auth: { can: () => role === 'manager' } });
+
+/**
+ * Build settings from the defaults
+ * @param {object} changes - Settings to change
+ * @returns {object} Settings
+ */
+function settings(changes = {}) {
+    const defaults = PriceSources.getSettings();
+    return { ...defaults, ...changes, weights: { ...defaults.weights, ...changes.weights } };
+}
+
+/**
+ * Build a quote for a Near Mint price
+ * @param {string} source - Source ID
+ * @param {number} price - Price in US dollars
+ * @returns {object} Quote
+ */
+function quote(source, price) {
+    return { source, price, basePrice: price };
+}
+
+test.beforeEach(() => {
+    role = 'manager';
+    localStorage.clear();
+});
+
+test('prices are blended by weight', () => {
+    const blend = PriceSources.blend([quote('justtcg', 100), quote('tcgplayer', 90), quote('cardmarket', 100)]);
+
+    // (100 + 90 + 100 * 0.5) / 2.5
+    assert.equal(blend.price, 96);
+    assert.equal(blend.median, 100);
+    assert.deepEqual(blend.spread, { low: 90, high: 100, amount: 10, percent: 100 / 9 });
+    assert.ok(blend.quotes.every(q => q.included));
+});
+
+test('a price far from the median is left out', () => {
+    const blend = PriceSources.blend([quote('justtcg', 100), quote('tcgplayer', 300), quote('cardmarket', 92)]);
+
+    const outlier = blend.quotes.find(q => q.source === 'tcgplayer');
+    assert.equal(outlier.included, false);
+    assert.equal(outlier.note, 'Left out: 200% above the median');
+    assert.equal(blend.price, (100 + 92 * 0.5) / 1.5);
+});
+
+test('the outlier guard needs three prices and can be turned off', () => {
+    const two = PriceSources.blend([quote('justtcg', 100), quote('tcgplayer', 300)]);
+    assert.equal(two.price, 200);
+
+    const off = PriceSources.blend(
+        [quote('justtcg', 100), quote('tcgplayer', 300), quote('cardmarket', 100)],
+        settings({ outlierPercent: 0 })
+    );
+    assert.equal(off.price, 180);
+});
+
+test('sources weighted 0 are shown but not blended', () => {
+    const blend = PriceSources.blend([quote('justtcg', 100), quote('tcgplayer', 80)], settings({ weights: { tcgplayer: 0 } }));
+
+    assert.equal(blend.price, 100);
+    assert.equal(blend.quotes[1].note, 'Weight 0');
+    assert.equal(blend.spread.low, 80);
+});
+
+test('when only unweighted sources have prices they count equally', () => {
+    const blend = PriceSources.blend([quote('cardmarket', 50), quote('tcgplayer', 70)], settings({ weights: { cardmarket: 0, tcgplayer: 0 } }));
+
+    assert.equal(blend.equalWeights, true);
+    assert.equal(blend.price, 60);
+});
+
+test('condition-adjusted and base prices are blended alike', () => {
+    const blend = PriceSources.blend([
+        { source: 'justtcg', price: 80, basePrice: 100 },
+        { source: 'tcgplayer', price: 67.5, basePrice: 90 }
+    ]);
+
+    assert.equal(blend.price, 73.75);
+    assert.equal(blend.basePrice, 95);
+});
+
+test('no quotes give no blend', () => {
+    assert.equal(PriceSources.blend([]), null);
+});
+
+test('settings are validated before they are saved', () => {
+    const zero = PriceSources.saveSettings(settings({ weights: { justtcg: 0, tcgplayer: 0, cardmarket: 0 } }));
+    assert.equal(zero.message, 'At least one source needs a weight above 0');
+
+    const negative = PriceSources.saveSettings(settings({ weights: { tcgplayer: -1 } }));
+    assert.equal(negative.message, 'Weight for TCGplayer must be between 0 and 10');
+
+    const point = PriceSources.saveSettings(settings({ tcgplayerPoint: 'average' }));
+    assert.equal(point.message, 'Choose the TCGplayer price to use');
+
+    const outlier = PriceSources.saveSettings(settings({ outlierPercent: 2000 }));
+    assert.equal(outlier.message, 'Outlier limit must be between 0 and 1000 percent');
+
+    assert.equal(localStorage.getItem('nashCards_priceSources'), null);
+});
+
+test('saved settings are used until reset', () => {
+    assert.equal(PriceSources.saveSettings(settings({ weights: { cardmarket: 2 }, tcgplayerPoint: 'low' })).success, true);
+    assert.equal(PriceSources.getSettings().weights.cardmarket, 2);
+    assert.equal(PriceSources.getSettings().tcgplayerPoint, 'low');
+
+    assert.equal(PriceSources.resetSettings().success, true);
+    assert.equal(PriceSources.getSettings().weights.cardmarket, 0.5);
+});
+
+test('only managers can change price sources', () => {
+    role = 'staff';
+    assert.equal(PriceSources.saveSettings(settings()).message, 'Only managers can change price sources');
+    assert.equal(PriceSources.resetSettings().success, false);
+});
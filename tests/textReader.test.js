@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./loadModules');
+
+// Workers started by the Tesseract stub, and whether the next start fails
+const started = [];
+let failNextStart = false;
+
+const Tesseract = {
+    OEM: { LSTM_ONLY: 1 },
+    PSM: { SPARSE_TEXT: '11' },
+    createWorker: async (lang, oem, options) => {
+        if (failNextStart) {
+            failNextStart = false;
+            throw new Error('Could not load the engine');
+        }
+        const worker = {
+            lang,
+            oem,
+            options,
+            parameters: {},
+            images: [],
+            setParameters: async parameters => Object.assign(worker.parameters, parameters),
+            recognize: async (image, recognizeOptions, output) => {
+                worker.images.push({ image, output });
+                return {
+                    data: {
+                        blocks: [{
+                            paragraphs: [{
+                                lines: [
+                                    { text: 'Charizard 120 HP\n', bbox: { y0: 10, y1: 40 } },
+                                    { text: ' ', bbox: { y0: 50, y1: 52 } },
+                                    { text: 'Illus. Mitsuhiro Arita 4/102', bbox: { y0: 60, y1: 75 } }
+                                ]
+                            }]
+                        }]
+                    }
+                };
+            }
+        };
+        started.push(worker);
+        return worker;
+    }
+};
+
+const document = {
+    createElement: () => ({
+        getContext: () => ({
+            putImageData(imageData) {
+                this.drawn = imageData;
+            }
+        })
+    })
+};
+
+class ImageData {
+    constructor(data, width, height) {
+        Object.assign(this, { data, width, height });
+    }
+}
+
+const { TextReader } = loadModules(['textReader.js'], {
+    Tesseract,
+    document,
+    ImageData,
+    location: { href: 'https://shop.example.com/cards/index.html' }
+});
+
+const PIXELS = { width: 4, height: 2, data: new Uint8ClampedArray(32) };
+
+test('a worker that fails to start is not kept', async () => {
+    failNextStart = true;
+
+    await assert.rejects(TextReader.read(PIXELS), /Could not load the engine/);
+    assert.equal(started.length, 0);
+});
+
+test('without TextDetector, text is read with the vendored Tesseract', async () => {
+    assert.equal(TextReader.isAvailable(), true);
+
+    const texts = await TextReader.read(PIXELS);
+    assert.deepEqual(texts, [
+        { rawValue: 'Charizard 120 HP', boundingBox: { height: 30 } },
+        { rawValue: 'Illus. Mitsuhiro Arita 4/102', boundingBox: { height: 15 } }
+    ]);
+
+    const [worker] = started;
+    assert.equal(worker.lang, 'eng');
+    assert.equal(worker.oem, Tesseract.OEM.LSTM_ONLY);
+    assert.deepEqual(worker.options, {
+        workerPath: 'https://shop.example.com/cards/vendor/tesseract/worker.min.js',
+        corePath: 'https://shop.example.com/cards/vendor/tesseract/tesseract-core-lstm.wasm.js',
+        langPath: 'https://shop.example.com/cards/vendor/tesseract/lang',
+        gzip: true
+    });
+    assert.equal(worker.parameters.tessedit_pageseg_mode, Tesseract.PSM.SPARSE_TEXT);
+    assert.deepEqual(worker.images[0].output, { blocks: true });
+    assert.equal(worker.images[0].image.width, 4);
+});
+
+test('the worker is started once and kept', async () => {
+    await TextReader.read(PIXELS);
+    await TextReader.read(PIXELS);
+    assert.equal(started.length, 1);
+});
+
+test('TextDetector is used where the browser has one', async (t) => {
+    globalThis.TextDetector = class {
+        async detect(image) {
+            return [{ rawValue: `${image.width}x${image.height}`, boundingBox: { height: 1 } }];
+        }
+    };
+    t.after(() => {
+        delete globalThis.TextDetector;
+    });
+
+    assert.deepEqual(await TextReader.read(PIXELS), [{ rawValue: '4x2', boundingBox: { height: 1 } }]);
+    assert.equal(started[0].images.length, 3);
+});
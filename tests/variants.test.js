@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadModules } = require('./loadModules');
+
+const { Variants, Currency, API } = loadModules(
+    ['httpClient.js', 'conditions.js', 'variants.js', 'fileRateProvider.js', 'httpRateProvider.js', 'currency.js', 'priceSources.js', 'apiCache.js', 'api.js'],
+    { Auth: { can: () => true }, Preferences: { get: () => ({ currency: 'USD' }) } }
+);
+
+const PRICES = {
+    justtcg: {
+        variants: [
+            { condition: 'Near Mint', printing: '1st Edition Holofoil', price: 5000 },
+            { condition: 'Near Mint', printing: 'Unlimited Holofoil', price: 400 },
+            { condition: 'Near Mint', printing: 'Reverse Holofoil', price: 0 }
+        ]
+    },
+    tcgplayer: {
+        prices: {
+            holofoil: { market: 420 },
+            '1stEditionHolofoil': { market: 5200 },
+            reverseHolofoil: { market: null }
+        }
+    }
+};
+
+test('each source\'s label is read into one canonical name', () => {
+    assert.equal(Variants.normalize('1stEditionHolofoil'), '1st Edition Holo');
+    assert.equal(Variants.normalize('1st Edition Holofoil'), '1st Edition Holo');
+    assert.equal(Variants.normalize('Unlimited Holofoil'), 'Holo');
+    assert.equal(Variants.normalize('reverseHolofoil'), 'Reverse Holo');
+    assert.equal(Variants.normalize('Shadowless Holo'), 'Shadowless Holo');
+    assert.equal(Variants.normalize('Normal'), 'Normal');
+    assert.equal(Variants.normalize('  '), null);
+});
+
+test('the common release sorts first and duplicates are dropped', () => {
+    assert.deepEqual(
+        Variants.sort(['1st Edition Holo', 'Reverse Holo', 'Holo', 'Shadowless Holo', 'Holo', null]),
+        ['Holo', 'Reverse Holo', 'Shadowless Holo', '1st Edition Holo']
+    );
+    assert.equal(Variants.getDefault(['1st Edition Holo', 'Holo']), 'Holo');
+    assert.equal(Variants.getDefault([]), null);
+});
+
+test('variants are found only where a source has a price', () => {
+    assert.deepEqual(Variants.fromPrices(PRICES), ['Holo', '1st Edition Holo']);
+    assert.deepEqual(Variants.fromPrices({ justtcg: { variants: [{ price: 3 }] } }), ['Normal']);
+    assert.deepEqual(Variants.fromPrices(), []);
+});
+
+test('an unknown variant is described as N/A', () => {
+    assert.equal(Variants.describe(null), 'N/A');
+    assert.equal(Variants.describe('Reverse Holo'), 'Reverse Holo');
+});
+
+test('a card is priced for the chosen variant, or the common release', () => {
+    localStorage.setItem('nashCards_rates', JSON.stringify({
+        base: 'USD',
+        date: '2026-10-01',
+        rates: { USD: 1, CAD: 1.38, EUR: 0.92, GBP: 0.78, JPY: 149.5 },
+        provider: 'file',
+        fetchedAt: Date.now()
+    }));
+    Currency.init();
+    const card = { id: 'base1-4', name: 'Charizard', prices: PRICES };
+
+    const firstEdition = API.enrichCardWithPricing({ ...card, variant: '1st Edition Holo' }, 'Near Mint');
+    assert.equal(firstEdition.variant, '1st Edition Holo');
+    assert.deepEqual(firstEdition.variants, ['Holo', '1st Edition Holo']);
+    assert.equal(firstEdition.adjustedPrice, '5100.00');
+
+    const common = API.enrichCardWithPricing(card, 'Near Mint');
+    assert.equal(common.variant, 'Holo');
+    assert.equal(common.adjustedPrice, '410.00');
+});